@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Command line analysis of a flows.json file, e.g. in CI: node-red-code-analyzer --help
+const { run } = require('../lib/cli');
+
+process.exitCode = run(process.argv.slice(2));
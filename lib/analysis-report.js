@@ -0,0 +1,118 @@
+const path = require('path');
+const QualityMetrics = require('./quality-metrics');
+const { getFlowRuleConfig } = require('./rule-config');
+const { buildFlowGraph, getNodeName } = require('./flow-graph');
+const { analyzeFlowWiring } = require('./wire-analysis');
+const { buildFlowVariableMap, buildGlobalVariableMap, resolveContextStores } = require('./flow-variables');
+const { fingerprintIssues, compareWithBaseline } = require('./baseline');
+
+// Whether the runtime can load a Setup tab module: a Node.js core module or a package
+// installed in the user directory (Node-RED installs them under externalModules)
+function isModuleInstalled(moduleName, userDir) {
+    const name = moduleName.replace(/^(@?[^@]+)@.*$/, '$1');
+    if (require('module').builtinModules.includes(name.replace(/^node:/, ''))) {
+        return true;
+    }
+    const paths = [path.join(userDir, 'externalModules'), userDir];
+    return [name, `${name}/package.json`].some(request => {
+        try {
+            require.resolve(request, { paths });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+// Analysis report of a flow configuration (the content of flows.json) without a running
+// Node-RED: per flow and subflow the quality metrics the analyzer node computes, plus one
+// list of issues of the function node code, the other nodes, the wiring and the error
+// handling. Issues carry the quality severity after rule configuration overrides and a
+// fingerprint; compared with a baseline, they are marked new (isNew) or known.
+//
+// Options: level (replaces the preset of every flow), rules (per-rule overrides, as in
+// settings.js), contextStorage (settings.js; without it store names are not checked),
+// userDir (to check Setup tab modules), parseJSONata, flowIds (flows to analyze) and
+// baseline.
+function createAnalysisReport(nodeConfigs, options = {}) {
+    const { level = null, rules = {}, contextStorage = null, userDir = null, parseJSONata = null, flowIds = null, baseline = null } = options;
+    const allNodes = (nodeConfigs || []).filter(nodeConfig => nodeConfig && nodeConfig.id);
+    const nodesById = new Map(allNodes.map(nodeConfig => [nodeConfig.id, nodeConfig]));
+    const analysisOptions = {
+        flowGraph: buildFlowGraph(allNodes),
+        globalVariables: buildGlobalVariableMap(allNodes),
+        contextStores: contextStorage ? resolveContextStores(contextStorage) : null,
+        isModuleInstalled: userDir ? moduleName => isModuleInstalled(moduleName, userDir) : null,
+        parseJSONata
+    };
+
+    const flows = allNodes
+        .filter(n => (n.type === 'tab' || n.type === 'subflow') && (!flowIds || flowIds.includes(n.id)))
+        .map(flow => {
+            const ruleConfig = getFlowRuleConfig(allNodes, flow.id, rules, level);
+            const qualityMetrics = new QualityMetrics(ruleConfig);
+            const flowNodes = allNodes.filter(n => n.z === flow.id || n.id === flow.id);
+            const metrics = qualityMetrics.calculateFlowQualityMetrics(flowNodes, ruleConfig, {
+                ...analysisOptions,
+                flowVariables: buildFlowVariableMap(allNodes.filter(n => n.z === flow.id))
+            });
+
+            const toReportIssue = (issue, nodeConfig) => {
+                const { level: severity, category } = qualityMetrics.getIssueSeverity(issue.type, ruleConfig);
+                return {
+                    nodeId: nodeConfig.id,
+                    nodeName: getNodeName(nodeConfig),
+                    nodeType: nodeConfig.type,
+                    tab: issue.tab || null,
+                    line: issue.line || null,
+                    column: issue.column || null,
+                    endLine: issue.endLine || issue.line || null,
+                    endColumn: issue.endColumn || null,
+                    rule: issue.rule || issue.type,
+                    type: issue.type,
+                    severity,
+                    category,
+                    message: issue.message
+                };
+            };
+            const codeIssues = metrics.nodeMetrics.flatMap(nodeMetric =>
+                nodeMetric.issueDetails.map(issue => toReportIssue(issue, nodesById.get(nodeMetric.nodeId))));
+            const flowIssues = metrics.hygieneIssues
+                .concat(analyzeFlowWiring(allNodes, flow.id, ruleConfig), metrics.errorHandling.issues)
+                .map(issue => toReportIssue(issue, nodesById.get(issue.nodeId)));
+
+            return {
+                flowId: flow.id,
+                flowName: flow.label || flow.name || flow.id,
+                flowType: flow.type,
+                qualityScore: metrics.qualityScore,
+                metrics,
+                issues: compareWithBaseline(fingerprintIssues(codeIssues.concat(flowIssues), flowNodes), baseline)
+            };
+        });
+
+    const issues = flows.flatMap(flow => flow.issues);
+    const bySeverity = {};
+    issues.forEach(issue => {
+        bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+    });
+    const lowest = flows.reduce((min, flow) => (!min || flow.qualityScore < min.qualityScore ? flow : min), null);
+    const summary = {
+        flows: flows.length,
+        functionNodes: flows.reduce((sum, flow) => sum + flow.metrics.totalFunctionNodes, 0),
+        issues: issues.length,
+        bySeverity,
+        lowestScore: lowest ? { flowId: lowest.flowId, flowName: lowest.flowName, qualityScore: lowest.qualityScore } : null
+    };
+    if (baseline) {
+        summary.newIssues = issues.filter(issue => issue.isNew).length;
+        summary.knownIssues = issues.length - summary.newIssues;
+    }
+
+    return { flows, summary };
+}
+
+module.exports = {
+    createAnalysisReport,
+    isModuleInstalled
+};
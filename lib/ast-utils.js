@@ -0,0 +1,147 @@
+// Helpers shared by the AST rules. Parent references are set by the rule engine
+// before a node is visited, so ancestors can be walked from inside a visitor.
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+function isFunction(node) {
+    return !!node && FUNCTION_TYPES.includes(node.type);
+}
+
+// The wrapper function added when parsing code with top-level returns
+function isNodeRedWrapper(node) {
+    return !!node && node.type === 'FunctionDeclaration' && !!node.id && node.id.name === 'nodeRedWrapper';
+}
+
+// Nearest enclosing function, or null when the node is in the function node body itself
+function getEnclosingFunction(node) {
+    let current = node.parent;
+    while (current) {
+        if (isNodeRedWrapper(current)) {
+            return null;
+        }
+        if (isFunction(current)) {
+            return current;
+        }
+        current = current.parent;
+    }
+    return null;
+}
+
+// Check for a call like object.property(...); any property matches when propertyName is omitted
+function isMemberCall(node, objectName, propertyName) {
+    return node.callee && node.callee.type === 'MemberExpression' &&
+        node.callee.object && node.callee.object.name === objectName &&
+        (!propertyName || (node.callee.property && node.callee.property.name === propertyName));
+}
+
+// Name of a member expression property (obj.prop or obj['prop'])
+function getPropertyName(memberExpression) {
+    if (!memberExpression || memberExpression.type !== 'MemberExpression') {
+        return null;
+    }
+    const property = memberExpression.property;
+    if (!memberExpression.computed && property.type === 'Identifier') {
+        return property.name;
+    }
+    if (property.type === 'Literal' && typeof property.value === 'string') {
+        return property.value;
+    }
+    return null;
+}
+
+// Argument naming the context store: get(key, store) and set(key, value, store)
+function getContextStoreArgument(node, method) {
+    return node.arguments[method === 'get' ? 1 : 2] || null;
+}
+
+// Context store access like flow.get('key'), global.set('key', value, 'file') or the
+// context.flow / context.global forms; returns the scope, method and literal store
+// name (null for the default store), or null
+function getContextCall(node) {
+    if (!node || node.type !== 'CallExpression' || !node.callee || node.callee.type !== 'MemberExpression') {
+        return null;
+    }
+    const method = getPropertyName(node.callee);
+    if (method !== 'get' && method !== 'set') {
+        return null;
+    }
+    const object = node.callee.object;
+    let scope = null;
+    if (object.type === 'Identifier') {
+        scope = object.name;
+    } else if (object.type === 'MemberExpression' && object.object.type === 'Identifier' && object.object.name === 'context') {
+        scope = getPropertyName(object);
+    }
+    if (scope !== 'flow' && scope !== 'global') {
+        return null;
+    }
+    const storeNode = getContextStoreArgument(node, method);
+    const store = storeNode && storeNode.type === 'Literal' && typeof storeNode.value === 'string' ? storeNode.value : null;
+    return { scope, method, store, storeNode: store !== null ? storeNode : null };
+}
+
+// Call the callback for every node below (and including) the given one. Meant for
+// post passes, which run once the rule engine has set the parent references.
+function walkAST(node, callback) {
+    if (!node || typeof node !== 'object' || !node.type) {
+        return;
+    }
+    callback(node);
+    for (const key in node) {
+        if (Object.prototype.hasOwnProperty.call(node, key) && key !== 'parent' && key !== 'loc' && key !== 'range') {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => walkAST(item, callback));
+            } else if (child && typeof child === 'object') {
+                walkAST(child, callback);
+            }
+        }
+    }
+}
+
+// Whether an identifier is a reference to a variable, not a property name or object key
+function isVariableReference(identifier) {
+    const parent = identifier.parent;
+    if (!parent) {
+        return true;
+    }
+    if (parent.type === 'MemberExpression' && parent.property === identifier && !parent.computed) {
+        return false;
+    }
+    return !(parent.type === 'Property' && parent.key === identifier && !parent.computed);
+}
+
+// Statements of the function node body, unwrapping the wrapper added by the parser
+function getBodyStatements(ast) {
+    if (ast.body.length === 1 && isNodeRedWrapper(ast.body[0])) {
+        return ast.body[0].body.body;
+    }
+    return ast.body;
+}
+
+// Issue location covering an AST node
+function getNodeLocation(node) {
+    const location = {
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+        endColumn: node.loc.end.column + 1
+    };
+    if (node.loc.end.line !== node.loc.start.line) {
+        location.endLine = node.loc.end.line;
+    }
+    return location;
+}
+
+module.exports = {
+    isFunction,
+    isNodeRedWrapper,
+    getEnclosingFunction,
+    isMemberCall,
+    getPropertyName,
+    getContextCall,
+    getContextStoreArgument,
+    walkAST,
+    getBodyStatements,
+    getNodeLocation,
+    isVariableReference
+};
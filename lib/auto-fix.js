@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const { detectDebuggingTraits, FUNCTION_NODE_TABS, getFunctionNodeTabLabel } = require('./detector');
+const { ruleRegistry } = require('./rule-registry');
+const { getNodeName } = require('./flow-graph');
+
+// Rules whose findings the fixer can apply without changing what the code does
+// beyond removing the finding
+const FIXABLE_RULES = ['console-log', 'debugger-statement', 'multiple-empty-lines', 'unused-variable', 'top-level-return'];
+
+// Fixing one finding can uncover or unblock another (a declaration left with a single
+// unused variable, edits that overlapped); the code is analyzed again up to this many times
+const MAX_FIX_PASSES = 5;
+
+// Fixable rules to apply: the requested ones, or all of them
+function getFixRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return FIXABLE_RULES;
+    }
+    const unknown = rules.filter(rule => !FIXABLE_RULES.includes(rule));
+    if (unknown.length > 0) {
+        throw new Error(`Rules without automatic fix: ${unknown.join(', ')}`);
+    }
+    return rules;
+}
+
+// Rule configuration enabling exactly the rules to fix
+function getFixConfig(rules, registry = ruleRegistry) {
+    const config = { preset: 'critical', rules: {} };
+    registry.getRules().forEach(rule => {
+        config.rules[rule.id] = rules.includes(rule.id) ? 'on' : 'off';
+    });
+    return config;
+}
+
+// Offset of a 1-based line and column in the code
+function getOffset(lineOffsets, line, column) {
+    return lineOffsets[line - 1] + column - 1;
+}
+
+// Apply groups of edits ({ line, column, endLine?, endColumn, text }, 1-based as in the
+// editor) to code. A group is applied as a whole, or skipped when it overlaps a group
+// already applied. Returns the new code and the groups applied, in code order.
+function applyEditGroups(code, groups) {
+    const lineOffsets = [0];
+    code.split('\n').forEach(line => lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length + 1));
+    const units = groups
+        .map(group => {
+            const ranges = group.edits
+                .map(edit => ({
+                    text: edit.text,
+                    start: getOffset(lineOffsets, edit.line, edit.column),
+                    end: getOffset(lineOffsets, edit.endLine || edit.line, edit.endColumn)
+                }))
+                .sort((a, b) => b.start - a.start);
+            return {
+                group,
+                ranges,
+                start: Math.min(...ranges.map(range => range.start)),
+                end: Math.max(...ranges.map(range => range.end))
+            };
+        })
+        .filter(unit => unit.ranges.length > 0)
+        .sort((a, b) => b.start - a.start || b.end - a.end);
+
+    let result = code;
+    let limit = Infinity;
+    const applied = [];
+    units.forEach(({ group, ranges, start, end }) => {
+        if (end > limit) {
+            return;
+        }
+        ranges.forEach(range => {
+            result = result.substring(0, range.start) + range.text + result.substring(range.end);
+        });
+        applied.unshift(group);
+        limit = start;
+    });
+    return { code: result, applied };
+}
+
+// Apply fix edits to code, skipping edits that overlap an edit already applied. Returns the
+// new code and the edits applied.
+function applyEdits(code, edits) {
+    const { code: result, applied } = applyEditGroups(code, edits.map(edit => ({ edits: [edit] })));
+    return { code: result, applied: applied.map(group => group.edits[0]) };
+}
+
+// Fix the findings of the given rules in one code tab. Returns the fixed code and the
+// fixes applied ({ rule, title, line }, the line counted in the code the fix was applied to).
+function fixCode(code, rules = FIXABLE_RULES, options = {}) {
+    const config = getFixConfig(rules, options.registry);
+    const fixes = [];
+    let current = code;
+    for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+        const fixable = detectDebuggingTraits(current, config, options)
+            .filter(issue => issue.fix && Array.isArray(issue.fix.edits))
+            .map(issue => ({ issue, edits: issue.fix.edits }));
+        const { code: fixed, applied } = applyEditGroups(current, fixable);
+        if (applied.length === 0 || fixed === current) {
+            break;
+        }
+        applied.forEach(({ issue }) => fixes.push({ rule: issue.rule, title: issue.fix.title, line: issue.line }));
+        current = fixed;
+    }
+    return { code: current, fixes };
+}
+
+// Longest common subsequence of two line lists as operations: ' ' kept, '-' removed, '+' added
+function diffLines(before, after) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+        suffix++;
+    }
+    const a = before.slice(prefix, before.length - suffix);
+    const b = after.slice(prefix, after.length - suffix);
+
+    // lengths[i][j]: common lines of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = before.slice(0, prefix).map(text => ({ type: ' ', text }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            operations.push({ type: ' ', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            // Removed lines go before the lines added in their place
+            operations.push({ type: '-', text: a[i++] });
+        } else {
+            operations.push({ type: '+', text: b[j++] });
+        }
+    }
+    return operations.concat(before.slice(before.length - suffix).map(text => ({ type: ' ', text })));
+}
+
+// Unified diff of two versions of a code tab, with `context` unchanged lines around each
+// change. Returns an empty string when nothing changed.
+function createUnifiedDiff(before, after, { fromFile = 'before', toFile = 'after', context = 3 } = {}) {
+    if (before === after) {
+        return '';
+    }
+    const operations = diffLines(before.split('\n'), after.split('\n'));
+
+    // Line numbers before each operation, to number the hunks
+    let oldLine = 0;
+    let newLine = 0;
+    operations.forEach(operation => {
+        operation.oldLine = oldLine;
+        operation.newLine = newLine;
+        oldLine += operation.type !== '+' ? 1 : 0;
+        newLine += operation.type !== '-' ? 1 : 0;
+    });
+
+    // Group changes closer than twice the context into one hunk
+    const hunks = [];
+    operations.forEach((operation, index) => {
+        if (operation.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(operations.length, index + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            hunks.push({ start, end });
+        }
+    });
+
+    const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+    hunks.forEach(({ start, end }) => {
+        const lines = operations.slice(start, end);
+        const oldCount = lines.filter(operation => operation.type !== '+').length;
+        const newCount = lines.filter(operation => operation.type !== '-').length;
+        // An empty side is numbered with the line before it
+        const oldStart = lines[0].oldLine + (oldCount > 0 ? 1 : 0);
+        const newStart = lines[0].newLine + (newCount > 0 ? 1 : 0);
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        lines.forEach(operation => output.push(`${operation.type}${operation.text}`));
+    });
+    return output.join('\n') + '\n';
+}
+
+// Fingerprint of the fix of one code tab, to check that the fix applied is the one reviewed
+function getFixDigest(nodeId, tab, before, after) {
+    return crypto.createHash('sha1').update(JSON.stringify([nodeId, tab, before, after])).digest('hex');
+}
+
+// Fixes for the code tabs of one function node: { nodeId, nodeName, flowId, tabs }, each tab
+// with the code before and after, the fixes applied, a unified diff and the digest of the
+// fix. Returns null when there is nothing to fix.
+function planNodeFixes(nodeConfig, rules = FIXABLE_RULES, options = {}) {
+    if (!nodeConfig || nodeConfig.type !== 'function') {
+        return null;
+    }
+    const tabs = [];
+    FUNCTION_NODE_TABS.forEach(({ property }) => {
+        const before = nodeConfig[property];
+        if (typeof before !== 'string' || before.trim() === '') {
+            return;
+        }
+        const { code: after, fixes } = fixCode(before, rules, { ...options, node: nodeConfig, tab: property });
+        if (after === before) {
+            return;
+        }
+        const name = `${getNodeName(nodeConfig)}/${getFunctionNodeTabLabel(property)}`;
+        tabs.push({
+            tab: property,
+            before,
+            after,
+            fixes,
+            diff: createUnifiedDiff(before, after, { fromFile: `a/${name}`, toFile: `b/${name}` }),
+            digest: getFixDigest(nodeConfig.id, property, before, after)
+        });
+    });
+    if (tabs.length === 0) {
+        return null;
+    }
+    return {
+        nodeId: nodeConfig.id,
+        nodeName: getNodeName(nodeConfig),
+        flowId: nodeConfig.z,
+        tabs
+    };
+}
+
+// Fixes for the function nodes of a flow configuration, narrowed to one flow (flowId) or to
+// some nodes (nodeIds) and to some of the fixable rules (rules)
+function planFixes(nodeConfigs, { flowId = null, nodeIds = null, rules = null } = {}, options = {}) {
+    const fixRules = getFixRules(rules);
+    return (nodeConfigs || [])
+        .filter(nodeConfig => nodeConfig && nodeConfig.type === 'function' && !nodeConfig.d)
+        .filter(nodeConfig => (!flowId || nodeConfig.z === flowId) && (!Array.isArray(nodeIds) || nodeIds.includes(nodeConfig.id)))
+        .map(nodeConfig => planNodeFixes(nodeConfig, fixRules, options))
+        .filter(Boolean);
+}
+
+// Whether planned fixes are exactly the reviewed ones, given the digests of the reviewed tabs
+function matchesReviewedFixes(plans, digests) {
+    const planned = plans.reduce((all, plan) => all.concat(plan.tabs.map(tab => tab.digest)), []).sort();
+    const reviewed = [...new Set(digests)].sort();
+    return planned.length === reviewed.length && planned.every((digest, index) => digest === reviewed[index]);
+}
+
+// Apply planned fixes to a copy of a flow configuration. A tab is only changed while it
+// still holds the code the fix was planned for; returns the new configuration and the
+// changes made ({ nodeId, nodeName, flowId, tab, before, after }) for the undo record.
+function applyPlannedFixes(nodeConfigs, plans) {
+    const changes = [];
+    const byId = new Map(plans.map(plan => [plan.nodeId, plan]));
+    const updated = nodeConfigs.map(nodeConfig => {
+        const plan = byId.get(nodeConfig.id);
+        if (!plan) {
+            return nodeConfig;
+        }
+        const copy = { ...nodeConfig };
+        plan.tabs.filter(tab => copy[tab.tab] === tab.before).forEach(tab => {
+            copy[tab.tab] = tab.after;
+            changes.push({ nodeId: plan.nodeId, nodeName: plan.nodeName, flowId: plan.flowId, tab: tab.tab, before: tab.before, after: tab.after });
+        });
+        return copy;
+    });
+    return { nodeConfigs: updated, changes };
+}
+
+// Revert recorded changes in a flow configuration. Tabs edited since the fix was applied
+// are left alone and returned as skipped.
+function revertChanges(nodeConfigs, changes) {
+    const restored = [];
+    const skipped = [];
+    const updated = nodeConfigs.map(nodeConfig => ({ ...nodeConfig }));
+    changes.forEach(change => {
+        const nodeConfig = updated.find(n => n.id === change.nodeId);
+        if (nodeConfig && nodeConfig[change.tab] === change.after) {
+            nodeConfig[change.tab] = change.before;
+            restored.push(change);
+        } else {
+            skipped.push(change);
+        }
+    });
+    return { nodeConfigs: updated, restored, skipped };
+}
+
+module.exports = {
+    FIXABLE_RULES,
+    applyEdits,
+    fixCode,
+    createUnifiedDiff,
+    planNodeFixes,
+    planFixes,
+    matchesReviewedFixes,
+    applyPlannedFixes,
+    revertChanges
+};
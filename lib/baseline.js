@@ -0,0 +1,141 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const BASELINE_VERSION = 1;
+
+// Code line of an issue with its whitespace collapsed, so the fingerprint survives code
+// being moved to other lines or indented differently. Issues without a line have no context.
+function getCodeContext(issue, nodeConfig) {
+    if (!issue.line || !nodeConfig) {
+        return '';
+    }
+    const code = nodeConfig[issue.tab || 'func'];
+    if (typeof code !== 'string') {
+        return '';
+    }
+    const line = code.split('\n')[issue.line - 1];
+    return line === undefined ? '' : line.trim().replace(/\s+/g, ' ');
+}
+
+// Copies of issues (each naming its node in nodeId) with a stable fingerprint: a hash of
+// the node id, rule, issue type, code tab and code context rather than the line number.
+// The same finding on identical lines of a node is numbered in line order.
+function fingerprintIssues(issues, nodeConfigs = []) {
+    const nodesById = new Map(nodeConfigs.filter(Boolean).map(nodeConfig => [nodeConfig.id, nodeConfig]));
+    const occurrences = new Map();
+    const fingerprints = [];
+    issues
+        .map((issue, index) => ({ issue, index }))
+        .sort((a, b) => (a.issue.line || 0) - (b.issue.line || 0) || (a.issue.column || 0) - (b.issue.column || 0) || a.index - b.index)
+        .forEach(({ issue, index }) => {
+            const key = JSON.stringify([
+                String(issue.nodeId),
+                issue.rule || issue.type,
+                issue.type,
+                issue.tab || null,
+                getCodeContext(issue, nodesById.get(issue.nodeId))
+            ]);
+            const occurrence = occurrences.get(key) || 0;
+            occurrences.set(key, occurrence + 1);
+            fingerprints[index] = crypto.createHash('sha1').update(`${key}#${occurrence}`).digest('hex');
+        });
+    return issues.map((issue, index) => ({ ...issue, fingerprint: fingerprints[index] }));
+}
+
+// Baseline of the issues of an analysis report (createAnalysisReport). With a previous
+// baseline, the issues of flows the report does not cover are kept.
+function createBaseline(report, previous = null) {
+    const flowIds = new Set(report.flows.map(flow => flow.flowId));
+    const kept = previous ? previous.issues.filter(issue => !flowIds.has(issue.flowId)) : [];
+    return {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        issues: kept.concat(report.flows.flatMap(flow => flow.issues.map(issue => ({
+            fingerprint: issue.fingerprint,
+            flowId: flow.flowId,
+            nodeId: issue.nodeId,
+            rule: issue.rule || issue.type,
+            type: issue.type,
+            message: issue.message
+        }))))
+    };
+}
+
+// Mark fingerprinted issues as new since the baseline (isNew: true) or known (isNew: false).
+// Without a baseline the issues are returned unchanged.
+function compareWithBaseline(issues, baseline) {
+    if (!baseline) {
+        return issues;
+    }
+    const known = new Set(baseline.issues.map(issue => issue.fingerprint));
+    return issues.map(issue => ({ ...issue, isNew: !known.has(issue.fingerprint) }));
+}
+
+// Baseline from the text of a baseline file
+function parseBaseline(text, source = 'baseline') {
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source} is not valid JSON: ${error.message}`);
+    }
+    if (!content || content.version !== BASELINE_VERSION || !Array.isArray(content.issues)) {
+        throw new Error(`${source} is not a version ${BASELINE_VERSION} code analyzer baseline`);
+    }
+    return content;
+}
+
+// Baseline kept in a JSON file, read again when the file changes
+class BaselineFile {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.cache = null;
+    }
+
+    // The baseline, or null while there is no file
+    load() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.cache = null;
+                return null;
+            }
+            throw error;
+        }
+        if (!this.cache || this.cache.mtimeMs !== stat.mtimeMs || this.cache.size !== stat.size) {
+            const baseline = parseBaseline(fs.readFileSync(this.filePath, 'utf8'), this.filePath);
+            this.cache = { mtimeMs: stat.mtimeMs, size: stat.size, baseline };
+        }
+        return this.cache.baseline;
+    }
+
+    save(baseline) {
+        fs.writeFileSync(this.filePath, JSON.stringify(baseline, null, 2) + '\n');
+        this.cache = null;
+        return baseline;
+    }
+
+    // Remove the file; returns whether there was one
+    clear() {
+        this.cache = null;
+        try {
+            fs.unlinkSync(this.filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    BaselineFile,
+    fingerprintIssues,
+    createBaseline,
+    compareWithBaseline,
+    parseBaseline
+};
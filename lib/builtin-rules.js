@@ -0,0 +1,700 @@
+const { isMemberCall, walkAST, getBodyStatements } = require('./ast-utils');
+
+// Find unused variables in the AST
+function findUnusedVariables(ast, lines) {
+    const issues = [];
+    const scopes = [];
+    const globalScope = new Map(); // variable name -> { declared: Set, used: Set }
+    scopes.push(globalScope);
+    
+    function getCurrentScope() {
+        return scopes[scopes.length - 1];
+    }
+    
+    function enterScope() {
+        scopes.push(new Map());
+    }
+    
+    function exitScope() {
+        const currentScope = scopes.pop();
+        
+        // Check for unused variables in this scope
+        for (const [varName, info] of currentScope.entries()) {
+            for (const declNode of info.declared) {
+                // Skip if variable is used anywhere in this scope
+                if (info.used.size > 0) continue;
+                
+                // Skip function parameters and certain variable names
+                if (isExemptVariable(varName, declNode)) continue;
+                
+                // Create issue for unused variable with precise highlighting
+                const issue = createUnusedVariableIssue(varName, declNode);
+                if (issue) {
+                    issues.push(issue);
+                }
+            }
+        }
+    }
+    
+    function isExemptVariable(varName, declNode) {
+        // Skip common exempt patterns
+        if (varName.startsWith('_')) return true; // Underscore prefix indicates intentionally unused
+        if (['msg', 'node', 'context', 'flow', 'global', 'env', 'RED'].includes(varName)) return true; // Node-RED globals
+        
+        // Skip function parameters - check if this is a parameter by looking at parent context
+        if (declNode.type === 'Identifier') {
+            let currentNode = declNode;
+            while (currentNode && currentNode.parent) {
+                const parentNode = currentNode.parent;
+                if ((parentNode.type === 'FunctionDeclaration' || 
+                     parentNode.type === 'ArrowFunctionExpression' || 
+                     parentNode.type === 'FunctionExpression') &&
+                    parentNode.params && parentNode.params.includes(currentNode)) {
+                    return true;
+                }
+                currentNode = parentNode;
+            }
+        }
+        
+        // Skip function declarations that are never called (they might be intended for external use)
+        if (declNode.type === 'FunctionDeclaration') {
+            return true;
+        }
+        
+        // Skip variable declarations assigned to functions (like arrow functions)
+        if (declNode.type === 'VariableDeclarator' && 
+            declNode.init && 
+            (declNode.init.type === 'FunctionExpression' || 
+             declNode.init.type === 'ArrowFunctionExpression')) {
+            return true;
+        }
+        
+        return false;
+    }
+    
+    function createUnusedVariableIssue(varName, declNode) {
+        if (!declNode.loc) return null;
+        
+        let startColumn = declNode.loc.start.column + 1;
+        let endColumn = declNode.loc.end.column + 1;
+        
+        // For variable declarations, highlight only the variable name, not the whole declaration
+        if (declNode.type === 'VariableDeclarator' && declNode.id) {
+            startColumn = declNode.id.loc.start.column + 1;
+            endColumn = declNode.id.loc.end.column + 1;
+        }
+        
+        return withFix({
+            type: 'unused-variable',
+            message: `Variable '${varName}' is declared but never used`,
+            line: declNode.loc.start.line,
+            column: startColumn,
+            endColumn: endColumn,
+            severity: 'info'
+        }, declNode.type === 'VariableDeclarator' ? removeVariableFix(declNode, lines) : null);
+    }
+    
+    function addVariableDeclaration(varName, node) {
+        const currentScope = getCurrentScope();
+        if (!currentScope.has(varName)) {
+            currentScope.set(varName, { declared: new Set(), used: new Set() });
+        }
+        currentScope.get(varName).declared.add(node);
+    }
+    
+    function addVariableUsage(varName, node) {
+        // Look for variable in current scope chain (from innermost to outermost)
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope.has(varName)) {
+                scope.get(varName).used.add(node);
+                return;
+            }
+        }
+    }
+    
+    function analyzeNode(node, parent = null) {
+        if (!node || typeof node !== 'object' || !node.type) return;
+        
+        node.parent = parent;
+        
+        // Handle scope creation
+        if (node.type === 'FunctionDeclaration' || 
+            node.type === 'FunctionExpression' || 
+            node.type === 'ArrowFunctionExpression' ||
+            node.type === 'BlockStatement' ||
+            node.type === 'Program') {
+            
+            enterScope();
+            
+            // Add function parameters as declarations
+            if (node.params) {
+                for (const param of node.params) {
+                    if (param.type === 'Identifier') {
+                        addVariableDeclaration(param.name, param);
+                    }
+                }
+            }
+        }
+        
+        // Handle variable declarations
+        if (node.type === 'VariableDeclarator' && node.id && node.id.type === 'Identifier') {
+            addVariableDeclaration(node.id.name, node);
+        }
+        
+        // Handle function declarations
+        if (node.type === 'FunctionDeclaration' && node.id && node.id.type === 'Identifier') {
+            addVariableDeclaration(node.id.name, node);
+        }
+        
+        // Handle variable usage (identifier references)
+        if (node.type === 'Identifier' && parent) {
+            // Skip if this identifier is a declaration context
+            const isDeclaration = (
+                (parent.type === 'VariableDeclarator' && parent.id === node) ||
+                (parent.type === 'FunctionDeclaration' && parent.id === node) ||
+                (parent.type === 'Property' && parent.key === node && !parent.computed) ||
+                (parent.type === 'MemberExpression' && parent.property === node && !parent.computed)
+            );
+            
+            if (!isDeclaration) {
+                addVariableUsage(node.name, node);
+            }
+        }
+        
+        // Recursively analyze child nodes
+        for (let key in node) {
+            if (Object.prototype.hasOwnProperty.call(node, key) && key !== 'parent' && key !== 'loc' && key !== 'range') {
+                let child = node[key];
+                if (Array.isArray(child)) {
+                    child.forEach(item => {
+                        if (item && typeof item === 'object' && item.type) {
+                            analyzeNode(item, node);
+                        }
+                    });
+                } else if (child && typeof child === 'object' && child.type) {
+                    analyzeNode(child, node);
+                }
+            }
+        }
+        
+        // Handle scope exit
+        if (node.type === 'FunctionDeclaration' || 
+            node.type === 'FunctionExpression' || 
+            node.type === 'ArrowFunctionExpression' ||
+            node.type === 'BlockStatement' ||
+            node.type === 'Program') {
+            
+            exitScope();
+        }
+    }
+    
+    analyzeNode(ast);
+    
+    return issues;
+}
+
+// Collect runs of two or more consecutive empty lines as { start, end, count } (1-based)
+function findEmptyLineRuns(lines) {
+    const runs = [];
+    let consecutiveEmptyLines = 0;
+    let emptyLineStart = -1;
+    
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() === '') {
+            if (consecutiveEmptyLines === 0) {
+                emptyLineStart = i;
+            }
+            consecutiveEmptyLines++;
+        } else {
+            if (consecutiveEmptyLines >= 2) {
+                runs.push({ start: emptyLineStart + 1, end: emptyLineStart + consecutiveEmptyLines, count: consecutiveEmptyLines });
+            }
+            consecutiveEmptyLines = 0;
+        }
+    }
+    
+    if (consecutiveEmptyLines >= 2) {
+        runs.push({ start: emptyLineStart + 1, end: emptyLineStart + consecutiveEmptyLines, count: consecutiveEmptyLines });
+    }
+    
+    return runs;
+}
+
+// Whether a statement sits in a statement list, where removing it leaves valid code
+function isInStatementList(statement) {
+    const parent = statement.parent;
+    if (!parent) {
+        return false;
+    }
+    if (parent.type === 'SwitchCase') {
+        return parent.consequent.includes(statement);
+    }
+    return (parent.type === 'Program' || parent.type === 'BlockStatement' || parent.type === 'StaticBlock') &&
+        parent.body.includes(statement);
+}
+
+// Edit removing lines start..end (1-based) with their line break. Lines between two empty
+// lines take one of them along, like the editor's remove action.
+function removeLinesEdit(lines, start, end) {
+    if (start > 1 && end < lines.length && lines[start - 2].trim() === '' && lines[end].trim() === '') {
+        end++;
+    }
+    if (end < lines.length) {
+        return { line: start, column: 1, endLine: end + 1, endColumn: 1, text: '' };
+    }
+    if (start > 1) {
+        return { line: start - 1, column: lines[start - 2].length + 1, endLine: end, endColumn: lines[end - 1].length + 1, text: '' };
+    }
+    return { line: start, column: 1, endLine: end, endColumn: lines[end - 1].length + 1, text: '' };
+}
+
+// Fix removing a statement: its lines when nothing else is on them, otherwise the statement
+// and the spaces separating it from the rest of the line. Statements that are the body of
+// an if or a loop are left alone.
+function removeStatementFix(statement, lines, title) {
+    if (!isInStatementList(statement)) {
+        return null;
+    }
+    const { start, end } = statement.loc;
+    const before = lines[start.line - 1].substring(0, start.column);
+    const after = lines[end.line - 1].substring(end.column);
+    if (before.trim() === '' && after.trim() === '') {
+        return { title, edits: [removeLinesEdit(lines, start.line, end.line)] };
+    }
+    const edit = { line: start.line, column: start.column + 1, endLine: end.line, endColumn: end.column + 1, text: '' };
+    if (after.trim() === '') {
+        edit.column = before.trimEnd().length + 1;
+        edit.endColumn += after.length;
+    } else {
+        edit.endColumn += after.match(/^\s*/)[0].length;
+    }
+    return { title, edits: [edit] };
+}
+
+// Whether evaluating an expression cannot change anything: literals, variables, property
+// reads, functions, and operators, array, object and template literals over those
+function isSideEffectFree(node) {
+    switch (node.type) {
+    case 'Literal':
+    case 'Identifier':
+    case 'ThisExpression':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+        return true;
+    case 'TemplateLiteral':
+        return node.expressions.every(isSideEffectFree);
+    case 'ArrayExpression':
+        return node.elements.every(element => !element || isSideEffectFree(element));
+    case 'ObjectExpression':
+        return node.properties.every(property => property.type === 'Property' && !property.computed && isSideEffectFree(property.value));
+    case 'MemberExpression':
+        return isSideEffectFree(node.object) && (!node.computed || isSideEffectFree(node.property));
+    case 'UnaryExpression':
+        return node.operator !== 'delete' && isSideEffectFree(node.argument);
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+        return isSideEffectFree(node.left) && isSideEffectFree(node.right);
+    default:
+        return false;
+    }
+}
+
+// Whether a statement is the last one of the function node body. Removing an empty
+// return there changes nothing; anywhere else the code after it would start running.
+function isLastBodyStatement(statement, ast) {
+    const statements = getBodyStatements(ast);
+    return statements[statements.length - 1] === statement;
+}
+
+// Fix removing an unused variable whose initial value has no side effects: the whole
+// declaration, or the declarator and its comma when the declaration has more
+function removeVariableFix(declarator, lines) {
+    const declaration = declarator.parent;
+    if (!declaration || declaration.type !== 'VariableDeclaration' || (declarator.init && !isSideEffectFree(declarator.init))) {
+        return null;
+    }
+    const title = `Remove unused variable '${declarator.id.name}'`;
+    if (declaration.declarations.length === 1) {
+        return removeStatementFix(declaration, lines, title);
+    }
+    const index = declaration.declarations.indexOf(declarator);
+    const next = declaration.declarations[index + 1];
+    const from = next ? declarator.loc.start : declaration.declarations[index - 1].loc.end;
+    const to = next ? next.loc.start : declarator.loc.end;
+    return { title, edits: [{ line: from.line, column: from.column + 1, endLine: to.line, endColumn: to.column + 1, text: '' }] };
+}
+
+// Add a fix to an issue when the rule has one for this occurrence
+function withFix(issue, fix) {
+    if (fix) {
+        issue.fix = fix;
+    }
+    return issue;
+}
+
+// Collect groups of two or more consecutive // comment lines (empty lines in between are allowed)
+function findInlineCommentGroups(lines) {
+    const groups = [];
+    let consecutiveInlineComments = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmedLine = line.trim();
+        const inlineCommentMatch = trimmedLine.match(/^\/\/(.*)$/);
+        
+        if (inlineCommentMatch) {
+            consecutiveInlineComments.push({
+                line: i + 1,
+                content: inlineCommentMatch[1].trim(),
+                originalLine: line
+            });
+        } else if (trimmedLine === '' && consecutiveInlineComments.length > 0) {
+            // Empty line - continue tracking but don't reset (allows for spacing)
+            continue;
+        } else {
+            if (consecutiveInlineComments.length >= 2) {
+                groups.push(consecutiveInlineComments);
+            }
+            consecutiveInlineComments = [];
+        }
+    }
+    
+    // Handle case where code ends with consecutive inline comments
+    if (consecutiveInlineComments.length >= 2) {
+        groups.push(consecutiveInlineComments);
+    }
+    
+    return groups;
+}
+
+// Check whether a return statement sits directly in the function node body
+function isTopLevelReturn(node, options) {
+    let currentNode = node;
+    let isInNestedFunction = false;
+    let isInControlStructure = false;
+    let isAtTopLevel = false;
+    
+    while (currentNode && currentNode.parent) {
+        const parentNode = currentNode.parent;
+        
+        // If we find a function declaration/expression that's not our wrapper, we're nested
+        if ((parentNode.type === 'FunctionDeclaration' || 
+             parentNode.type === 'FunctionExpression' || 
+             parentNode.type === 'ArrowFunctionExpression') &&
+            !(parentNode.type === 'FunctionDeclaration' && 
+              parentNode.id && parentNode.id.name === 'nodeRedWrapper')) {
+            isInNestedFunction = true;
+            break;
+        }
+        
+        // Check if we're inside any control structure
+        if (parentNode.type === 'IfStatement' || 
+            parentNode.type === 'ForStatement' || 
+            parentNode.type === 'WhileStatement' || 
+            parentNode.type === 'DoWhileStatement' || 
+            parentNode.type === 'ForInStatement' || 
+            parentNode.type === 'ForOfStatement' || 
+            parentNode.type === 'SwitchStatement' || 
+            parentNode.type === 'TryStatement' || 
+            parentNode.type === 'CatchClause' || 
+            parentNode.type === 'WithStatement') {
+            isInControlStructure = true;
+        }
+        
+        // If we reach the Program or our wrapper function, we're at top level
+        if (parentNode.type === 'Program' || 
+            (parentNode.type === 'FunctionDeclaration' && 
+             parentNode.id && parentNode.id.name === 'nodeRedWrapper')) {
+            isAtTopLevel = true;
+            break;
+        }
+        
+        currentNode = parentNode;
+    }
+    
+    // Debug logging (if enabled)
+    if (options && options.debug) {
+        const parent = node.parent;
+        // eslint-disable-next-line no-console
+        console.log('Return statement found:', {
+            line: node.loc ? node.loc.start.line : null,
+            parentType: parent ? parent.type : 'no parent',
+            isEmptyReturn: !node.argument,
+            hasArgument: !!node.argument,
+            isInNestedFunction,
+            isInControlStructure,
+            isAtTopLevel,
+            parentParentType: parent && parent.parent ? parent.parent.type : 'no grandparent'
+        });
+    }
+    
+    return isAtTopLevel && !isInControlStructure && !isInNestedFunction;
+}
+
+// Report a hardcoded test literal found in an assignment or declaration
+function checkHardcodedLiteral(node, literal, context) {
+    if (typeof literal.value === 'string') {
+        const value = literal.value.toLowerCase();
+        const forbiddenStrings = (context.options.forbiddenStrings || []).map(forbidden => String(forbidden).toLowerCase());
+        if (forbiddenStrings.includes(value)) {
+            context.report({
+                type: `hardcoded-${value}`,
+                message: `Remove hardcoded ${value} value`,
+                line: node.loc.start.line,
+                column: literal.loc.start.column + 1,
+                endColumn: literal.loc.end.column + 1,
+                severity: 'warning'
+            });
+        }
+    } else if (typeof literal.value === 'number' && (context.options.forbiddenNumbers || []).includes(literal.value)) {
+        context.report({
+            type: 'hardcoded-number',
+            message: 'Remove hardcoded test number',
+            line: node.loc.start.line,
+            column: literal.loc.start.column + 1,
+            endColumn: literal.loc.end.column + 1,
+            severity: 'warning'
+        });
+    }
+}
+
+// Built-in rules, in the order their findings are reported.
+// `browser: true` marks rules mirrored by the editor-side detector in analyzer.html;
+// the editor gets findings of all other rules from the server.
+module.exports = [
+    {
+        id: 'top-level-return',
+        name: 'Top-level return',
+        description: 'Empty return statements at the top level of a function node',
+        level: 1,
+        severity: 'critical',
+        browser: true,
+        category: 'debugging',
+        visitors: {
+            ReturnStatement(node, context) {
+                // IMPORTANT: Only flag empty returns (debugging artifacts), not returns with values
+                if (node.argument) return;
+                
+                if (isTopLevelReturn(node, context.detectorOptions)) {
+                    context.report(withFix({
+                        type: 'top-level-return',
+                        message: 'Remove this top-level return statement',
+                        line: node.loc.start.line,
+                        column: node.loc.start.column + 1,
+                        endColumn: node.loc.end.column + 1,
+                        severity: 'warning'
+                    }, isLastBodyStatement(node, context.ast) ? removeStatementFix(node, context.lines, 'Remove top-level return') : null));
+                }
+            }
+        }
+    },
+    {
+        id: 'console-log',
+        name: 'Console statement',
+        description: 'console.* debugging statements',
+        level: 2,
+        severity: 'warning',
+        browser: true,
+        category: 'debugging',
+        visitors: {
+            CallExpression(node, context) {
+                if (!isMemberCall(node, 'console')) return;
+                
+                // Only a call that is a statement of its own, with arguments that change
+                // nothing when evaluated, can be removed
+                const statement = node.parent && node.parent.type === 'ExpressionStatement' && node.arguments.every(isSideEffectFree)
+                    ? node.parent
+                    : null;
+                context.report(withFix({
+                    type: 'console-log',
+                    message: `Remove this console.${node.callee.property.name}() debugging statement`,
+                    line: node.loc.start.line,
+                    column: node.loc.start.column + 1,
+                    endColumn: node.loc.end.column + 1,
+                    severity: 'info'
+                }, statement && removeStatementFix(statement, context.lines, 'Remove console statement')));
+            }
+        }
+    },
+    {
+        id: 'node-warn',
+        name: 'node.warn() call',
+        description: 'node.warn() debugging output',
+        level: 2,
+        severity: 'warning',
+        browser: true,
+        category: 'debugging',
+        visitors: {
+            CallExpression(node, context) {
+                if (!isMemberCall(node, 'node', 'warn')) return;
+                
+                context.report({
+                    type: 'node-warn',
+                    message: 'Remove this node.warn() debugging statement',
+                    line: node.loc.start.line,
+                    column: node.loc.start.column + 1,
+                    endColumn: node.loc.end.column + 1,
+                    severity: 'info'
+                });
+            }
+        }
+    },
+    {
+        id: 'debugger-statement',
+        name: 'Debugger statement',
+        description: 'debugger breakpoints left in code',
+        level: 2,
+        severity: 'critical',
+        browser: true,
+        category: 'debugging',
+        visitors: {
+            DebuggerStatement(node, context) {
+                context.report(withFix({
+                    type: 'debugger-statement',
+                    message: 'Remove this debugger statement',
+                    line: node.loc.start.line,
+                    column: node.loc.start.column + 1,
+                    endColumn: node.loc.end.column + 1,
+                    severity: 'warning'
+                }, removeStatementFix(node, context.lines, 'Remove debugger statement')));
+            }
+        }
+    },
+    {
+        id: 'hardcoded-values',
+        name: 'Hardcoded test value',
+        description: 'Hardcoded test/debug/temp strings and test numbers',
+        level: 3,
+        severity: 'info',
+        browser: true,
+        category: 'debugging',
+        issueTypes: ['hardcoded-test', 'hardcoded-debug', 'hardcoded-temp', 'hardcoded-number'],
+        issueTypePattern: /^hardcoded-/,
+        defaultOptions: {
+            forbiddenStrings: ['test', 'debug', 'temp'],
+            forbiddenNumbers: [123]
+        },
+        visitors: {
+            AssignmentExpression(node, context) {
+                // Numbers are only flagged in declarations
+                if (node.right && node.right.type === 'Literal' && typeof node.right.value === 'string') {
+                    checkHardcodedLiteral(node, node.right, context);
+                }
+            },
+            VariableDeclarator(node, context) {
+                if (node.init && node.init.type === 'Literal') {
+                    checkHardcodedLiteral(node, node.init, context);
+                }
+            }
+        }
+    },
+    {
+        id: 'unused-variable',
+        name: 'Unused variable',
+        description: 'Variables declared but never referenced',
+        level: 2,
+        severity: 'warning',
+        browser: true,
+        category: 'debugging',
+        post(context) {
+            findUnusedVariables(context.ast, context.lines).forEach(issue => context.report(issue));
+        }
+    },
+    {
+        id: 'multiple-empty-lines',
+        name: 'Multiple empty lines',
+        description: 'Two or more consecutive empty lines',
+        level: 3,
+        severity: 'info',
+        browser: true,
+        category: 'debugging',
+        post(context) {
+            // Empty lines in a template literal are part of the string and are not removed
+            const templates = [];
+            walkAST(context.ast, node => {
+                if (node.type === 'TemplateLiteral' && node.loc.start.line !== node.loc.end.line) {
+                    templates.push(node.loc);
+                }
+            });
+            
+            findEmptyLineRuns(context.lines).forEach(run => {
+                // Skip the run if it overlaps with any ignore regions
+                for (let lineNum = run.start; lineNum <= run.end; lineNum++) {
+                    if (context.isIgnored(lineNum)) return;
+                }
+                
+                const inTemplate = templates.some(loc => run.start <= loc.end.line && run.end >= loc.start.line);
+                context.report(withFix({
+                    type: 'multiple-empty-lines',
+                    message: `Remove excessive empty lines (${run.count} consecutive empty lines)`,
+                    line: run.start,
+                    endLine: run.end,
+                    column: 1,
+                    endColumn: 1,
+                    severity: 'info'
+                }, inTemplate ? null : {
+                    title: 'Keep one empty line',
+                    edits: [{ line: run.start + 1, column: 1, endLine: run.end + 1, endColumn: 1, text: '' }]
+                }));
+            });
+        }
+    },
+    {
+        id: 'todo-comment',
+        name: 'TODO/FIXME comment',
+        description: 'Unresolved TODO: and FIXME: comments',
+        level: 2,
+        severity: 'warning',
+        browser: true,
+        category: 'debugging',
+        post(context) {
+            context.lines.forEach((line, i) => {
+                const todoMatch = line.match(/(TODO|FIXME):/i);
+                if (todoMatch) {
+                    context.report({
+                        type: 'todo-comment',
+                        message: `${todoMatch[1].toUpperCase()} comment found - consider resolving`,
+                        line: i + 1,
+                        column: todoMatch.index + 1,
+                        endColumn: line.length + 1,
+                        severity: 'info'
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'consecutive-inline-comments',
+        name: 'Commented-out code',
+        description: 'Blocks of consecutive // comments that look like commented-out code',
+        level: 2,
+        severity: 'info',
+        browser: true,
+        category: 'debugging',
+        post(context) {
+            findInlineCommentGroups(context.lines).forEach(group => {
+                if (group.some(comment => context.isIgnored(comment.line))) return;
+                
+                const firstComment = group[0];
+                const lastComment = group[group.length - 1];
+                
+                context.report({
+                    type: 'consecutive-inline-comments',
+                    message: `Consider removing this commented-out code if no longer needed (${group.length} lines)`,
+                    line: firstComment.line,
+                    endLine: lastComment.line,
+                    column: 1,
+                    endColumn: lastComment.originalLine.length + 1,
+                    severity: 'info',
+                    count: group.length
+                });
+            });
+        }
+    },
+    ...require('./message-rules'),
+    ...require('./resource-rules'),
+    ...require('./security-rules'),
+    ...require('./module-rules'),
+    ...require('./context-rules')
+];
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const { ruleRegistry, SEVERITY_LEVELS } = require('./rule-registry');
+const { resolveRuleConfig } = require('./rule-config');
+const { createAnalysisReport } = require('./analysis-report');
+const { createSarifLog } = require('./sarif');
+const { createJUnitReport, createCheckstyleReport } = require('./xml-reports');
+const { BaselineFile, createBaseline, parseBaseline } = require('./baseline');
+const { getFunctionNodeTabLabel } = require('./detector');
+
+const USAGE = `Usage: node-red-code-analyzer [options] [flows.json]
+
+Analyze the function nodes and flows of a Node-RED flows file without starting Node-RED.
+
+Options:
+  -l, --level <preset>      critical, standard, comprehensive or 1-3; replaces the detection
+                            level of the code-analyzer nodes in the file (default: theirs,
+                            or critical)
+  -s, --settings <file>     Node-RED settings file (settings.js or JSON) to take
+                            codeAnalyzer.rules, codeAnalyzer.customRules, contextStorage
+                            and userDir from
+  -r, --rules <file>        custom rule module to load, can be repeated
+      --flow <id>           analyze only this flow or subflow, can be repeated
+      --fail-on <severity>  exit with code 1 on an issue of this severity or worse:
+                            critical, resource-leak, warning, info or none (default: critical)
+      --min-score <score>   exit with code 1 when a flow has a lower quality score
+      --baseline <file>     baseline of known issues; only new issues count for --fail-on
+      --update-baseline     write the current issues to the --baseline file and exit
+  -f, --format <format>     table, json, sarif, junit or checkstyle (default: table)
+  -o, --output <file>       write the report to a file instead of the standard output
+  -h, --help                show this help
+
+Exit codes: 0 when the thresholds are met, 1 when they are not, 2 on invalid options or files.
+`;
+
+const OPTIONS = {
+    '-l': 'level', '--level': 'level',
+    '-s': 'settings', '--settings': 'settings',
+    '-r': 'rules', '--rules': 'rules',
+    '--flow': 'flows',
+    '--fail-on': 'failOn',
+    '--min-score': 'minScore',
+    '--baseline': 'baseline',
+    '-f': 'format', '--format': 'format',
+    '-o': 'output', '--output': 'output'
+};
+
+// Options that can be given more than once
+const REPEATABLE_OPTIONS = ['rules', 'flows'];
+
+const FORMATS = ['table', 'json', 'sarif', 'junit', 'checkstyle'];
+
+// Error in the command line or the files it names, reported with exit code 2
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { flowsFile: null, level: null, settings: null, rules: [], flows: [], failOn: 'critical', minScore: null, baseline: null, updateBaseline: false, format: 'table', output: null, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+            continue;
+        }
+        if (arg === '--update-baseline') {
+            args.updateBaseline = true;
+            continue;
+        }
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.substring(0, arg.indexOf('=')), arg.substring(arg.indexOf('=') + 1)] : [arg, null];
+        const name = OPTIONS[flag];
+        if (!name) {
+            if (arg.startsWith('-')) {
+                throw new UsageError(`Unknown option '${arg}'`);
+            }
+            if (args.flowsFile) {
+                throw new UsageError(`Only one flows file can be analyzed, got '${args.flowsFile}' and '${arg}'`);
+            }
+            args.flowsFile = arg;
+            continue;
+        }
+        const value = inlineValue !== null ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new UsageError(`Option '${flag}' needs a value`);
+        }
+        if (REPEATABLE_OPTIONS.includes(name)) {
+            args[name].push(value);
+        } else {
+            args[name] = value;
+        }
+    }
+
+    if (args.failOn !== 'none' && !SEVERITY_LEVELS.includes(args.failOn)) {
+        throw new UsageError(`Unknown severity '${args.failOn}' for --fail-on, use ${SEVERITY_LEVELS.join(', ')} or none`);
+    }
+    if (args.minScore !== null) {
+        const minScore = Number(args.minScore);
+        if (args.minScore === '' || isNaN(minScore) || minScore < 0 || minScore > 100) {
+            throw new UsageError(`--min-score must be a number from 0 to 100, got '${args.minScore}'`);
+        }
+        args.minScore = minScore;
+    }
+    if (!FORMATS.includes(args.format)) {
+        throw new UsageError(`Unknown format '${args.format}', use ${FORMATS.join(', ')}`);
+    }
+    if (args.updateBaseline && !args.baseline) {
+        throw new UsageError('--update-baseline needs the --baseline file to write');
+    }
+    return args;
+}
+
+// Content and text of a JSON file
+function readJSONFile(filePath, description) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${description} ${filePath}: ${error.message}`);
+    }
+    try {
+        return { content: JSON.parse(text), text };
+    } catch (error) {
+        throw new UsageError(`${description.charAt(0).toUpperCase()}${description.substring(1)} ${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Node configurations of a flows file (the array Node-RED stores, or the { rev, flows }
+// object of the admin API) and the text of the file
+function loadFlowsFile(filePath) {
+    const { content, text } = readJSONFile(filePath, 'flows file');
+    const nodeConfigs = Array.isArray(content) ? content : content && content.flows;
+    if (!Array.isArray(nodeConfigs)) {
+        throw new UsageError(`Flows file ${filePath} does not hold a list of nodes`);
+    }
+    return { nodeConfigs, text };
+}
+
+// Node-RED settings: a settings.js module or a JSON file with the same properties.
+// Credentials are never read.
+function loadSettings(filePath) {
+    if (path.extname(filePath) === '.json') {
+        return readJSONFile(filePath, 'settings file').content;
+    }
+    try {
+        return require(filePath);
+    } catch (error) {
+        throw new UsageError(`Cannot load settings file ${filePath}: ${error.message}`);
+    }
+}
+
+function loadBaseline(filePath) {
+    const { text } = readJSONFile(filePath, 'baseline file');
+    try {
+        return parseBaseline(text, `Baseline file ${filePath}`);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function loadRules(modulePath, baseDir) {
+    try {
+        ruleRegistry.loadRulesFromModule(modulePath.trim(), baseDir);
+    } catch (error) {
+        throw new UsageError(`Failed to load custom rules from ${modulePath}: ${error.message}`);
+    }
+}
+
+// Reasons the report breaks the thresholds; empty when it passes. Issues known from a
+// baseline do not count.
+function checkThresholds(report, { failOn = 'critical', minScore = null } = {}) {
+    const failures = [];
+    if (failOn !== 'none') {
+        const limit = SEVERITY_LEVELS.indexOf(failOn);
+        const count = report.flows.reduce((sum, flow) =>
+            sum + flow.issues.filter(issue => issue.isNew !== false && SEVERITY_LEVELS.indexOf(issue.severity) <= limit).length, 0);
+        if (count > 0) {
+            const noun = report.summary && report.summary.newIssues !== undefined ? 'new issue' : 'issue';
+            failures.push(`${plural(count, noun)} of severity ${failOn}${limit > 0 ? ' or worse' : ''} (--fail-on ${failOn})`);
+        }
+    }
+    if (minScore !== null) {
+        report.flows.filter(flow => flow.qualityScore < minScore).forEach(flow => {
+            failures.push(`'${flow.flowName}' has a quality score of ${flow.qualityScore}, below ${minScore} (--min-score ${minScore})`);
+        });
+    }
+    return failures;
+}
+
+function formatLocation(issue) {
+    if (!issue.line) {
+        return '-';
+    }
+    const location = `${issue.line}:${issue.column || 1}`;
+    return issue.tab ? `${getFunctionNodeTabLabel(issue.tab)}:${location}` : location;
+}
+
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => '  ' + row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  '))
+        .join('\n');
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+// Text report: the issues of each flow as a table, then a summary line
+function formatTextReport(report, failures) {
+    const lines = [];
+    report.flows.forEach(flow => {
+        const title = `${flow.flowType === 'subflow' ? 'Subflow' : 'Flow'} '${flow.flowName}' (${flow.flowId}) - quality score ${flow.qualityScore}`;
+        if (flow.issues.length === 0) {
+            lines.push(`${title}, no issues`, '');
+            return;
+        }
+        const severityOrder = issue => SEVERITY_LEVELS.indexOf(issue.severity);
+        // Compared with a baseline, a status column tells new issues from known ones
+        const withStatus = report.summary.newIssues !== undefined;
+        const rows = flow.issues
+            .map((issue, index) => ({ issue, index }))
+            .sort((a, b) => severityOrder(a.issue) - severityOrder(b.issue) || a.index - b.index)
+            .map(({ issue }) => [issue.severity].concat(withStatus ? [issue.isNew ? 'new' : 'known'] : [],
+                [truncate(issue.nodeName, 30), formatLocation(issue), issue.type, issue.message]));
+        const header = ['SEVERITY'].concat(withStatus ? ['STATUS'] : [], ['NODE', 'LOCATION', 'ISSUE', 'MESSAGE']);
+        lines.push(title, formatTable([header].concat(rows)), '');
+    });
+
+    const { summary } = report;
+    const counts = SEVERITY_LEVELS.filter(level => summary.bySeverity[level]).map(level => `${summary.bySeverity[level]} ${level}`);
+    const lowest = summary.lowestScore ? `, lowest quality score ${summary.lowestScore.qualityScore} ('${summary.lowestScore.flowName}')` : '';
+    const known = summary.newIssues !== undefined ? `, ${summary.newIssues} new since the baseline` : '';
+    lines.push(`${plural(summary.flows, 'flow')}, ${plural(summary.functionNodes, 'function node')}, ${plural(summary.issues, 'issue')}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}${known}${lowest}`);
+    if (failures.length > 0) {
+        lines.push('FAILED:');
+        failures.forEach(failure => lines.push(`  ${failure}`));
+    } else {
+        lines.push('PASSED');
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Run the command line with its arguments (without node and the script); returns the exit code
+function run(argv, { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help) {
+            stdout.write(USAGE);
+            return 0;
+        }
+
+        const flowsFile = path.resolve(cwd, args.flowsFile || 'flows.json');
+        const { nodeConfigs, text: flowsText } = loadFlowsFile(flowsFile);
+        const settingsFile = args.settings ? path.resolve(cwd, args.settings) : null;
+        const settings = settingsFile ? loadSettings(settingsFile) : {};
+        const analyzerSettings = settings.codeAnalyzer || {};
+        // Like the runtime, relative paths resolve against the user directory
+        const userDir = settings.userDir || path.dirname(settingsFile || flowsFile);
+
+        [].concat(analyzerSettings.customRules || []).forEach(modulePath => loadRules(modulePath, userDir));
+        nodeConfigs.filter(n => n.type === 'code-analyzer' && n.customRulesPath).forEach(n => {
+            n.customRulesPath.split(',').filter(modulePath => modulePath.trim()).forEach(modulePath => loadRules(modulePath, userDir));
+        });
+        args.rules.forEach(modulePath => loadRules(modulePath, cwd));
+
+        const unknownFlows = args.flows.filter(flowId => !nodeConfigs.some(n => n.id === flowId && (n.type === 'tab' || n.type === 'subflow')));
+        if (unknownFlows.length > 0) {
+            throw new UsageError(`No flow or subflow with id ${unknownFlows.join(', ')} in ${flowsFile}`);
+        }
+
+        try {
+            resolveRuleConfig({ preset: args.level || 1, rules: analyzerSettings.rules || {} });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        const baselineFile = args.baseline ? path.resolve(cwd, args.baseline) : null;
+        const baseline = baselineFile && !args.updateBaseline ? loadBaseline(baselineFile) : null;
+        const report = createAnalysisReport(nodeConfigs, {
+            level: args.level,
+            rules: analyzerSettings.rules || {},
+            contextStorage: settings.contextStorage || null,
+            userDir: settingsFile ? userDir : null,
+            flowIds: args.flows.length > 0 ? args.flows : null,
+            baseline
+        });
+
+        if (args.updateBaseline) {
+            // Updating some flows keeps the known issues of the others
+            const previous = args.flows.length > 0 && fs.existsSync(baselineFile) ? loadBaseline(baselineFile) : null;
+            const updated = new BaselineFile(baselineFile).save(createBaseline(report, previous));
+            stdout.write(`Baseline of ${plural(updated.issues.length, 'known issue')} written to ${baselineFile}\n`);
+            return 0;
+        }
+        const failures = checkThresholds(report, args);
+
+        let output;
+        if (args.format === 'json') {
+            // The JSON report leaves out the per-node metrics the quality score is computed from
+            const flows = report.flows.map(flow => ({ flowId: flow.flowId, flowName: flow.flowName, flowType: flow.flowType, qualityScore: flow.qualityScore, issues: flow.issues }));
+            output = JSON.stringify({ flows, summary: report.summary, passed: failures.length === 0, failures }, null, 2) + '\n';
+        } else if (args.format === 'sarif') {
+            // Code scanning expects artifact URIs relative to the repository checkout
+            const flowsFileUri = path.relative(cwd, flowsFile).split(path.sep).join('/');
+            output = JSON.stringify(createSarifLog(report, { flowsFile: flowsFileUri, flowsText }), null, 2) + '\n';
+        } else if (args.format === 'junit') {
+            output = createJUnitReport(report);
+        } else if (args.format === 'checkstyle') {
+            output = createCheckstyleReport(report);
+        } else {
+            output = formatTextReport(report, failures);
+        }
+        if (args.output) {
+            fs.writeFileSync(path.resolve(cwd, args.output), output);
+        } else {
+            stdout.write(output);
+        }
+        return failures.length > 0 ? 1 : 0;
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        stderr.write(`node-red-code-analyzer: ${error.message}\n`);
+        stderr.write('Run node-red-code-analyzer --help for the options\n');
+        return 2;
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    checkThresholds,
+    loadFlowsFile
+};
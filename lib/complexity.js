@@ -0,0 +1,157 @@
+const { parseFunctionCode } = require('./ast-detector');
+const { isFunction, isNodeRedWrapper } = require('./ast-utils');
+const { FUNCTION_NODE_TABS } = require('./detector');
+
+// Statements and expressions that add a path through the code
+const LOOP_TYPES = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+const NESTING_TYPES = [...LOOP_TYPES, 'IfStatement', 'SwitchStatement', 'CatchClause', 'ConditionalExpression'];
+const LOGICAL_OPERATORS = ['&&', '||', '??'];
+
+// Display name of a function from the way it is declared or assigned
+function getFunctionName(fn) {
+    if (fn.id && fn.id.name) {
+        return fn.id.name;
+    }
+    const parent = fn.parent;
+    if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        return parent.id.name;
+    }
+    if (parent && (parent.type === 'Property' || parent.type === 'MethodDefinition') && parent.key) {
+        return parent.key.name || String(parent.key.value);
+    }
+    if (parent && parent.type === 'AssignmentExpression') {
+        const left = parent.left;
+        if (left.type === 'Identifier') {
+            return left.name;
+        }
+        if (left.type === 'MemberExpression' && !left.computed) {
+            return left.property.name;
+        }
+    }
+    return '(anonymous)';
+}
+
+// Children of an AST node, setting parent references on the way
+function getChildren(node) {
+    const children = [];
+    for (const key in node) {
+        if (!Object.prototype.hasOwnProperty.call(node, key) || key === 'parent' || key === 'loc' || key === 'range') {
+            continue;
+        }
+        const child = node[key];
+        (Array.isArray(child) ? child : [child]).forEach(item => {
+            if (item && typeof item === 'object' && item.type) {
+                item.parent = node;
+                children.push(item);
+            }
+        });
+    }
+    return children;
+}
+
+// Metrics of one function body. Nested functions are measured on their own and
+// collected into `functions`; they do not count towards the enclosing function.
+function measureFunction(root, name, functions) {
+    const metrics = { name, line: root.loc.start.line, cyclomatic: 1, cognitive: 0, maxNesting: 0, length: 0 };
+    metrics.length = root.loc.end.line - root.loc.start.line + 1;
+
+    function visit(node, nesting) {
+        if (node !== root && isFunction(node)) {
+            functions.push(measureFunction(node, getFunctionName(node), functions));
+            return;
+        }
+
+        const isElseIf = node.type === 'IfStatement' && node.parent && node.parent.type === 'IfStatement' && node.parent.alternate === node;
+        let childNesting = nesting;
+
+        // Cyclomatic: one more path per decision point
+        if (LOOP_TYPES.includes(node.type) || node.type === 'IfStatement' || node.type === 'ConditionalExpression' ||
+            node.type === 'CatchClause' || (node.type === 'SwitchCase' && node.test)) {
+            metrics.cyclomatic++;
+        }
+        if (node.type === 'LogicalExpression' && LOGICAL_OPERATORS.includes(node.operator)) {
+            metrics.cyclomatic++;
+        }
+
+        // Cognitive: structures cost more the deeper they are nested; else-if chains stay flat
+        if (NESTING_TYPES.includes(node.type)) {
+            metrics.cognitive += isElseIf ? 1 : 1 + nesting;
+            childNesting = isElseIf ? nesting : nesting + 1;
+            metrics.maxNesting = Math.max(metrics.maxNesting, childNesting);
+        }
+        if (node.type === 'IfStatement' && node.alternate && node.alternate.type !== 'IfStatement') {
+            metrics.cognitive++;
+        }
+        // A sequence of the same logical operator counts once
+        if (node.type === 'LogicalExpression' && !(node.parent && node.parent.type === 'LogicalExpression' && node.parent.operator === node.operator)) {
+            metrics.cognitive++;
+        }
+        if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+            metrics.cognitive++;
+        }
+
+        getChildren(node).forEach(child => {
+            // The test of an if/loop is not nested inside the structure itself
+            const testOfStructure = NESTING_TYPES.includes(node.type) && child === node.test;
+            visit(child, testOfStructure ? nesting : childNesting);
+        });
+    }
+
+    visit(root, 0);
+    return metrics;
+}
+
+// Complexity of a piece of function node code, or null when it cannot be parsed.
+// The code itself is reported as the '(body)' function.
+function analyzeCodeComplexity(code) {
+    if (!code || typeof code !== 'string' || code.trim() === '') {
+        return null;
+    }
+
+    let ast;
+    try {
+        ast = parseFunctionCode(code);
+    } catch (error) {
+        return null;
+    }
+
+    // Measure the node body, unwrapping the wrapper added for top-level returns
+    const functions = [];
+    const body = ast.body.length === 1 && isNodeRedWrapper(ast.body[0]) ? ast.body[0] : ast;
+    const bodyMetrics = measureFunction(body, '(body)', functions);
+    bodyMetrics.line = 1;
+    bodyMetrics.length = code.split('\n').length;
+    functions.unshift(bodyMetrics);
+
+    return summarize(functions);
+}
+
+// Totals over a list of per-function metrics
+function summarize(functions) {
+    return {
+        cyclomatic: functions.reduce((max, fn) => Math.max(max, fn.cyclomatic), 0),
+        cognitive: functions.reduce((total, fn) => total + fn.cognitive, 0),
+        maxNesting: functions.reduce((max, fn) => Math.max(max, fn.maxNesting), 0),
+        maxFunctionLength: functions.reduce((max, fn) => Math.max(max, fn.length), 0),
+        decisionPoints: functions.reduce((total, fn) => total + fn.cyclomatic - 1, 0),
+        functionCount: functions.length - 1,
+        functions
+    };
+}
+
+// Complexity of all code tabs of a function node; functions are tagged with their tab
+function analyzeFunctionNodeComplexity(nodeConfig) {
+    const functions = [];
+    FUNCTION_NODE_TABS.forEach(({ property }) => {
+        const complexity = analyzeCodeComplexity(nodeConfig && nodeConfig[property]);
+        if (complexity) {
+            complexity.functions.forEach(fn => functions.push({ ...fn, tab: property }));
+        }
+    });
+    return functions.length > 0 ? summarize(functions) : null;
+}
+
+module.exports = {
+    analyzeCodeComplexity,
+    analyzeFunctionNodeComplexity
+};
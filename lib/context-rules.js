@@ -0,0 +1,316 @@
+const { getContextCall, getContextStoreArgument, getPropertyName, getEnclosingFunction, isMemberCall, walkAST, getNodeLocation } = require('./ast-utils');
+const { getRootKey } = require('./flow-variables');
+
+// Levenshtein distance between two keys
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Keys close enough to be the intended one, nearest first
+function findSimilarKeys(key, candidates) {
+    const maxDistance = Math.min(2, Math.floor(key.length / 3));
+    return candidates
+        .filter(candidate => candidate !== key)
+        .map(candidate => ({ candidate, distance: getEditDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, 3)
+        .map(({ candidate }) => candidate);
+}
+
+function formatSuggestions(keys) {
+    return keys.length > 0 ? ` - did you mean ${keys.map(key => `'${key}'`).join(' or ')}?` : '';
+}
+
+// flow.get()/flow.set() calls (also through context.flow) with a literal key in the analyzed code
+function findFlowContextCalls(ast) {
+    const calls = [];
+    walkAST(ast, node => {
+        const contextCall = getContextCall(node);
+        if (!contextCall || contextCall.scope !== 'flow') {
+            return;
+        }
+        const key = node.arguments[0];
+        if ((contextCall.method === 'get' || node.arguments.length >= 2) &&
+            key && key.type === 'Literal' && typeof key.value === 'string') {
+            calls.push({ method: contextCall.method, key: key.value, node: key });
+        }
+    });
+    return calls;
+}
+
+// Whether a variable map entry is the deployed copy of the analyzed code, which is
+// replaced by the calls in the code being analyzed
+function isAnalyzedCode(context, entry) {
+    return !!context.node && entry.nodeId === context.node.id &&
+        entry.line !== undefined && (entry.tab || 'func') === (context.tab || 'func');
+}
+
+// Flow variable keys read and written by the flow
+function getFlowKeyUsage(context, calls) {
+    const reads = new Set();
+    const writes = new Set();
+
+    Object.keys(context.flowVariables).forEach(key => {
+        const { gets = [], sets = [] } = context.flowVariables[key];
+        if (gets.some(entry => !isAnalyzedCode(context, entry))) {
+            reads.add(getRootKey(key));
+        }
+        if (sets.some(entry => !isAnalyzedCode(context, entry))) {
+            writes.add(getRootKey(key));
+        }
+    });
+    calls.forEach(call => (call.method === 'get' ? reads : writes).add(getRootKey(call.key)));
+
+    return { reads, writes };
+}
+
+// Context calls that pass a store name: flow/global calls with a literal key, and node
+// context.get()/context.set() calls
+function findStoreCalls(ast) {
+    const calls = [];
+    walkAST(ast, node => {
+        if (node.type !== 'CallExpression') {
+            return;
+        }
+        const contextCall = getContextCall(node);
+        if (contextCall) {
+            const key = node.arguments[0];
+            calls.push({
+                scope: contextCall.scope,
+                store: contextCall.store,
+                storeNode: contextCall.storeNode,
+                key: key && key.type === 'Literal' && typeof key.value === 'string' ? key.value : null,
+                keyNode: key
+            });
+            return;
+        }
+        const method = isMemberCall(node, 'context') ? getPropertyName(node.callee) : null;
+        if (method === 'get' || method === 'set') {
+            const storeNode = getContextStoreArgument(node, method);
+            if (storeNode && storeNode.type === 'Literal' && typeof storeNode.value === 'string') {
+                calls.push({ scope: 'node', store: storeNode.value, storeNode, key: null });
+            }
+        }
+    });
+    return calls;
+}
+
+// Stores each flow or global variable (by root key) is used with outside the analyzed code.
+// Store names are resolved, so the default store and its configured name count as one.
+function getKeyStores(context, scope, calls, resolveStore) {
+    const variableMap = scope === 'flow' ? context.flowVariables : context.globalVariables;
+    const keyStores = new Map();
+    const add = (key, store) => {
+        const rootKey = getRootKey(key);
+        if (!keyStores.has(rootKey)) {
+            keyStores.set(rootKey, new Set());
+        }
+        keyStores.get(rootKey).add(resolveStore(store));
+    };
+
+    Object.keys(variableMap).forEach(key => {
+        const { gets = [], sets = [] } = variableMap[key];
+        gets.concat(sets).filter(entry => !isAnalyzedCode(context, entry)).forEach(entry => add(key, entry.store));
+    });
+    calls.filter(call => call.scope === scope && call.key).forEach(call => add(call.key, call.store));
+
+    return keyStores;
+}
+
+// Names of the other nodes that write each flow variable (by root key)
+function getOtherWriters(context) {
+    const writers = new Map();
+    Object.keys(context.flowVariables).forEach(key => {
+        const rootKey = getRootKey(key);
+        (context.flowVariables[key].sets || [])
+            .filter(entry => !context.node || entry.nodeId !== context.node.id)
+            .forEach(entry => {
+                if (!writers.has(rootKey)) {
+                    writers.set(rootKey, new Map());
+                }
+                writers.get(rootKey).set(entry.nodeId, entry.nodeName);
+            });
+    });
+    return writers;
+}
+
+// Whether two calls in the same function have an await of that function between them
+function hasAwaitBetween(awaits, first, second) {
+    const fn = getEnclosingFunction(first);
+    return fn === getEnclosingFunction(second) && awaits.some(awaitNode => getEnclosingFunction(awaitNode) === fn &&
+        awaitNode.range[0] >= first.range[1] && awaitNode.range[0] < second.range[0]);
+}
+
+// Checks of flow, global and node context use across the nodes of a flow
+module.exports = [
+    {
+        id: 'orphaned-flow-variable',
+        name: 'Orphaned flow variable',
+        description: 'flow.get() of keys no node in the flow sets, and flow.set() of keys no node reads',
+        level: 2,
+        severity: 'warning',
+        category: 'context',
+        issueTypes: ['flow-variable-never-set', 'flow-variable-never-read'],
+        issueSeverities: {
+            'flow-variable-never-read': 'info'
+        },
+        post(context) {
+            // Needs the flow variable map of the node's flow, built by the runtime
+            if (!context.flowVariables) {
+                return;
+            }
+
+            const calls = findFlowContextCalls(context.ast);
+            const { reads, writes } = getFlowKeyUsage(context, calls);
+
+            calls.forEach(call => {
+                const key = getRootKey(call.key);
+                // $parent keys belong to the flow around a subflow
+                if (!key || call.key.startsWith('$parent.')) {
+                    return;
+                }
+                if (call.method === 'get' && !writes.has(key)) {
+                    context.report({
+                        type: 'flow-variable-never-set',
+                        message: `Flow variable '${key}' is read but no node in this flow sets it${formatSuggestions(findSimilarKeys(key, [...writes]))}`,
+                        ...getNodeLocation(call.node),
+                        severity: 'warning'
+                    });
+                } else if (call.method === 'set' && !reads.has(key)) {
+                    context.report({
+                        type: 'flow-variable-never-read',
+                        message: `Flow variable '${key}' is set but no node in this flow reads it${formatSuggestions(findSimilarKeys(key, [...reads]))}`,
+                        ...getNodeLocation(call.node),
+                        severity: 'info'
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'concurrent-flow-writers',
+        name: 'Concurrent flow variable writers',
+        description: 'flow.set() of keys other nodes also set, and flow.get() then flow.set() of a key with an await in between',
+        level: 2,
+        severity: 'warning',
+        category: 'context',
+        issueTypes: ['multiple-flow-writers', 'flow-read-modify-write'],
+        post(context) {
+            const calls = findFlowContextCalls(context.ast)
+                .filter(call => getRootKey(call.key) && !call.key.startsWith('$parent.'));
+            const sets = calls.filter(call => call.method === 'set');
+            if (sets.length === 0) {
+                return;
+            }
+
+            // Other writers are only known with the flow variable map of the node's flow
+            if (context.flowVariables) {
+                const otherWriters = getOtherWriters(context);
+                const reported = new Set();
+                sets.forEach(call => {
+                    const key = getRootKey(call.key);
+                    const writers = otherWriters.get(key);
+                    if (!writers || reported.has(key)) {
+                        return;
+                    }
+                    reported.add(key);
+                    const names = [...writers.values()].map(name => `'${name}'`);
+                    context.report({
+                        type: 'multiple-flow-writers',
+                        message: `Flow variable '${key}' is also set by ${names.join(', ')} - the last write wins, so its value depends on which node ran last`,
+                        ...getNodeLocation(call.node),
+                        severity: 'warning'
+                    });
+                });
+            }
+
+            // A read, an await and a write of the same key: other messages can update the
+            // key while this one waits, and their update is then overwritten
+            const awaits = [];
+            walkAST(context.ast, node => {
+                if (node.type === 'AwaitExpression') {
+                    awaits.push(node);
+                }
+            });
+            if (awaits.length === 0) {
+                return;
+            }
+            sets.forEach(set => {
+                const setCall = set.node.parent;
+                const staleRead = calls.find(get => get.method === 'get' &&
+                    getRootKey(get.key) === getRootKey(set.key) &&
+                    hasAwaitBetween(awaits, get.node.parent, setCall));
+                if (staleRead) {
+                    context.report({
+                        type: 'flow-read-modify-write',
+                        message: `Flow variable '${getRootKey(set.key)}' is read on line ${staleRead.node.loc.start.line} and written after an await - another message can change it in between; re-read it after the await or update it without awaiting`,
+                        ...getNodeLocation(set.node),
+                        severity: 'warning'
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'context-store',
+        name: 'Context stores',
+        description: 'Context calls naming a store that is not configured, and variables used with different stores',
+        level: 2,
+        severity: 'warning',
+        category: 'context',
+        issueTypes: ['unknown-context-store', 'mixed-context-stores'],
+        post(context) {
+            const calls = findStoreCalls(context.ast);
+            if (calls.length === 0) {
+                return;
+            }
+
+            // Stores configured in settings.js, provided by the runtime
+            const contextStores = context.detectorOptions.contextStores || null;
+            const defaultStore = contextStores ? contextStores.defaultStore : 'default';
+            const resolveStore = store => (!store || store === 'default' ? defaultStore : store);
+
+            if (contextStores) {
+                calls.filter(call => call.storeNode && !contextStores.stores.includes(call.store)).forEach(call => {
+                    context.report({
+                        type: 'unknown-context-store',
+                        message: `Context store '${call.store}' is not configured in contextStorage (settings.js) - Node-RED falls back to the default store${formatSuggestions(findSimilarKeys(call.store, contextStores.stores))}`,
+                        ...getNodeLocation(call.storeNode),
+                        severity: 'warning'
+                    });
+                });
+            }
+
+            ['flow', 'global'].forEach(scope => {
+                if (!(scope === 'flow' ? context.flowVariables : context.globalVariables)) {
+                    return;
+                }
+                const keyStores = getKeyStores(context, scope, calls, resolveStore);
+                const where = scope === 'flow' ? 'in this flow' : 'in other nodes';
+                // $parent keys belong to the flow around a subflow
+                calls.filter(call => call.scope === scope && call.key && getRootKey(call.key) && !call.key.startsWith('$parent.')).forEach(call => {
+                    const store = resolveStore(call.store);
+                    const otherStores = [...(keyStores.get(getRootKey(call.key)) || [])].filter(other => other !== store);
+                    if (otherStores.length > 0) {
+                        context.report({
+                            type: 'mixed-context-stores',
+                            message: `${scope === 'flow' ? 'Flow' : 'Global'} variable '${getRootKey(call.key)}' uses the '${store}' store here but ${otherStores.map(other => `'${other}'`).join(', ')} ${where} - each store keeps its own value`,
+                            ...getNodeLocation(call.keyNode),
+                            severity: 'warning'
+                        });
+                    }
+                });
+            });
+        }
+    }
+];
@@ -58,9 +58,10 @@ function shouldIgnoreLine(lineNumber, ignoreRegions, ignoreLines, ignoreNextLine
     return false;
 }
 
-function detectDebuggingTraits(code, level = 1, options = {}) {
+// `config` is a detection level (1-3), a preset name or a rule configuration object
+function detectDebuggingTraits(code, config = 1, options = {}) {
     const { detectDebuggingTraitsAST } = require('./ast-detector');
-    const result = detectDebuggingTraitsAST(code, level, options);
+    const result = detectDebuggingTraitsAST(code, config, options);
     
     // Add metadata to indicate which detector was used
     if (options.includeMetadata) {
@@ -74,9 +75,61 @@ function detectDebuggingTraits(code, level = 1, options = {}) {
     return result;
 }
 
+// Code bodies of a function node, in editor tab order
+const FUNCTION_NODE_TABS = [
+    { property: 'initialize', label: 'On Start' },
+    { property: 'func', label: 'On Message' },
+    { property: 'finalize', label: 'On Stop' }
+];
+
+function getFunctionNodeTabLabel(tab) {
+    const entry = FUNCTION_NODE_TABS.find(t => t.property === tab);
+    return entry ? entry.label : tab;
+}
+
+// Whether a node is a function node with code in any of its tabs
+function hasFunctionNodeCode(nodeConfig) {
+    return !!nodeConfig && nodeConfig.type === 'function' &&
+        FUNCTION_NODE_TABS.some(({ property }) => typeof nodeConfig[property] === 'string' && nodeConfig[property].trim() !== '');
+}
+
+// Analyze the On Start, On Message and On Stop code of a function node.
+// Each issue is tagged with the `tab` (node property) it was found in.
+function analyzeFunctionNode(nodeConfig, config = 1, options = {}) {
+    const issues = [];
+    if (!nodeConfig) {
+        return issues;
+    }
+    
+    FUNCTION_NODE_TABS.forEach(({ property }) => {
+        const code = nodeConfig[property];
+        if (typeof code !== 'string' || code.trim() === '') {
+            return;
+        }
+        
+        detectDebuggingTraits(code, config, { ...options, node: nodeConfig, tab: property }).forEach(issue => {
+            issues.push({ ...issue, tab: property });
+        });
+    });
+    
+    return issues;
+}
+
+// Total lines of code across all function node tabs
+function countFunctionNodeLines(nodeConfig) {
+    return FUNCTION_NODE_TABS.reduce((total, { property }) => {
+        const code = nodeConfig[property];
+        return typeof code === 'string' && code.trim() !== '' ? total + code.split('\n').length : total;
+    }, 0);
+}
 
 module.exports = {
     detectDebuggingTraits,
+    analyzeFunctionNode,
+    hasFunctionNodeCode,
+    countFunctionNodeLines,
+    getFunctionNodeTabLabel,
+    FUNCTION_NODE_TABS,
     parseIgnoreDirectives,
     shouldIgnoreLine
 };
\ No newline at end of file
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const { parseFunctionCode } = require('./ast-detector');
+const { isFunction, walkAST, getBodyStatements } = require('./ast-utils');
+const { FUNCTION_NODE_TABS, hasFunctionNodeCode } = require('./detector');
+
+// Identifiers that mean the same thing in every function node and are never renamed
+const KNOWN_IDENTIFIERS = new Set([
+    'msg', 'node', 'flow', 'global', 'context', 'env', 'RED', 'util',
+    'JSON', 'Math', 'Date', 'Object', 'Array', 'Number', 'String', 'Boolean', 'Promise', 'Buffer', 'RegExp', 'Error',
+    'console', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'parseInt', 'parseFloat',
+    'undefined', 'NaN', 'Infinity'
+]);
+
+const DEFAULT_OPTIONS = {
+    // Shortest run of statements reported as an exact clone
+    minStatements: 3,
+    // Smallest clone size in normalized tokens, keeps trivial code out of the report
+    minTokens: 30,
+    // Token shingle similarity from which two code units count as near duplicates
+    similarityThreshold: 0.7
+};
+
+// Shingle length used for near-duplicate similarity
+const SHINGLE_SIZE = 5;
+
+// Normalized tokens of an AST subtree: node types and operators are kept, literals are
+// reduced to their type and variables are marked for renaming
+function tokenize(root) {
+    const tokens = [];
+    walkAST(root, node => {
+        tokens.push(node.type);
+        if (node.operator) {
+            tokens.push(node.operator);
+        }
+        if (node.type === 'Identifier') {
+            const parent = node.parent;
+            const isPropertyName = parent && !parent.computed &&
+                ((parent.type === 'MemberExpression' && parent.property === node) ||
+                 ((parent.type === 'Property' || parent.type === 'MethodDefinition') && parent.key === node));
+            if (isPropertyName) {
+                tokens.push(`P:${node.name}`);
+            } else {
+                tokens.push(KNOWN_IDENTIFIERS.has(node.name) ? `K:${node.name}` : `V:${node.name}`);
+            }
+        } else if (node.type === 'Literal') {
+            tokens.push(node.regex ? 'L:regex' : `L:${node.value === null ? 'null' : typeof node.value}`);
+        }
+    });
+    return tokens;
+}
+
+// Set parent references so tokenize can tell property names from variables
+function setParents(ast) {
+    walkAST(ast, node => {
+        for (const key in node) {
+            if (!Object.prototype.hasOwnProperty.call(node, key) || key === 'parent' || key === 'loc' || key === 'range') {
+                continue;
+            }
+            const child = node[key];
+            (Array.isArray(child) ? child : [child]).forEach(item => {
+                if (item && typeof item === 'object' && item.type) {
+                    item.parent = node;
+                }
+            });
+        }
+    });
+}
+
+// Hash of a token sequence with variables renamed in order of first appearance,
+// so clones that only differ in variable names hash the same
+function hashTokens(tokens) {
+    const names = new Map();
+    const normalized = tokens.map(token => {
+        if (!token.startsWith('V:')) {
+            return token;
+        }
+        if (!names.has(token)) {
+            names.set(token, `V${names.size}`);
+        }
+        return names.get(token);
+    });
+    return crypto.createHash('sha1').update(normalized.join(' ')).digest('hex');
+}
+
+function getShingles(tokens) {
+    const abstracted = tokens.map(token => (token.startsWith('V:') ? 'V' : token));
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= abstracted.length; i++) {
+        shingles.add(abstracted.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+}
+
+function getSimilarity(a, b) {
+    let shared = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) {
+            shared++;
+        }
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Statement lists and comparable code units (whole tabs and functions) of one code tab
+function collectCodeUnits(nodeConfig, tab, code) {
+    let ast;
+    try {
+        ast = parseFunctionCode(code);
+    } catch (error) {
+        return { lists: [], units: [] };
+    }
+    setParents(ast);
+
+    const location = { nodeId: nodeConfig.id, nodeName: nodeConfig.name || '', flowId: nodeConfig.z, tab };
+    const topLevel = getBodyStatements(ast);
+    const statementLists = [topLevel];
+    const units = [];
+
+    walkAST(ast, node => {
+        if (node.type === 'BlockStatement' && node.body !== topLevel) {
+            statementLists.push(node.body);
+        } else if (node.type === 'SwitchCase') {
+            statementLists.push(node.consequent);
+        }
+        if (isFunction(node) && node.body.type === 'BlockStatement' && !(node.id && node.id.name === 'nodeRedWrapper')) {
+            units.push({ ...location, line: node.loc.start.line, endLine: node.loc.end.line, tokens: tokenize(node.body), outer: false });
+        }
+    });
+
+    if (topLevel.length > 0) {
+        const tokens = [];
+        topLevel.forEach(statement => tokens.push(...tokenize(statement)));
+        units.unshift({ ...location, line: topLevel[0].loc.start.line, endLine: topLevel[topLevel.length - 1].loc.end.line, tokens, outer: true });
+    }
+
+    const lists = statementLists.filter(list => list.length > 0).map(list => ({
+        ...location,
+        statements: list.map(statement => ({
+            tokens: tokenize(statement),
+            line: statement.loc.start.line,
+            endLine: statement.loc.end.line,
+            start: statement.range[0],
+            end: statement.range[1]
+        }))
+    }));
+    return { lists, units };
+}
+
+function getWindowTokens(list, start, length) {
+    const tokens = [];
+    for (let i = start; i < start + length; i++) {
+        tokens.push(...list.statements[i].tokens);
+    }
+    return tokens;
+}
+
+// Runs of at least minStatements statements that are identical after normalization,
+// extended as far as all copies stay identical
+function findExactClones(lists, options) {
+    const occurrences = new Map();
+    lists.forEach(list => {
+        for (let start = 0; start + options.minStatements <= list.statements.length; start++) {
+            const key = hashTokens(getWindowTokens(list, start, options.minStatements));
+            if (!occurrences.has(key)) {
+                occurrences.set(key, []);
+            }
+            occurrences.get(key).push({ list, start });
+        }
+    });
+
+    // Source ranges already reported per node tab, so every statement (including the
+    // blocks nested inside it) belongs to at most one clone group
+    const covered = new Map();
+    const getCovered = list => covered.get(`${list.nodeId}:${list.tab}`) || [];
+    const isCovered = ({ list, start }) => list.statements.slice(start, start + options.minStatements).some(statement =>
+        getCovered(list).some(([from, to]) => statement.start < to && statement.end > from));
+    const groups = [];
+
+    occurrences.forEach(candidates => {
+        // Skip windows overlapping a reported clone and overlapping repeats within one list
+        const instances = [];
+        candidates.filter(candidate => !isCovered(candidate)).forEach(candidate => {
+            const overlaps = instances.some(other => other.list === candidate.list &&
+                candidate.start < other.start + options.minStatements);
+            if (!overlaps) {
+                instances.push(candidate);
+            }
+        });
+        if (new Set(instances.map(instance => instance.list.nodeId)).size < 2) {
+            return;
+        }
+
+        let length = options.minStatements;
+        const canExtend = () => {
+            const next = length + 1;
+            if (instances.some(({ list, start }) => start + next > list.statements.length)) {
+                return false;
+            }
+            const keys = new Set(instances.map(({ list, start }) => hashTokens(getWindowTokens(list, start, next))));
+            return keys.size === 1;
+        };
+        while (canExtend()) {
+            length++;
+        }
+
+        const tokenCount = getWindowTokens(instances[0].list, instances[0].start, length).length;
+        if (tokenCount < options.minTokens) {
+            return;
+        }
+
+        instances.forEach(({ list, start }) => {
+            const key = `${list.nodeId}:${list.tab}`;
+            covered.set(key, [...getCovered(list), [list.statements[start].start, list.statements[start + length - 1].end]]);
+        });
+
+        groups.push({
+            type: 'exact',
+            similarity: 1,
+            statements: length,
+            tokens: tokenCount,
+            instances: instances.map(({ list, start }) => ({
+                nodeId: list.nodeId,
+                nodeName: list.nodeName,
+                flowId: list.flowId,
+                tab: list.tab,
+                line: list.statements[start].line,
+                endLine: list.statements[start + length - 1].endLine
+            }))
+        });
+    });
+
+    return groups;
+}
+
+function containsUnit(outer, inner) {
+    return outer.nodeId === inner.nodeId && outer.tab === inner.tab &&
+        outer.line <= inner.line && outer.endLine >= inner.endLine;
+}
+
+// Whole tabs and functions in different nodes whose token shingles are similar but not identical.
+// Units that already share an exact clone are not reported again.
+function findNearClones(units, exactGroups, options) {
+    const candidates = units.filter(unit => unit.tokens.length >= options.minTokens);
+    candidates.forEach((unit, index) => {
+        unit.order = index;
+        unit.shingles = getShingles(unit.tokens);
+        unit.hash = hashTokens(unit.tokens);
+    });
+    // Compare whole tabs before the functions inside them
+    candidates.sort((a, b) => (b.outer - a.outer) || (b.tokens.length - a.tokens.length));
+
+    const pairs = [];
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const a = candidates[i];
+            const b = candidates[j];
+            if (a.nodeId === b.nodeId || a.hash === b.hash) {
+                continue;
+            }
+            const similarity = getSimilarity(a.shingles, b.shingles);
+            if (similarity < options.similarityThreshold) {
+                continue;
+            }
+            // Functions inside an already matched pair of units are part of that match
+            const nested = pairs.some(pair =>
+                (containsUnit(pair.a, a) && containsUnit(pair.b, b)) || (containsUnit(pair.a, b) && containsUnit(pair.b, a)));
+            const sharesExactClone = exactGroups.some(group =>
+                group.instances.some(instance => containsUnit(a, instance)) && group.instances.some(instance => containsUnit(b, instance)));
+            if (!nested && !sharesExactClone) {
+                pairs.push({ a, b, similarity });
+            }
+        }
+    }
+
+    // Join pairs that share a unit into one clone group
+    const groups = [];
+    pairs.forEach(pair => {
+        const group = groups.find(existing => existing.units.includes(pair.a) || existing.units.includes(pair.b));
+        if (group) {
+            [pair.a, pair.b].forEach(unit => {
+                if (!group.units.includes(unit)) {
+                    group.units.push(unit);
+                }
+            });
+            group.similarity = Math.min(group.similarity, pair.similarity);
+        } else {
+            groups.push({ units: [pair.a, pair.b], similarity: pair.similarity });
+        }
+    });
+
+    return groups.map(group => ({
+        type: 'near',
+        similarity: Math.round(group.similarity * 100) / 100,
+        tokens: Math.max(...group.units.map(unit => unit.tokens.length)),
+        instances: group.units.sort((a, b) => a.order - b.order).map(unit => ({
+            nodeId: unit.nodeId,
+            nodeName: unit.nodeName,
+            flowId: unit.flowId,
+            tab: unit.tab,
+            line: unit.line,
+            endLine: unit.endLine
+        }))
+    }));
+}
+
+// Find exact and near-duplicate code across function nodes. Clones within a single
+// node are not reported; every group spans at least two nodes.
+function findDuplicateCode(nodeConfigs, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const lists = [];
+    const units = [];
+
+    nodeConfigs.filter(hasFunctionNodeCode).forEach(nodeConfig => {
+        FUNCTION_NODE_TABS.forEach(({ property }) => {
+            const code = nodeConfig[property];
+            if (typeof code === 'string' && code.trim() !== '') {
+                const collected = collectCodeUnits(nodeConfig, property, code);
+                lists.push(...collected.lists);
+                units.push(...collected.units);
+            }
+        });
+    });
+
+    const exactGroups = findExactClones(lists, settings);
+    const groups = [...exactGroups, ...findNearClones(units, exactGroups, settings)]
+        .map((group, index) => ({
+            id: index + 1,
+            ...group,
+            lines: group.instances[0].endLine - group.instances[0].line + 1
+        }));
+
+    return {
+        groups,
+        summary: {
+            totalGroups: groups.length,
+            exactGroups: groups.filter(group => group.type === 'exact').length,
+            nearGroups: groups.filter(group => group.type === 'near').length,
+            duplicatedNodes: new Set(groups.flatMap(group => group.instances.map(instance => instance.nodeId))).size,
+            // Lines that could go away by sharing one copy of each exact clone
+            duplicatedLines: groups.filter(group => group.type === 'exact')
+                .reduce((total, group) => total + group.lines * (group.instances.length - 1), 0)
+        }
+    };
+}
+
+module.exports = {
+    findDuplicateCode,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,243 @@
+const { parseFunctionCode } = require('./ast-detector');
+const { isFunction, isNodeRedWrapper, isMemberCall } = require('./ast-utils');
+const { resolveRuleConfig, getRuleSettings, getIssueTypeSeverity } = require('./rule-config');
+const { getNodeName } = require('./flow-graph');
+
+// Places in the code where an error leaves the function node: throw statements and
+// awaits outside a try block, and node.error() calls. A try block does not cover the
+// functions defined in it, since they run later.
+function findErrorSources(ast) {
+    const sources = [];
+    const visit = (node, inTry) => {
+        if (!node || typeof node !== 'object' || !node.type) {
+            return;
+        }
+        if (node.type === 'TryStatement' && node.handler) {
+            visit(node.block, true);
+            visit(node.handler, inTry);
+            visit(node.finalizer, inTry);
+            return;
+        }
+        const nested = isFunction(node) && !isNodeRedWrapper(node);
+        if (node.type === 'ThrowStatement' && !inTry) {
+            sources.push({ type: 'throw', line: node.loc.start.line });
+        } else if (node.type === 'AwaitExpression' && !inTry) {
+            sources.push({ type: 'await', line: node.loc.start.line });
+        } else if (node.type === 'CallExpression' && isMemberCall(node, 'node', 'error')) {
+            sources.push({ type: 'node.error', line: node.loc.start.line });
+        }
+        for (const key in node) {
+            if (Object.prototype.hasOwnProperty.call(node, key) && key !== 'loc' && key !== 'range') {
+                const child = node[key];
+                (Array.isArray(child) ? child : [child]).forEach(item => visit(item, nested ? false : inTry));
+            }
+        }
+    };
+    visit(ast, false);
+    return sources;
+}
+
+// Error sources of the On Message code, the only code whose errors reach catch nodes
+function getNodeErrorSources(nodeConfig) {
+    if (typeof nodeConfig.func !== 'string' || nodeConfig.func.trim() === '') {
+        return [];
+    }
+    try {
+        return findErrorSources(parseFunctionCode(nodeConfig.func));
+    } catch (error) {
+        // Code that does not parse is reported by the code analysis
+        return [];
+    }
+}
+
+// Ids of the group of a node and the groups around it
+function getGroupChain(nodeConfig, nodesById) {
+    const chain = [];
+    let groupId = nodeConfig.g;
+    while (groupId && !chain.includes(groupId)) {
+        chain.push(groupId);
+        const group = nodesById.get(groupId);
+        groupId = group ? group.g : null;
+    }
+    return chain;
+}
+
+// How a catch, status or complete node covers a node: 'catch-all' for every node of the
+// flow, 'scoped' for its group or selected nodes, or null. Complete nodes always name
+// their nodes.
+function getCoverage(handler, nodeConfig, groupChain) {
+    if (handler.d || handler.z !== nodeConfig.z) {
+        return null;
+    }
+    if (Array.isArray(handler.scope)) {
+        return handler.scope.includes(nodeConfig.id) ? 'scoped' : null;
+    }
+    if (handler.scope === 'group') {
+        return handler.g && groupChain.includes(handler.g) ? 'scoped' : null;
+    }
+    return handler.type === 'complete' ? null : 'catch-all';
+}
+
+// Whether a catch node passes its messages on to a node that does something with them
+function isSwallowingCatch(catchNode, nodesById) {
+    const targets = (catchNode.wires || []).flat()
+        .map(targetId => nodesById.get(targetId))
+        .filter(target => target && !target.d && !(target.type === 'debug' && target.active === false));
+    return targets.length === 0;
+}
+
+function getPercentage(covered, total) {
+    return total > 0 ? Math.round(covered / total * 100) : null;
+}
+
+// Checks of the error handling of a flow, configured like rules. Each check returns
+// issues for the coverage report, naming the node with `nodeId`.
+const ERROR_HANDLING_CHECKS = [
+    {
+        id: 'uncaught-errors',
+        name: 'Uncaught errors',
+        description: 'Function nodes that throw, await or call node.error() without a catch node covering them',
+        level: 2,
+        severity: 'info',
+        category: 'error-handling',
+        issueTypes: ['uncaught-errors'],
+        check(report) {
+            return report.functionNodes.filter(entry => entry.catch === 'none').map(entry => ({
+                type: 'uncaught-errors',
+                message: `Errors of '${entry.nodeName}' (${[...new Set(entry.errorSources.map(source => source.type))].join(', ')} on line ${entry.errorSources[0].line}) reach no catch node - add a catch node for the flow or the group`,
+                nodeId: entry.nodeId,
+                line: entry.errorSources[0].line
+            }));
+        }
+    },
+    {
+        id: 'swallowed-errors',
+        name: 'Swallowed errors',
+        description: 'Catch nodes that are not wired to any node',
+        level: 2,
+        severity: 'warning',
+        category: 'error-handling',
+        issueTypes: ['catch-swallows-errors'],
+        check(report) {
+            return report.catchNodes.filter(entry => entry.swallows).map(entry => ({
+                type: 'catch-swallows-errors',
+                message: `Catch node '${entry.nodeName}' is not wired to a node that handles the error - errors it catches disappear`,
+                nodeId: entry.nodeId
+            }));
+        }
+    }
+];
+
+// Check for the issue type of an error handling finding
+function getErrorHandlingCheck(issueType) {
+    return ERROR_HANDLING_CHECKS.find(check => check.issueTypes.includes(issueType)) || null;
+}
+
+// Error handling coverage of the nodes of a flow: which function nodes that can throw are
+// covered by a catch node (catch-all or scoped), status and complete nodes, per flow and per
+// group. Coverage is the percentage of those function nodes with a catch node, or null when
+// no function node can throw.
+function analyzeErrorCoverage(nodeConfigs, config = 2) {
+    const ruleConfig = resolveRuleConfig(config);
+    const allNodes = (nodeConfigs || []).filter(nodeConfig => nodeConfig && nodeConfig.id);
+    const nodesById = new Map(allNodes.map(nodeConfig => [nodeConfig.id, nodeConfig]));
+    const handlers = type => allNodes.filter(nodeConfig => nodeConfig.type === type);
+    const catchNodes = handlers('catch');
+
+    const functionNodes = [];
+    allNodes.filter(nodeConfig => nodeConfig.type === 'function' && !nodeConfig.d).forEach(nodeConfig => {
+        const errorSources = getNodeErrorSources(nodeConfig);
+        if (errorSources.length === 0) {
+            return;
+        }
+        const groupChain = getGroupChain(nodeConfig, nodesById);
+        const coveredBy = type => handlers(type)
+            .map(handler => ({ handler, coverage: getCoverage(handler, nodeConfig, groupChain) }))
+            .filter(({ coverage }) => coverage);
+        const catches = coveredBy('catch');
+        let catchCoverage = 'none';
+        if (catches.some(({ coverage }) => coverage === 'scoped')) {
+            catchCoverage = 'scoped';
+        } else if (catches.length > 0) {
+            catchCoverage = 'catch-all';
+        }
+        functionNodes.push({
+            nodeId: nodeConfig.id,
+            nodeName: getNodeName(nodeConfig),
+            flowId: nodeConfig.z,
+            groupId: nodeConfig.g || null,
+            errorSources,
+            catch: catchCoverage,
+            catchNodeIds: catches.map(({ handler }) => handler.id),
+            status: coveredBy('status').length > 0,
+            complete: coveredBy('complete').length > 0
+        });
+    });
+
+    const groups = handlers('group')
+        .map(group => {
+            const members = functionNodes.filter(entry => getGroupChain(nodesById.get(entry.nodeId), nodesById).includes(group.id));
+            const covered = members.filter(entry => entry.catch !== 'none').length;
+            return {
+                groupId: group.id,
+                groupName: group.name || `Group ${group.id.substring(0, 8)}`,
+                functionNodes: members.length,
+                covered,
+                coverage: getPercentage(covered, members.length)
+            };
+        })
+        .filter(group => group.functionNodes > 0);
+
+    const report = {
+        functionNodes,
+        groups,
+        catchNodes: catchNodes.filter(catchNode => !catchNode.d).map(catchNode => {
+            let scope = 'flow';
+            if (Array.isArray(catchNode.scope)) {
+                scope = 'nodes';
+            } else if (catchNode.scope === 'group') {
+                scope = 'group';
+            }
+            return {
+                nodeId: catchNode.id,
+                nodeName: getNodeName(catchNode),
+                scope,
+                swallows: isSwallowingCatch(catchNode, nodesById)
+            };
+        })
+    };
+    const covered = functionNodes.filter(entry => entry.catch !== 'none').length;
+
+    const issues = [];
+    ERROR_HANDLING_CHECKS.forEach(check => {
+        if (!getRuleSettings(ruleConfig, check).enabled) {
+            return;
+        }
+        check.check(report).forEach(issue => {
+            const nodeConfig = nodesById.get(issue.nodeId);
+            issues.push({
+                ...issue,
+                rule: check.id,
+                severity: getIssueTypeSeverity(ruleConfig, check, issue.type),
+                nodeName: getNodeName(nodeConfig),
+                nodeType: nodeConfig.type,
+                flowId: nodeConfig.z
+            });
+        });
+    });
+
+    return {
+        coverage: getPercentage(covered, functionNodes.length),
+        coveredNodes: covered,
+        throwingNodes: functionNodes.length,
+        ...report,
+        issues
+    };
+}
+
+module.exports = {
+    ERROR_HANDLING_CHECKS,
+    analyzeErrorCoverage,
+    findErrorSources,
+    getErrorHandlingCheck
+};
@@ -0,0 +1,171 @@
+// Wire graph of Node-RED node configurations, as returned by RED.nodes.eachNode.
+// Besides regular wires, link out and link call nodes connect to their link in nodes,
+// and subflow definitions connect to the nodes wired to their inputs.
+
+// Node types that are not nodes on a flow
+const CONFIGURATION_TYPES = ['tab', 'subflow', 'group'];
+
+// Node types that route messages to other nodes through their `links` property
+const LINK_SOURCE_TYPES = ['link out', 'link call'];
+
+// Name of a node for messages: its name, or its type and the start of its id
+function getNodeName(nodeConfig) {
+    return (typeof nodeConfig.name === 'string' && nodeConfig.name.trim()) ||
+        `${nodeConfig.type} node ${String(nodeConfig.id).substring(0, 8)}`;
+}
+
+function addEdge(edges, from, to) {
+    if (!edges.has(from)) {
+        edges.set(from, new Set());
+    }
+    edges.get(from).add(to);
+}
+
+// Build { nodes, downstream, upstream } maps keyed by node id
+function buildFlowGraph(nodeConfigs) {
+    const graph = {
+        nodes: new Map(),
+        downstream: new Map(),
+        upstream: new Map()
+    };
+
+    (nodeConfigs || []).forEach(nodeConfig => {
+        if (nodeConfig && nodeConfig.id) {
+            graph.nodes.set(nodeConfig.id, nodeConfig);
+        }
+    });
+
+    graph.nodes.forEach(nodeConfig => {
+        const targets = [];
+        (nodeConfig.wires || []).forEach(output => {
+            (output || []).forEach(target => targets.push(target));
+        });
+
+        // Link out nodes in return mode send back to the calling link call node, which is only known at runtime
+        if (LINK_SOURCE_TYPES.includes(nodeConfig.type) && nodeConfig.mode !== 'return') {
+            (nodeConfig.links || []).forEach(target => targets.push(target));
+        }
+
+        // Subflow inputs are wired as { id } objects
+        if (nodeConfig.type === 'subflow') {
+            (nodeConfig.in || []).forEach(input => {
+                (input.wires || []).forEach(wire => targets.push(wire.id));
+            });
+        }
+
+        targets.filter(target => graph.nodes.has(target)).forEach(target => {
+            addEdge(graph.downstream, nodeConfig.id, target);
+            addEdge(graph.upstream, target, nodeConfig.id);
+        });
+    });
+
+    return graph;
+}
+
+// All nodes reachable from a node following the given edge map, excluding the node itself
+function collectReachable(graph, edges, nodeId) {
+    const reached = new Set();
+    const queue = [nodeId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        (edges.get(current) || []).forEach(next => {
+            if (next !== nodeId && !reached.has(next)) {
+                reached.add(next);
+                queue.push(next);
+            }
+        });
+    }
+    return Array.from(reached).map(id => graph.nodes.get(id));
+}
+
+// Nodes whose messages can reach the given node
+function getUpstreamNodes(graph, nodeId) {
+    return collectReachable(graph, graph.upstream, nodeId);
+}
+
+// Nodes the given node's messages can reach
+function getDownstreamNodes(graph, nodeId) {
+    return collectReachable(graph, graph.downstream, nodeId);
+}
+
+// Whether any upstream node of the given node is of one of the node types
+function isDownstreamOfType(graph, nodeId, nodeTypes) {
+    const types = Array.isArray(nodeTypes) ? nodeTypes : [nodeTypes];
+    return getUpstreamNodes(graph, nodeId).some(nodeConfig => types.includes(nodeConfig.type));
+}
+
+// Groups of nodes that pass messages around in a circle (strongly connected components
+// with more than one node, or a node wired to itself). Nodes for which isExcluded returns
+// true are left out of the graph first, so only circles without such a node are found.
+function findCycles(graph, isExcluded = () => false) {
+    const included = id => !isExcluded(graph.nodes.get(id));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    graph.nodes.forEach((_, startId) => {
+        if (index.has(startId) || !included(startId)) {
+            return;
+        }
+        // Iterative Tarjan: each frame holds a node and the successors still to visit
+        const frames = [{ id: startId, next: Array.from(graph.downstream.get(startId) || []).filter(included) }];
+        index.set(startId, counter);
+        lowLink.set(startId, counter++);
+        stack.push(startId);
+        onStack.add(startId);
+
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            if (frame.next.length > 0) {
+                const next = frame.next.shift();
+                if (!index.has(next)) {
+                    index.set(next, counter);
+                    lowLink.set(next, counter++);
+                    stack.push(next);
+                    onStack.add(next);
+                    frames.push({ id: next, next: Array.from(graph.downstream.get(next) || []).filter(included) });
+                } else if (onStack.has(next)) {
+                    lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(next)));
+                }
+                continue;
+            }
+
+            frames.pop();
+            if (frames.length > 0) {
+                const parent = frames[frames.length - 1];
+                lowLink.set(parent.id, Math.min(lowLink.get(parent.id), lowLink.get(frame.id)));
+            }
+            if (lowLink.get(frame.id) === index.get(frame.id)) {
+                const component = [];
+                let id;
+                do {
+                    id = stack.pop();
+                    onStack.delete(id);
+                    component.push(id);
+                } while (id !== frame.id);
+                const selfWired = (graph.downstream.get(frame.id) || new Set()).has(frame.id);
+                if (component.length > 1 || selfWired) {
+                    cycles.push(component.reverse());
+                }
+            }
+        }
+    });
+
+    // In the order the nodes were first reached
+    return cycles
+        .sort((a, b) => index.get(a[0]) - index.get(b[0]))
+        .map(cycle => cycle.map(id => graph.nodes.get(id)));
+}
+
+module.exports = {
+    CONFIGURATION_TYPES,
+    getNodeName,
+    buildFlowGraph,
+    findCycles,
+    getUpstreamNodes,
+    getDownstreamNodes,
+    isDownstreamOfType
+};
@@ -0,0 +1,239 @@
+const { resolveRuleConfig, getRuleSettings, getIssueTypeSeverity } = require('./rule-config');
+const { findJSONataExpressions, getMustacheTemplate, findMustacheSyntaxError, findTodoMarkers } = require('./node-expressions');
+const { CONFIGURATION_TYPES, getNodeName } = require('./flow-graph');
+
+// Ids of all nodes a node is wired to, over all outputs
+function getWiredNodeIds(nodeConfig) {
+    return Array.isArray(nodeConfig.wires) ? nodeConfig.wires.flat().filter(Boolean) : [];
+}
+
+// Whether a flow name matches a configured pattern; an invalid pattern matches every flow
+function matchesFlowPattern(pattern, flowName) {
+    try {
+        return new RegExp(pattern, 'i').test(flowName);
+    } catch (error) {
+        return true;
+    }
+}
+
+// Checks of the nodes themselves rather than function node code. They are configured
+// like rules (on/off, severity, options) and each check returns issues for one node.
+const HYGIENE_CHECKS = [
+    {
+        id: 'active-debug-node',
+        name: 'Active debug node',
+        description: 'Debug nodes that are switched on',
+        level: 2,
+        severity: 'warning',
+        category: 'hygiene',
+        issueTypes: ['active-debug-node'],
+        check(nodeConfig) {
+            if (nodeConfig.type !== 'debug' || nodeConfig.active === false || nodeConfig.d) {
+                return [];
+            }
+            const output = nodeConfig.console === true || nodeConfig.console === 'true' ? ' and the log' : '';
+            return [{
+                type: 'active-debug-node',
+                message: `Debug node '${getNodeName(nodeConfig)}' is active and writes every message to the debug sidebar${output} - deactivate or remove it`
+            }];
+        }
+    },
+    {
+        id: 'inject-autostart',
+        name: 'Self-starting inject node',
+        description: 'Inject nodes that fire on deploy or repeat on an interval or schedule',
+        level: 3,
+        severity: 'info',
+        category: 'hygiene',
+        issueTypes: ['inject-once', 'inject-repeat'],
+        defaultOptions: {
+            // Regular expression for the flow names to check; empty checks every flow
+            flowPattern: ''
+        },
+        check(nodeConfig, context) {
+            if (nodeConfig.type !== 'inject' || nodeConfig.d) {
+                return [];
+            }
+            if (context.options.flowPattern && !matchesFlowPattern(context.options.flowPattern, context.flowName)) {
+                return [];
+            }
+            const issues = [];
+            if (nodeConfig.once === true || nodeConfig.once === 'true') {
+                const delay = parseFloat(nodeConfig.onceDelay);
+                issues.push({
+                    type: 'inject-once',
+                    message: `Inject node '${getNodeName(nodeConfig)}' fires on every deploy${delay > 0 ? ` (after ${delay}s)` : ''} - make sure this is intended outside testing`
+                });
+            }
+            const repeat = parseFloat(nodeConfig.repeat);
+            if (repeat > 0) {
+                issues.push({
+                    type: 'inject-repeat',
+                    message: `Inject node '${getNodeName(nodeConfig)}' repeats every ${repeat}s`
+                });
+            } else if (typeof nodeConfig.crontab === 'string' && nodeConfig.crontab.trim() !== '') {
+                issues.push({
+                    type: 'inject-repeat',
+                    message: `Inject node '${getNodeName(nodeConfig)}' runs on the schedule '${nodeConfig.crontab.trim()}'`
+                });
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'disabled-node',
+        name: 'Disabled node',
+        description: 'Nodes that are disabled, and enabled nodes wired to them',
+        level: 2,
+        severity: 'info',
+        category: 'hygiene',
+        issueTypes: ['disabled-node', 'wire-to-disabled-node'],
+        issueSeverities: {
+            'wire-to-disabled-node': 'warning'
+        },
+        check(nodeConfig, context) {
+            if (nodeConfig.d) {
+                return [{
+                    type: 'disabled-node',
+                    message: `Node '${getNodeName(nodeConfig)}' is disabled - enable it or remove it from the flow`
+                }];
+            }
+            return getWiredNodeIds(nodeConfig)
+                .map(targetId => context.nodesById.get(targetId))
+                .filter(target => target && target.d)
+                .map(target => ({
+                    type: 'wire-to-disabled-node',
+                    message: `'${getNodeName(nodeConfig)}' is wired to the disabled node '${getNodeName(target)}' - messages sent that way are dropped`,
+                    targetId: target.id
+                }));
+        }
+    },
+    {
+        id: 'unnamed-function-node',
+        name: 'Unnamed function node',
+        description: 'Function nodes without a name',
+        level: 3,
+        severity: 'info',
+        category: 'hygiene',
+        issueTypes: ['unnamed-function-node'],
+        check(nodeConfig) {
+            if (nodeConfig.type !== 'function' || (typeof nodeConfig.name === 'string' && nodeConfig.name.trim() !== '')) {
+                return [];
+            }
+            return [{
+                type: 'unnamed-function-node',
+                message: `Function node ${nodeConfig.id} has no name - name it after what it does`
+            }];
+        }
+    },
+    {
+        id: 'expression-syntax',
+        name: 'Expression syntax',
+        description: 'JSONata expressions and mustache templates that do not parse',
+        level: 1,
+        severity: 'critical',
+        category: 'expressions',
+        issueTypes: ['jsonata-syntax-error', 'template-syntax-error'],
+        check(nodeConfig, context) {
+            const issues = [];
+            // JSONata is parsed by the runtime's JSONata; without it only templates are checked
+            if (typeof context.parseJSONata === 'function') {
+                findJSONataExpressions(nodeConfig).forEach(({ label, expression }) => {
+                    try {
+                        context.parseJSONata(expression);
+                    } catch (error) {
+                        const position = error.position !== undefined ? ` at position ${error.position}` : '';
+                        issues.push({
+                            type: 'jsonata-syntax-error',
+                            message: `JSONata expression of ${label} in '${getNodeName(nodeConfig)}' does not parse${position}: ${error.message}`
+                        });
+                    }
+                });
+            }
+            const template = getMustacheTemplate(nodeConfig);
+            const templateError = template !== null ? findMustacheSyntaxError(template) : null;
+            if (templateError) {
+                issues.push({
+                    type: 'template-syntax-error',
+                    message: `Template of '${getNodeName(nodeConfig)}' does not parse on line ${templateError.line}: ${templateError.message}`,
+                    line: templateError.line
+                });
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'expression-todo',
+        name: 'TODO/FIXME in expressions',
+        description: 'Unresolved TODO: and FIXME: markers in JSONata expressions and templates',
+        level: 2,
+        severity: 'warning',
+        category: 'expressions',
+        issueTypes: ['expression-todo'],
+        check(nodeConfig) {
+            const template = getMustacheTemplate(nodeConfig);
+            const sources = findJSONataExpressions(nodeConfig)
+                .map(({ label, expression }) => ({ label: `JSONata expression of ${label}`, text: expression }))
+                .concat(template !== null ? [{ label: 'template', text: template }] : []);
+            const issues = [];
+            sources.forEach(({ label, text }) => {
+                findTodoMarkers(text).forEach(({ marker, line }) => issues.push({
+                    type: 'expression-todo',
+                    message: `${marker} in the ${label} of '${getNodeName(nodeConfig)}' (line ${line}) - consider resolving`,
+                    line
+                }));
+            });
+            return issues;
+        }
+    }
+];
+
+// Check for the issue type of a hygiene finding
+function getHygieneCheck(issueType) {
+    return HYGIENE_CHECKS.find(check => check.issueTypes.includes(issueType)) || null;
+}
+
+// Hygiene issues of the nodes of one or more flows. Issues name the node they are about;
+// severity is the quality severity level after rule configuration overrides. Options may
+// bring the runtime's JSONata parser (parseJSONata), which throws on syntax errors.
+function analyzeFlowHygiene(nodeConfigs, config = 2, options = {}) {
+    const ruleConfig = resolveRuleConfig(config);
+    const nodes = (nodeConfigs || []).filter(nodeConfig => nodeConfig && nodeConfig.id && !CONFIGURATION_TYPES.includes(nodeConfig.type));
+    const nodesById = new Map(nodes.map(nodeConfig => [nodeConfig.id, nodeConfig]));
+    const flowNames = new Map((nodeConfigs || [])
+        .filter(nodeConfig => nodeConfig && (nodeConfig.type === 'tab' || nodeConfig.type === 'subflow'))
+        .map(flow => [flow.id, flow.label || flow.name || '']));
+    const issues = [];
+
+    HYGIENE_CHECKS.forEach(check => {
+        const settings = getRuleSettings(ruleConfig, check);
+        if (!settings.enabled) {
+            return;
+        }
+        nodes.forEach(nodeConfig => {
+            const context = {
+                options: settings.options,
+                nodesById,
+                flowName: flowNames.get(nodeConfig.z) || '',
+                parseJSONata: options.parseJSONata || null
+            };
+            check.check(nodeConfig, context).forEach(issue => issues.push({
+                ...issue,
+                rule: check.id,
+                severity: getIssueTypeSeverity(ruleConfig, check, issue.type),
+                nodeId: nodeConfig.id,
+                nodeName: getNodeName(nodeConfig),
+                nodeType: nodeConfig.type,
+                flowId: nodeConfig.z
+            }));
+        });
+    });
+
+    return issues;
+}
+
+module.exports = {
+    HYGIENE_CHECKS,
+    analyzeFlowHygiene,
+    getHygieneCheck
+};
@@ -0,0 +1,220 @@
+const { FUNCTION_NODE_TABS } = require('./detector');
+const { findJSONataExpressions, findJSONataContextKeys, getMustacheTemplate, findTemplateContextKeys } = require('./node-expressions');
+
+// Variable a context key refers to: 'a.b[0]' and '#:(file)::a.b' both use 'a'
+function getRootKey(key) {
+    const withoutStore = String(key).replace(/^#:\([^)]*\)::/, '');
+    return withoutStore.split(/[.[]/)[0].trim();
+}
+
+// Store prefix core nodes put in front of a context key: '#:(file)::count'
+const STORE_PREFIX = /^#:\(([^)]*)\)::/;
+
+// Store name and key of a key that may carry a store prefix; null for the default store
+function parseContextKey(key) {
+    const text = String(key).trim();
+    const match = text.match(STORE_PREFIX);
+    return match
+        ? { store: match[1] || null, key: text.substring(match[0].length) }
+        : { store: null, key: text };
+}
+
+// Context stores configured in settings.js (contextStorage). Without configuration Node-RED
+// only has the default in-memory store. When no store is called 'default', the default is the
+// store it names, or else the first one listed.
+function resolveContextStores(contextStorage) {
+    const storage = contextStorage && typeof contextStorage === 'object' ? contextStorage : {};
+    const names = Object.keys(storage).filter(name => name !== 'default' || typeof storage.default !== 'string');
+    let defaultStore = 'default';
+    if (typeof storage.default === 'string') {
+        defaultStore = storage.default;
+    } else if (names.length > 0 && !storage.default) {
+        defaultStore = names[0];
+    }
+    return {
+        stores: ['default', ...names.filter(name => name !== 'default')],
+        defaultStore
+    };
+}
+
+// Context stores whose variables are tracked across nodes
+const CONTEXT_SCOPES = ['flow', 'global'];
+
+// Flow and global context reads and writes configured in core nodes (change, switch,
+// inject, template), typed like the function node entries (flow-get, global-set, ...).
+// This includes $flowContext()/$globalContext() in JSONata expressions and the context
+// tags of mustache templates. A store prefix in the key becomes the store of the entry.
+function findNodeFlowVariables(nodeConfig) {
+    const uses = [];
+    const add = (scope, access, key, store = null) => {
+        if (CONTEXT_SCOPES.includes(scope) && typeof key === 'string' && getRootKey(key)) {
+            const parsed = parseContextKey(key);
+            uses.push({ type: `${scope}-${access}`, variableName: parsed.key, store: store || parsed.store });
+        }
+    };
+
+    switch (nodeConfig.type) {
+    case 'change':
+        (nodeConfig.rules || []).forEach(rule => {
+            // change reads before it writes; move reads and removes the source
+            if (rule.t === 'change' || rule.t === 'move') {
+                add(rule.pt, 'get', rule.p);
+            }
+            add(rule.pt, 'set', rule.p);
+            add(rule.tot, rule.t === 'move' ? 'set' : 'get', rule.to);
+            add(rule.fromt, 'get', rule.from);
+        });
+        break;
+    case 'switch':
+        add(nodeConfig.propertyType, 'get', nodeConfig.property);
+        (nodeConfig.rules || []).forEach(rule => {
+            add(rule.vt, 'get', rule.v);
+            add(rule.v2t, 'get', rule.v2);
+        });
+        break;
+    case 'inject':
+        (nodeConfig.props || []).forEach(prop => add(prop.vt, 'get', prop.v));
+        add(nodeConfig.payloadType, 'get', nodeConfig.payload);
+        break;
+    case 'template':
+        add(nodeConfig.fieldType, 'set', nodeConfig.field);
+        if (getMustacheTemplate(nodeConfig) !== null) {
+            findTemplateContextKeys(nodeConfig.template).forEach(({ scope, key, store }) => add(scope, 'get', key, store));
+        }
+        break;
+    }
+
+    findJSONataExpressions(nodeConfig).forEach(({ expression }) => {
+        findJSONataContextKeys(expression).forEach(({ scope, key, store }) => add(scope, 'get', key, store));
+    });
+
+    return uses;
+}
+
+// Map of context variable key -> { gets, sets, stores } for one scope ('flow' or 'global'),
+// keyed as written in the code without store prefix. Every entry names its store (null for
+// the default store) and stores holds the same entries split by store name ('default' for
+// the default store). Function node entries carry the code location; entries of other
+// nodes only identify the node.
+function buildContextVariableMap(nodeConfigs, scope) {
+    // Loaded here because the rules that use this module are loaded by ast-detector
+    const { parseFunctionCode, findFlowVariables } = require('./ast-detector');
+    const variableMap = {};
+    const addEntry = (contextVar, entry) => {
+        const [varScope, access] = contextVar.type.split('-');
+        if (varScope !== scope) {
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(variableMap, contextVar.variableName)) {
+            variableMap[contextVar.variableName] = {
+                gets: [],
+                sets: [],
+                stores: {}
+            };
+        }
+        const variable = variableMap[contextVar.variableName];
+        const list = access === 'get' ? 'gets' : 'sets';
+        const storeName = contextVar.store || 'default';
+        if (!Object.prototype.hasOwnProperty.call(variable.stores, storeName)) {
+            variable.stores[storeName] = { gets: [], sets: [] };
+        }
+        const storeEntry = { ...entry, store: contextVar.store || null };
+        variable[list].push(storeEntry);
+        variable.stores[storeName][list].push(storeEntry);
+    };
+
+    nodeConfigs.forEach(nodeConfig => {
+        if (nodeConfig.type === 'function') {
+            FUNCTION_NODE_TABS.forEach(({ property }) => {
+                const code = nodeConfig[property];
+                if (typeof code !== 'string' || code.trim() === '') {
+                    return;
+                }
+                let ast;
+                try {
+                    ast = parseFunctionCode(code);
+                } catch (error) {
+                    // Code that does not parse contributes no variables
+                    return;
+                }
+                findFlowVariables(ast).forEach(contextVar => addEntry(contextVar, {
+                    nodeId: nodeConfig.id,
+                    nodeName: nodeConfig.name || `Function Node ${nodeConfig.id.substring(0, 8)}`,
+                    flowId: nodeConfig.z,
+                    tab: property,
+                    line: contextVar.line,
+                    column: contextVar.column,
+                    endColumn: contextVar.endColumn,
+                    fullCallStart: contextVar.fullCallStart,
+                    fullCallEnd: contextVar.fullCallEnd
+                }));
+            });
+        } else {
+            findNodeFlowVariables(nodeConfig).forEach(contextVar => addEntry(contextVar, {
+                nodeId: nodeConfig.id,
+                nodeName: nodeConfig.name || `${nodeConfig.type} node ${nodeConfig.id.substring(0, 8)}`,
+                flowId: nodeConfig.z,
+                nodeType: nodeConfig.type
+            }));
+        }
+    });
+
+    return variableMap;
+}
+
+// Flow variable map of the nodes of one flow
+function buildFlowVariableMap(nodeConfigs) {
+    return buildContextVariableMap(nodeConfigs, 'flow');
+}
+
+// Global variable map of all nodes of the instance; entries name the flow (flowId) of
+// each node, since global context is shared by every flow
+function buildGlobalVariableMap(nodeConfigs) {
+    return buildContextVariableMap(nodeConfigs, 'global');
+}
+
+// Flow variables (by root key) written by more than one node. The last write wins, so
+// their value depends on which node ran last. Writers list each node once with the
+// locations of its writes; most-written keys come first.
+function findSharedFlowVariables(flowVariableMap) {
+    const variables = new Map();
+    Object.keys(flowVariableMap || {}).forEach(key => {
+        const rootKey = getRootKey(key);
+        if (!rootKey) {
+            return;
+        }
+        if (!variables.has(rootKey)) {
+            variables.set(rootKey, { writers: new Map(), readers: new Set() });
+        }
+        const variable = variables.get(rootKey);
+        const { gets = [], sets = [] } = flowVariableMap[key];
+        gets.forEach(entry => variable.readers.add(entry.nodeId));
+        sets.forEach(entry => {
+            if (!variable.writers.has(entry.nodeId)) {
+                variable.writers.set(entry.nodeId, {
+                    nodeId: entry.nodeId,
+                    nodeName: entry.nodeName,
+                    nodeType: entry.nodeType || 'function',
+                    flowId: entry.flowId,
+                    locations: []
+                });
+            }
+            variable.writers.get(entry.nodeId).locations.push({ tab: entry.tab, line: entry.line, store: entry.store || null });
+        });
+    });
+
+    return [...variables.entries()]
+        .filter(([, variable]) => variable.writers.size > 1)
+        .map(([key, variable]) => ({ key, writers: [...variable.writers.values()], readers: variable.readers.size }))
+        .sort((a, b) => b.writers.length - a.writers.length || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+    buildFlowVariableMap,
+    buildGlobalVariableMap,
+    findNodeFlowVariables,
+    findSharedFlowVariables,
+    getRootKey,
+    parseContextKey,
+    resolveContextStores
+};
@@ -0,0 +1,559 @@
+const {
+    isFunction,
+    getEnclosingFunction,
+    isMemberCall,
+    getPropertyName,
+    walkAST,
+    getBodyStatements,
+    getNodeLocation
+} = require('./ast-utils');
+const { isDownstreamOfType } = require('./flow-graph');
+
+// Array methods that call their callback before returning
+const SYNC_CALLBACK_METHODS = ['forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'flatMap', 'sort'];
+
+// Configured number of outputs of the analyzed function node, or null when unknown
+function getOutputCount(context) {
+    if (!context.node || context.node.outputs === undefined || context.node.outputs === null) {
+        return null;
+    }
+    const outputs = parseInt(context.node.outputs);
+    return isNaN(outputs) ? null : outputs;
+}
+
+// Return values only become messages in the On Message code, outside nested functions
+function isMessageReturn(node, context) {
+    return (!context.tab || context.tab === 'func') && getEnclosingFunction(node) === null;
+}
+
+// Number of outputs addressed by an array literal, or null when it cannot be known statically
+function getArrayOutputCount(arrayExpression) {
+    if (arrayExpression.elements.some(element => element && element.type === 'SpreadElement')) {
+        return null;
+    }
+    return arrayExpression.elements.length;
+}
+
+// Arrays longer than the output count drop messages. Shorter arrays are valid - the
+// missing outputs send nothing - and are only pointed out.
+function checkOutputArray(node, arrayExpression, outputs, context, verb) {
+    const count = getArrayOutputCount(arrayExpression);
+    if (count === null || count === outputs) {
+        return;
+    }
+    
+    if (count > outputs) {
+        context.report({
+            type: 'outputs-count-mismatch',
+            message: `${verb} ${count} outputs but this node has ${outputs} output${outputs !== 1 ? 's' : ''} - ${count - outputs} message${count - outputs !== 1 ? 's are' : ' is'} silently dropped`,
+            ...getNodeLocation(node),
+            severity: 'warning'
+        });
+        return;
+    }
+    
+    context.report({
+        type: 'outputs-array-short',
+        message: `${verb} ${count} output${count !== 1 ? 's' : ''} but this node has ${outputs} outputs - the other outputs send nothing`,
+        ...getNodeLocation(node),
+        severity: 'info'
+    });
+}
+
+// Async functions and callbacks passed to other calls run after the function node body returned.
+// Named function declarations are assumed to be synchronous helpers.
+function isDeferredFunction(fn) {
+    if (fn.async) {
+        return true;
+    }
+    const parent = fn.parent;
+    return !!parent && parent.type === 'CallExpression' && parent.arguments.includes(fn) &&
+        !SYNC_CALLBACK_METHODS.includes(getPropertyName(parent.callee));
+}
+
+// Whether a node runs after the body finished. Code after a top-level await is fine:
+// Node-RED waits for the body before completing the message.
+function isAsyncPosition(node) {
+    let fn = getEnclosingFunction(node);
+    while (fn) {
+        if (isDeferredFunction(fn)) {
+            return true;
+        }
+        fn = getEnclosingFunction(fn);
+    }
+    return false;
+}
+
+// Whether a statement always ends by returning, throwing, sending or completing the message
+function completesMessage(statement) {
+    if (!statement) {
+        return false;
+    }
+    switch (statement.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+        return true;
+    case 'ExpressionStatement': {
+        const expression = statement.expression.type === 'AwaitExpression'
+            ? statement.expression.argument
+            : statement.expression;
+        return expression.type === 'CallExpression' &&
+            (isMemberCall(expression, 'node', 'send') || isMemberCall(expression, 'node', 'done'));
+    }
+    case 'BlockStatement':
+        return statement.body.some(completesMessage);
+    case 'IfStatement':
+        return completesMessage(statement.consequent) && completesMessage(statement.alternate);
+    case 'TryStatement':
+        return (completesMessage(statement.block) && (!statement.handler || completesMessage(statement.handler.body))) ||
+            completesMessage(statement.finalizer);
+    default:
+        return false;
+    }
+}
+
+// Calls chained onto a call, e.g. the .catch() call of promise.then(f).catch(g)
+function getChainedCalls(call) {
+    const chained = [];
+    let current = call;
+    while (current.parent && current.parent.type === 'MemberExpression' && current.parent.object === current &&
+           current.parent.parent && current.parent.parent.type === 'CallExpression' &&
+           current.parent.parent.callee === current.parent) {
+        current = current.parent.parent;
+        chained.push(current);
+    }
+    return chained;
+}
+
+// Promise chains that are awaited or returned pass their rejection on to the caller
+function isPromiseHandedOver(call) {
+    const chained = getChainedCalls(call);
+    const last = chained.length > 0 ? chained[chained.length - 1] : call;
+    const parent = last.parent;
+    return !!parent && (parent.type === 'AwaitExpression' || parent.type === 'ReturnStatement' ||
+        (parent.type === 'ArrowFunctionExpression' && parent.body === last));
+}
+
+function findUnhandledThen(call, context) {
+    if (getPropertyName(call.callee) !== 'then' || call.arguments.length >= 2 || isPromiseHandedOver(call)) {
+        return;
+    }
+    
+    // Report the last .then() of a chain only, and only when nothing after it handles rejections
+    const chained = getChainedCalls(call);
+    const handled = chained.some(next => getPropertyName(next.callee) === 'catch' ||
+        (getPropertyName(next.callee) === 'then' && next.arguments.length >= 2));
+    const laterThen = chained.some(next => getPropertyName(next.callee) === 'then');
+    if (handled || laterThen) {
+        return;
+    }
+    
+    context.report({
+        type: 'unhandled-promise',
+        message: 'Promise chain has no .catch() - rejections are not reported to Catch nodes',
+        ...getNodeLocation(call.callee.property),
+        severity: 'warning'
+    });
+}
+
+function findAsyncCompletionIssues(context) {
+    const sends = [];
+    const topLevelAwaits = [];
+    let callsDone = false;
+    
+    walkAST(context.ast, node => {
+        if (node.type === 'AwaitExpression' && getEnclosingFunction(node) === null) {
+            topLevelAwaits.push(node);
+        }
+        if (node.type === 'CallExpression') {
+            if (isMemberCall(node, 'node', 'send')) {
+                sends.push(node);
+            } else if (isMemberCall(node, 'node', 'done')) {
+                callsDone = true;
+            } else {
+                findUnhandledThen(node, context);
+            }
+        }
+    });
+    
+    // Sends after the body returned need node.done() to signal completion; node.done
+    // only exists for the message handled by the On Message code
+    if (!callsDone && (!context.tab || context.tab === 'func')) {
+        sends.filter(isAsyncPosition).forEach(send => {
+            context.report({
+                type: 'missing-node-done',
+                message: 'node.send() is called asynchronously but node.done() is never called - Complete and Catch nodes will not track this message',
+                ...getNodeLocation(send),
+                severity: 'warning'
+            });
+        });
+    }
+    
+    // After an await, every path should hand on or complete the message
+    if (topLevelAwaits.length > 0 && context.tab !== 'initialize' && context.tab !== 'finalize' &&
+        !getBodyStatements(context.ast).some(completesMessage)) {
+        context.report({
+            type: 'await-fall-through',
+            message: 'Code after await can finish without returning a message or calling node.send()/node.done()',
+            ...getNodeLocation(topLevelAwaits[0]),
+            severity: 'warning'
+        });
+    }
+}
+
+// Whether an object literal still carries the original message, e.g. { ...msg, payload }
+// or an object that explicitly keeps the HTTP request and response
+function keepsMessageContext(objectExpression) {
+    const keys = objectExpression.properties
+        .filter(property => property.type === 'Property')
+        .map(property => property.key.name || property.key.value);
+    return objectExpression.properties.some(property => property.type === 'SpreadElement' &&
+        property.argument.type === 'Identifier' && property.argument.name === 'msg') ||
+        (keys.includes('req') && keys.includes('res'));
+}
+
+// Whether the analyzed node receives messages from an http in node
+function isHttpEndpointNode(context) {
+    return !!context.flowGraph && !!context.node && !!context.node.id &&
+        isDownstreamOfType(context.flowGraph, context.node.id, 'http in');
+}
+
+function reportMessageReplaced(node, context, description) {
+    if (isHttpEndpointNode(context)) {
+        context.report({
+            type: 'http-context-lost',
+            message: `${description} downstream of an http in node - msg.req and msg.res are lost and the http response node will fail. Set properties on msg instead`,
+            ...getNodeLocation(node),
+            severity: 'warning'
+        });
+        return;
+    }
+    context.report({
+        type: 'msg-overwritten',
+        message: `${description} - msg._msgid and any other message properties are lost. Set properties on msg or use { ...msg, payload }`,
+        ...getNodeLocation(node),
+        severity: 'warning'
+    });
+}
+
+// Occurrences of the msg identifier in a send argument: msg itself or inside (nested) output arrays
+function findSentMessages(argument) {
+    if (!argument) {
+        return [];
+    }
+    if (argument.type === 'Identifier' && argument.name === 'msg') {
+        return [argument];
+    }
+    if (argument.type === 'ArrayExpression') {
+        return argument.elements.reduce((found, element) => found.concat(findSentMessages(element)), []);
+    }
+    return [];
+}
+
+// Whether an expression writes to a property of msg: msg.a = 1, msg.a.b++, delete msg.a
+function isMessageWrite(node) {
+    let target = null;
+    if (node.type === 'AssignmentExpression' || (node.type === 'UnaryExpression' && node.operator === 'delete')) {
+        target = node.type === 'AssignmentExpression' ? node.left : node.argument;
+    } else if (node.type === 'UpdateExpression') {
+        target = node.argument;
+    }
+    if (!target || target.type !== 'MemberExpression') {
+        return false;
+    }
+    while (target.type === 'MemberExpression') {
+        target = target.object;
+    }
+    return target.type === 'Identifier' && target.name === 'msg';
+}
+
+function declaresMessage(node) {
+    const declared = node.type === 'VariableDeclaration' ? node.declarations.map(declarator => declarator.id) : node.params;
+    return (declared || []).some(id => id.type === 'Identifier' && id.name === 'msg');
+}
+
+function cloneMessageFix(identifier) {
+    return {
+        title: 'Wrap in RED.util.cloneMessage()',
+        edits: [{ ...getNodeLocation(identifier), text: 'RED.util.cloneMessage(msg)' }]
+    };
+}
+
+function mergeStates(a, b) {
+    if (!a || !b) {
+        return a || b;
+    }
+    return { ...a, sent: a.sent || b.sent, rebound: a.rebound && b.rebound };
+}
+
+// Data-flow tracking of the msg binding through the On Message code. The state holds the
+// msg identifier of the last send (sent), whether the code runs in a loop (inLoop), whether
+// msg was rebound in the current iteration (rebound) and whether it is in a callback (callback).
+// Node-RED itself clones all but the first message of a single send, so only separate sends count.
+function findMessageAliasing(context) {
+    if (context.tab && context.tab !== 'func') {
+        return;
+    }
+    
+    const reported = new Set();
+    function report(type, node, message, fix) {
+        const key = `${type}:${node.loc.start.line}:${node.loc.start.column}`;
+        if (!reported.has(key)) {
+            reported.add(key);
+            context.report({ type, message, ...getNodeLocation(node), severity: 'warning', fix });
+        }
+    }
+    
+    function onSend(argument, state) {
+        const sent = findSentMessages(argument);
+        if (sent.length === 0) {
+            return state;
+        }
+        if (state.sent) {
+            report('msg-sent-multiple-times', sent[0],
+                `msg was already sent on line ${state.sent.loc.start.line} - both receivers share the same object`,
+                cloneMessageFix(sent[0]));
+        } else if (state.inLoop && !state.rebound) {
+            report('msg-sent-multiple-times', sent[0],
+                'msg is sent inside a loop - every iteration sends the same object',
+                cloneMessageFix(sent[0]));
+        }
+        return { ...state, sent: sent[0] };
+    }
+    
+    function visitChildren(node, state, skipKey) {
+        for (const key in node) {
+            if (!Object.prototype.hasOwnProperty.call(node, key) || ['parent', 'loc', 'range', skipKey].includes(key)) {
+                continue;
+            }
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => {
+                    state = visit(item, state);
+                });
+            } else if (child && typeof child === 'object') {
+                state = visit(child, state);
+            }
+        }
+        return state;
+    }
+    
+    function visit(node, state) {
+        if (!node || typeof node !== 'object' || !node.type) {
+            return state;
+        }
+        if (isFunction(node)) {
+            // Callbacks of array methods run right away, once per element; other functions run later
+            if (!isDeferredFunction(node) && node.type !== 'FunctionDeclaration' && node.parent &&
+                node.parent.type === 'CallExpression' && !declaresMessage(node)) {
+                const body = node.body.type === 'BlockStatement' ? node.body.body : [{ type: 'ExpressionStatement', expression: node.body }];
+                return analyzeLoop(body, state, true);
+            }
+            return state;
+        }
+        if (node.type === 'CallExpression' && isMemberCall(node, 'node', 'send')) {
+            return onSend(node.arguments[0], visitChildren(node, state));
+        }
+        if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && node.left.name === 'msg') {
+            return { ...visit(node.right, state), sent: null, rebound: true };
+        }
+        if (isMessageWrite(node)) {
+            state = visitChildren(node, state);
+            if (state.sent) {
+                report('msg-mutated-after-send', node,
+                    `msg is modified after it was sent on line ${state.sent.loc.start.line} - the receiving nodes see this change`,
+                    cloneMessageFix(state.sent));
+            }
+            return state;
+        }
+        return visitChildren(node, state);
+    }
+    
+    function analyzeLoop(statements, state, callback = false) {
+        const entry = { ...state, inLoop: true, rebound: false, callback: state.callback || callback };
+        const first = analyzeStatements(statements, entry);
+        // A second iteration finds writes at the start of the body following a send at its end
+        const second = first ? analyzeStatements(statements, { ...first, rebound: false }) : null;
+        const exit = mergeStates(mergeStates(first, second), state);
+        return { ...exit, inLoop: state.inLoop, rebound: state.rebound, callback: state.callback };
+    }
+    
+    // Returns the state after the statement, or null when it never completes normally
+    function analyzeStatement(statement, state) {
+        switch (statement.type) {
+        case 'BlockStatement':
+            return analyzeStatements(statement.body, state);
+        case 'IfStatement': {
+            const afterTest = visit(statement.test, state);
+            const consequent = analyzeStatement(statement.consequent, afterTest);
+            const alternate = statement.alternate ? analyzeStatement(statement.alternate, afterTest) : afterTest;
+            return consequent || alternate ? mergeStates(consequent, alternate) : null;
+        }
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'WhileStatement':
+        case 'DoWhileStatement':
+            if (statement.left && declaresMessage(statement.left)) {
+                return state;
+            }
+            return analyzeLoop([statement.body], visitChildren(statement, state, 'body'));
+        case 'SwitchStatement': {
+            const afterTest = visit(statement.discriminant, state);
+            return statement.cases.reduce((result, switchCase) =>
+                mergeStates(result, analyzeStatements(switchCase.consequent, afterTest)), afterTest);
+        }
+        case 'TryStatement': {
+            const afterBlock = analyzeStatement(statement.block, state);
+            const afterHandler = statement.handler
+                ? analyzeStatement(statement.handler.body, mergeStates(afterBlock, state))
+                : null;
+            const result = statement.handler ? (afterBlock || afterHandler ? mergeStates(afterBlock, afterHandler) : null) : afterBlock;
+            if (statement.finalizer) {
+                const afterFinalizer = analyzeStatement(statement.finalizer, result || state);
+                return result ? afterFinalizer : null;
+            }
+            return result;
+        }
+        case 'ReturnStatement': {
+            const afterArgument = visit(statement.argument, state);
+            if (!state.callback) {
+                onSend(statement.argument, afterArgument);
+            }
+            return null;
+        }
+        case 'ThrowStatement':
+            visit(statement.argument, state);
+            return null;
+        case 'FunctionDeclaration':
+            return state;
+        default:
+            if (statement.type === 'VariableDeclaration' && declaresMessage(statement)) {
+                return { ...visitChildren(statement, state), sent: null, rebound: true };
+            }
+            return visit(statement, state);
+        }
+    }
+    
+    function analyzeStatements(statements, state) {
+        for (const statement of statements) {
+            state = analyzeStatement(statement, state);
+            if (!state) {
+                return null;
+            }
+        }
+        return state;
+    }
+    
+    analyzeStatements(getBodyStatements(context.ast), { sent: null, inLoop: false, rebound: false, callback: false });
+}
+
+// Rules about how function nodes produce and handle messages
+module.exports = [
+    {
+        id: 'outputs-count-mismatch',
+        name: 'Outputs count mismatch',
+        description: 'Array returns or node.send() arrays whose length differs from the node output count',
+        level: 2,
+        severity: 'critical',
+        category: 'messages',
+        issueTypes: ['outputs-count-mismatch', 'outputs-array-short'],
+        issueSeverities: { 'outputs-array-short': 'info' },
+        visitors: {
+            ReturnStatement(node, context) {
+                const outputs = getOutputCount(context);
+                if (outputs === null || !node.argument || node.argument.type !== 'ArrayExpression' || !isMessageReturn(node, context)) {
+                    return;
+                }
+                checkOutputArray(node, node.argument, outputs, context, 'Returns messages for');
+            },
+            CallExpression(node, context) {
+                const outputs = getOutputCount(context);
+                if (outputs === null || !isMemberCall(node, 'node', 'send') ||
+                    !node.arguments[0] || node.arguments[0].type !== 'ArrayExpression') {
+                    return;
+                }
+                checkOutputArray(node, node.arguments[0], outputs, context, 'node.send() addresses');
+            }
+        }
+    },
+    {
+        id: 'async-completion',
+        name: 'Async completion',
+        description: 'Asynchronous sends without node.done(), await paths that fall through and .then() chains without .catch()',
+        level: 2,
+        severity: 'warning',
+        category: 'messages',
+        issueTypes: ['missing-node-done', 'await-fall-through', 'unhandled-promise'],
+        post: findAsyncCompletionIssues
+    },
+    {
+        id: 'msg-overwritten',
+        name: 'Message overwritten',
+        description: 'msg replaced by a new object literal, losing _msgid and the HTTP request context',
+        level: 2,
+        severity: 'warning',
+        category: 'messages',
+        issueTypes: ['msg-overwritten', 'http-context-lost'],
+        issueSeverities: { 'http-context-lost': 'critical' },
+        visitors: {
+            AssignmentExpression(node, context) {
+                if (node.operator !== '=' || node.left.type !== 'Identifier' || node.left.name !== 'msg' ||
+                    node.right.type !== 'ObjectExpression' || keepsMessageContext(node.right) ||
+                    (context.tab && context.tab !== 'func')) {
+                    return;
+                }
+                reportMessageReplaced(node, context, 'msg is replaced by a new object');
+            },
+            ReturnStatement(node, context) {
+                const argument = node.argument;
+                if (!argument || argument.type !== 'ObjectExpression' || keepsMessageContext(argument) ||
+                    !isMessageReturn(node, context)) {
+                    return;
+                }
+                reportMessageReplaced(node, context, 'A new object is returned instead of msg');
+            }
+        }
+    },
+    {
+        id: 'msg-aliasing',
+        name: 'Message aliasing',
+        description: 'msg modified after node.send(msg), or the same msg object sent several times',
+        level: 2,
+        severity: 'warning',
+        category: 'messages',
+        issueTypes: ['msg-mutated-after-send', 'msg-sent-multiple-times'],
+        post: findMessageAliasing
+    },
+    {
+        id: 'single-message-return',
+        name: 'Single message from multi-output node',
+        description: 'Returning a single message from a node with several outputs only uses the first output',
+        level: 3,
+        severity: 'info',
+        category: 'messages',
+        visitors: {
+            ReturnStatement(node, context) {
+                const outputs = getOutputCount(context);
+                const argument = node.argument;
+                if (outputs === null || outputs < 2 || !argument || !isMessageReturn(node, context)) {
+                    return;
+                }
+                
+                // null/undefined intentionally send nothing; arrays are checked by outputs-count-mismatch
+                const sendsNothing = (argument.type === 'Literal' && argument.value === null) ||
+                    (argument.type === 'Identifier' && argument.name === 'undefined');
+                if (sendsNothing || argument.type === 'ArrayExpression') {
+                    return;
+                }
+                
+                context.report({
+                    type: 'single-message-return',
+                    message: `This node has ${outputs} outputs but returns a single message, which is only sent to output 1`,
+                    ...getNodeLocation(node),
+                    severity: 'info'
+                });
+            }
+        }
+    }
+];
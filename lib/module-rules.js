@@ -0,0 +1,101 @@
+const { walkAST, isVariableReference } = require('./ast-utils');
+const { FUNCTION_NODE_TABS } = require('./detector');
+
+// Names the function node sandbox defines for every function; a lib variable with one of
+// these names hides the Node-RED object in all code of the node
+const SANDBOX_GLOBALS = [
+    'msg', 'node', 'context', 'flow', 'global', 'env', 'RED', 'util', 'console', 'Buffer', 'Date',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'
+];
+
+// Modules declared in the function node Setup tab
+function getDeclaredLibs(context) {
+    const libs = context.node && Array.isArray(context.node.libs) ? context.node.libs : [];
+    return libs.filter(lib => lib && typeof lib.var === 'string' && lib.var.trim() !== '');
+}
+
+// Tab that reports node-level findings: On Message, or the first tab with code
+function getReportingTab(node) {
+    const hasCode = property => typeof node[property] === 'string' && node[property].trim() !== '';
+    if (hasCode('func')) {
+        return 'func';
+    }
+    const tab = FUNCTION_NODE_TABS.find(({ property }) => hasCode(property));
+    return tab ? tab.property : 'func';
+}
+
+// Whether the variable is used in the analyzed code or in the other tabs of the node
+function isLibUsed(name, context) {
+    let used = false;
+    walkAST(context.ast, node => {
+        if (!used && node.type === 'Identifier' && node.name === name && isVariableReference(node)) {
+            used = true;
+        }
+    });
+    if (used) {
+        return true;
+    }
+
+    const pattern = new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`);
+    return FUNCTION_NODE_TABS.some(({ property }) => property !== (context.tab || 'func') &&
+        typeof context.node[property] === 'string' && pattern.test(context.node[property]));
+}
+
+// Findings about the Setup tab are reported at the start of the code
+function getSetupLocation(context) {
+    return { line: 1, column: 1, endColumn: Math.max(context.lines[0].length, 1) + 1 };
+}
+
+// Checks for the modules a function node loads through its Setup tab
+module.exports = [
+    {
+        id: 'function-libs',
+        name: 'Setup tab modules',
+        description: 'Modules in the Setup tab that are unused, hide Node-RED globals or are not installed',
+        level: 2,
+        severity: 'warning',
+        category: 'modules',
+        issueTypes: ['unused-lib', 'lib-shadows-global', 'missing-lib-module'],
+        issueSeverities: {
+            'lib-shadows-global': 'critical',
+            'missing-lib-module': 'critical'
+        },
+        post(context) {
+            const libs = getDeclaredLibs(context);
+            if (libs.length === 0 || (context.tab || 'func') !== getReportingTab(context.node)) {
+                return;
+            }
+
+            // The runtime decides whether a module is installed; without it the check is skipped
+            const isModuleInstalled = context.detectorOptions.isModuleInstalled;
+
+            libs.forEach(lib => {
+                const name = lib.var.trim();
+                const module = lib.module || name;
+                if (SANDBOX_GLOBALS.includes(name)) {
+                    context.report({
+                        type: 'lib-shadows-global',
+                        message: `Setup tab variable '${name}' (module '${module}') hides the Node-RED '${name}' object - rename the variable`,
+                        ...getSetupLocation(context),
+                        severity: 'warning'
+                    });
+                } else if (!isLibUsed(name, context)) {
+                    context.report({
+                        type: 'unused-lib',
+                        message: `Module '${module}' is loaded as '${name}' in the Setup tab but never used - remove it`,
+                        ...getSetupLocation(context),
+                        severity: 'warning'
+                    });
+                }
+                if (typeof isModuleInstalled === 'function' && lib.module && !isModuleInstalled(lib.module)) {
+                    context.report({
+                        type: 'missing-lib-module',
+                        message: `Module '${lib.module}' (Setup tab variable '${name}') is not installed in the Node-RED runtime`,
+                        ...getSetupLocation(context),
+                        severity: 'warning'
+                    });
+                }
+            });
+        }
+    }
+];
@@ -0,0 +1,133 @@
+// JSONata expressions and mustache templates configured in core nodes (change, switch,
+// inject and template), which hold logic outside function node code.
+
+const TODO_PATTERN = /(TODO|FIXME):/i;
+
+// JSONata expressions of a node: { label, expression } for every typed input set to
+// JSONata, labelled as in the edit dialog
+function findJSONataExpressions(nodeConfig) {
+    const expressions = [];
+    const add = (type, expression, label) => {
+        if (type === 'jsonata' && typeof expression === 'string' && expression.trim() !== '') {
+            expressions.push({ label, expression });
+        }
+    };
+
+    switch (nodeConfig.type) {
+    case 'change':
+        (nodeConfig.rules || []).forEach((rule, index) => {
+            add(rule.tot, rule.to, `rule ${index + 1}`);
+            add(rule.fromt, rule.from, `rule ${index + 1} (search)`);
+        });
+        break;
+    case 'switch':
+        add(nodeConfig.propertyType, nodeConfig.property, 'property');
+        (nodeConfig.rules || []).forEach((rule, index) => {
+            add(rule.vt, rule.v, `rule ${index + 1}`);
+            add(rule.v2t, rule.v2, `rule ${index + 1} (second value)`);
+        });
+        break;
+    case 'inject':
+        (nodeConfig.props || []).forEach(prop => add(prop.vt, prop.v, `msg.${prop.p}`));
+        add(nodeConfig.payloadType, nodeConfig.payload, 'msg.payload');
+        break;
+    }
+
+    return expressions;
+}
+
+// $flowContext() and $globalContext() calls with a literal key in a JSONata expression:
+// { scope, key, store }, store null for the default store
+function findJSONataContextKeys(expression) {
+    const keys = [];
+    const pattern = /\$(flowContext|globalContext)\(\s*(["'])((?:\\.|(?!\2)[^\\])*)\2\s*(?:,\s*(["'])([^"']*)\4\s*)?\)/g;
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+        keys.push({
+            scope: match[1] === 'flowContext' ? 'flow' : 'global',
+            key: match[3],
+            store: match[5] || null
+        });
+    }
+    return keys;
+}
+
+// Mustache template of a template node, unless it is plain text
+function getMustacheTemplate(nodeConfig) {
+    if (nodeConfig.type !== 'template' || nodeConfig.syntax === 'plain' || typeof nodeConfig.template !== 'string') {
+        return null;
+    }
+    return nodeConfig.template;
+}
+
+// {{flow.key}} and {{global.key}} tags of a mustache template, also in sections and with
+// a store ({{flow[file].key}}): { scope, key, store }
+function findTemplateContextKeys(template) {
+    const keys = [];
+    const pattern = /\{\{\{?\s*[#^/]?\s*(flow|global)(?:\[([\w$-]+)\])?\.([\w$]+)/g;
+    let match;
+    while ((match = pattern.exec(template)) !== null) {
+        keys.push({ scope: match[1], key: match[3], store: match[2] || null });
+    }
+    return keys;
+}
+
+function getLineAt(text, index) {
+    return text.substring(0, index).split('\n').length;
+}
+
+// First syntax error of a mustache template: a tag that is not closed, or a section that
+// is not closed or closed with another name. Returns { message, line } or null.
+function findMustacheSyntaxError(template) {
+    const sections = [];
+    let index = 0;
+    while ((index = template.indexOf('{{', index)) !== -1) {
+        const triple = template.startsWith('{{{', index);
+        const close = triple ? '}}}' : '}}';
+        const end = template.indexOf(close, index);
+        if (end === -1) {
+            return { message: `Tag '${template.substring(index, index + 20).split('\n')[0]}' is not closed with '${close}'`, line: getLineAt(template, index) };
+        }
+        const tag = template.substring(index + (triple ? 3 : 2), end).trim();
+        // Custom delimiters change the tag syntax from here on
+        if (tag.startsWith('=')) {
+            return null;
+        }
+        const name = tag.substring(1).trim();
+        if (tag.startsWith('#') || tag.startsWith('^')) {
+            sections.push({ name, line: getLineAt(template, index) });
+        } else if (tag.startsWith('/')) {
+            const open = sections.pop();
+            if (!open) {
+                return { message: `Closing tag '{{/${name}}}' has no opening section`, line: getLineAt(template, index) };
+            }
+            if (open.name !== name) {
+                return { message: `Section '${open.name}' opened on line ${open.line} is closed with '{{/${name}}}'`, line: getLineAt(template, index) };
+            }
+        }
+        index = end + close.length;
+    }
+    const unclosed = sections.pop();
+    return unclosed ? { message: `Section '${unclosed.name}' is not closed with '{{/${unclosed.name}}}'`, line: unclosed.line } : null;
+}
+
+// TODO: and FIXME: markers in an expression or template, with their line
+function findTodoMarkers(text) {
+    const markers = [];
+    text.split('\n').forEach((line, index) => {
+        const match = line.match(TODO_PATTERN);
+        if (match) {
+            markers.push({ marker: match[1].toUpperCase(), line: index + 1, text: line.trim() });
+        }
+    });
+    return markers;
+}
+
+module.exports = {
+    findJSONataExpressions,
+    findJSONataContextKeys,
+    getMustacheTemplate,
+    findTemplateContextKeys,
+    findMustacheSyntaxError,
+    findTodoMarkers
+};
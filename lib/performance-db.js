@@ -129,7 +129,7 @@ class PerformanceDatabase {
                     // Run pragma statements with error handling
                     this.db.serialize(() => {
                         let completedOperations = 0;
-                        const totalOperations = 10; // Number of CREATE operations below
+                        const totalOperations = 11; // Number of CREATE operations below
                         let hasError = false;
                         
                         const checkCompletion = (err) => {
@@ -188,6 +188,7 @@ class PerformanceDatabase {
                                 issue_types TEXT,
                                 quality_score REAL NOT NULL DEFAULT 100,
                                 complexity_score REAL NOT NULL DEFAULT 0,
+                                error_coverage REAL,
                                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
                             )
                         `, checkCompletion);
@@ -204,6 +205,23 @@ class PerformanceDatabase {
                                 complexity_score REAL NOT NULL DEFAULT 0,
                                 lines_of_code INTEGER DEFAULT 0,
                                 quality_score REAL NOT NULL DEFAULT 100,
+                                cyclomatic_complexity INTEGER DEFAULT 0,
+                                cognitive_complexity INTEGER DEFAULT 0,
+                                max_nesting_depth INTEGER DEFAULT 0,
+                                max_function_length INTEGER DEFAULT 0,
+                                complexity_details TEXT,
+                                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                            )
+                        `, checkCompletion);
+                        
+                        // Code changes made by the auto-fixer, kept to undo them
+                        this.db.run(`
+                            CREATE TABLE IF NOT EXISTS fix_history (
+                                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                summary TEXT,
+                                changes TEXT NOT NULL,
+                                applied_at DATETIME,
+                                undone_at DATETIME,
                                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
                             )
                         `, checkCompletion);
@@ -220,6 +238,20 @@ class PerformanceDatabase {
                             // This operation doesn't count towards completion as it might fail (column exists)
                             // Just continue
                         });
+
+                        // Migration: Add error handling coverage column (ignore errors, column may exist)
+                        this.db.run('ALTER TABLE code_quality_metrics ADD COLUMN error_coverage REAL', () => {});
+
+                        // Migration: Add AST complexity breakdown columns (ignore errors, columns may exist)
+                        [
+                            'cyclomatic_complexity INTEGER DEFAULT 0',
+                            'cognitive_complexity INTEGER DEFAULT 0',
+                            'max_nesting_depth INTEGER DEFAULT 0',
+                            'max_function_length INTEGER DEFAULT 0',
+                            'complexity_details TEXT'
+                        ].forEach(column => {
+                            this.db.run(`ALTER TABLE node_quality_metrics ADD COLUMN ${column}`, () => {});
+                        });
                     });
                 });
             } catch (error) {
@@ -686,6 +718,15 @@ class PerformanceDatabase {
                     }
                 });
                 
+                // Delete old auto-fix undo records
+                this.db.run('DELETE FROM fix_history WHERE created_at < ?', [cutoffTime], (err) => {
+                    if (err) {
+                        this.db.run('ROLLBACK');
+                        reject(new Error('Error pruning old fix history: ' + err.message));
+                        return;
+                    }
+                });
+                
                 // Commit transaction
                 this.db.run('COMMIT', (err) => {
                     if (err) {
@@ -773,7 +814,8 @@ class PerformanceDatabase {
     }
 
     // Store code quality metrics (with UPSERT to prevent duplicates)
-    async storeCodeQualityMetrics(flowId, flowName, totalIssues, nodesWithIssues, nodesWithCriticalIssues, totalFunctionNodes, issueTypes, qualityScore, complexityScore) {
+    // errorCoverage: percentage of function nodes that can throw with a catch node, or null
+    async storeCodeQualityMetrics(flowId, flowName, totalIssues, nodesWithIssues, nodesWithCriticalIssues, totalFunctionNodes, issueTypes, qualityScore, complexityScore, errorCoverage = null) {
         return this.executeOperation(() => {
             return new Promise((resolve, reject) => {
                 if (!this.db || !this.initialized) {
@@ -789,13 +831,14 @@ class PerformanceDatabase {
                 const stmt = this.db.prepare(`
                     INSERT INTO code_quality_metrics (
                         flow_id, flow_name, total_issues, nodes_with_issues, nodes_with_critical_issues, 
-                        total_function_nodes, issue_types, quality_score, complexity_score
+                        total_function_nodes, issue_types, quality_score, complexity_score, error_coverage
                     )
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `);
                 
                 stmt.run(flowId, flowName, totalIssues, nodesWithIssues, nodesWithCriticalIssues, 
-                    totalFunctionNodes, issueTypesJson, roundedQualityScore, roundedComplexityScore, function(err) {
+                    totalFunctionNodes, issueTypesJson, roundedQualityScore, roundedComplexityScore,
+                    typeof errorCoverage === 'number' ? errorCoverage : null, function(err) {
                         stmt.finalize();
                         if (err) {
                             reject(err);
@@ -830,9 +873,11 @@ class PerformanceDatabase {
                     const stmt = db.prepare(`
                         INSERT INTO node_quality_metrics (
                             flow_id, node_id, node_name, issues_count, issue_details, 
-                            complexity_score, lines_of_code, quality_score
+                            complexity_score, lines_of_code, quality_score,
+                            cyclomatic_complexity, cognitive_complexity, max_nesting_depth,
+                            max_function_length, complexity_details
                         )
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                     `);
                     
                     let completedInserts = 0;
@@ -843,10 +888,13 @@ class PerformanceDatabase {
                         const issueDetailsJson = JSON.stringify(nodeMetric.issueDetails || []);
                         const roundedComplexityScore = Math.round(nodeMetric.complexityScore * 100) / 100;
                         const roundedQualityScore = Math.round(nodeMetric.qualityScore * 100) / 100;
+                        const complexity = nodeMetric.complexity || {};
                         
                         stmt.run(flowId, nodeMetric.nodeId, nodeMetric.nodeName, nodeMetric.issuesCount, 
                             issueDetailsJson, roundedComplexityScore, nodeMetric.linesOfCode, 
-                            roundedQualityScore, function(err) {
+                            roundedQualityScore, complexity.cyclomatic || 0, complexity.cognitive || 0,
+                            complexity.maxNesting || 0, complexity.maxFunctionLength || 0,
+                            JSON.stringify(complexity.functions || []), function(err) {
                                 completedInserts++;
                             
                                 if (err && !hasError) {
@@ -875,7 +923,8 @@ class PerformanceDatabase {
     }
 
     // Store node-level quality metrics
-    async storeNodeQualityMetrics(flowId, nodeId, nodeName, issuesCount, issueDetails, complexityScore, linesOfCode, qualityScore) {
+    // complexity is the optional AST breakdown from QualityMetrics.calculateNodeComplexity
+    async storeNodeQualityMetrics(flowId, nodeId, nodeName, issuesCount, issueDetails, complexityScore, linesOfCode, qualityScore, complexity = {}) {
         return this.executeOperation(() => {
             return new Promise((resolve, reject) => {
                 if (!this.db || !this.initialized) {
@@ -886,9 +935,11 @@ class PerformanceDatabase {
                 const stmt = this.db.prepare(`
                 INSERT INTO node_quality_metrics (
                     flow_id, node_id, node_name, issues_count, issue_details, 
-                    complexity_score, lines_of_code, quality_score
+                    complexity_score, lines_of_code, quality_score,
+                    cyclomatic_complexity, cognitive_complexity, max_nesting_depth,
+                    max_function_length, complexity_details
                 )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
             
                 const issueDetailsJson = JSON.stringify(issueDetails || []);
@@ -896,7 +947,9 @@ class PerformanceDatabase {
                 const roundedQualityScore = Math.round(qualityScore * 100) / 100;
             
                 stmt.run(flowId, nodeId, nodeName, issuesCount, issueDetailsJson, 
-                    roundedComplexityScore, linesOfCode, roundedQualityScore, function(err) {
+                    roundedComplexityScore, linesOfCode, roundedQualityScore,
+                    complexity.cyclomatic || 0, complexity.cognitive || 0, complexity.maxNesting || 0,
+                    complexity.maxFunctionLength || 0, JSON.stringify(complexity.functions || []), function(err) {
                         stmt.finalize();
                         if (err) {
                             reject(err);
@@ -1010,6 +1063,7 @@ class PerformanceDatabase {
                     cqm.total_function_nodes,
                     cqm.quality_score,
                     cqm.complexity_score,
+                    cqm.error_coverage,
                     cqm.created_at
                 FROM code_quality_metrics cqm
                 INNER JOIN (
@@ -1049,7 +1103,7 @@ class PerformanceDatabase {
         });
     }
 
-    // Get most problematic nodes
+    // Get most problematic nodes, with the complexity breakdown stored by their last analysis
     async getMostProblematicNodes(limit = 20) {
         return new Promise((resolve, reject) => {
             if (!this.db || !this.initialized) {
@@ -1066,6 +1120,11 @@ class PerformanceDatabase {
                     nqm.quality_score,
                     nqm.complexity_score,
                     nqm.lines_of_code,
+                    nqm.cyclomatic_complexity,
+                    nqm.cognitive_complexity,
+                    nqm.max_nesting_depth,
+                    nqm.max_function_length,
+                    nqm.complexity_details,
                     nqm.created_at
                 FROM node_quality_metrics nqm
                 INNER JOIN (
@@ -1080,10 +1139,17 @@ class PerformanceDatabase {
                 if (err) {
                     reject(err);
                 } else {
-                    const processedRows = rows.map(row => ({
+                    const processedRows = rows.map(({ complexity_details: complexityDetails, ...row }) => ({
                         ...row,
                         quality_score: Math.round(row.quality_score * 100) / 100,
-                        complexity_score: Math.round(row.complexity_score * 100) / 100
+                        complexity_score: Math.round(row.complexity_score * 100) / 100,
+                        complexity: {
+                            cyclomatic: row.cyclomatic_complexity,
+                            cognitive: row.cognitive_complexity,
+                            maxNesting: row.max_nesting_depth,
+                            maxFunctionLength: row.max_function_length,
+                            functions: JSON.parse(complexityDetails || '[]')
+                        }
                     }));
                     resolve(processedRows);
                 }
@@ -1092,6 +1158,138 @@ class PerformanceDatabase {
     }
 
 
+    // Store the code changes of an auto-fix run for undo, before they are deployed;
+    // the run counts once markFixApplied has been called for it
+    // changes: [{ nodeId, nodeName, flowId, tab, before, after }]
+    async storeFixRecord(summary, changes) {
+        return this.executeOperation(() => {
+            return new Promise((resolve, reject) => {
+                if (!this.db || !this.initialized) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+                
+                const stmt = this.db.prepare('INSERT INTO fix_history (summary, changes) VALUES (?, ?)');
+                stmt.run(summary, JSON.stringify(changes || []), function(err) {
+                    stmt.finalize();
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                });
+            });
+        });
+    }
+
+    // Get one auto-fix run with its changes, or null
+    async getFixRecord(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.db || !this.initialized) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+            
+            this.db.get('SELECT * FROM fix_history WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { ...row, changes: JSON.parse(row.changes || '[]') } : null);
+                }
+            });
+        });
+    }
+
+    // Get recent auto-fix runs, newest first, with the nodes they changed but not the code
+    async getFixHistory(limit = 20) {
+        return new Promise((resolve, reject) => {
+            if (!this.db || !this.initialized) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+            
+            this.db.all(`
+                SELECT * FROM fix_history 
+                WHERE applied_at IS NOT NULL
+                ORDER BY created_at DESC, id DESC 
+                LIMIT ?
+            `, [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        summary: row.summary,
+                        created_at: row.created_at,
+                        applied_at: row.applied_at,
+                        undone_at: row.undone_at,
+                        changes: JSON.parse(row.changes || '[]').map(({ nodeId, nodeName, flowId, tab }) => ({ nodeId, nodeName, flowId, tab }))
+                    })));
+                }
+            });
+        });
+    }
+
+    // Mark a stored auto-fix run as deployed
+    async markFixApplied(id) {
+        return this.executeOperation(() => {
+            return new Promise((resolve, reject) => {
+                if (!this.db || !this.initialized) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+                
+                this.db.run('UPDATE fix_history SET applied_at = ? WHERE id = ?', [new Date().toISOString(), id], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0);
+                    }
+                });
+            });
+        });
+    }
+
+    // Remove a stored auto-fix run whose deploy failed
+    async deleteFixRecord(id) {
+        return this.executeOperation(() => {
+            return new Promise((resolve, reject) => {
+                if (!this.db || !this.initialized) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+                
+                this.db.run('DELETE FROM fix_history WHERE id = ?', [id], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0);
+                    }
+                });
+            });
+        });
+    }
+
+    // Mark an auto-fix run as undone
+    async markFixUndone(id) {
+        return this.executeOperation(() => {
+            return new Promise((resolve, reject) => {
+                if (!this.db || !this.initialized) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+                
+                this.db.run('UPDATE fix_history SET undone_at = ? WHERE id = ?', [new Date().toISOString(), id], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0);
+                    }
+                });
+            });
+        });
+    }
+
     // Set retention policy
     setRetentionDays(days) {
         this.retentionDays = Math.max(1, Math.min(30, days)); // Between 1 and 30 days
@@ -1,7 +1,16 @@
-const { detectDebuggingTraits } = require('./detector');
+const { analyzeFunctionNode, hasFunctionNodeCode, countFunctionNodeLines, FUNCTION_NODE_TABS } = require('./detector');
+const { analyzeCodeComplexity, analyzeFunctionNodeComplexity } = require('./complexity');
+const { ruleRegistry } = require('./rule-registry');
+const { resolveRuleConfig, getIssueTypeSeverity } = require('./rule-config');
+const { analyzeFlowHygiene, getHygieneCheck } = require('./flow-hygiene');
+const { getWiringCheck } = require('./wire-analysis');
+const { analyzeErrorCoverage, getErrorHandlingCheck } = require('./error-coverage');
 
 class QualityMetrics {
-    constructor() {
+    // ruleConfig: optional rule configuration whose severity overrides are used for scoring
+    constructor(ruleConfig = null) {
+        this.ruleConfig = ruleConfig ? resolveRuleConfig(ruleConfig) : null;
+        
         // Quality scoring weights - STRICT SCORING
         this.weights = {
             // Critical issues (Level 1) - SEVERELY PENALIZED
@@ -16,33 +25,103 @@ class QualityMetrics {
             
             // Minor issues (Level 3) - MODERATELY PENALIZED
             'hardcoded-test': 12,          // Moderate: test artifacts
-            'multiple-empty-lines': 3      // Minor: formatting
+            'multiple-empty-lines': 3,     // Minor: formatting
+            
+            // Message handling issues
+            'outputs-count-mismatch': 40,  // Critical: messages silently dropped
+            'outputs-array-short': 2,      // Minor: outputs left without a message
+            'http-context-lost': 40,       // Critical: http response can no longer be sent
+            'msg-overwritten': 20,         // Important: message properties lost
+            'msg-mutated-after-send': 20,  // Important: receivers see later changes
+            'msg-sent-multiple-times': 15, // Moderate: receivers share one object
+            'missing-node-done': 15,       // Moderate: Complete/Catch nodes miss the message
+            'await-fall-through': 10,      // Moderate: message may silently disappear
+            'unhandled-promise': 15,       // Moderate: rejections are lost
+            'single-message-return': 5,    // Minor: possibly unintended routing
+            
+            // Resource leaks
+            'uncleared-interval': 35,      // Severe: timer outlives the node
+            'uncleared-timeout-loop': 30,  // Severe: polling loop outlives the node
+            'listener-leak': 35,           // Severe: one more listener per message
+            
+            // Security issues
+            'sandbox-escape': 60,          // Critical: unrestricted access to the host
+            'eval-usage': 50,              // Critical: arbitrary code execution
+            'function-constructor': 50,    // Critical: arbitrary code execution
+            'hardcoded-secret': 50,        // Critical: leaked credentials
+            'child-process': 30,           // Major: system commands
+            
+            // Setup tab modules
+            'missing-lib-module': 40,      // Critical: the node cannot start
+            'lib-shadows-global': 40,      // Critical: Node-RED object unreachable
+            'unused-lib': 10,              // Moderate: module loaded for nothing
+            
+            // Context use
+            'flow-variable-never-set': 20, // Important: likely a typo, the read gets undefined
+            'flow-variable-never-read': 5, // Minor: stale or misspelled key
+            'unknown-context-store': 20,   // Important: value silently lands in the default store
+            'mixed-context-stores': 15,    // Moderate: readers and writers see different values
+            'flow-read-modify-write': 20,  // Important: concurrent messages lose updates
+            'multiple-flow-writers': 10,   // Moderate: value depends on which node ran last
+            
+            // Flow hygiene (nodes rather than code)
+            'active-debug-node': 10,       // Important: debug output left on
+            'wire-to-disabled-node': 10,   // Important: messages silently dropped
+            'disabled-node': 5,            // Moderate: forgotten leftovers
+            'inject-once': 3,              // Minor: test trigger on deploy
+            'inject-repeat': 3,            // Minor: test trigger on a timer
+            'unnamed-function-node': 2,    // Minor: hard to find in the flow
+            'jsonata-syntax-error': 30,    // Critical: the node fails on every message
+            'template-syntax-error': 30,   // Critical: the output is not what was meant
+            'expression-todo': 15,         // Important: unfinished work
+            
+            // Wiring
+            'message-loop': 25,            // Critical: messages can circle forever
+            'broken-link': 15,             // Important: messages silently dropped
+            'unreachable-node': 10,        // Moderate: node never runs
+            'unwired-output': 3,           // Minor: output messages dropped
+            
+            // Error handling
+            'catch-swallows-errors': 10,   // Important: caught errors disappear
+            'uncaught-errors': 5           // Moderate: errors only reach the log
+        };
+        
+        // Display colour and sort priority per severity level
+        this.severityStyles = {
+            critical: { color: '#dc2626', priority: 1 },
+            'resource-leak': { color: '#9333ea', priority: 2 },
+            warning: { color: '#f59e0b', priority: 3 },
+            info: { color: '#3b82f6', priority: 4 }
         };
         
         // Complexity factors
         this.complexityFactors = {
             linesOfCode: 0.1,
             cyclomaticComplexity: 2.0,
+            cognitiveComplexity: 0.5,
             nestingDepth: 1.5,
             functionCount: 0.5
         };
     }
 
     // Calculate quality score for a single node - STRICT SCORING
-    calculateNodeQualityScore(issues, linesOfCode = 0) {
+    calculateNodeQualityScore(issues, linesOfCode = 0, ruleConfig = this.ruleConfig) {
         let baseScore = 100;
         let totalDeduction = 0;
         let hasCriticalIssues = false;
 
         // Deduct points based on issues found
         issues.forEach(issue => {
-            const weight = this.weights[issue.type] || 1;
-            const severity = this.getIssueSeverity(issue.type);
+            const weight = this.getIssueWeight(issue.type);
+            const severity = this.getIssueSeverity(issue.type, ruleConfig);
             
             if (severity.level === 'critical') {
                 hasCriticalIssues = true;
                 // Critical issues get exponential penalty
                 totalDeduction += weight * 1.5; // 1.5x multiplier for critical
+            } else if (severity.level === 'resource-leak') {
+                // Leaks grow with uptime, so they weigh more than warnings
+                totalDeduction += weight * 1.25;
             } else {
                 totalDeduction += weight;
             }
@@ -59,7 +138,7 @@ class QualityMetrics {
 
         // Multiple critical issues = near-zero score
         const criticalCount = issues.filter(issue => 
-            this.getIssueSeverity(issue.type).level === 'critical').length;
+            this.getIssueSeverity(issue.type, ruleConfig).level === 'critical').length;
         if (criticalCount >= 2) {
             baseScore = Math.min(baseScore, 15); // Maximum 15 points with 2+ critical issues
         }
@@ -68,53 +147,49 @@ class QualityMetrics {
         return Math.round(qualityScore * 100) / 100;
     }
 
-    // Calculate complexity score for code
+    // Calculate complexity score for code from its AST; code that does not parse
+    // is scored on its length only
     calculateComplexityScore(code) {
         if (!code || typeof code !== 'string') {
             return 0;
         }
+        return this.scoreComplexity(analyzeCodeComplexity(code), code);
+    }
 
-        let complexity = 0;
-        const lines = code.split('\n');
-        const linesOfCode = lines.filter(line => line.trim() && !line.trim().startsWith('//')).length;
-
-        // Lines of code factor
-        complexity += linesOfCode * this.complexityFactors.linesOfCode;
-
-        // Cyclomatic complexity indicators
-        const cyclomaticKeywords = [
-            /\bif\s*\(/g, /\bwhile\s*\(/g, /\bfor\s*\(/g, 
-            /\bcatch\s*\(/g, /\bswitch\s*\(/g, /\bcase\s+/g,
-            /&&|\|\|/g, /\?.*:/g  // Logical operators and ternary
-        ];
+    // Complexity breakdown of all code tabs of a function node, with its score
+    calculateNodeComplexity(nodeConfig) {
+        const complexity = analyzeFunctionNodeComplexity(nodeConfig);
+        const code = FUNCTION_NODE_TABS.map(({ property }) => nodeConfig[property] || '').join('\n');
+        return {
+            score: this.scoreComplexity(complexity, code),
+            cyclomatic: complexity ? complexity.cyclomatic : 0,
+            cognitive: complexity ? complexity.cognitive : 0,
+            maxNesting: complexity ? complexity.maxNesting : 0,
+            maxFunctionLength: complexity ? complexity.maxFunctionLength : 0,
+            functions: complexity ? complexity.functions : []
+        };
+    }
 
-        cyclomaticKeywords.forEach(pattern => {
-            const matches = (code.match(pattern) || []).length;
-            complexity += matches * this.complexityFactors.cyclomaticComplexity;
-        });
+    // Weighted score from the AST metrics; decision points are summed over all functions
+    scoreComplexity(complexity, code) {
+        const linesOfCode = code.split('\n').filter(line => line.trim() && !line.trim().startsWith('//')).length;
+        let score = linesOfCode * this.complexityFactors.linesOfCode;
 
-        // Nesting depth (approximate by counting braces)
-        let maxNesting = 0;
-        let currentNesting = 0;
-        for (const char of code) {
-            if (char === '{') {
-                currentNesting++;
-                maxNesting = Math.max(maxNesting, currentNesting);
-            } else if (char === '}') {
-                currentNesting--;
-            }
+        if (complexity) {
+            score += complexity.decisionPoints * this.complexityFactors.cyclomaticComplexity;
+            score += complexity.cognitive * this.complexityFactors.cognitiveComplexity;
+            score += complexity.maxNesting * this.complexityFactors.nestingDepth;
+            score += complexity.functionCount * this.complexityFactors.functionCount;
         }
-        complexity += maxNesting * this.complexityFactors.nestingDepth;
-
-        // Function count
-        const functionCount = (code.match(/function\s+\w+\s*\(/g) || []).length;
-        complexity += functionCount * this.complexityFactors.functionCount;
 
-        return Math.round(complexity * 100) / 100;
+        return Math.round(score * 100) / 100;
     }
 
     // Calculate flow-level quality metrics - STRICT FAULTY NODE WEIGHTING
-    calculateFlowQualityMetrics(nodeConfigs, detectionLevel = 2) {
+    // detectionLevel may also be a preset name or a rule configuration object;
+    // options are passed on to the detector (e.g. the flowGraph of the deployed flows)
+    calculateFlowQualityMetrics(nodeConfigs, detectionLevel = 2, options = {}) {
+        const ruleConfig = resolveRuleConfig(detectionLevel);
         let totalIssues = 0;
         let nodesWithIssues = 0;
         let nodesWithCriticalIssues = 0;
@@ -125,20 +200,21 @@ class QualityMetrics {
         let totalQualityScore = 0;
 
         nodeConfigs.forEach(nodeConfig => {
-            if (nodeConfig.type === 'function' && nodeConfig.func) {
+            if (hasFunctionNodeCode(nodeConfig)) {
                 totalFunctionNodes++;
                 
-                const issues = detectDebuggingTraits(nodeConfig.func, detectionLevel);
-                const linesOfCode = nodeConfig.func.split('\n').length;
-                const complexityScore = this.calculateComplexityScore(nodeConfig.func);
-                const qualityScore = this.calculateNodeQualityScore(issues, linesOfCode);
+                const issues = analyzeFunctionNode(nodeConfig, ruleConfig, options);
+                const linesOfCode = countFunctionNodeLines(nodeConfig);
+                const complexity = this.calculateNodeComplexity(nodeConfig);
+                const complexityScore = complexity.score;
+                const qualityScore = this.calculateNodeQualityScore(issues, linesOfCode, ruleConfig);
 
                 totalComplexity += complexityScore;
                 totalIssues += issues.length;
                 totalQualityScore += qualityScore;
                 
                 const hasCriticalIssues = issues.some(issue => 
-                    this.getIssueSeverity(issue.type).level === 'critical');
+                    this.getIssueSeverity(issue.type, ruleConfig).level === 'critical');
                 
                 if (issues.length > 0) {
                     nodesWithIssues++;
@@ -154,6 +230,7 @@ class QualityMetrics {
                     issuesCount: issues.length,
                     issueDetails: issues,
                     complexityScore: complexityScore,
+                    complexity: complexity,
                     linesOfCode: linesOfCode,
                     qualityScore: qualityScore,
                     hasCriticalIssues: hasCriticalIssues
@@ -185,8 +262,15 @@ class QualityMetrics {
             }
         }
         
+        // FLOW HYGIENE PENALTY for leftovers outside the code (debug nodes, disabled nodes, ...)
+        const hygieneIssues = analyzeFlowHygiene(nodeConfigs, ruleConfig, options);
+        const hygieneDeduction = hygieneIssues.reduce((sum, issue) => sum + this.getIssueWeight(issue.type), 0);
+        flowQualityScore -= Math.min(hygieneDeduction, 30); // Up to 30 point deduction
+        totalIssues += hygieneIssues.length;
+        hygieneIssues.forEach(issue => issueTypes.add(issue.type));
+        
         // Any flow with critical issues cannot exceed 50 points
-        if (nodesWithCriticalIssues > 0) {
+        if (nodesWithCriticalIssues > 0 || hygieneIssues.some(issue => issue.severity === 'critical')) {
             flowQualityScore = Math.min(flowQualityScore, 50);
         }
         
@@ -203,7 +287,10 @@ class QualityMetrics {
             issueTypes: Array.from(issueTypes),
             qualityScore: Math.max(0, Math.round(flowQualityScore * 100) / 100),
             complexityScore: Math.round((totalFunctionNodes > 0 ? totalComplexity / totalFunctionNodes : 0) * 100) / 100,
-            nodeMetrics
+            nodeMetrics,
+            hygieneIssues,
+            // Shown next to the quality score, not part of it
+            errorHandling: analyzeErrorCoverage(nodeConfigs, ruleConfig)
         };
     }
 
@@ -288,15 +375,26 @@ class QualityMetrics {
         return { grade: 'F', color: '#991b1b', description: 'Failing' };
     }
 
-    // Get issue severity classification
-    getIssueSeverity(issueType) {
-        if (['top-level-return', 'debugger-statement'].includes(issueType)) {
-            return { level: 'critical', color: '#dc2626', priority: 1 };
+    // Get issue severity classification from the rule that produced the issue,
+    // honouring severity overrides of the rule configuration. The category tells
+    // security findings apart from code quality issues of the same severity.
+    getIssueSeverity(issueType, ruleConfig = this.ruleConfig) {
+        const rule = ruleRegistry.getRuleForIssueType(issueType) || getHygieneCheck(issueType) || getWiringCheck(issueType) ||
+            getErrorHandlingCheck(issueType);
+        let level = 'info';
+        if (rule) {
+            level = getIssueTypeSeverity(ruleConfig, rule, issueType);
         }
-        if (['console-log', 'node-warn', 'unused-variable', 'todo-comment'].includes(issueType)) {
-            return { level: 'warning', color: '#f59e0b', priority: 2 };
+        return { level, category: rule ? rule.category : 'custom', ...this.severityStyles[level] };
+    }
+
+    // Get scoring weight for an issue type. Custom rules bring their own weight.
+    getIssueWeight(issueType) {
+        if (this.weights[issueType]) {
+            return this.weights[issueType];
         }
-        return { level: 'info', color: '#3b82f6', priority: 3 };
+        const rule = ruleRegistry.getRuleForIssueType(issueType);
+        return rule && !rule.builtin ? rule.weight : 1;
     }
 
     // Generate quality report for a flow
@@ -308,11 +406,19 @@ class QualityMetrics {
         const warningIssues = flowMetrics.issueTypes.filter(type => 
             this.getIssueSeverity(type).level === 'warning'
         ).length;
+        const resourceLeakIssues = flowMetrics.issueTypes.filter(type => 
+            this.getIssueSeverity(type).level === 'resource-leak'
+        ).length;
+        const securityIssues = flowMetrics.issueTypes.filter(type => 
+            this.getIssueSeverity(type).category === 'security'
+        ).length;
 
         return {
             ...flowMetrics,
             grade: grade,
             criticalIssues,
+            resourceLeakIssues,
+            securityIssues,
             warningIssues,
             healthPercentage: Math.round((flowMetrics.totalFunctionNodes - flowMetrics.nodesWithIssues) / Math.max(1, flowMetrics.totalFunctionNodes) * 100),
             recommendations: this.generateRecommendations(flowMetrics)
@@ -349,6 +455,60 @@ class QualityMetrics {
             });
         }
 
+        // Security issues
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).category === 'security')) {
+            recommendations.push({
+                type: 'security',
+                message: 'Review security findings',
+                action: 'Remove eval and sandbox escapes, and move secrets to environment variables or credentials'
+            });
+        }
+
+        // Resource leaks
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).level === 'resource-leak')) {
+            recommendations.push({
+                type: 'resource-leak',
+                message: 'Fix timer and listener leaks',
+                action: 'Clear timers in the On Stop code and register listeners once in the On Start code'
+            });
+        }
+
+        // Flow hygiene
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).category === 'hygiene')) {
+            recommendations.push({
+                type: 'warning',
+                message: 'Clean up flow leftovers',
+                action: 'Deactivate debug nodes, remove disabled nodes and wires to them, and name function nodes'
+            });
+        }
+
+        // JSONata expressions and templates
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).category === 'expressions')) {
+            recommendations.push({
+                type: flowMetrics.issueTypes.some(type => type.endsWith('-syntax-error')) ? 'critical' : 'warning',
+                message: 'Fix JSONata expressions and templates',
+                action: 'Correct the expressions and templates that do not parse and resolve their TODO/FIXME markers'
+            });
+        }
+
+        // Wiring
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).category === 'wiring')) {
+            recommendations.push({
+                type: 'warning',
+                message: 'Check the flow wiring',
+                action: 'Add a delay node to message loops, repair or remove broken links, and remove nodes that never receive messages'
+            });
+        }
+
+        // Error handling
+        if (flowMetrics.issueTypes.some(type => this.getIssueSeverity(type).category === 'error-handling')) {
+            recommendations.push({
+                type: 'warning',
+                message: 'Handle errors of the flow',
+                action: 'Add a catch node for the flow or group and wire it to nodes that log or report the error'
+            });
+        }
+
         // Warning issues
         if (flowMetrics.issueTypes.includes('console-log')) {
             recommendations.push({
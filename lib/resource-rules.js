@@ -0,0 +1,189 @@
+const {
+    isFunction,
+    getEnclosingFunction,
+    isMemberCall,
+    getPropertyName,
+    getContextCall,
+    walkAST,
+    getNodeLocation
+} = require('./ast-utils');
+
+// Methods registering event listeners, and the ones removing them again
+const LISTENER_METHODS = ['on', 'once', 'addListener', 'prependListener', 'addEventListener'];
+const LISTENER_REMOVAL_METHODS = ['off', 'removeListener', 'removeAllListeners', 'removeEventListener'];
+
+// Emitters that live as long as the node or the runtime
+const LONG_LIVED_EMITTERS = ['node', 'process'];
+
+// Values assigned to a variable anywhere in the analyzed code
+function findAssignedValues(ast, name) {
+    const values = [];
+    walkAST(ast, node => {
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.id.name === name && node.init) {
+            values.push(node.init);
+        } else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && node.left.name === name) {
+            values.push(node.right);
+        }
+    });
+    return values;
+}
+
+// Whether listeners on an object outlive the message: the node, process, RED.events,
+// Setup tab modules and objects read from context do. Objects created for the message,
+// like a request or a new socket, go away with their listeners.
+function isLongLivedEmitter(expression, context, seen = new Set()) {
+    switch (expression.type) {
+    case 'Identifier': {
+        const libs = context.node && Array.isArray(context.node.libs) ? context.node.libs : [];
+        if (LONG_LIVED_EMITTERS.includes(expression.name) || libs.some(lib => lib && lib.var === expression.name)) {
+            return true;
+        }
+        if (seen.has(expression.name)) {
+            return false;
+        }
+        seen.add(expression.name);
+        return findAssignedValues(context.ast, expression.name).some(value => isLongLivedEmitter(value, context, seen));
+    }
+    case 'MemberExpression':
+        return (expression.object.type === 'Identifier' && expression.object.name === 'RED' && getPropertyName(expression) === 'events') ||
+            isLongLivedEmitter(expression.object, context, seen);
+    case 'CallExpression': {
+        const contextCall = getContextCall(expression);
+        return (!!contextCall && contextCall.method === 'get') || isMemberCall(expression, 'context', 'get');
+    }
+    default:
+        return false;
+    }
+}
+
+function isGlobalCall(node, name) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === name;
+}
+
+// Handlers passed to node.on('close', handler) in the analyzed code
+function findCloseHandlers(ast) {
+    const handlers = [];
+    walkAST(ast, node => {
+        if (node.type === 'CallExpression' && isMemberCall(node, 'node', 'on') &&
+            node.arguments[0] && node.arguments[0].value === 'close' && isFunction(node.arguments[1])) {
+            handlers.push(node.arguments[1]);
+        }
+    });
+    return handlers;
+}
+
+// Whether the timers can be cleared when the node stops: by the On Stop code or a close handler
+function clearsOnStop(context, clearFunction) {
+    const finalize = context.node && typeof context.node.finalize === 'string' ? context.node.finalize : '';
+    if (context.tab !== 'finalize' && new RegExp(`\\b${clearFunction}\\s*\\(`).test(finalize)) {
+        return true;
+    }
+    return findCloseHandlers(context.ast).some(handler => {
+        let clears = false;
+        walkAST(handler.body, node => {
+            clears = clears || isGlobalCall(node, clearFunction);
+        });
+        return clears;
+    });
+}
+
+// A setTimeout that schedules its own function again, i.e. a polling loop
+function isReschedulingTimeout(call) {
+    const callback = call.arguments[0];
+    let fn = getEnclosingFunction(call);
+    while (fn) {
+        const passedToTimeout = fn.parent && isGlobalCall(fn.parent, 'setTimeout') && fn.parent.arguments[0] === fn;
+        const schedulesItself = callback && callback.type === 'Identifier' && fn.id && fn.id.name === callback.name;
+        if (passedToTimeout || schedulesItself) {
+            return true;
+        }
+        fn = getEnclosingFunction(fn);
+    }
+    return false;
+}
+
+function findTimerLeaks(context) {
+    // Timers created while the node stops do not outlive it
+    if (context.tab === 'finalize') {
+        return;
+    }
+
+    const intervals = [];
+    const timeoutLoops = [];
+    walkAST(context.ast, node => {
+        if (isGlobalCall(node, 'setInterval')) {
+            intervals.push(node);
+        } else if (isGlobalCall(node, 'setTimeout') && isReschedulingTimeout(node)) {
+            timeoutLoops.push(node);
+        }
+    });
+
+    if (intervals.length > 0 && !clearsOnStop(context, 'clearInterval')) {
+        intervals.forEach(node => context.report({
+            type: 'uncleared-interval',
+            message: 'setInterval() is never cleared in the On Stop code or a node.on(\'close\') handler - the timer keeps running after the node stops',
+            ...getNodeLocation(node.callee),
+            severity: 'warning'
+        }));
+    }
+    if (timeoutLoops.length > 0 && !clearsOnStop(context, 'clearTimeout')) {
+        timeoutLoops.forEach(node => context.report({
+            type: 'uncleared-timeout-loop',
+            message: 'setTimeout() reschedules itself but is never cleared in the On Stop code or a node.on(\'close\') handler',
+            ...getNodeLocation(node.callee),
+            severity: 'warning'
+        }));
+    }
+}
+
+// Rules about resources that outlive a message or the node itself
+module.exports = [
+    {
+        id: 'timer-leak',
+        name: 'Timer leak',
+        description: 'setInterval() or self-rescheduling setTimeout() without a clear in the On Stop code or a close handler',
+        level: 2,
+        severity: 'resource-leak',
+        category: 'resources',
+        issueTypes: ['uncleared-interval', 'uncleared-timeout-loop'],
+        post: findTimerLeaks
+    },
+    {
+        id: 'listener-leak',
+        name: 'Listener leak',
+        description: 'Event listeners registered in the On Message code on long-lived emitters, adding a listener for every message',
+        level: 2,
+        severity: 'resource-leak',
+        category: 'resources',
+        post(context) {
+            if (context.tab && context.tab !== 'func') {
+                return;
+            }
+
+            const registrations = [];
+            let removesListeners = false;
+            walkAST(context.ast, node => {
+                if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') {
+                    return;
+                }
+                const method = getPropertyName(node.callee);
+                if (LISTENER_METHODS.includes(method) && node.arguments.length >= 2 && isLongLivedEmitter(node.callee.object, context)) {
+                    registrations.push(node);
+                } else if (LISTENER_REMOVAL_METHODS.includes(method)) {
+                    removesListeners = true;
+                }
+            });
+
+            // Code that removes listeners again is assumed to manage them itself
+            if (removesListeners) {
+                return;
+            }
+            registrations.forEach(node => context.report({
+                type: 'listener-leak',
+                message: `.${getPropertyName(node.callee)}() registers a new listener for every message - register listeners once in the On Start code`,
+                ...getNodeLocation(node.callee),
+                severity: 'warning'
+            }));
+        }
+    }
+];
@@ -0,0 +1,155 @@
+const { ruleRegistry, SEVERITY_LEVELS } = require('./rule-registry');
+
+// Named presets for the former detection levels. A preset enables every rule
+// whose level is at or below the preset level.
+const PRESETS = {
+    critical: { level: 1, description: 'Critical issues only (top-level returns)' },
+    standard: { level: 2, description: 'Critical issues plus debugging statements, TODOs and unused variables' },
+    comprehensive: { level: 3, description: 'Everything, including hardcoded values and formatting' }
+};
+
+function getPresetName(preset) {
+    if (preset === undefined || preset === null || preset === '') {
+        return 'critical';
+    }
+    if (typeof preset === 'string' && PRESETS[preset]) {
+        return preset;
+    }
+    const level = parseInt(preset);
+    const name = Object.keys(PRESETS).find(key => PRESETS[key].level === level);
+    if (!name) {
+        throw new Error(`Unknown rule preset '${preset}'`);
+    }
+    return name;
+}
+
+// Normalize a single rule override. Accepted shorthands:
+// true/'on', false/'off', a severity name, or { enabled, severity, options }
+function normalizeRuleOverride(ruleId, value) {
+    if (value === true || value === 'on') {
+        return { enabled: true };
+    }
+    if (value === false || value === 'off') {
+        return { enabled: false };
+    }
+    if (typeof value === 'string') {
+        if (!SEVERITY_LEVELS.includes(value)) {
+            throw new Error(`Rule '${ruleId}' has unknown severity '${value}'`);
+        }
+        return { enabled: true, severity: value };
+    }
+    if (!value || typeof value !== 'object') {
+        throw new Error(`Invalid configuration for rule '${ruleId}'`);
+    }
+
+    const override = {};
+    if (value.enabled !== undefined) {
+        override.enabled = value.enabled !== false;
+    }
+    if (value.severity !== undefined) {
+        if (!SEVERITY_LEVELS.includes(value.severity)) {
+            throw new Error(`Rule '${ruleId}' has unknown severity '${value.severity}'`);
+        }
+        override.severity = value.severity;
+    }
+    if (value.options && typeof value.options === 'object') {
+        override.options = { ...value.options };
+    }
+    return override;
+}
+
+// Expand a detection level, preset name or rule configuration object into
+// { preset, level, rules } where rules holds the normalized per-rule overrides.
+// Resolving an already resolved configuration returns an equivalent one.
+function resolveRuleConfig(config = 1) {
+    if (config === null || typeof config !== 'object') {
+        const preset = getPresetName(config);
+        return { preset, level: PRESETS[preset].level, rules: {} };
+    }
+
+    const preset = getPresetName(config.preset !== undefined ? config.preset : config.level);
+    const rules = {};
+    Object.entries(config.rules || {}).forEach(([ruleId, value]) => {
+        rules[ruleId] = normalizeRuleOverride(ruleId, value);
+    });
+
+    return { preset, level: PRESETS[preset].level, rules };
+}
+
+// Effective settings of one rule under a resolved configuration
+function getRuleSettings(ruleConfig, rule) {
+    const override = ruleConfig.rules[rule.id] || {};
+    return {
+        enabled: override.enabled !== undefined ? override.enabled : ruleConfig.level >= rule.level,
+        severity: override.severity || rule.severity,
+        options: { ...(rule.defaultOptions || {}), ...(override.options || {}) }
+    };
+}
+
+// Severity of one issue type of a rule. A configured severity applies to all issues
+// of the rule; otherwise issue types may default to a different severity than the rule.
+function getIssueTypeSeverity(ruleConfig, rule, issueType) {
+    const override = ruleConfig ? ruleConfig.rules[rule.id] : null;
+    if (override && override.severity) {
+        return override.severity;
+    }
+    return (rule.issueSeverities && rule.issueSeverities[issueType]) || rule.severity;
+}
+
+// Rules enabled under a configuration, in registration order
+function getEnabledRules(config, registry = ruleRegistry) {
+    const ruleConfig = resolveRuleConfig(config);
+    return registry.getRules().filter(rule => getRuleSettings(ruleConfig, rule).enabled);
+}
+
+// Settings for every registered rule, e.g. for the editor-side detector
+function expandRuleConfig(config, registry = ruleRegistry) {
+    const ruleConfig = resolveRuleConfig(config);
+    const rules = {};
+    registry.getRules().forEach(rule => {
+        rules[rule.id] = {
+            ...getRuleSettings(ruleConfig, rule),
+            defaultSeverity: rule.severity,
+            issueTypes: rule.issueTypes
+        };
+    });
+    return { preset: ruleConfig.preset, level: ruleConfig.level, rules };
+}
+
+// Rule configuration of a code-analyzer node: the preset of its ruleConfig JSON, else its
+// detection level, then the rules of settings.js (codeAnalyzer.rules), then the rules of
+// its ruleConfig. A given preset replaces the node's own. Throws on an invalid ruleConfig.
+function getAnalyzerRuleConfig(analyzerConfig, settingsRules = {}, preset = null) {
+    const config = analyzerConfig || {};
+    const nodeOverrides = typeof config.ruleConfig === 'string'
+        ? (config.ruleConfig.trim() ? JSON.parse(config.ruleConfig) : {})
+        : (config.ruleConfig || {});
+    return resolveRuleConfig({
+        preset: preset !== null && preset !== undefined
+            ? preset
+            : (nodeOverrides.preset || nodeOverrides.level || config.detectionLevel || 1),
+        rules: { ...(settingsRules || {}), ...(nodeOverrides.rules || {}) }
+    });
+}
+
+// Rule configuration of a flow the way the code-analyzer node on it resolves it. Like the
+// node, an invalid ruleConfig falls back to the preset alone.
+function getFlowRuleConfig(nodeConfigs, flowId, settingsRules = {}, preset = null) {
+    const analyzerConfig = nodeConfigs.find(n => n.type === 'code-analyzer' && n.z === flowId) || {};
+    try {
+        return getAnalyzerRuleConfig(analyzerConfig, settingsRules, preset);
+    } catch (error) {
+        return resolveRuleConfig(preset !== null && preset !== undefined ? preset : (analyzerConfig.detectionLevel || 1));
+    }
+}
+
+module.exports = {
+    PRESETS,
+    resolveRuleConfig,
+    getRuleSettings,
+    getIssueTypeSeverity,
+    getEnabledRules,
+    expandRuleConfig,
+    getAnalyzerRuleConfig,
+    getFlowRuleConfig
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+
+// Quality severity levels understood by QualityMetrics and the dashboard, most severe first
+const SEVERITY_LEVELS = ['critical', 'resource-leak', 'warning', 'info'];
+
+class RuleRegistry {
+    constructor() {
+        this.rules = new Map();
+        // Resolved module path -> { references, previous }, previous holding the rule each
+        // rule id of the module replaced (null for rule ids the module added)
+        this.loadedModules = new Map();
+    }
+
+    // Register a rule definition. Re-registering an id replaces the previous rule.
+    register(rule) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error('Rule definition must be an object');
+        }
+        if (!rule.id || typeof rule.id !== 'string') {
+            throw new Error('Rule definition requires a string id');
+        }
+        if (!rule.visitors && typeof rule.post !== 'function') {
+            throw new Error(`Rule '${rule.id}' must define visitors or a post function`);
+        }
+        if (rule.visitors) {
+            for (const [nodeType, visitor] of Object.entries(rule.visitors)) {
+                if (typeof visitor !== 'function') {
+                    throw new Error(`Rule '${rule.id}' visitor for ${nodeType} must be a function`);
+                }
+            }
+        }
+
+        const severity = rule.severity || 'info';
+        if (!SEVERITY_LEVELS.includes(severity)) {
+            throw new Error(`Rule '${rule.id}' has unknown severity '${severity}'`);
+        }
+
+        const issueSeverities = rule.issueSeverities || {};
+        Object.entries(issueSeverities).forEach(([issueType, issueSeverity]) => {
+            if (!SEVERITY_LEVELS.includes(issueSeverity)) {
+                throw new Error(`Rule '${rule.id}' has unknown severity '${issueSeverity}' for issue type '${issueType}'`);
+            }
+        });
+
+        const normalized = {
+            ...rule,
+            name: rule.name || rule.id,
+            description: rule.description || '',
+            level: Number.isInteger(rule.level) ? rule.level : 2,
+            severity,
+            weight: typeof rule.weight === 'number' ? rule.weight : 1,
+            category: rule.category || 'custom',
+            issueTypes: Array.isArray(rule.issueTypes) && rule.issueTypes.length > 0 ? rule.issueTypes : [rule.id],
+            issueSeverities,
+            visitors: rule.visitors || {},
+            builtin: rule.builtin === true,
+            browser: rule.browser === true
+        };
+
+        this.rules.set(rule.id, normalized);
+        return normalized;
+    }
+
+    unregister(ruleId) {
+        return this.rules.delete(ruleId);
+    }
+
+    has(ruleId) {
+        return this.rules.has(ruleId);
+    }
+
+    get(ruleId) {
+        return this.rules.get(ruleId) || null;
+    }
+
+    // All rules in registration order
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+
+    // Rules enabled for a given detection level
+    getRulesForLevel(level) {
+        return this.getRules().filter(rule => level >= rule.level);
+    }
+
+    // Find the rule that produces a given issue type
+    getRuleForIssueType(issueType) {
+        if (this.rules.has(issueType)) {
+            return this.rules.get(issueType);
+        }
+        for (const rule of this.rules.values()) {
+            if (rule.issueTypes.includes(issueType)) {
+                return rule;
+            }
+            if (rule.issueTypePattern instanceof RegExp && rule.issueTypePattern.test(issueType)) {
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    // Load custom rules from a module. The module may export a rule, an array of rules,
+    // an object with a `rules` array, or a function that receives the registry. Loading a
+    // loaded module again only counts the reference. Returns the ids of the module's rules.
+    loadRulesFromModule(modulePath, baseDir = process.cwd()) {
+        const resolvedPath = path.isAbsolute(modulePath) ? modulePath : path.resolve(baseDir, modulePath);
+        const loaded = this.loadedModules.get(resolvedPath);
+        if (loaded) {
+            loaded.references++;
+            return Array.from(loaded.previous.keys());
+        }
+
+        // Read the module from disk, so that an edited module is picked up after unloading
+        delete require.cache[require.resolve(resolvedPath)];
+        const exported = require(resolvedPath);
+        const before = new Map(this.rules);
+        let definitions = [];
+
+        if (typeof exported === 'function') {
+            const returned = exported(this);
+            if (Array.isArray(returned)) {
+                definitions = returned;
+            }
+        } else if (Array.isArray(exported)) {
+            definitions = exported;
+        } else if (exported && Array.isArray(exported.rules)) {
+            definitions = exported.rules;
+        } else if (exported && exported.id) {
+            definitions = [exported];
+        } else {
+            throw new Error(`Module ${resolvedPath} does not export any rules`);
+        }
+
+        definitions.forEach(definition => this.register({ ...definition, builtin: false }));
+
+        const previous = new Map();
+        this.rules.forEach((rule, ruleId) => {
+            if (before.get(ruleId) !== rule) {
+                previous.set(ruleId, before.get(ruleId) || null);
+            }
+        });
+        this.loadedModules.set(resolvedPath, { references: 1, previous });
+        return Array.from(previous.keys());
+    }
+
+    // Release a module loaded with loadRulesFromModule. With its last reference gone, its
+    // rules are unregistered and the rules they replaced are registered again.
+    unloadRulesFromModule(modulePath, baseDir = process.cwd()) {
+        const resolvedPath = path.isAbsolute(modulePath) ? modulePath : path.resolve(baseDir, modulePath);
+        const loaded = this.loadedModules.get(resolvedPath);
+        if (!loaded || --loaded.references > 0) {
+            return [];
+        }
+
+        this.loadedModules.delete(resolvedPath);
+        loaded.previous.forEach((rule, ruleId) => {
+            if (rule) {
+                this.rules.set(ruleId, rule);
+            } else {
+                this.rules.delete(ruleId);
+            }
+        });
+        return Array.from(loaded.previous.keys());
+    }
+}
+
+// Shared registry with the built-in rules pre-registered
+const ruleRegistry = new RuleRegistry();
+require('./builtin-rules').forEach(rule => ruleRegistry.register({ ...rule, builtin: true }));
+
+module.exports = {
+    RuleRegistry,
+    ruleRegistry,
+    SEVERITY_LEVELS
+};
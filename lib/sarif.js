@@ -0,0 +1,268 @@
+const { ruleRegistry } = require('./rule-registry');
+const { HYGIENE_CHECKS } = require('./flow-hygiene');
+const { WIRING_CHECKS } = require('./wire-analysis');
+const { ERROR_HANDLING_CHECKS } = require('./error-coverage');
+const { getFunctionNodeTabLabel } = require('./detector');
+const { name: toolName, version: toolVersion } = require('../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result levels of the quality severity levels
+const SARIF_LEVELS = {
+    critical: 'error',
+    'resource-leak': 'error',
+    warning: 'warning',
+    info: 'note'
+};
+
+function getRuleDescriptor(rule) {
+    const category = rule.category || 'custom';
+    return {
+        id: rule.id,
+        name: rule.name || rule.id,
+        shortDescription: { text: rule.name || rule.id },
+        fullDescription: { text: rule.description || rule.name || rule.id },
+        defaultConfiguration: { level: SARIF_LEVELS[rule.severity] || 'note' },
+        properties: {
+            category,
+            tags: [category],
+            detectionLevel: rule.level,
+            severity: rule.severity,
+            issueTypes: rule.issueTypes || [rule.id]
+        }
+    };
+}
+
+// Offset after a JSON string that starts at the given offset
+function skipString(text, offset) {
+    let i = offset + 1;
+    while (i < text.length && text[i] !== '"') {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+// Where the nodes of a flows file are, found by scanning its JSON text: node id =>
+// { offset, properties }, properties mapping each top-level property of the node to the
+// offset of its value. The nodes are the objects of the top-level array, or of the flows
+// array of the { rev, flows } object the admin API returns.
+function indexFlowsFile(text) {
+    const nodes = new Map();
+    const stack = [];
+    let node = null;
+    const recordValue = offset => {
+        if (node && stack[stack.length - 1] === node && node.key !== null && !node.properties.has(node.key)) {
+            node.properties.set(node.key, offset);
+        }
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const top = stack[stack.length - 1];
+        if (char === '"') {
+            const end = skipString(text, i);
+            let next = end;
+            while (next < text.length && /\s/.test(text[next])) {
+                next++;
+            }
+            if (text[next] === ':' && top && top.type === '{') {
+                top.key = JSON.parse(text.substring(i, end));
+                i = next + 1;
+                continue;
+            }
+            recordValue(i);
+            if (top === node && node.key === 'id') {
+                node.id = JSON.parse(text.substring(i, end));
+            }
+            i = end;
+            continue;
+        }
+        if (char === '{' || char === '[') {
+            recordValue(i);
+            const container = {
+                type: char,
+                key: null,
+                offset: i,
+                properties: new Map(),
+                isFlows: char === '[' && (!top || (stack.length === 1 && top.key === 'flows'))
+            };
+            if (char === '{' && top && top.isFlows) {
+                node = container;
+            }
+            stack.push(container);
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() === node) {
+                if (node.id !== undefined) {
+                    nodes.set(String(node.id), node);
+                }
+                node = null;
+            }
+        } else if (!/[\s,:]/.test(char)) {
+            // A number, true, false or null
+            recordValue(i);
+        }
+        i++;
+    }
+    return nodes;
+}
+
+// Offset in the JSON text of a line and column (1-based) of the code held by the JSON
+// string at stringOffset. Without a column, the offset of the end of the line.
+function findCodeOffset(text, stringOffset, line, column = null) {
+    let i = stringOffset + 1;
+    let codeLine = 1;
+    let codeColumn = 1;
+    while (i < text.length && text[i] !== '"') {
+        if (codeLine === line && codeColumn === column) {
+            return i;
+        }
+        const escape = text[i] === '\\' ? text[i + 1] : null;
+        if (codeLine === line && escape === 'n') {
+            return i;
+        }
+        i += escape === 'u' ? 6 : (escape ? 2 : 1);
+        if (escape === 'n') {
+            codeLine++;
+            codeColumn = 1;
+        } else {
+            codeColumn++;
+        }
+    }
+    return i;
+}
+
+// Converts offsets in a text to 1-based lines and columns
+function createPositionMapper(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+}
+
+// Region of an issue in the flows file: the code of the issue inside the JSON string of
+// its function node code tab, or the id of the node the issue is about
+function getIssueRegion(issue, text, nodes, toPosition) {
+    const node = nodes.get(String(issue.nodeId));
+    if (!node) {
+        return null;
+    }
+    const codeOffset = issue.tab && issue.line ? node.properties.get(issue.tab) : undefined;
+    let start;
+    let end;
+    if (codeOffset !== undefined && text[codeOffset] === '"') {
+        start = findCodeOffset(text, codeOffset, issue.line, issue.column || 1);
+        end = issue.endColumn
+            ? findCodeOffset(text, codeOffset, issue.endLine || issue.line, issue.endColumn)
+            : findCodeOffset(text, codeOffset, issue.endLine || issue.line);
+    } else {
+        start = node.properties.has('id') ? node.properties.get('id') : node.offset;
+        end = start === node.offset ? start + 1 : skipString(text, start);
+    }
+    const from = toPosition(start);
+    const to = toPosition(Math.max(end, start + 1));
+    return { startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+}
+
+// SARIF 2.1.0 log of an analysis report (createAnalysisReport), one result per issue.
+// Results are located in the flows file (flowsFile, the artifact URI) and, logically, by
+// flow, node and code tab. With the text of the flows file (flowsText), locations get a
+// region pointing at the code in the node's JSON string or at the node's id.
+function createSarifLog(report, { flowsFile = 'flows.json', flowsText = null, registry = ruleRegistry } = {}) {
+    const rules = registry.getRules().concat(HYGIENE_CHECKS, WIRING_CHECKS, ERROR_HANDLING_CHECKS).map(getRuleDescriptor);
+    const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+    const nodes = typeof flowsText === 'string' ? indexFlowsFile(flowsText) : null;
+    const toPosition = nodes ? createPositionMapper(flowsText) : null;
+
+    const results = report.flows.flatMap(flow => flow.issues.map(issue => {
+        if (!ruleIndexes.has(issue.rule)) {
+            // Rules unloaded since the analysis still get a descriptor
+            ruleIndexes.set(issue.rule, rules.length);
+            rules.push(getRuleDescriptor({ id: issue.rule, severity: issue.severity, category: issue.category }));
+        }
+        const tabLabel = issue.tab ? getFunctionNodeTabLabel(issue.tab) : null;
+        const physicalLocation = { artifactLocation: { uri: flowsFile } };
+        const region = nodes ? getIssueRegion(issue, flowsText, nodes, toPosition) : null;
+        if (region) {
+            physicalLocation.region = region;
+        }
+        const result = {
+            ruleId: issue.rule,
+            ruleIndex: ruleIndexes.get(issue.rule),
+            level: SARIF_LEVELS[issue.severity] || 'note',
+            message: { text: tabLabel && issue.line ? `${issue.message} (${issue.nodeName}, ${tabLabel} line ${issue.line})` : issue.message },
+            locations: [{
+                physicalLocation,
+                logicalLocations: [{
+                    name: tabLabel || issue.nodeName,
+                    fullyQualifiedName: [flow.flowName, issue.nodeName].concat(tabLabel ? [tabLabel] : []).join('/'),
+                    kind: tabLabel ? 'function' : 'object'
+                }]
+            }],
+            properties: {
+                flowId: flow.flowId,
+                flowName: flow.flowName,
+                nodeId: issue.nodeId,
+                nodeName: issue.nodeName,
+                nodeType: issue.nodeType,
+                tab: issue.tab,
+                line: issue.line,
+                column: issue.column,
+                issueType: issue.type,
+                severity: issue.severity,
+                category: issue.category
+            }
+        };
+        // The issue fingerprint, stable across line changes, and the state compared with a baseline
+        if (issue.fingerprint) {
+            result.partialFingerprints = { 'nodeRedIssue/v1': issue.fingerprint };
+        }
+        if (issue.isNew !== undefined) {
+            result.baselineState = issue.isNew ? 'new' : 'unchanged';
+        }
+        return result;
+    }));
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: toolName,
+                    version: toolVersion,
+                    semanticVersion: toolVersion,
+                    rules
+                }
+            },
+            artifacts: [{ location: { uri: flowsFile }, mimeType: 'application/json' }],
+            columnKind: 'utf16CodeUnits',
+            results,
+            properties: {
+                flows: report.flows.map(flow => ({ flowId: flow.flowId, flowName: flow.flowName, flowType: flow.flowType, qualityScore: flow.qualityScore }))
+            }
+        }]
+    };
+}
+
+module.exports = {
+    SARIF_LEVELS,
+    createSarifLog,
+    indexFlowsFile
+};
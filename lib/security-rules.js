@@ -0,0 +1,249 @@
+const { isMemberCall, getPropertyName, walkAST, getNodeLocation, isVariableReference } = require('./ast-utils');
+
+// Modules that give function nodes access to the host system
+const CHILD_PROCESS_MODULES = ['child_process', 'node:child_process'];
+
+// Context keys that expose Node.js internals when functionGlobalContext shares them
+const SANDBOX_ESCAPE_GLOBALS = ['require', 'process', 'module', 'child_process'];
+
+// Well-known credential formats, matched regardless of entropy
+const SECRET_PATTERNS = [
+    { name: 'private key', pattern: /-----BEGIN ([A-Z]+ )?PRIVATE KEY-----/ },
+    { name: 'AWS access key', pattern: /^(AKIA|ASIA)[0-9A-Z]{16}$/ },
+    { name: 'Google API key', pattern: /^AIza[0-9A-Za-z_-]{35}$/ },
+    { name: 'GitHub token', pattern: /^(gh[pousr]_[0-9A-Za-z]{36,}|github_pat_[0-9A-Za-z_]{22,})$/ },
+    { name: 'Slack token', pattern: /^xox[abposr]-[0-9A-Za-z-]{10,}$/ },
+    { name: 'Stripe key', pattern: /^(sk|rk)_(live|test)_[0-9A-Za-z]{16,}$/ },
+    { name: 'OpenAI API key', pattern: /^sk-[0-9A-Za-z_-]{20,}$/ },
+    { name: 'bearer token', pattern: /^Bearer\s+[0-9A-Za-z._~+/-]{16,}=*$/ },
+    { name: 'JSON web token', pattern: /^eyJ[0-9A-Za-z_-]+\.eyJ[0-9A-Za-z_-]+\.[0-9A-Za-z_-]+$/ }
+];
+
+// Variable and property names that hold credentials
+const SECRET_NAME_PATTERN = /(passw(or)?d|pwd|secret|token|api[-_]?key|auth(?!or)|credential|private[-_]?key)/i;
+
+// Values of secret-named variables that are settings rather than credentials: URLs and
+// paths, header names like X-API-Key and plain words like 'basic'
+const NON_SECRET_VALUE_PATTERNS = [
+    /^[a-z][a-z0-9+.-]*:\/\//i,
+    /^\.{0,2}\//,
+    /^[A-Za-z]+(-[A-Za-z0-9]+)+$/,
+    /^[A-Za-z_.]+$/
+];
+
+// A secret-named value counts as a credential from this length, with this entropy
+// (bits per character) and at least two of lower case, upper case, digits and symbols
+const NAMED_SECRET_MIN_LENGTH = 8;
+const NAMED_SECRET_MIN_ENTROPY = 2.5;
+
+// Shannon entropy in bits per character
+function getEntropy(value) {
+    const counts = {};
+    for (const char of value) {
+        counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((entropy, count) => {
+        const probability = count / value.length;
+        return entropy - probability * Math.log2(probability);
+    }, 0);
+}
+
+// Name the string is assigned to: variable, property or object key
+function getAssignedName(literal) {
+    const parent = literal.parent;
+    if (!parent) {
+        return null;
+    }
+    if (parent.type === 'VariableDeclarator' && parent.init === literal && parent.id.type === 'Identifier') {
+        return parent.id.name;
+    }
+    if (parent.type === 'AssignmentExpression' && parent.right === literal) {
+        return parent.left.type === 'Identifier' ? parent.left.name : getPropertyName(parent.left);
+    }
+    if (parent.type === 'Property' && parent.value === literal) {
+        return parent.key.name || parent.key.value;
+    }
+    return null;
+}
+
+// Whether the value of a secret-named variable looks like a credential
+function looksLikeCredential(value) {
+    if (value.length < NAMED_SECRET_MIN_LENGTH || NON_SECRET_VALUE_PATTERNS.some(pattern => pattern.test(value))) {
+        return false;
+    }
+    const characterClasses = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(value)).length;
+    return characterClasses >= 2 && getEntropy(value) >= NAMED_SECRET_MIN_ENTROPY;
+}
+
+// Describe why a string looks like a secret, or return null
+function classifySecret(value, name, options) {
+    const known = SECRET_PATTERNS.find(({ pattern }) => pattern.test(value));
+    if (known) {
+        return known.name;
+    }
+    if (/\s/.test(value) || value.length < 4) {
+        return null;
+    }
+    if (name && SECRET_NAME_PATTERN.test(name) && looksLikeCredential(value)) {
+        return `value of '${name}'`;
+    }
+    if (value.length >= options.minLength && getEntropy(value) >= options.entropyThreshold &&
+        /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9]/.test(value)) {
+        return 'high-entropy string';
+    }
+    return null;
+}
+
+function checkSecretString(node, value, context) {
+    if (typeof value !== 'string' || value.length === 0) {
+        return;
+    }
+    const kind = classifySecret(value, getAssignedName(node), context.options);
+    if (!kind) {
+        return;
+    }
+    // Never repeat the secret itself in the report
+    const preview = value.length > 8 ? `${value.substring(0, 4)}…` : '…';
+    context.report({
+        type: 'hardcoded-secret',
+        message: `Possible hardcoded secret (${kind}: "${preview}") - store credentials in environment variables or node credentials`,
+        ...getNodeLocation(node),
+        severity: 'warning'
+    });
+}
+
+// Variables the function node's Setup tab binds to child_process
+function getChildProcessVariables(context) {
+    const libs = context.node && Array.isArray(context.node.libs) ? context.node.libs : [];
+    return libs.filter(lib => lib && CHILD_PROCESS_MODULES.includes(lib.module)).map(lib => lib.var);
+}
+
+// Security checks for code written by many people on a shared instance
+module.exports = [
+    {
+        id: 'code-injection',
+        name: 'Code injection',
+        description: 'eval() and the Function constructor run arbitrary strings as code',
+        level: 2,
+        severity: 'critical',
+        category: 'security',
+        issueTypes: ['eval-usage', 'function-constructor'],
+        visitors: {
+            CallExpression(node, context) {
+                const callee = node.callee;
+                const name = callee.type === 'Identifier' ? callee.name : getPropertyName(callee);
+                if (name === 'eval') {
+                    context.report({
+                        type: 'eval-usage',
+                        message: 'eval() executes arbitrary code - parse data with JSON.parse() instead',
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                } else if (callee.type === 'Identifier' && callee.name === 'Function') {
+                    context.report({
+                        type: 'function-constructor',
+                        message: 'Function() builds code from strings, which is as dangerous as eval()',
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                }
+            },
+            NewExpression(node, context) {
+                if (node.callee.type === 'Identifier' && node.callee.name === 'Function') {
+                    context.report({
+                        type: 'function-constructor',
+                        message: 'new Function() builds code from strings, which is as dangerous as eval()',
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                }
+            }
+        }
+    },
+    {
+        id: 'sandbox-escape',
+        name: 'Sandbox escape',
+        description: 'Access to require, process or module through global context or process.mainModule',
+        level: 2,
+        severity: 'critical',
+        category: 'security',
+        visitors: {
+            CallExpression(node, context) {
+                const key = node.arguments[0];
+                if (isMemberCall(node, 'global', 'get') && key && key.type === 'Literal' &&
+                    SANDBOX_ESCAPE_GLOBALS.includes(key.value)) {
+                    context.report({
+                        type: 'sandbox-escape',
+                        message: `global.get('${key.value}') gives this function node unrestricted access to Node.js - use the Setup tab modules instead`,
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                }
+            },
+            MemberExpression(node, context) {
+                const isMainModule = node.object.type === 'Identifier' && node.object.name === 'process' &&
+                    getPropertyName(node) === 'mainModule';
+                const isConstructorChain = getPropertyName(node) === 'constructor' &&
+                    node.object.type === 'MemberExpression' && getPropertyName(node.object) === 'constructor';
+                if (isMainModule || isConstructorChain) {
+                    context.report({
+                        type: 'sandbox-escape',
+                        message: `${isMainModule ? 'process.mainModule' : '.constructor.constructor'} is a known way to escape the function node sandbox`,
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                }
+            }
+        }
+    },
+    {
+        id: 'child-process',
+        name: 'Child process',
+        description: 'child_process loaded through the function node Setup tab',
+        level: 2,
+        severity: 'warning',
+        category: 'security',
+        post(context) {
+            const variables = getChildProcessVariables(context);
+            if (variables.length === 0) {
+                return;
+            }
+
+            // Report the first use of each variable; the module itself is configured in the Setup tab
+            const reported = new Set();
+            walkAST(context.ast, node => {
+                if (node.type === 'Identifier' && variables.includes(node.name) && !reported.has(node.name) && isVariableReference(node)) {
+                    reported.add(node.name);
+                    context.report({
+                        type: 'child-process',
+                        message: `'${node.name}' is child_process (Setup tab) - running system commands from a function node needs careful input validation`,
+                        ...getNodeLocation(node),
+                        severity: 'warning'
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'hardcoded-secret',
+        name: 'Hardcoded secret',
+        description: 'String literals that look like API keys, tokens, passwords or private keys',
+        level: 2,
+        severity: 'critical',
+        category: 'security',
+        defaultOptions: {
+            minLength: 20,
+            entropyThreshold: 4
+        },
+        visitors: {
+            Literal(node, context) {
+                checkSecretString(node, node.value, context);
+            },
+            TemplateLiteral(node, context) {
+                if (node.expressions.length === 0 && node.quasis.length === 1) {
+                    checkSecretString(node, node.quasis[0].value.cooked, context);
+                }
+            }
+        }
+    }
+];
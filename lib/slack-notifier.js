@@ -1,3 +1,6 @@
+const { ruleRegistry } = require('./rule-registry');
+const { hasFunctionNodeCode, getFunctionNodeTabLabel } = require('./detector');
+
 class SlackNotifier {
     constructor(webhookUrl, RED) {
         this.webhookUrl = webhookUrl;
@@ -73,8 +76,9 @@ class SlackNotifier {
         await this.sendMessage(message, fallbackCallback);
     }
 
-    // Send code analysis message
-    async sendCodeAnalysisAlert(flowId, totalIssues, nodesWithIssues, fallbackCallback = null) {
+    // Send code analysis message; knownIssues counts the issues known from the baseline,
+    // which the message leaves out
+    async sendCodeAnalysisAlert(flowId, totalIssues, nodesWithIssues, fallbackCallback = null, knownIssues = 0) {
         const nodeRedUrl = this.getNodeRedUrl();
         
         // Get flow information
@@ -88,14 +92,20 @@ class SlackNotifier {
         // Collect all problematic nodes with their issues
         const problematicNodes = [];
         this.RED.nodes.eachNode(function (nodeConfig) {
-            if (nodeConfig.type === 'function' && nodeConfig.func && nodeConfig.z === flowId && nodeConfig._debugIssues) {
-                const issues = nodeConfig._debugIssues;
+            if (hasFunctionNodeCode(nodeConfig) && nodeConfig.z === flowId && nodeConfig._debugIssues) {
+                // Issues known from the baseline are not listed
+                const issues = nodeConfig._debugIssues.filter(issue => issue.isNew !== false);
                 const nodeName = nodeConfig.name || `Function ${nodeConfig.id.substring(0, 8)}`;
 
                 // Group issues by level
                 const level1Issues = issues.filter(issue => issue.type === 'top-level-return');
                 const level2Issues = issues.filter(issue => issue.type === 'node-warn' || issue.type === 'todo-comment');
-                const level3Issues = issues.filter(issue => !level1Issues.includes(issue) && !level2Issues.includes(issue));
+                // Issues beyond debugging leftovers are listed by rule name
+                const namedRuleIssues = issues.filter(issue => {
+                    const rule = issue.rule && ruleRegistry.get(issue.rule);
+                    return rule && rule.category !== 'debugging';
+                });
+                const level3Issues = issues.filter(issue => !level1Issues.includes(issue) && !level2Issues.includes(issue) && !namedRuleIssues.includes(issue));
 
                 let nodeIssues = [];
                 if (level1Issues.length > 0) {
@@ -107,10 +117,29 @@ class SlackNotifier {
                     if (warnCount > 0) nodeIssues.push(`**Warning**: ${warnCount} node.warn() statement${warnCount > 1 ? 's' : ''}`);
                     if (todoCount > 0) nodeIssues.push(`**Todo**: ${todoCount} TODO/FIXME comment${todoCount > 1 ? 's' : ''}`);
                 }
+                const ruleCounts = {};
+                namedRuleIssues.forEach(issue => {
+                    ruleCounts[issue.rule] = (ruleCounts[issue.rule] || 0) + 1;
+                });
+                Object.entries(ruleCounts).forEach(([ruleId, count]) => {
+                    const rule = ruleRegistry.get(ruleId);
+                    const label = rule.severity.charAt(0).toUpperCase() + rule.severity.slice(1).replace(/-/g, ' ');
+                    nodeIssues.push(`**${label}**: ${count} ${rule.name} issue${count > 1 ? 's' : ''}`);
+                });
                 if (level3Issues.length > 0) {
                     nodeIssues.push(`**Info**: ${level3Issues.length} minor issue${level3Issues.length > 1 ? 's' : ''} (hardcoded values, formatting)`);
                 }
 
+                // Point out issues in the On Start / On Stop tabs
+                const otherTabs = {};
+                issues.filter(issue => issue.tab && issue.tab !== 'func').forEach(issue => {
+                    const label = getFunctionNodeTabLabel(issue.tab);
+                    otherTabs[label] = (otherTabs[label] || 0) + 1;
+                });
+                if (Object.keys(otherTabs).length > 0) {
+                    nodeIssues.push(`**Tabs**: ${Object.entries(otherTabs).map(([label, count]) => `${count} in ${label}`).join(', ')}`);
+                }
+
                 if (nodeIssues.length > 0) {
                     problematicNodes.push({
                         name: nodeName,
@@ -121,8 +150,11 @@ class SlackNotifier {
             }
         });
 
-        let message = `⚠️ **Code Analysis Alert - ${totalIssues} Issue${totalIssues > 1 ? 's' : ''} Found**\n\n`;
+        let message = `⚠️ **Code Analysis Alert - ${totalIssues}${knownIssues > 0 ? ' New' : ''} Issue${totalIssues > 1 ? 's' : ''} Found**\n\n`;
         message += `**Summary**: ${nodesWithIssues} function node${nodesWithIssues > 1 ? 's' : ''} in flow "${flowName}" need${nodesWithIssues === 1 ? 's' : ''} attention\n\n`;
+        if (knownIssues > 0) {
+            message += `**Baseline**: ${knownIssues} known issue${knownIssues > 1 ? 's' : ''} not listed\n\n`;
+        }
 
         // List each problematic node
         problematicNodes.forEach(node => {
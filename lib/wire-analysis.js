@@ -0,0 +1,190 @@
+const { resolveRuleConfig, getRuleSettings, getIssueTypeSeverity } = require('./rule-config');
+const { CONFIGURATION_TYPES, getNodeName, buildFlowGraph, findCycles } = require('./flow-graph');
+
+// Node types without an input that start messages themselves
+const ENTRY_TYPES = ['inject', 'catch', 'status', 'complete', 'watch', 'tail'];
+
+// Node types named '... in' that do have an input
+const NON_ENTRY_IN_TYPES = ['link in', 'file in'];
+
+// Node types that do not take part in the wiring
+const UNWIRED_TYPES = ['comment'];
+
+// Whether a node starts messages without an input: core sources, '... in' nodes of
+// protocols (mqtt in, http in, ...), configured extra types, and instances of subflows
+// without an input
+function isEntryNode(nodeConfig, context) {
+    const type = nodeConfig.type;
+    if (ENTRY_TYPES.includes(type) || context.options.entryTypes.includes(type)) {
+        return true;
+    }
+    if (/ in$/.test(type) && !NON_ENTRY_IN_TYPES.includes(type)) {
+        return true;
+    }
+    if (type.startsWith('subflow:')) {
+        const subflow = context.nodesById.get(type.substring('subflow:'.length));
+        return !!subflow && (!Array.isArray(subflow.in) || subflow.in.length === 0);
+    }
+    return false;
+}
+
+// Checks of how the nodes are wired. Unlike the flow hygiene checks they need the wire
+// graph of all flows, since link nodes connect flows; each check returns issues for the
+// nodes being analyzed, naming the node with `node`.
+const WIRING_CHECKS = [
+    {
+        id: 'unreachable-node',
+        name: 'Unreachable node',
+        description: 'Nodes without incoming wires that do not start messages themselves',
+        level: 2,
+        severity: 'warning',
+        category: 'wiring',
+        issueTypes: ['unreachable-node'],
+        defaultOptions: {
+            // Extra node types that start messages without an input (e.g. 'ui_button')
+            entryTypes: []
+        },
+        check(context) {
+            return context.nodes
+                .filter(nodeConfig => !nodeConfig.d && !UNWIRED_TYPES.includes(nodeConfig.type))
+                .filter(nodeConfig => !context.graph.upstream.has(nodeConfig.id) && !isEntryNode(nodeConfig, context))
+                .map(nodeConfig => ({
+                    type: 'unreachable-node',
+                    message: nodeConfig.type === 'link in'
+                        ? `Link in node '${getNodeName(nodeConfig)}' is not the target of any link out or link call node - it never receives messages`
+                        : `'${getNodeName(nodeConfig)}' has no incoming wires and never receives messages - wire it up or remove it`,
+                    node: nodeConfig
+                }));
+        }
+    },
+    {
+        id: 'unwired-output',
+        name: 'Unwired output',
+        description: 'Node outputs that are not wired to any node',
+        level: 3,
+        severity: 'info',
+        category: 'wiring',
+        issueTypes: ['unwired-output'],
+        check(context) {
+            const issues = [];
+            context.nodes.filter(nodeConfig => !nodeConfig.d).forEach(nodeConfig => {
+                const outputs = nodeConfig.wires
+                    .map((targets, index) => ((targets || []).some(target => context.nodesById.has(target)) ? null : index + 1))
+                    .filter(output => output !== null);
+                if (outputs.length === 0) {
+                    return;
+                }
+                const which = outputs.length === 1 ? `Output ${outputs[0]}` : `Outputs ${outputs.join(', ')}`;
+                issues.push({
+                    type: 'unwired-output',
+                    message: `${which} of '${getNodeName(nodeConfig)}' ${outputs.length === 1 ? 'is' : 'are'} not wired - messages sent there are dropped`,
+                    node: nodeConfig,
+                    outputs
+                });
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'broken-link',
+        name: 'Broken link',
+        description: 'Link out and link call nodes pointing at link in nodes that no longer exist',
+        level: 2,
+        severity: 'warning',
+        category: 'wiring',
+        issueTypes: ['broken-link'],
+        check(context) {
+            const issues = [];
+            context.nodes.filter(nodeConfig => nodeConfig.type === 'link out' || nodeConfig.type === 'link call').forEach(nodeConfig => {
+                // Link out nodes in return mode and dynamic link calls have no fixed targets
+                if (nodeConfig.mode === 'return' || nodeConfig.linkType === 'dynamic') {
+                    return;
+                }
+                const missing = (nodeConfig.links || []).filter(target => {
+                    const targetNode = context.nodesById.get(target);
+                    return !targetNode || targetNode.type !== 'link in';
+                });
+                if (missing.length > 0) {
+                    const label = nodeConfig.type === 'link out' ? 'Link out' : 'Link call';
+                    issues.push({
+                        type: 'broken-link',
+                        message: `${label} node '${getNodeName(nodeConfig)}' links to ${missing.length === 1 ? 'a link in node that no longer exists' : `${missing.length} link in nodes that no longer exist`} - messages sent there are dropped`,
+                        node: nodeConfig,
+                        targetIds: missing
+                    });
+                }
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'message-loop',
+        name: 'Message loop',
+        description: 'Wires that lead messages back in a circle without a delay or rate limit',
+        level: 2,
+        severity: 'warning',
+        category: 'wiring',
+        issueTypes: ['message-loop'],
+        defaultOptions: {
+            // Node types that slow down or stop messages going round a loop
+            breakerTypes: ['delay', 'trigger']
+        },
+        check(context) {
+            const isBreaker = nodeConfig => !!nodeConfig.d || context.options.breakerTypes.includes(nodeConfig.type);
+            const analyzed = new Set(context.nodes.map(nodeConfig => nodeConfig.id));
+            return findCycles(context.graph, isBreaker)
+                .map(cycle => ({ cycle, node: cycle.find(nodeConfig => analyzed.has(nodeConfig.id)) }))
+                .filter(({ node }) => node)
+                .map(({ cycle, node }) => ({
+                    type: 'message-loop',
+                    message: `${cycle.map(nodeConfig => `'${getNodeName(nodeConfig)}'`).concat(`'${getNodeName(cycle[0])}'`).join(' -> ')} form a loop without a delay or rate limit - a message can circle forever`,
+                    node,
+                    nodeIds: cycle.map(nodeConfig => nodeConfig.id)
+                }));
+        }
+    }
+];
+
+// Check for the issue type of a wiring finding
+function getWiringCheck(issueType) {
+    return WIRING_CHECKS.find(check => check.issueTypes.includes(issueType)) || null;
+}
+
+// Wiring issues of the nodes of one flow (or of all flows without flowId). nodeConfigs are
+// all deployed nodes, so links to other flows are followed. Issues name the node they are
+// about; severity is the quality severity level after rule configuration overrides.
+function analyzeFlowWiring(nodeConfigs, flowId = null, config = 2) {
+    const ruleConfig = resolveRuleConfig(config);
+    const allNodes = (nodeConfigs || []).filter(nodeConfig => nodeConfig && nodeConfig.id);
+    const graph = buildFlowGraph(allNodes);
+    const nodesById = new Map(allNodes.map(nodeConfig => [nodeConfig.id, nodeConfig]));
+    // Configuration nodes have no wires
+    const nodes = allNodes.filter(nodeConfig => !CONFIGURATION_TYPES.includes(nodeConfig.type) &&
+        Array.isArray(nodeConfig.wires) && nodeConfig.z && (!flowId || nodeConfig.z === flowId));
+    const issues = [];
+
+    WIRING_CHECKS.forEach(check => {
+        const settings = getRuleSettings(ruleConfig, check);
+        if (!settings.enabled) {
+            return;
+        }
+        const context = { nodes, nodesById, graph, options: settings.options };
+        check.check(context).forEach(({ node, ...issue }) => issues.push({
+            ...issue,
+            rule: check.id,
+            severity: getIssueTypeSeverity(ruleConfig, check, issue.type),
+            nodeId: node.id,
+            nodeName: getNodeName(node),
+            nodeType: node.type,
+            flowId: node.z
+        }));
+    });
+
+    return issues;
+}
+
+module.exports = {
+    WIRING_CHECKS,
+    analyzeFlowWiring,
+    getWiringCheck
+};
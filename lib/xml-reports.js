@@ -0,0 +1,139 @@
+const { SEVERITY_LEVELS } = require('./rule-registry');
+const { getFunctionNodeTabLabel } = require('./detector');
+
+// Checkstyle severities of the quality severity levels
+const CHECKSTYLE_SEVERITIES = {
+    critical: 'error',
+    'resource-leak': 'error',
+    warning: 'warning',
+    info: 'info'
+};
+
+// Text for an XML attribute or element; characters XML 1.0 does not allow are dropped
+function escapeXml(value) {
+    return String(value)
+        .replace(/[^\t\n\r\u0020-\uFFFD]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Element with attributes (undefined and null ones left out) and children or text
+function element(name, attributes, content = null, indent = '') {
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    if (content === null || content.length === 0) {
+        return `${indent}<${name}${attributeText}/>`;
+    }
+    if (typeof content === 'string') {
+        return `${indent}<${name}${attributeText}>${escapeXml(content)}</${name}>`;
+    }
+    return [`${indent}<${name}${attributeText}>`].concat(content, `${indent}</${name}>`).join('\n');
+}
+
+function document(root) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+}
+
+// Issues of a flow per node: the function nodes of the quality metrics first, in their
+// order, then the other nodes with issues
+function groupIssuesByNode(flow) {
+    const groups = new Map(flow.metrics.nodeMetrics.map(nodeMetric => [nodeMetric.nodeId, {
+        nodeId: nodeMetric.nodeId,
+        nodeName: nodeMetric.nodeName,
+        nodeType: 'function',
+        issues: []
+    }]));
+    flow.issues.forEach(issue => {
+        if (!groups.has(issue.nodeId)) {
+            groups.set(issue.nodeId, { nodeId: issue.nodeId, nodeName: issue.nodeName, nodeType: issue.nodeType, issues: [] });
+        }
+        groups.get(issue.nodeId).issues.push(issue);
+    });
+    return [...groups.values()];
+}
+
+function getNodeLabel(group) {
+    return `${group.nodeName} (${group.nodeId})`;
+}
+
+function getMostSevere(issues) {
+    return SEVERITY_LEVELS.find(level => issues.some(issue => issue.severity === level)) || issues[0].severity;
+}
+
+function formatIssueLocation(issue) {
+    if (!issue.line) {
+        return '';
+    }
+    const location = `${issue.line}:${issue.column || 1}`;
+    return ` at ${issue.tab ? `${getFunctionNodeTabLabel(issue.tab)}:${location}` : location}`;
+}
+
+// JUnit XML of an analysis report (createAnalysisReport): one test suite per flow and one
+// test case per node, failing when the node has issues. Every function node is a test
+// case; other nodes only when they have issues.
+function createJUnitReport(report) {
+    let tests = 0;
+    let failures = 0;
+    const suites = report.flows.map(flow => {
+        const groups = groupIssuesByNode(flow);
+        const flowFailures = groups.filter(group => group.issues.length > 0).length;
+        tests += groups.length;
+        failures += flowFailures;
+        const testcases = groups.map(group => {
+            if (group.issues.length === 0) {
+                return element('testcase', { classname: flow.flowName, name: getNodeLabel(group) }, null, '    ');
+            }
+            const details = group.issues
+                .map(issue => `${issue.severity} ${issue.rule}${formatIssueLocation(issue)}: ${issue.message}`)
+                .join('\n');
+            const failure = element('failure', {
+                type: getMostSevere(group.issues),
+                message: `${group.issues.length} issue${group.issues.length === 1 ? '' : 's'} in ${group.nodeType} node '${group.nodeName}'`
+            }, details, '      ');
+            return element('testcase', { classname: flow.flowName, name: getNodeLabel(group) }, [failure], '    ');
+        });
+        const properties = element('properties', {}, [
+            element('property', { name: 'flowId', value: flow.flowId }, null, '      '),
+            element('property', { name: 'flowType', value: flow.flowType }, null, '      '),
+            element('property', { name: 'qualityScore', value: flow.qualityScore }, null, '      ')
+        ], '    ');
+        return element('testsuite', {
+            name: flow.flowName,
+            id: flow.flowId,
+            tests: groups.length,
+            failures: flowFailures,
+            errors: 0,
+            skipped: 0
+        }, [properties].concat(testcases), '  ');
+    });
+
+    return document(element('testsuites', { name: 'node-red-code-analyzer', tests, failures, errors: 0 }, suites));
+}
+
+// Checkstyle XML of an analysis report (createAnalysisReport): one file element per
+// function node, named after its flow and the node, and one for each other node with
+// issues. Lines and columns are those of the issue's code tab, which issues of the
+// On Start and On Stop tabs name in their message.
+function createCheckstyleReport(report) {
+    const files = report.flows.flatMap(flow => groupIssuesByNode(flow).map(group => {
+        const errors = group.issues.map(issue => element('error', {
+            line: issue.line || undefined,
+            column: issue.line ? issue.column || 1 : undefined,
+            severity: CHECKSTYLE_SEVERITIES[issue.severity] || 'info',
+            message: issue.tab && issue.tab !== 'func' ? `${issue.message} (${getFunctionNodeTabLabel(issue.tab)})` : issue.message,
+            source: `node-red-code-analyzer.${issue.rule}`
+        }, null, '    '));
+        return element('file', { name: `${flow.flowName}/${getNodeLabel(group)}` }, errors, '  ');
+    }));
+    return document(element('checkstyle', { version: '4.3' }, files));
+}
+
+module.exports = {
+    createJUnitReport,
+    createCheckstyleReport
+};
@@ -1,9 +1,22 @@
-const { detectDebuggingTraits } = require('../lib/detector');
-const { findFlowVariables, adjustLineNumbers } = require('../lib/ast-detector');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { detectDebuggingTraits, analyzeFunctionNode, hasFunctionNodeCode, getFunctionNodeTabLabel } = require('../lib/detector');
 const SlackNotifier = require('../lib/slack-notifier');
 const PerformanceMonitor = require('../lib/performance-monitor');
 const QualityMetrics = require('../lib/quality-metrics');
 const PerformanceDatabase = require('../lib/performance-db');
+const { ruleRegistry } = require('../lib/rule-registry');
+const { resolveRuleConfig, expandRuleConfig, getAnalyzerRuleConfig, getFlowRuleConfig } = require('../lib/rule-config');
+const { buildFlowGraph } = require('../lib/flow-graph');
+const { analyzeFlowWiring } = require('../lib/wire-analysis');
+const { findDuplicateCode } = require('../lib/duplicate-detector');
+const { FIXABLE_RULES, planFixes, matchesReviewedFixes, applyPlannedFixes, revertChanges } = require('../lib/auto-fix');
+const { createAnalysisReport, isModuleInstalled: isModuleInstalledIn } = require('../lib/analysis-report');
+const { createSarifLog } = require('../lib/sarif');
+const { createJUnitReport, createCheckstyleReport } = require('../lib/xml-reports');
+const { BaselineFile, fingerprintIssues, compareWithBaseline, createBaseline } = require('../lib/baseline');
+const { buildFlowVariableMap, buildGlobalVariableMap, findSharedFlowVariables, resolveContextStores } = require('../lib/flow-variables');
 
 module.exports = function(RED) {
     // Global storage for flow variable maps
@@ -11,6 +24,218 @@ module.exports = function(RED) {
         RED.flowVariableMaps = {};
     }
     
+    // Load custom rule modules; relative paths resolve against the Node-RED user directory.
+    // Returns the paths that loaded, to release them with unloadCustomRules.
+    function loadCustomRules(modulePaths, onError) {
+        const paths = Array.isArray(modulePaths) ? modulePaths : [modulePaths];
+        const baseDir = RED.settings.userDir || process.cwd();
+        return paths.filter(modulePath => typeof modulePath === 'string' && modulePath.trim()).filter(modulePath => {
+            try {
+                ruleRegistry.loadRulesFromModule(modulePath.trim(), baseDir);
+                return true;
+            } catch (error) {
+                onError(`Failed to load custom rules from ${modulePath}: ${error.message}`);
+                return false;
+            }
+        }).map(modulePath => modulePath.trim());
+    }
+    
+    // Release custom rule modules; their rules stay while another analyzer node or
+    // settings.js still uses the module
+    function unloadCustomRules(modulePaths) {
+        const baseDir = RED.settings.userDir || process.cwd();
+        modulePaths.forEach(modulePath => ruleRegistry.unloadRulesFromModule(modulePath, baseDir));
+    }
+    
+    // Custom rules configured in settings.js (codeAnalyzer: { customRules: [...] })
+    const analyzerSettings = RED.settings.codeAnalyzer || {};
+    if (analyzerSettings.customRules) {
+        loadCustomRules(analyzerSettings.customRules, message => RED.log.warn(message));
+    }
+    
+    // Baseline of known issues: a JSON file in the user directory, or the file settings.js
+    // names (codeAnalyzer: { baselineFile: '...' }), relative to the user directory
+    const baselineFile = new BaselineFile(path.resolve(RED.settings.userDir || process.cwd(), analyzerSettings.baselineFile || 'code-analyzer-baseline.json'));
+    
+    // The baseline, or null when there is none or it cannot be read
+    function loadBaseline(onError) {
+        try {
+            return baselineFile.load();
+        } catch (error) {
+            onError(`Ignoring the issue baseline: ${error.message}`);
+            return null;
+        }
+    }
+    
+    // Parse a JSONata expression of a change, switch or inject node with the runtime's
+    // JSONata, which throws on syntax errors. The expression is not evaluated.
+    function parseJSONata(expression) {
+        return RED.util.prepareJSONataExpression(expression, {});
+    }
+    
+    // Configurations of all deployed nodes
+    function getDeployedNodes() {
+        const nodeConfigs = [];
+        RED.nodes.eachNode(function(n) {
+            nodeConfigs.push(n);
+        });
+        return nodeConfigs;
+    }
+    
+    // Call the flows endpoint of the Node-RED admin API, which the node API has no
+    // counterpart for, with the access token of the request being served. The runtime is
+    // reached on its own port, not through the host the browser used.
+    function requestAdminFlows(req, flowsBody = null) {
+        const client = RED.settings.https ? https : http;
+        const headers = { 'Node-RED-API-Version': 'v2' };
+        if (req.headers.authorization) {
+            headers.Authorization = req.headers.authorization;
+        }
+        const body = flowsBody ? JSON.stringify(flowsBody) : null;
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(body);
+            headers['Node-RED-Deployment-Type'] = 'nodes';
+        }
+        const options = {
+            host: RED.settings.uiHost && !['0.0.0.0', '::'].includes(RED.settings.uiHost) ? RED.settings.uiHost : '127.0.0.1',
+            port: RED.settings.uiPort || 1880,
+            path: `${(RED.settings.httpAdminRoot || '/').replace(/\/?$/, '/')}flows`,
+            method: body ? 'POST' : 'GET',
+            headers
+        };
+        
+        return new Promise((resolve, reject) => {
+            const request = client.request(options, response => {
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { data += chunk; });
+                response.on('end', () => {
+                    if (response.statusCode === 401 || response.statusCode === 403) {
+                        // Passed on as a refusal of this request, not as the admin API's own 401
+                        const error = new Error(`The admin API refused ${options.method} /flows: the access token needs the flows.write permission`);
+                        error.status = 403;
+                        return reject(error);
+                    }
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        const error = new Error(`Admin API ${options.method} /flows failed with HTTP ${response.statusCode}`);
+                        error.status = 502;
+                        return reject(error);
+                    }
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (parseError) {
+                        const error = new Error(`Admin API ${options.method} /flows returned invalid JSON`);
+                        error.status = 502;
+                        reject(error);
+                    }
+                });
+            });
+            request.on('error', requestError => {
+                const error = new Error(`Admin API not reachable at ${options.host}:${options.port}: ${requestError.message}`);
+                error.status = 502;
+                reject(error);
+            });
+            if (body) {
+                request.write(body);
+            }
+            request.end();
+        });
+    }
+    
+    // Fix selection of a request body: { flowId, nodeIds, rules }, rules limited to the fixable ones
+    function getFixSelection(body) {
+        const { flowId, nodeIds, rules } = body || {};
+        const unknown = (Array.isArray(rules) ? rules : []).filter(rule => !FIXABLE_RULES.includes(rule));
+        if (unknown.length > 0) {
+            const error = new Error(`Rules without automatic fix: ${unknown.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+        return {
+            flowId: flowId || null,
+            nodeIds: Array.isArray(nodeIds) ? nodeIds : null,
+            rules: Array.isArray(rules) ? rules : null
+        };
+    }
+    
+    // Wire graph of all deployed nodes, used by rules that depend on how a node is wired
+    function getDeployedFlowGraph() {
+        return buildFlowGraph(getDeployedNodes());
+    }
+    
+    // Whether the runtime can load a Setup tab module from the user directory
+    function isModuleInstalled(moduleName) {
+        return isModuleInstalledIn(moduleName, RED.settings.userDir || process.cwd());
+    }
+    
+    // Flow variable reads and writes of all deployed nodes in a flow
+    function getFlowVariableMap(flowId) {
+        const nodeConfigs = [];
+        RED.nodes.eachNode(function(n) {
+            if (n.z === flowId) {
+                nodeConfigs.push(n);
+            }
+        });
+        return buildFlowVariableMap(nodeConfigs);
+    }
+    
+    // Global variable reads and writes of all deployed nodes, across every flow
+    function getGlobalVariableMap() {
+        const nodeConfigs = [];
+        RED.nodes.eachNode(function(n) {
+            nodeConfigs.push(n);
+        });
+        return buildGlobalVariableMap(nodeConfigs);
+    }
+    
+    // Context stores configured in settings.js
+    function getContextStores() {
+        return resolveContextStores(RED.settings.contextStorage);
+    }
+    
+    // Read a context value through the callback API, which also works for async stores
+    function readContextValue(contextScope, variableName, store) {
+        return new Promise((resolve, reject) => {
+            const callback = (error, value) => (error ? reject(error) : resolve(value));
+            if (store) {
+                contextScope.get(variableName, store, callback);
+            } else {
+                contextScope.get(variableName, callback);
+            }
+        });
+    }
+    
+    // Flow or global context of the first runtime node that matches the filter
+    function findRuntimeContext(scope, filter) {
+        let contextScope = null;
+        RED.nodes.eachNode(function(nodeConfig) {
+            if (!contextScope && filter(nodeConfig)) {
+                const runtimeNode = RED.nodes.getNode(nodeConfig.id);
+                if (runtimeNode && runtimeNode.context) {
+                    try {
+                        contextScope = runtimeNode.context()[scope] || null;
+                    } catch (contextError) {
+                        // Continue to next node
+                    }
+                }
+            }
+        });
+        return contextScope;
+    }
+    
+    // Detector options for analyzing deployed nodes of a flow on the server
+    function getAnalysisOptions(flowId) {
+        return {
+            flowGraph: getDeployedFlowGraph(),
+            flowVariables: flowId ? getFlowVariableMap(flowId) : null,
+            globalVariables: getGlobalVariableMap(),
+            contextStores: getContextStores(),
+            isModuleInstalled,
+            parseJSONata: RED.util && typeof RED.util.prepareJSONataExpression === 'function' ? parseJSONata : null
+        };
+    }
+    
     function CodeAnalyzer(config) {
         RED.nodes.createNode(this, config);
         const node = this;
@@ -18,6 +243,12 @@ module.exports = function(RED) {
         node.codeAnalysis = config.codeAnalysis !== undefined ? config.codeAnalysis : true;
         node.scanInterval = (config.scanInterval || 30) * 1000; // Convert seconds to milliseconds
         node.detectionLevel = config.detectionLevel || 1;
+        try {
+            node.ruleConfig = getAnalyzerRuleConfig(config, analyzerSettings.rules);
+        } catch (error) {
+            node.warn(`Invalid rule configuration, using detection level ${node.detectionLevel}: ${error.message}`);
+            node.ruleConfig = resolveRuleConfig(node.detectionLevel);
+        }
         node.queueScanning = config.queueScanning || false;
         node.queueScanInterval = 3000; // Fixed at 3 seconds
         node.queueMessageFrequency = (config.queueMessageFrequency || 1800) * 1000; // Convert seconds to milliseconds
@@ -25,6 +256,13 @@ module.exports = function(RED) {
         node.selectedQueueIds = config.selectedQueueIds || [];
         node.queueLengthThreshold = config.queueLengthThreshold || 0;
         node.slackWebhookUrl = config.slackWebhookUrl || '';
+        node.customRulesPath = config.customRulesPath || '';
+        
+        // Custom rules configured on the node (comma separated module paths), loaded until
+        // the node closes so that removed or edited modules do not keep running
+        const customRuleModules = node.customRulesPath
+            ? loadCustomRules(node.customRulesPath.split(','), message => node.warn(message))
+            : [];
         
         // Performance monitoring configuration
         node.performanceMonitoring = config.performanceMonitoring || false;
@@ -60,7 +298,7 @@ module.exports = function(RED) {
         performanceMonitor.updateConfig(node.performanceThresholds);
         
         // Initialize quality metrics calculator
-        const qualityMetrics = new QualityMetrics();
+        const qualityMetrics = new QualityMetrics(node.ruleConfig);
         
         // Initialize database for quality metrics storage (without auto-creation)
         if (!RED.qualityDatabase) {
@@ -94,12 +332,13 @@ module.exports = function(RED) {
             
             let totalIssues = 0;
             let nodesWithIssues = 0;
+            // Issues not in the baseline; all issues when there is no baseline
+            let newIssues = 0;
+            let nodesWithNewIssues = 0;
+            const baseline = loadBaseline(message => node.warn(message));
             
             const currentFlowId = node.z;
             
-            // Collect flow variables across all function nodes in the current flow
-            const flowVariableMap = {};
-                
             RED.nodes.eachNode(function (nodeConfig) {
                 if (nodeConfig.type === 'function' && nodeConfig.z === currentFlowId) {
                     const functionNode = RED.nodes.getNode(nodeConfig.id);
@@ -109,7 +348,6 @@ module.exports = function(RED) {
                 }
             });
             
-            // First pass: collect all flow variables
             // Get flow name for better debugging
             let flowName = `Flow ${currentFlowId.substring(0, 8)}`;
             RED.nodes.eachNode(function(n) {
@@ -118,83 +356,29 @@ module.exports = function(RED) {
                 }
             });
             
-            RED.nodes.eachNode(function (nodeConfig) {
-                if (nodeConfig.type === 'function' && nodeConfig.func && nodeConfig.z === currentFlowId) {
-                    try {
-                        const { parseScript } = require('meriyah');
-                        let ast;
-                        
-                        // Parse the code to AST
-                        try {
-                            ast = parseScript(nodeConfig.func, {
-                                loc: true,
-                                ranges: true,
-                                module: false,
-                                webcompat: true
-                            });
-                        } catch (scriptError) {
-                            // If script parsing fails due to top-level return, wrap in function
-                            if (scriptError.message.includes('Illegal return statement')) {
-                                const wrappedCode = `function nodeRedWrapper() {\n${nodeConfig.func}\n}`;
-                                ast = parseScript(wrappedCode, {
-                                    loc: true,
-                                    ranges: true,
-                                    module: false,
-                                    webcompat: true
-                                });
-                                // Adjust line numbers for wrapped code
-                                adjustLineNumbers(ast, -1);
-                            } else {
-                                throw scriptError;
-                            }
-                        }
-                        
-                        const flowVars = findFlowVariables(ast);
-                        
-                        flowVars.forEach(flowVar => {
-                            if (!flowVariableMap[flowVar.variableName]) {
-                                flowVariableMap[flowVar.variableName] = {
-                                    gets: [],
-                                    sets: []
-                                };
-                            }
-                            
-                            const varInfo = {
-                                nodeId: nodeConfig.id,
-                                nodeName: nodeConfig.name || `Function Node ${nodeConfig.id.substring(0, 8)}`,
-                                line: flowVar.line,
-                                column: flowVar.column,
-                                endColumn: flowVar.endColumn,
-                                fullCallStart: flowVar.fullCallStart,
-                                fullCallEnd: flowVar.fullCallEnd
-                            };
-                            
-                            if (flowVar.type === 'flow-get') {
-                                flowVariableMap[flowVar.variableName].gets.push(varInfo);
-                            } else if (flowVar.type === 'flow-set') {
-                                flowVariableMap[flowVar.variableName].sets.push(varInfo);
-                            }
-                        });
-                    } catch (error) {
-                        // If flow variable parsing fails, continue with regular analysis
-                        // Silently continue
-                    }
-                }
-            });
-            
-            // Store flow variable map globally for editor access
-            RED.flowVariableMaps[currentFlowId] = flowVariableMap;
+            // Collect flow variables of the current flow and store them globally for editor access
+            const analysisOptions = getAnalysisOptions(currentFlowId);
+            RED.flowVariableMaps[currentFlowId] = analysisOptions.flowVariables;
             
-            // Second pass: analyze debugging traits and calculate quality metrics
-            const functionNodes = [];
+            // Analyze debugging traits and calculate quality metrics; the flow score also
+            // covers the other nodes of the flow (flow hygiene)
+            const flowNodes = [];
             RED.nodes.eachNode(function (nodeConfig) {
-                if (nodeConfig.type === 'function' && nodeConfig.func && nodeConfig.z === currentFlowId) {
-                    functionNodes.push(nodeConfig);
-                    const issues = detectDebuggingTraits(nodeConfig.func, node.detectionLevel);
+                if (nodeConfig.z === currentFlowId || nodeConfig.id === currentFlowId) {
+                    flowNodes.push(nodeConfig);
+                }
+                if (hasFunctionNodeCode(nodeConfig) && nodeConfig.z === currentFlowId) {
+                    const issues = compareWithBaseline(fingerprintIssues(
+                        analyzeFunctionNode(nodeConfig, node.ruleConfig, analysisOptions).map(issue => ({ ...issue, nodeId: nodeConfig.id })),
+                        [nodeConfig]
+                    ), baseline);
                     
                     if (issues.length > 0) {
+                        const nodeNewIssues = issues.filter(issue => issue.isNew !== false).length;
                         totalIssues += issues.length;
                         nodesWithIssues++;
+                        newIssues += nodeNewIssues;
+                        nodesWithNewIssues += nodeNewIssues > 0 ? 1 : 0;
                         
                         nodeConfig._debugIssues = issues;
                         
@@ -203,13 +387,19 @@ module.exports = function(RED) {
                             let statusColor = 'blue';
                             let text = 'Minor debug traits noticed';
                             
-                            const hasLevel1 = issues.some(issue => issue.type === 'top-level-return');
+                            // Custom rules contribute at their configured level
+                            const customLevel = issue => {
+                                const rule = issue.rule && ruleRegistry.get(issue.rule);
+                                return rule && !rule.builtin ? rule.level : null;
+                            };
+                            const hasLevel1 = issues.some(issue => issue.type === 'top-level-return' || customLevel(issue) === 1);
                             const hasLevel2 = issues.some(issue => 
                                 issue.type === 'node-warn' || 
                                 issue.type === 'todo-comment' || 
                                 issue.type === 'console-log' || 
                                 issue.type === 'debugger-statement' || 
-                                issue.type === 'unused-variable'
+                                issue.type === 'unused-variable' ||
+                                customLevel(issue) === 2
                             );
                             
                             if (hasLevel1) {
@@ -220,10 +410,11 @@ module.exports = function(RED) {
                                 text = 'Important debugging traits.';
                             }
                             
+                            // Nodes with known issues only get a ring
                             functionNode.status({
                                 fill: statusColor,
-                                shape: 'dot',
-                                text
+                                shape: nodeNewIssues > 0 ? 'dot' : 'ring',
+                                text: baseline ? `${text} (${nodeNewIssues > 0 ? `${nodeNewIssues} new` : 'known'})` : text
                             });
                         }
                     } else {
@@ -234,7 +425,7 @@ module.exports = function(RED) {
             
             // Calculate and store quality metrics
             try {
-                const flowQualityMetrics = qualityMetrics.calculateFlowQualityMetrics(functionNodes, node.detectionLevel);
+                const flowQualityMetrics = qualityMetrics.calculateFlowQualityMetrics(flowNodes, node.ruleConfig, analysisOptions);
                 
                 // Store flow-level metrics
                 if (RED.qualityDatabase && RED.qualityDatabase.initialized) {
@@ -247,7 +438,8 @@ module.exports = function(RED) {
                         flowQualityMetrics.totalFunctionNodes,
                         flowQualityMetrics.issueTypes,
                         flowQualityMetrics.qualityScore,
-                        flowQualityMetrics.complexityScore
+                        flowQualityMetrics.complexityScore,
+                        flowQualityMetrics.errorHandling.coverage
                     ).catch(err => node.warn(`Failed to store flow quality metrics: ${err.message}`));
                     
                     // Store all node-level metrics in a single batch operation
@@ -269,19 +461,29 @@ module.exports = function(RED) {
                 node.warn(`Failed to calculate quality metrics: ${error.message}`);
             }
             
-            if (totalIssues > 0) {
+            const knownIssues = totalIssues - newIssues;
+            if (newIssues > 0) {
                 node.status({
                     fill: 'yellow',
                     shape: 'dot',
-                    text: `Found ${totalIssues} debugging traits in ${nodesWithIssues} nodes`
+                    text: baseline
+                        ? `Found ${newIssues} new debugging traits in ${nodesWithNewIssues} nodes, ${knownIssues} known`
+                        : `Found ${totalIssues} debugging traits in ${nodesWithIssues} nodes`
                 });
                 
-                // Send code analysis message if frequency interval has passed
+                // Send code analysis message if frequency interval has passed; issues known
+                // from the baseline are left out
                 const now = Date.now();
                 if (now - node.lastCodeAnalysisMessageTime >= node.queueMessageFrequency) {
-                    slackNotifier.sendCodeAnalysisAlert(currentFlowId, totalIssues, nodesWithIssues, (msg) => node.warn(msg));
+                    slackNotifier.sendCodeAnalysisAlert(currentFlowId, newIssues, nodesWithNewIssues, (msg) => node.warn(msg), knownIssues);
                     node.lastCodeAnalysisMessageTime = now;
                 }
+            } else if (knownIssues > 0) {
+                node.status({
+                    fill: 'green',
+                    shape: 'ring',
+                    text: `No new debugging traits, ${knownIssues} known from the baseline`
+                });
             } else {
                 node.status({
                     fill: 'green',
@@ -493,6 +695,7 @@ module.exports = function(RED) {
             if (performanceMonitor) {
                 performanceMonitor.stop();
             }
+            unloadCustomRules(customRuleModules);
         });
         
         RED.events.on('nodes-started', function() {
@@ -508,7 +711,7 @@ module.exports = function(RED) {
     RED.httpAdmin.get('/code-analyzer/db-path', function(_, res) {
         const dbPath = RED.qualityDatabase && RED.qualityDatabase.dbPath 
             ? RED.qualityDatabase.dbPath 
-            : require('path').join(process.cwd(), 'performance_metrics.db');
+            : path.join(process.cwd(), 'performance_metrics.db');
         res.json({ dbPath: dbPath });
     });
     
@@ -525,47 +728,64 @@ module.exports = function(RED) {
         res.json(flowVariableMap);
     });
     
-    // API endpoint to get the actual value of a flow variable
-    RED.httpAdmin.get('/code-analyzer/flow-variable-value/:flowId/:variableName', function(req, res) {
+    // API endpoint to get the actual value of a flow variable; ?store= reads a named context store
+    RED.httpAdmin.get('/code-analyzer/flow-variable-value/:flowId/:variableName', async function(req, res) {
         try {
             const flowId = req.params.flowId;
             const variableName = decodeURIComponent(req.params.variableName);
+            const store = req.query.store || null;
             
-            let value = undefined;
-            let found = false;
+            // All nodes of a flow share its flow context
+            const flowContext = findRuntimeContext('flow', nodeConfig => nodeConfig.z === flowId);
+            const value = flowContext ? await readContextValue(flowContext, variableName, store) : undefined;
             
-            // Find any runtime node in the target flow to access its flow context
-            RED.nodes.eachNode(function(nodeConfig) {
-                if (nodeConfig.z === flowId && !found) {
-                    const runtimeNode = RED.nodes.getNode(nodeConfig.id);
-                    if (runtimeNode && runtimeNode.context) {
-                        try {
-                            const flowContext = runtimeNode.context().flow;
-                            if (flowContext) {
-                                // Use synchronous get - this is the correct approach
-                                const contextValue = flowContext.get(variableName);
-                                if (contextValue !== undefined) {
-                                    value = contextValue;
-                                    found = true;
-                                }
-                            }
-                        } catch (contextError) {
-                            // Continue to next node
-                        }
-                    }
-                }
+            res.json({
+                variableName: variableName,
+                store: store,
+                value: value,
+                found: value !== undefined
             });
             
-            // Return the result immediately
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Error retrieving flow variable value',
+                details: error.message 
+            });
+        }
+    });
+    
+    // API endpoint to get the global variable mapping of the whole instance
+    RED.httpAdmin.get('/code-analyzer/global-variables', function(_, res) {
+        try {
+            res.json(getGlobalVariableMap());
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Error building global variable map',
+                details: error.message 
+            });
+        }
+    });
+    
+    // API endpoint to get the actual value of a global variable; ?store= reads a named context store
+    RED.httpAdmin.get('/code-analyzer/global-variable-value/:variableName', async function(req, res) {
+        try {
+            const variableName = decodeURIComponent(req.params.variableName);
+            const store = req.query.store || null;
+            
+            // Global context is shared, so the first runtime node with a context is enough
+            const globalContext = findRuntimeContext('global', () => true);
+            const value = globalContext ? await readContextValue(globalContext, variableName, store) : undefined;
+            
             res.json({
                 variableName: variableName,
+                store: store,
                 value: value,
-                found: found
+                found: value !== undefined
             });
             
         } catch (error) {
             res.status(500).json({ 
-                error: 'Error retrieving flow variable value',
+                error: 'Error retrieving global variable value',
                 details: error.message 
             });
         }
@@ -667,7 +887,6 @@ module.exports = function(RED) {
     // ===== DASHBOARD API ENDPOINTS =====
     
     // Serve dashboard static files
-    const path = require('path');
     const fs = require('fs');
     
     // Diagnostic endpoint to test if routes are working
@@ -827,6 +1046,195 @@ module.exports = function(RED) {
         }
     });
 
+    // API: Get exact and near-duplicate code across the function nodes of all flows
+    RED.httpAdmin.get('/code-analyzer/api/dashboard/duplicates', function(req, res) {
+        try {
+            const nodeConfigs = [];
+            const flowNames = {};
+            RED.nodes.eachNode(function(n) {
+                if (n.type === 'tab') {
+                    flowNames[n.id] = n.label || n.name || n.id;
+                } else if (hasFunctionNodeCode(n)) {
+                    nodeConfigs.push(n);
+                }
+            });
+
+            const options = {};
+            if (req.query.minStatements) {
+                options.minStatements = Math.max(1, parseInt(req.query.minStatements) || 1);
+            }
+            if (req.query.minTokens) {
+                options.minTokens = Math.max(1, parseInt(req.query.minTokens) || 1);
+            }
+            if (req.query.threshold) {
+                options.similarityThreshold = Math.min(1, Math.max(0, parseFloat(req.query.threshold) || 0));
+            }
+
+            const duplicates = findDuplicateCode(nodeConfigs, options);
+            duplicates.groups.forEach(group => {
+                group.instances.forEach(instance => {
+                    instance.nodeName = instance.nodeName || `Function Node ${instance.nodeId.substring(0, 8)}`;
+                    instance.flowName = flowNames[instance.flowId] || instance.flowId;
+                    instance.tabLabel = getFunctionNodeTabLabel(instance.tab);
+                });
+            });
+
+            res.json({
+                ...duplicates,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to detect duplicate code', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Wiring issues of every flow, or of one flow (?flowId=): nodes that never receive
+    // messages, unwired outputs, links to deleted link in nodes and loops without a delay
+    RED.httpAdmin.get('/code-analyzer/api/wiring', function(req, res) {
+        try {
+            const nodeConfigs = getDeployedNodes();
+            const flows = nodeConfigs
+                .filter(n => (n.type === 'tab' || n.type === 'subflow') && (!req.query.flowId || n.id === req.query.flowId))
+                .map(flow => {
+                    const issues = analyzeFlowWiring(nodeConfigs, flow.id, getFlowRuleConfig(nodeConfigs, flow.id, analyzerSettings.rules, req.query.level || 'comprehensive'));
+                    return {
+                        flowId: flow.id,
+                        flowName: flow.label || flow.name || flow.id,
+                        flowType: flow.type,
+                        issues
+                    };
+                });
+
+            if (req.query.flowId && flows.length === 0) {
+                return res.status(404).json({ error: 'Flow not found' });
+            }
+
+            res.json({
+                flows,
+                totalIssues: flows.reduce((sum, flow) => sum + flow.issues.length, 0),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to analyze flow wiring', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Analysis results of every flow, or of one flow (?flowId=), for CI and code
+    // scanning tools: a SARIF 2.1.0 log (sarif), JUnit XML (junit) or Checkstyle XML
+    // (checkstyle). ?level= replaces the detection level of the analyzer nodes; for SARIF,
+    // ?file= is the path of the flows file in the repository (default: its file name).
+    RED.httpAdmin.get('/code-analyzer/api/export/:format', function(req, res) {
+        try {
+            const { format } = req.params;
+            if (!['sarif', 'junit', 'checkstyle'].includes(format)) {
+                return res.status(404).json({ error: `Unknown export format '${format}', use sarif, junit or checkstyle` });
+            }
+            const nodeConfigs = getDeployedNodes();
+            if (req.query.flowId && !nodeConfigs.some(n => n.id === req.query.flowId && (n.type === 'tab' || n.type === 'subflow'))) {
+                return res.status(404).json({ error: 'Flow not found' });
+            }
+            
+            let report;
+            try {
+                report = createAnalysisReport(nodeConfigs, {
+                    level: req.query.level || null,
+                    rules: analyzerSettings.rules || {},
+                    contextStorage: RED.settings.contextStorage || null,
+                    userDir: RED.settings.userDir || process.cwd(),
+                    parseJSONata: RED.util && typeof RED.util.prepareJSONataExpression === 'function' ? parseJSONata : null,
+                    flowIds: req.query.flowId ? [req.query.flowId] : null,
+                    baseline: loadBaseline(message => RED.log.warn(message))
+                });
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid rule configuration', details: error.message });
+            }
+            
+            if (format === 'junit') {
+                return res.type('application/xml').send(createJUnitReport(report));
+            }
+            if (format === 'checkstyle') {
+                return res.type('application/xml').send(createCheckstyleReport(report));
+            }
+            // Regions point into the flows file as the runtime writes it
+            const flowsText = JSON.stringify(nodeConfigs, null, RED.settings.flowFilePretty ? 4 : 0);
+            const flowsFile = req.query.file || path.basename(RED.settings.flowFile || 'flows.json');
+            res.type('application/sarif+json').send(JSON.stringify(createSarifLog(report, { flowsFile, flowsText }), null, 2));
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to export analysis results', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: The baseline of known issues: when it was taken and how many issues it holds
+    RED.httpAdmin.get('/code-analyzer/api/baseline', function(_, res) {
+        try {
+            const baseline = baselineFile.load();
+            res.json({
+                file: baselineFile.filePath,
+                baseline: baseline ? { createdAt: baseline.createdAt, issues: baseline.issues.length } : null
+            });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to read the issue baseline', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Take the current issues of every flow, or of one flow (body: { flowId }), as the
+    // baseline; later scans, alerts and the dashboard tell new issues from these. All
+    // rules count, so issues stay known when the detection level is raised.
+    RED.httpAdmin.post('/code-analyzer/api/baseline', RED.auth.needsPermission('flows.write'), function(req, res) {
+        try {
+            const { flowId } = req.body || {};
+            const nodeConfigs = getDeployedNodes();
+            if (flowId && !nodeConfigs.some(n => n.id === flowId && (n.type === 'tab' || n.type === 'subflow'))) {
+                return res.status(404).json({ error: 'Flow not found' });
+            }
+            
+            const report = createAnalysisReport(nodeConfigs, {
+                level: 'comprehensive',
+                rules: analyzerSettings.rules || {},
+                contextStorage: RED.settings.contextStorage || null,
+                userDir: RED.settings.userDir || process.cwd(),
+                parseJSONata: RED.util && typeof RED.util.prepareJSONataExpression === 'function' ? parseJSONata : null,
+                flowIds: flowId ? [flowId] : null
+            });
+            // Taking one flow keeps the known issues of the others
+            const baseline = baselineFile.save(createBaseline(report, flowId ? loadBaseline(message => RED.log.warn(message)) : null));
+            
+            res.json({
+                file: baselineFile.filePath,
+                baseline: { createdAt: baseline.createdAt, issues: baseline.issues.length }
+            });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to take the issue baseline', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Remove the baseline, so every issue counts as new again
+    RED.httpAdmin.post('/code-analyzer/api/baseline/clear', RED.auth.needsPermission('flows.write'), function(_, res) {
+        try {
+            res.json({ removed: baselineFile.clear() });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to remove the issue baseline', 
+                details: error.message 
+            });
+        }
+    });
+
     // API: Get detailed flow analysis with node-level issues
     RED.httpAdmin.get('/code-analyzer/api/dashboard/flows/:flowId/details', async function(req, res) {
         try {
@@ -835,7 +1243,9 @@ module.exports = function(RED) {
             }
 
             const flowId = req.params.flowId;
-            const qualityMetrics = new QualityMetrics();
+            // Comprehensive preset, keeping the per-rule overrides of the flow's analyzer node
+            const ruleConfig = getFlowRuleConfig(getDeployedNodes(), flowId, analyzerSettings.rules, 'comprehensive');
+            const qualityMetrics = new QualityMetrics(ruleConfig);
             
             // Get current function nodes in this flow
             const functionNodes = [];
@@ -848,74 +1258,108 @@ module.exports = function(RED) {
                 }
             });
             
-            // Get all function nodes in this flow with current analysis
+            // All nodes in this flow
+            const analysisOptions = getAnalysisOptions(flowId);
+            const baseline = loadBaseline(message => RED.log.warn(message));
+            const flowNodes = [];
             RED.nodes.eachNode(function (nodeConfig) {
-                if (nodeConfig.type === 'function' && nodeConfig.func && nodeConfig.z === flowId) {
-                    const issues = detectDebuggingTraits(nodeConfig.func, 3); // Use level 3 for comprehensive analysis
-                    const linesOfCode = nodeConfig.func.split('\n').length;
-                    const complexityScore = qualityMetrics.calculateComplexityScore(nodeConfig.func);
-                    const nodeQualityScore = qualityMetrics.calculateNodeQualityScore(issues, linesOfCode);
-                    
-                    // Add severity and priority to each issue
-                    const enhancedIssues = issues.map(issue => {
-                        const severity = qualityMetrics.getIssueSeverity(issue.type);
-                        return {
-                            ...issue,
-                            severity: severity.level,
-                            priority: severity.priority,
-                            color: severity.color,
-                            weight: qualityMetrics.weights[issue.type] || 1
-                        };
-                    });
-                    
-                    // Sort issues by priority (critical first)
-                    enhancedIssues.sort((a, b) => a.priority - b.priority);
-                    
-                    functionNodes.push({
+                if (nodeConfig.z === flowId || nodeConfig.id === flowId) {
+                    flowNodes.push(nodeConfig);
+                }
+            });
+            
+            // Calculate flow-level metrics, including the flow hygiene of all nodes in the flow.
+            // The function nodes are analyzed once, here.
+            const flowMetrics = qualityMetrics.calculateFlowQualityMetrics(flowNodes, ruleConfig, analysisOptions);
+            const nodeConfigsById = new Map(flowNodes.map(nodeConfig => [nodeConfig.id, nodeConfig]));
+            
+            // Function nodes with their issues, compared with the baseline
+            flowMetrics.nodeMetrics.forEach(nodeMetric => {
+                const nodeConfig = nodeConfigsById.get(nodeMetric.nodeId);
+                const issues = compareWithBaseline(fingerprintIssues(
+                    nodeMetric.issueDetails.map(issue => ({ ...issue, nodeId: nodeConfig.id })),
+                    [nodeConfig]
+                ), baseline);
+                const { linesOfCode, complexity, complexityScore, qualityScore: nodeQualityScore } = nodeMetric;
+                
+                // Add severity and priority to each issue
+                const enhancedIssues = issues.map(issue => {
+                    const severity = qualityMetrics.getIssueSeverity(issue.type);
+                    const rule = issue.rule ? ruleRegistry.get(issue.rule) : null;
+                    return {
+                        ...issue,
+                        ruleName: rule && !rule.builtin ? rule.name : undefined,
+                        tabLabel: getFunctionNodeTabLabel(issue.tab),
+                        severity: severity.level,
+                        category: severity.category,
+                        priority: severity.priority,
+                        color: severity.color,
+                        weight: qualityMetrics.getIssueWeight(issue.type)
+                    };
+                });
+                
+                // Sort issues by priority (critical first)
+                enhancedIssues.sort((a, b) => a.priority - b.priority);
+                
+                functionNodes.push({
+                    nodeId: nodeConfig.id,
+                    nodeName: nodeConfig.name || `Function Node ${nodeConfig.id.substring(0, 8)}`,
+                    linesOfCode,
+                    complexityScore,
+                    complexity,
+                    qualityScore: nodeQualityScore,
+                    qualityGrade: qualityMetrics.getQualityGrade(nodeQualityScore),
+                    issues: enhancedIssues,
+                    issuesCount: issues.length,
+                    newIssues: issues.filter(issue => issue.isNew !== false).length,
+                    criticalIssues: enhancedIssues.filter(i => i.severity === 'critical').length,
+                    resourceLeakIssues: enhancedIssues.filter(i => i.severity === 'resource-leak').length,
+                    securityIssues: enhancedIssues.filter(i => i.category === 'security').length,
+                    warningIssues: enhancedIssues.filter(i => i.severity === 'warning').length,
+                    infoIssues: enhancedIssues.filter(i => i.severity === 'info').length,
+                    recommendations: qualityMetrics.generateRecommendations({
+                        totalIssues: issues.length,
+                        complexityScore,
+                        issueTypes: issues.map(i => i.type)
+                    }),
+                    // Navigation information for editor opening
+                    navigation: {
+                        flowId: flowId,
                         nodeId: nodeConfig.id,
                         nodeName: nodeConfig.name || `Function Node ${nodeConfig.id.substring(0, 8)}`,
-                        linesOfCode,
-                        complexityScore,
-                        qualityScore: nodeQualityScore,
-                        qualityGrade: qualityMetrics.getQualityGrade(nodeQualityScore),
-                        issues: enhancedIssues,
-                        issuesCount: issues.length,
-                        criticalIssues: enhancedIssues.filter(i => i.severity === 'critical').length,
-                        warningIssues: enhancedIssues.filter(i => i.severity === 'warning').length,
-                        infoIssues: enhancedIssues.filter(i => i.severity === 'info').length,
-                        recommendations: qualityMetrics.generateRecommendations({
-                            totalIssues: issues.length,
-                            complexityScore,
-                            issueTypes: issues.map(i => i.type)
-                        }),
-                        // Navigation information for editor opening
-                        navigation: {
-                            flowId: flowId,
-                            nodeId: nodeConfig.id,
-                            nodeName: nodeConfig.name || `Function Node ${nodeConfig.id.substring(0, 8)}`,
-                            editorUrl: `/red/#flow/${flowId}`,
-                            nodeType: nodeConfig.type
-                        }
-                    });
-                }
+                        editorUrl: `/red/#flow/${flowId}`,
+                        nodeType: nodeConfig.type
+                    }
+                });
             });
             
-            // Calculate flow-level metrics
-            const flowMetrics = qualityMetrics.calculateFlowQualityMetrics(
-                functionNodes.map(n => ({ 
-                    id: n.nodeId, 
-                    name: n.nodeName, 
-                    type: 'function', 
-                    func: 'placeholder' // We already calculated issues above
-                })), 
-                3
-            );
+            // Node-level findings of the flow, with severity and priority like code issues
+            const enhanceFlowIssues = issues => compareWithBaseline(fingerprintIssues(issues, flowNodes), baseline).map(issue => {
+                const severity = qualityMetrics.getIssueSeverity(issue.type);
+                return {
+                    ...issue,
+                    severity: severity.level,
+                    category: severity.category,
+                    priority: severity.priority,
+                    color: severity.color,
+                    weight: qualityMetrics.getIssueWeight(issue.type)
+                };
+            }).sort((a, b) => a.priority - b.priority);
+            const hygieneIssues = enhanceFlowIssues(flowMetrics.hygieneIssues);
+            // Wiring of all nodes in the flow; links to other flows are followed
+            const wiringIssues = enhanceFlowIssues(analyzeFlowWiring(getDeployedNodes(), flowId, ruleConfig));
+            // Catch, status and complete node coverage of the function nodes that can throw
+            const errorHandlingIssues = enhanceFlowIssues(flowMetrics.errorHandling.issues);
+            const flowIssues = hygieneIssues.concat(wiringIssues, errorHandlingIssues);
             
             // Sort nodes by severity (most problematic first)
             functionNodes.sort((a, b) => {
                 if (a.criticalIssues !== b.criticalIssues) {
                     return b.criticalIssues - a.criticalIssues;
                 }
+                if (a.resourceLeakIssues !== b.resourceLeakIssues) {
+                    return b.resourceLeakIssues - a.resourceLeakIssues;
+                }
                 if (a.warningIssues !== b.warningIssues) {
                     return b.warningIssues - a.warningIssues;
                 }
@@ -927,19 +1371,42 @@ module.exports = function(RED) {
                 flowName,
                 totalNodes: functionNodes.length,
                 nodesWithIssues: functionNodes.filter(n => n.issuesCount > 0).length,
-                totalIssues: functionNodes.reduce((sum, n) => sum + n.issuesCount, 0),
-                criticalIssues: functionNodes.reduce((sum, n) => sum + n.criticalIssues, 0),
-                warningIssues: functionNodes.reduce((sum, n) => sum + n.warningIssues, 0),
-                infoIssues: functionNodes.reduce((sum, n) => sum + n.infoIssues, 0),
+                totalIssues: functionNodes.reduce((sum, n) => sum + n.issuesCount, 0) + flowIssues.length,
+                criticalIssues: functionNodes.reduce((sum, n) => sum + n.criticalIssues, 0) + flowIssues.filter(i => i.severity === 'critical').length,
+                resourceLeakIssues: functionNodes.reduce((sum, n) => sum + n.resourceLeakIssues, 0),
+                securityIssues: functionNodes.reduce((sum, n) => sum + n.securityIssues, 0),
+                warningIssues: functionNodes.reduce((sum, n) => sum + n.warningIssues, 0) + flowIssues.filter(i => i.severity === 'warning').length,
+                infoIssues: functionNodes.reduce((sum, n) => sum + n.infoIssues, 0) + flowIssues.filter(i => i.severity === 'info').length,
                 overallQuality: flowMetrics.qualityScore,
                 overallComplexity: flowMetrics.complexityScore,
                 overallGrade: qualityMetrics.getQualityGrade(flowMetrics.qualityScore),
+                errorCoverage: flowMetrics.errorHandling.coverage,
                 healthPercentage: Math.round((functionNodes.length - functionNodes.filter(n => n.issuesCount > 0).length) / Math.max(1, functionNodes.length) * 100),
+                // Issues new since the baseline and known from it; null without a baseline
+                baseline: baseline ? {
+                    createdAt: baseline.createdAt,
+                    newIssues: functionNodes.reduce((sum, n) => sum + n.newIssues, 0) + flowIssues.filter(i => i.isNew).length,
+                    knownIssues: functionNodes.reduce((sum, n) => sum + n.issuesCount - n.newIssues, 0) + flowIssues.filter(i => !i.isNew).length
+                } : null,
                 nodes: functionNodes,
+                // Debug nodes, disabled nodes and other leftovers outside the code
+                hygieneIssues,
+                // Unreachable nodes, unwired outputs, broken links and message loops
+                wiringIssues,
+                // Function nodes that can throw, the catch nodes covering them, and coverage per group
+                errorHandling: { ...flowMetrics.errorHandling, issues: errorHandlingIssues },
+                // Flow variables written by several nodes, with every writer
+                sharedFlowVariables: findSharedFlowVariables(analysisOptions.flowVariables).map(variable => ({
+                    ...variable,
+                    writers: variable.writers.map(writer => ({
+                        ...writer,
+                        locations: writer.locations.map(location => ({ ...location, tabLabel: location.tab ? getFunctionNodeTabLabel(location.tab) : null }))
+                    }))
+                })),
                 recommendations: qualityMetrics.generateRecommendations({
                     ...flowMetrics,
-                    totalIssues: functionNodes.reduce((sum, node) => sum + node.issuesCount, 0),
-                    issueTypes: [...new Set(functionNodes.flatMap(node => node.issueTypes || []))]
+                    totalIssues: functionNodes.reduce((sum, node) => sum + node.issuesCount, 0) + flowIssues.length,
+                    issueTypes: [...new Set(flowMetrics.issueTypes.concat(flowIssues.map(issue => issue.type)))]
                 }),
                 timestamp: new Date().toISOString()
             };
@@ -1029,6 +1496,190 @@ module.exports = function(RED) {
         }
     });
 
+    // API: List registered analysis rules (built-in and custom)
+    RED.httpAdmin.get('/code-analyzer/api/rules', function(_, res) {
+        res.json(ruleRegistry.getRules().map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            description: rule.description,
+            level: rule.level,
+            severity: rule.severity,
+            issueTypes: rule.issueTypes,
+            defaultOptions: rule.defaultOptions || {},
+            builtin: rule.builtin
+        })));
+    });
+
+    // API: Expand an analyzer node's detection level and rule overrides into settings for every rule
+    RED.httpAdmin.post('/code-analyzer/api/rule-config', function(req, res) {
+        try {
+            const { detectionLevel, ruleConfig } = req.body || {};
+            res.json(expandRuleConfig(getAnalyzerRuleConfig({ detectionLevel, ruleConfig }, analyzerSettings.rules)));
+        } catch (error) {
+            res.status(400).json({ 
+                error: 'Invalid rule configuration', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Analyze code with the rules the editor cannot run itself (custom rules)
+    RED.httpAdmin.post('/code-analyzer/api/analyze', function(req, res) {
+        try {
+            const { code, detectionLevel, ruleConfig, nodeId, node: editorNode, tab } = req.body || {};
+            const serverRules = ruleRegistry.getRules().filter(rule => !rule.browser);
+            
+            if (typeof code !== 'string' || serverRules.length === 0) {
+                return res.json({ issues: [] });
+            }
+            
+            // Deployed node configuration, updated with the values currently in the edit dialog
+            let nodeConfig = null;
+            if (nodeId) {
+                RED.nodes.eachNode(function(n) {
+                    if (n.id === nodeId) {
+                        nodeConfig = n;
+                    }
+                });
+            }
+            if (editorNode && typeof editorNode === 'object') {
+                nodeConfig = { ...(nodeConfig || {}), ...editorNode };
+            }
+            
+            const issues = detectDebuggingTraits(code, getAnalyzerRuleConfig({ detectionLevel, ruleConfig }, analyzerSettings.rules), { ...getAnalysisOptions(nodeConfig && nodeConfig.z), node: nodeConfig, tab })
+                .filter(issue => serverRules.some(rule => rule.id === issue.rule));
+            
+            res.json({ issues });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to analyze code', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Preview the automatic fixes of the fixable rules (console statements, debugger
+    // statements, extra empty lines, unused variables, top-level returns) as a unified diff
+    // per function node code tab. Body: { flowId, nodeIds, rules }, all optional.
+    RED.httpAdmin.post('/code-analyzer/api/fixes/preview', function(req, res) {
+        try {
+            const selection = getFixSelection(req.body);
+            const nodes = planFixes(getDeployedNodes(), selection);
+            
+            res.json({
+                rules: selection.rules || FIXABLE_RULES,
+                nodes,
+                totalFixes: nodes.reduce((sum, node) => sum + node.tabs.reduce((tabSum, tab) => tabSum + tab.fixes.length, 0), 0),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({ 
+                error: 'Failed to preview fixes', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Apply the automatic fixes of the selection to the flow configuration and deploy
+    // the changed nodes; the code before the fixes is kept in the database to undo them.
+    // The digests of the previewed tabs make sure only the reviewed fixes are applied.
+    RED.httpAdmin.post('/code-analyzer/api/fixes/apply', RED.auth.needsPermission('flows.write'), async function(req, res) {
+        try {
+            if (!RED.qualityDatabase || !RED.qualityDatabase.initialized) {
+                return res.status(503).json({ error: 'Quality database not available to keep the undo record' });
+            }
+            
+            const selection = getFixSelection(req.body);
+            const digests = (req.body || {}).digests;
+            if (!Array.isArray(digests) || digests.length === 0) {
+                return res.status(400).json({ error: 'Send the digests of the previewed fixes to apply' });
+            }
+            const { rev, flows } = await requestAdminFlows(req);
+            const plans = planFixes(flows, selection);
+            if (!matchesReviewedFixes(plans, digests)) {
+                return res.status(409).json({ error: 'The fixes changed since the preview - preview them again' });
+            }
+            const { nodeConfigs, changes } = applyPlannedFixes(flows, plans);
+            if (changes.length === 0) {
+                return res.json({ fixId: null, totalFixes: 0, changes: [] });
+            }
+            
+            // Keep the undo record before deploying, so a deployed fix always has one
+            const totalFixes = plans.reduce((sum, plan) => sum + plan.tabs.reduce((tabSum, tab) => tabSum + tab.fixes.length, 0), 0);
+            const nodeCount = new Set(changes.map(change => change.nodeId)).size;
+            const fixId = await RED.qualityDatabase.storeFixRecord(`${totalFixes} fixes in ${nodeCount} function node${nodeCount === 1 ? '' : 's'}`, changes);
+            let deployed;
+            try {
+                deployed = await requestAdminFlows(req, { rev, flows: nodeConfigs });
+            } catch (error) {
+                await RED.qualityDatabase.deleteFixRecord(fixId).catch(() => {});
+                throw error;
+            }
+            await RED.qualityDatabase.markFixApplied(fixId);
+            
+            res.json({
+                fixId,
+                rev: deployed.rev,
+                totalFixes,
+                changes: changes.map(({ nodeId, nodeName, flowId, tab }) => ({ nodeId, nodeName, flowId, tab }))
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({ 
+                error: 'Failed to apply fixes', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Undo an applied fix run. Code tabs edited since then are left as they are.
+    RED.httpAdmin.post('/code-analyzer/api/fixes/:fixId/undo', RED.auth.needsPermission('flows.write'), async function(req, res) {
+        try {
+            if (!RED.qualityDatabase || !RED.qualityDatabase.initialized) {
+                return res.status(503).json({ error: 'Quality database not available' });
+            }
+            
+            const record = await RED.qualityDatabase.getFixRecord(parseInt(req.params.fixId));
+            if (!record || !record.applied_at) {
+                return res.status(404).json({ error: 'Fix not found' });
+            }
+            if (record.undone_at) {
+                return res.status(409).json({ error: 'Fix already undone', undoneAt: record.undone_at });
+            }
+            
+            const { rev, flows } = await requestAdminFlows(req);
+            const { nodeConfigs, restored, skipped } = revertChanges(flows, record.changes);
+            if (restored.length > 0) {
+                await requestAdminFlows(req, { rev, flows: nodeConfigs });
+            }
+            await RED.qualityDatabase.markFixUndone(record.id);
+            
+            const summarize = changes => changes.map(({ nodeId, nodeName, flowId, tab }) => ({ nodeId, nodeName, flowId, tab }));
+            res.json({ fixId: record.id, restored: summarize(restored), skipped: summarize(skipped) });
+        } catch (error) {
+            res.status(error.status || 500).json({ 
+                error: 'Failed to undo fixes', 
+                details: error.message 
+            });
+        }
+    });
+
+    // API: Recent fix runs, newest first
+    RED.httpAdmin.get('/code-analyzer/api/fixes/history', async function(req, res) {
+        try {
+            if (!RED.qualityDatabase || !RED.qualityDatabase.initialized) {
+                return res.status(503).json({ error: 'Quality database not available' });
+            }
+            
+            const limit = parseInt(req.query.limit) || 20;
+            res.json({ fixes: await RED.qualityDatabase.getFixHistory(limit) });
+        } catch (error) {
+            res.status(500).json({ 
+                error: 'Failed to get fix history', 
+                details: error.message 
+            });
+        }
+    });
+
     // API: Get performance metrics for charts
     RED.httpAdmin.get('/code-analyzer/api/dashboard/performance-metrics', async function(req, res) {
         try {
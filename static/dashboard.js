@@ -50,6 +50,7 @@ class QualityDashboard {
             this.updateFlowsList(summary.quality.flows);
             this.updateProblematicNodesList(problematicNodes.nodes);
             this.updateAlertsList(alerts.alerts);
+            await this.loadDuplicates();
             
             // Load performance chart
             await this.updatePerformanceChart('cpu');
@@ -71,6 +72,34 @@ class QualityDashboard {
         return response.json();
     }
 
+    // POST to an API that changes flows. The editor's access token is sent along, since the
+    // server deploys the changes through the admin API with it.
+    async postAPI(endpoint, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        try {
+            const tokens = JSON.parse(localStorage.getItem('auth-tokens'));
+            if (tokens && tokens.access_token) {
+                headers.Authorization = `Bearer ${tokens.access_token}`;
+            }
+        } catch (error) {
+            // No stored token when the admin API is not secured
+        }
+        const response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return result;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     updateOverviewCards(data) {
         const { quality } = data;
         const { systemTrends, overallGrade, summary } = quality;
@@ -237,6 +266,7 @@ class QualityDashboard {
                                       style="background-color: ${qualityColor}20; color: ${qualityColor}">
                                     ${flow.quality_score}%
                                 </span>
+                                ${this.renderErrorCoverageBadge(flow.error_coverage)}
                                 <i class="fas fa-chevron-down ml-2 text-gray-400 transition-transform flow-chevron"></i>
                             </div>
                             <div class="mt-1 text-sm text-gray-600">
@@ -305,11 +335,19 @@ class QualityDashboard {
             container.innerHTML = `
                 <div class="px-4 pb-4 border-t border-gray-200 bg-white">
                     <div class="py-3">
-                        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div class="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
                             <div class="text-center">
                                 <div class="text-2xl font-bold text-red-600">${flowDetails.criticalIssues}</div>
                                 <div class="text-xs text-gray-500">Critical</div>
                             </div>
+                            <div class="text-center">
+                                <div class="text-2xl font-bold text-purple-600">${flowDetails.resourceLeakIssues || 0}</div>
+                                <div class="text-xs text-gray-500">Resource Leaks</div>
+                            </div>
+                            <div class="text-center">
+                                <div class="text-2xl font-bold text-pink-700">${flowDetails.securityIssues || 0}</div>
+                                <div class="text-xs text-gray-500">Security</div>
+                            </div>
                             <div class="text-center">
                                 <div class="text-2xl font-bold text-orange-600">${flowDetails.warningIssues}</div>
                                 <div class="text-xs text-gray-500">Warnings</div>
@@ -331,8 +369,10 @@ class QualityDashboard {
                                 ${flowDetails.recommendations.map(rec => `
                                     <div class="flex items-start">
                                         <i class="fas ${rec.type === 'critical' ? 'fa-exclamation-circle text-red-600' : 
-        rec.type === 'warning' ? 'fa-exclamation-triangle text-orange-600' : 
-            'fa-info-circle text-blue-600'} text-sm mt-0.5 mr-2"></i>
+        rec.type === 'security' ? 'fa-shield-alt text-pink-700' :
+            rec.type === 'resource-leak' ? 'fa-tint text-purple-600' :
+                rec.type === 'warning' ? 'fa-exclamation-triangle text-orange-600' : 
+                    'fa-info-circle text-blue-600'} text-sm mt-0.5 mr-2"></i>
                                         <div class="text-sm text-gray-700">
                                             <span class="font-medium">${rec.message}</span> - ${rec.action}
                                         </div>
@@ -342,6 +382,30 @@ class QualityDashboard {
                         </div>
                         ` : ''}
                         
+                        ${this.renderHygieneIssues(flowDetails.hygieneIssues)}
+                        
+                        ${this.renderWiringIssues(flowDetails.wiringIssues)}
+                        
+                        ${this.renderErrorHandling(flowDetails.errorHandling)}
+                        
+                        ${this.renderSharedFlowVariables(flowDetails.sharedFlowVariables)}
+                        
+                        <div class="mb-4 p-3 bg-gray-50 rounded-lg baseline-panel">
+                            ${this.renderBaseline(flowDetails.baseline)}
+                        </div>
+                        
+                        <div class="mb-4 p-3 bg-gray-50 rounded-lg auto-fix-panel">
+                            <div class="flex items-center justify-between">
+                                <h5 class="text-sm font-medium text-gray-900">
+                                    <i class="fas fa-magic mr-1"></i>Automatic fixes
+                                </h5>
+                                <button class="auto-fix-preview text-xs px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">
+                                    Preview fixes
+                                </button>
+                            </div>
+                            <div class="auto-fix-result mt-2"></div>
+                        </div>
+                        
                         <div class="space-y-3">
                             <h5 class="text-sm font-semibold text-gray-900">Function Nodes (${flowDetails.nodes.length}):</h5>
                             ${this.renderFlowNodes(flowDetails.nodes)}
@@ -350,6 +414,37 @@ class QualityDashboard {
                 </div>
             `;
             
+            container.querySelectorAll('.hygiene-item, .wiring-item, .error-handling-item').forEach(item => {
+                item.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.navigateToNode(item.dataset.nodeId, flowId, 1, 1, item.dataset.nodeName);
+                });
+            });
+            
+            container.querySelector('.auto-fix-preview').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.previewFixes(flowId, container.querySelector('.auto-fix-panel'));
+            });
+            
+            container.querySelectorAll('.baseline-take, .baseline-clear').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.updateBaseline(flowId, container, button.classList.contains('baseline-clear'));
+                });
+            });
+            
+            container.querySelectorAll('.writer-item').forEach(item => {
+                item.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const { nodeId, line, tab, nodeName } = item.dataset;
+                    this.navigateToNode(nodeId, flowId, parseInt(line) || 1, 1, nodeName, tab || undefined);
+                });
+            });
+            
             // Add event listeners to error items after DOM is updated
             setTimeout(() => {
                 const errorItems = container.querySelectorAll('.error-item');
@@ -364,9 +459,10 @@ class QualityDashboard {
                         const line = parseInt(errorElement.dataset.line);
                         const column = parseInt(errorElement.dataset.column);
                         const nodeName = errorElement.dataset.nodeName;
+                        const tab = errorElement.dataset.tab;
                         
                         if (window.openNodeEditor) {
-                            window.openNodeEditor(nodeId, flowId, line, column, nodeName);
+                            window.openNodeEditor(nodeId, flowId, line, column, nodeName, tab);
                         } else {
                             console.error('openNodeEditor function not found on window object');
                         }
@@ -409,16 +505,21 @@ class QualityDashboard {
                                           style="background-color: ${qualityColor}20; color: ${qualityColor}">
                                         ${node.qualityGrade.grade}
                                     </span>
+                                    ${node.securityIssues > 0 ? 
+        `<i class="fas fa-shield-alt text-pink-700 ml-2" title="${node.securityIssues} security findings"></i>` : ''}
                                     ${node.criticalIssues > 0 ? 
         `<i class="fas fa-exclamation-circle text-red-600 ml-2" title="${node.criticalIssues} critical issues"></i>` : 
-        node.warningIssues > 0 ? 
-            `<i class="fas fa-exclamation-triangle text-orange-600 ml-2" title="${node.warningIssues} warnings"></i>` :
-            '<i class="fas fa-check-circle text-green-600 ml-2" title="No issues"></i>'
+        node.resourceLeakIssues > 0 ?
+            `<i class="fas fa-tint text-purple-600 ml-2" title="${node.resourceLeakIssues} resource leaks"></i>` :
+            node.warningIssues > 0 ? 
+                `<i class="fas fa-exclamation-triangle text-orange-600 ml-2" title="${node.warningIssues} warnings"></i>` :
+                '<i class="fas fa-check-circle text-green-600 ml-2" title="No issues"></i>'
 }
                                 </div>
                                 <div class="text-xs text-gray-600 mt-1">
                                     ${node.linesOfCode} lines • Complexity: ${node.complexityScore} • Quality: ${node.qualityScore}%
                                 </div>
+                                ${this.renderComplexityBreakdown(node.complexity)}
                             </div>
                         </div>
                         
@@ -430,13 +531,15 @@ class QualityDashboard {
                             ${node.issues.map(issue => `
                                 <div class="flex items-start p-2 bg-white rounded border-l-4 ${
     issue.severity === 'critical' ? 'border-red-500' :
-        issue.severity === 'warning' ? 'border-orange-500' : 
-            'border-blue-500'
+        issue.severity === 'resource-leak' ? 'border-purple-500' :
+            issue.severity === 'warning' ? 'border-orange-500' : 
+                'border-blue-500'
 } hover:bg-gray-50 cursor-pointer transition-colors group error-item"
                                      data-node-id="${node.nodeId}" 
                                      data-flow-id="${node.navigation.flowId}" 
                                      data-line="${issue.line}" 
                                      data-column="${issue.column || 1}" 
+                                     data-tab="${issue.tab || 'func'}" 
                                      data-node-name="${node.nodeName.replace(/"/g, '&quot;')}"
                                      title="Click to open in Node-RED editor (Line ${issue.line})">
                                     <div class="flex-shrink-0 mt-0.5">
@@ -451,9 +554,14 @@ class QualityDashboard {
                                                   style="color: ${issue.color}">
                                                 ${issue.severity}
                                             </span>
+                                            ${this.renderNewBadge(issue)}
+                                            ${issue.category === 'security' ? `
+                                            <span class="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-semibold uppercase tracking-wide bg-pink-100 text-pink-700">
+                                                <i class="fas fa-shield-alt mr-1"></i>Security
+                                            </span>` : ''}
                                             <span class="ml-2 text-xs text-gray-500 group-hover:text-blue-600">
                                                 <i class="fas fa-external-link-alt mr-1 opacity-0 group-hover:opacity-100 transition-opacity"></i>
-                                                Line ${issue.line}${issue.column ? `, Col ${issue.column}` : ''}
+                                                ${issue.tab && issue.tab !== 'func' ? `${issue.tabLabel} · ` : ''}Line ${issue.line}${issue.column ? `, Col ${issue.column}` : ''}
                                             </span>
                                             <span class="ml-2 text-xs text-gray-400">
                                                 -${issue.weight} pts
@@ -463,7 +571,7 @@ class QualityDashboard {
                                             ${issue.message}
                                         </div>
                                         <div class="text-xs text-gray-500 mt-1 group-hover:text-gray-600">
-                                            Type: ${issue.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                                            Type: ${issue.ruleName ? `${issue.ruleName} (custom rule)` : issue.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
                                             <span class="ml-2 text-blue-600 opacity-0 group-hover:opacity-100 transition-opacity">
                                                 → Click to open in editor
                                             </span>
@@ -484,6 +592,344 @@ class QualityDashboard {
         }).join('');
     }
 
+    // Marks an issue that is not in the baseline of known issues
+    renderNewBadge(issue) {
+        if (issue.isNew !== true) {
+            return '';
+        }
+        return `
+            <span class="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-semibold uppercase tracking-wide bg-yellow-100 text-yellow-800"
+                  title="Not in the baseline of known issues">New</span>`;
+    }
+
+    // When the baseline of known issues was taken and how many issues of the flow are new
+    renderBaseline(baseline) {
+        const state = baseline
+            ? `${baseline.newIssues} new, ${baseline.knownIssues} known since the baseline of ${new Date(baseline.createdAt).toLocaleString()}`
+            : 'No baseline - every issue counts as new';
+        return `
+            <div class="flex items-center justify-between">
+                <h5 class="text-sm font-medium text-gray-900">
+                    <i class="fas fa-flag-checkered mr-1"></i>Baseline
+                    <span class="ml-2 text-xs font-normal text-gray-600">${state}</span>
+                </h5>
+                <div>
+                    <button class="baseline-take text-xs px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                            title="Take the current issues of this flow as known">
+                        Take snapshot
+                    </button>
+                    ${baseline ? `
+                    <button class="baseline-clear ml-1 text-xs px-2 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300"
+                            title="Remove the baseline of every flow">
+                        Clear
+                    </button>` : ''}
+                </div>
+            </div>
+            <div class="baseline-result mt-2"></div>
+        `;
+    }
+
+    // Take the current issues of a flow as the baseline, or remove the baseline, and show
+    // the flow details again
+    async updateBaseline(flowId, container, clear) {
+        const result = container.querySelector('.baseline-result');
+        if (clear && !confirm('Remove the baseline? Every issue of every flow will count as new again.')) {
+            return;
+        }
+        try {
+            if (clear) {
+                await this.postAPI('/code-analyzer/api/baseline/clear');
+            } else {
+                await this.postAPI('/code-analyzer/api/baseline', { flowId });
+            }
+            await this.loadFlowDetails(flowId, container);
+        } catch (error) {
+            result.innerHTML = `<div class="text-xs text-red-600">Failed to update the baseline: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // Leftovers outside the code: active debug nodes, self-starting injects, disabled nodes, ...
+    renderHygieneIssues(hygieneIssues) {
+        if (!hygieneIssues || hygieneIssues.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="mb-4 p-3 bg-gray-50 rounded-lg">
+                <h5 class="text-sm font-medium text-gray-900 mb-2">
+                    <i class="fas fa-broom mr-1"></i>Flow hygiene (${hygieneIssues.length}):
+                </h5>
+                <div class="space-y-1">
+                    ${hygieneIssues.map(issue => `
+                        <div class="flex items-start text-xs text-gray-700 hover:text-blue-700 cursor-pointer hygiene-item"
+                             data-node-id="${issue.nodeId}"
+                             data-node-name="${issue.nodeName.replace(/"/g, '&quot;')}"
+                             title="Click to open ${issue.nodeName.replace(/"/g, '&quot;')} in Node-RED editor">
+                            <span class="inline-block w-2 h-2 rounded-full mt-1 mr-2 flex-shrink-0" style="background-color: ${issue.color}"></span>
+                            <span>${issue.message}${this.renderNewBadge(issue)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Unreachable nodes, unwired outputs, broken links and message loops of the flow
+    renderWiringIssues(wiringIssues) {
+        if (!wiringIssues || wiringIssues.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="mb-4 p-3 bg-blue-50 rounded-lg">
+                <h5 class="text-sm font-medium text-blue-900 mb-2">
+                    <i class="fas fa-project-diagram mr-1"></i>Wiring (${wiringIssues.length}):
+                </h5>
+                <div class="space-y-1">
+                    ${wiringIssues.map(issue => `
+                        <div class="flex items-start text-xs text-blue-800 hover:text-blue-600 cursor-pointer wiring-item"
+                             data-node-id="${issue.nodeId}"
+                             data-node-name="${issue.nodeName.replace(/"/g, '&quot;')}"
+                             title="Click to open ${issue.nodeName.replace(/"/g, '&quot;')} in Node-RED editor">
+                            <span class="inline-block w-2 h-2 rounded-full mt-1 mr-2 flex-shrink-0" style="background-color: ${issue.color}"></span>
+                            <span>${issue.message}${this.renderNewBadge(issue)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Unified diff with removed and added lines colored
+    renderDiff(diff) {
+        return diff.split('\n').filter(line => line !== '').map(line => {
+            let color = 'text-gray-600';
+            if (line.startsWith('@@')) {
+                color = 'text-purple-700';
+            } else if (line.startsWith('-') && !line.startsWith('---')) {
+                color = 'text-red-700 bg-red-50';
+            } else if (line.startsWith('+') && !line.startsWith('+++')) {
+                color = 'text-green-700 bg-green-50';
+            }
+            return `<div class="${color}">${this.escapeHtml(line) || '&nbsp;'}</div>`;
+        }).join('');
+    }
+
+    // Dry run of the automatic fixes of a flow: a diff per function node, to pick the nodes to fix
+    async previewFixes(flowId, panel) {
+        const result = panel.querySelector('.auto-fix-result');
+        try {
+            const preview = await this.postAPI('/code-analyzer/api/fixes/preview', { flowId });
+            if (preview.nodes.length === 0) {
+                result.innerHTML = '<div class="text-xs text-gray-500">Nothing to fix automatically</div>';
+                return;
+            }
+            
+            result.innerHTML = `
+                <div class="text-xs text-gray-600 mb-2">
+                    ${preview.totalFixes} fixes in ${preview.nodes.length} function nodes (${preview.rules.join(', ')}). Untick the nodes to leave as they are.
+                </div>
+                ${preview.nodes.map(node => `
+                    <div class="mb-2 border border-gray-200 rounded bg-white">
+                        <label class="flex items-center px-2 py-1 text-xs font-medium text-gray-800">
+                            <input type="checkbox" class="auto-fix-node mr-2" value="${this.escapeHtml(node.nodeId)}" data-digests="${this.escapeHtml(node.tabs.map(tab => tab.digest).join(','))}" checked>
+                            ${this.escapeHtml(node.nodeName)}
+                            <span class="ml-2 text-gray-500">${node.tabs.reduce((sum, tab) => sum + tab.fixes.length, 0)} fixes</span>
+                        </label>
+                        ${node.tabs.map(tab => `
+                            <pre class="text-xs font-mono px-2 py-1 overflow-x-auto border-t border-gray-100">${this.renderDiff(tab.diff)}</pre>
+                        `).join('')}
+                    </div>
+                `).join('')}
+                <button class="auto-fix-apply text-xs px-2 py-1 rounded bg-green-600 text-white hover:bg-green-700">
+                    Apply selected fixes and deploy
+                </button>
+            `;
+            result.querySelector('.auto-fix-apply').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.applyFixes(flowId, panel);
+            });
+        } catch (error) {
+            result.innerHTML = `<div class="text-xs text-red-600">Failed to preview fixes: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async applyFixes(flowId, panel) {
+        const result = panel.querySelector('.auto-fix-result');
+        const selected = Array.from(result.querySelectorAll('.auto-fix-node:checked'));
+        const nodeIds = selected.map(input => input.value);
+        const digests = selected.reduce((all, input) => all.concat(input.dataset.digests.split(',')), []);
+        if (nodeIds.length === 0 || !confirm(`Apply the fixes to ${nodeIds.length} function nodes and deploy them?`)) {
+            return;
+        }
+        
+        try {
+            const applied = await this.postAPI('/code-analyzer/api/fixes/apply', { flowId, nodeIds, digests });
+            if (!applied.fixId) {
+                result.innerHTML = '<div class="text-xs text-gray-500">Nothing left to fix - the nodes changed since the preview</div>';
+                return;
+            }
+            result.innerHTML = `
+                <div class="flex items-center text-xs text-green-700">
+                    <i class="fas fa-check-circle mr-2"></i>
+                    Applied ${applied.totalFixes} fixes to ${new Set(applied.changes.map(change => change.nodeId)).size} function nodes and deployed them
+                    <button class="auto-fix-undo ml-3 px-2 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300">Undo</button>
+                </div>
+            `;
+            result.querySelector('.auto-fix-undo').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.undoFixes(applied.fixId, panel);
+            });
+        } catch (error) {
+            result.innerHTML = `<div class="text-xs text-red-600">Failed to apply fixes: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async undoFixes(fixId, panel) {
+        const result = panel.querySelector('.auto-fix-result');
+        try {
+            const undone = await this.postAPI(`/code-analyzer/api/fixes/${fixId}/undo`);
+            const skipped = undone.skipped.length > 0
+                ? ` - ${undone.skipped.map(change => this.escapeHtml(change.nodeName)).join(', ')} changed since and ${undone.skipped.length === 1 ? 'was' : 'were'} left as is`
+                : '';
+            result.innerHTML = `<div class="text-xs text-gray-700">Restored the code of ${undone.restored.length} code tabs${skipped}</div>`;
+        } catch (error) {
+            result.innerHTML = `<div class="text-xs text-red-600">Failed to undo fixes: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // Share of the function nodes that can throw with a catch node, next to the quality score
+    renderErrorCoverageBadge(errorCoverage) {
+        if (errorCoverage === null || errorCoverage === undefined) {
+            return '';
+        }
+        
+        const color = this.getQualityColor(errorCoverage);
+        return `
+            <span class="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium"
+                  style="background-color: ${color}20; color: ${color}"
+                  title="Function nodes that can throw with a catch node">
+                <i class="fas fa-shield-alt mr-1"></i>${errorCoverage}% errors handled
+            </span>
+        `;
+    }
+
+    // Catch node coverage of the function nodes that can throw, per group, with the findings
+    renderErrorHandling(errorHandling) {
+        if (!errorHandling || (errorHandling.throwingNodes === 0 && errorHandling.issues.length === 0)) {
+            return '';
+        }
+        
+        const coverage = errorHandling.throwingNodes > 0
+            ? `: ${errorHandling.coveredNodes} of ${errorHandling.throwingNodes} function nodes that can throw have a catch node (${errorHandling.coverage}%)`
+            : '';
+        const groups = errorHandling.groups.map(group => `
+            <span class="inline-block mr-3">${group.groupName}: ${group.covered}/${group.functionNodes}</span>
+        `).join('');
+        
+        return `
+            <div class="mb-4 p-3 bg-green-50 rounded-lg">
+                <h5 class="text-sm font-medium text-green-900 mb-2">
+                    <i class="fas fa-shield-alt mr-1"></i>Error handling${coverage}
+                </h5>
+                ${groups ? `<div class="text-xs text-green-800 mb-2">Groups: ${groups}</div>` : ''}
+                <div class="space-y-1">
+                    ${errorHandling.issues.map(issue => `
+                        <div class="flex items-start text-xs text-gray-700 hover:text-blue-700 cursor-pointer error-handling-item"
+                             data-node-id="${issue.nodeId}"
+                             data-node-name="${issue.nodeName.replace(/"/g, '&quot;')}"
+                             title="Click to open ${issue.nodeName.replace(/"/g, '&quot;')} in Node-RED editor">
+                            <span class="inline-block w-2 h-2 rounded-full mt-1 mr-2 flex-shrink-0" style="background-color: ${issue.color}"></span>
+                            <span>${issue.message}${this.renderNewBadge(issue)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Flow variables set by more than one node, with the nodes that write them
+    renderSharedFlowVariables(sharedFlowVariables) {
+        if (!sharedFlowVariables || sharedFlowVariables.length === 0) {
+            return '';
+        }
+        
+        const variables = sharedFlowVariables.map(variable => `
+            <div class="mb-2">
+                <div class="text-sm text-gray-800">
+                    <span class="font-mono font-medium">flow.${variable.key}</span>
+                    <span class="text-xs text-gray-500 ml-2">${variable.writers.length} writers • ${variable.readers} readers</span>
+                </div>
+                <div class="ml-4 mt-1 space-y-1">
+                    ${variable.writers.map(writer => `
+                        <div class="text-xs text-gray-700 hover:text-blue-700 cursor-pointer writer-item"
+                             data-node-id="${writer.nodeId}"
+                             data-line="${writer.locations[0].line || ''}"
+                             data-tab="${writer.locations[0].tab || ''}"
+                             data-node-name="${writer.nodeName.replace(/"/g, '&quot;')}"
+                             title="Click to open ${writer.nodeName.replace(/"/g, '&quot;')} in Node-RED editor">
+                            <i class="fas fa-pen mr-1 text-gray-400"></i>${writer.nodeName}
+                            <span class="text-gray-500">(${writer.locations.map(location => (location.line !== undefined
+        ? `${location.tabLabel} line ${location.line}`
+        : `${writer.nodeType} node`) + (location.store ? `, ${location.store} store` : '')).join('; ')})</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="mb-4 p-3 bg-yellow-50 rounded-lg">
+                <h5 class="text-sm font-medium text-yellow-900 mb-2">
+                    <i class="fas fa-people-arrows mr-1"></i>Flow variables with several writers (last write wins):
+                </h5>
+                ${variables}
+            </div>
+        `;
+    }
+
+    // Cyclomatic/cognitive complexity, nesting and per-function breakdown of a node
+    renderComplexityBreakdown(complexity) {
+        if (!complexity || !complexity.functions || complexity.functions.length === 0) {
+            return '';
+        }
+        
+        const functions = complexity.functions.map(fn => `
+            <tr>
+                <td class="pr-3 font-mono">${fn.name}</td>
+                <td class="pr-3">${fn.tab || 'func'}:${fn.line}</td>
+                <td class="pr-3 text-right">${fn.cyclomatic}</td>
+                <td class="pr-3 text-right">${fn.cognitive}</td>
+                <td class="pr-3 text-right">${fn.maxNesting}</td>
+                <td class="text-right">${fn.length}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <details class="text-xs text-gray-600 mt-1">
+                <summary class="cursor-pointer">
+                    Cyclomatic: ${complexity.cyclomatic} • Cognitive: ${complexity.cognitive} • 
+                    Max nesting: ${complexity.maxNesting} • Longest function: ${complexity.maxFunctionLength} lines
+                </summary>
+                <table class="mt-1 ml-4">
+                    <thead class="text-gray-500">
+                        <tr>
+                            <th class="pr-3 text-left font-medium">Function</th>
+                            <th class="pr-3 text-left font-medium">Location</th>
+                            <th class="pr-3 text-right font-medium">Cyclomatic</th>
+                            <th class="pr-3 text-right font-medium">Cognitive</th>
+                            <th class="pr-3 text-right font-medium">Nesting</th>
+                            <th class="text-right font-medium">Lines</th>
+                        </tr>
+                    </thead>
+                    <tbody>${functions}</tbody>
+                </table>
+            </details>
+        `;
+    }
+    
     updateProblematicNodesList(nodes) {
         const container = document.getElementById('problematicNodesList');
         
@@ -515,6 +961,7 @@ class QualityDashboard {
                         <div class="mt-1 text-sm text-gray-600">
                             ${node.issues_count} issues • ${node.lines_of_code} lines • Complexity: ${node.complexity_score}
                         </div>
+                        ${this.renderComplexityBreakdown(node.complexity)}
                     </div>
                     <div class="ml-4 text-right">
                         <div class="text-sm font-medium" style="color: ${qualityColor}">
@@ -526,6 +973,90 @@ class QualityDashboard {
         }).join('');
     }
 
+    async loadDuplicates() {
+        try {
+            const duplicates = await this.fetchAPI('/code-analyzer/api/dashboard/duplicates');
+            this.updateDuplicatesList(duplicates);
+        } catch (error) {
+            this.showError('Failed to load duplicate code: ' + error.message);
+        }
+    }
+
+    updateDuplicatesList(duplicates) {
+        const container = document.getElementById('duplicatesList');
+        const { groups, summary } = duplicates;
+        
+        document.getElementById('duplicatesSummary').textContent = summary.totalGroups > 0 ?
+            `${summary.exactGroups} exact • ${summary.nearGroups} near • ${summary.duplicatedNodes} nodes • ${summary.duplicatedLines} duplicated lines` :
+            '';
+        
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-4">No duplicate code found</p>';
+            return;
+        }
+
+        container.innerHTML = groups.map(group => `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <div class="flex items-center justify-between mb-3">
+                    <div class="flex items-center">
+                        <i class="fas fa-clone text-gray-500 mr-2"></i>
+                        <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+    group.type === 'exact' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+}">
+                            ${group.type === 'exact' ? 'Exact' : `Near ${Math.round(group.similarity * 100)}%`}
+                        </span>
+                        <span class="ml-2 text-sm text-gray-700">
+                            ${group.instances.length} copies • ${group.lines} lines${group.statements ? ` • ${group.statements} statements` : ''}
+                        </span>
+                    </div>
+                </div>
+                <div class="space-y-1">
+                    ${group.instances.map(instance => `
+                        <div class="flex items-center justify-between p-2 bg-gray-50 rounded hover:bg-gray-100 cursor-pointer transition-colors duplicate-item"
+                             data-node-id="${instance.nodeId}"
+                             data-flow-id="${instance.flowId}"
+                             data-line="${instance.line}"
+                             data-tab="${instance.tab}"
+                             data-node-name="${instance.nodeName.replace(/"/g, '&quot;')}"
+                             title="Click to open ${instance.nodeName.replace(/"/g, '&quot;')} in Node-RED editor">
+                            <span class="text-sm font-medium text-gray-900">${instance.nodeName}</span>
+                            <span class="text-xs text-gray-600">
+                                ${instance.flowName} • ${instance.tabLabel} • lines ${instance.line}-${instance.endLine}
+                                <i class="fas fa-external-link-alt ml-1"></i>
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.duplicate-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                const { nodeId, flowId, line, tab, nodeName } = item.dataset;
+                this.navigateToNode(nodeId, flowId, parseInt(line), 1, nodeName, tab);
+            });
+        });
+    }
+
+    // Check the node still exists through the navigation API, then open it in the editor
+    async navigateToNode(nodeId, flowId, lineNumber, columnNumber, nodeName, tab) {
+        try {
+            const response = await fetch('/code-analyzer/api/navigate-to-node', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ nodeId, flowId, lineNumber, columnNumber })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const { navigation } = await response.json();
+            this.openNodeEditor(navigation.nodeId, navigation.flowId, navigation.lineNumber, navigation.columnNumber, nodeName, tab);
+        } catch (error) {
+            this.showError(`Failed to navigate to ${nodeName}: ${error.message}`);
+        }
+    }
+
     updateAlertsList(alerts) {
         const container = document.getElementById('alertsList');
         
@@ -614,8 +1145,8 @@ class QualityDashboard {
     }
 
     // Navigate to Node-RED editor for specific node and line
-    async openNodeEditor(nodeId, flowId, lineNumber = 1, columnNumber = 1, nodeName = 'Function Node') {
-        console.log('openNodeEditor called with:', { nodeId, flowId, lineNumber, columnNumber, nodeName }); // Debug log
+    async openNodeEditor(nodeId, flowId, lineNumber = 1, columnNumber = 1, nodeName = 'Function Node', tab = 'func') {
+        console.log('openNodeEditor called with:', { nodeId, flowId, lineNumber, columnNumber, nodeName, tab }); // Debug log
         try {
             // Construct the Node-RED editor URL (try without /red/ prefix)
             const editorUrl = `/#flow/${flowId}`;
@@ -630,7 +1161,7 @@ class QualityDashboard {
             }
             
             // Try different approaches to open the node
-            this.attemptNodeNavigation(newWindow, nodeId, flowId, lineNumber, columnNumber);
+            this.attemptNodeNavigation(newWindow, nodeId, flowId, lineNumber, columnNumber, tab);
             
             // Always show a helpful toast for user guidance
             setTimeout(() => {
@@ -644,9 +1175,17 @@ class QualityDashboard {
     }
     
     // Smart single-attempt navigation to prevent multiple editor instances
-    attemptNodeNavigation(nodeRedWindow, nodeId, flowId, lineNumber, columnNumber) {
+    attemptNodeNavigation(nodeRedWindow, nodeId, flowId, lineNumber, columnNumber, tab = 'func') {
         let navigationCompleted = false;
         
+        // Function node editor tab and Monaco container for each code property
+        const tabTargets = {
+            initialize: { tabId: 'func-tab-init', editorId: 'node-input-init-editor' },
+            func: { tabId: 'func-tab-body', editorId: 'node-input-func-editor' },
+            finalize: { tabId: 'func-tab-finalize', editorId: 'node-input-finalize-editor' }
+        };
+        const target = tabTargets[tab] || tabTargets.func;
+        
         // Single optimized attempt with smart Monaco editor handling
         setTimeout(() => {
             try {
@@ -669,10 +1208,23 @@ class QualityDashboard {
                                         const editors = monaco.editor.getEditors();
                                         
                                         if (editors.length > 0) {
+                                            // Switch to the tab holding the code, then use its editor
+                                            const tabLink = document.querySelector('a[href="#${target.tabId}"]');
+                                            if (tabLink) {
+                                                tabLink.click();
+                                            }
+                                            
                                             let activeEditor = editors.find(editor => {
-                                                return editor.hasWidgetFocus() || editor.hasTextFocus();
+                                                const container = editor.getContainerDomNode();
+                                                return container && (container.id === '${target.editorId}' || container.closest('#${target.editorId}'));
                                             });
                                             
+                                            if (!activeEditor) {
+                                                activeEditor = editors.find(editor => {
+                                                    return editor.hasWidgetFocus() || editor.hasTextFocus();
+                                                });
+                                            }
+                                            
                                             if (!activeEditor) {
                                                 activeEditor = editors[editors.length - 1];
                                             }
@@ -877,7 +1429,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const dashboard = new QualityDashboard();
     
     // Make navigation function available globally for onclick handlers
-    window.openNodeEditor = (nodeId, flowId, lineNumber, columnNumber, nodeName) => {
-        dashboard.openNodeEditor(nodeId, flowId, parseInt(lineNumber), parseInt(columnNumber), nodeName);
+    window.openNodeEditor = (nodeId, flowId, lineNumber, columnNumber, nodeName, tab) => {
+        dashboard.openNodeEditor(nodeId, flowId, parseInt(lineNumber), parseInt(columnNumber), nodeName, tab);
     };
 });
\ No newline at end of file
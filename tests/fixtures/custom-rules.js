@@ -0,0 +1,23 @@
+// Custom rule module used by the rule registry tests
+module.exports = [
+    {
+        id: 'no-magic-delay',
+        name: 'Magic delay',
+        description: 'setTimeout calls with a hardcoded delay',
+        level: 2,
+        severity: 'warning',
+        weight: 8,
+        visitors: {
+            CallExpression(node, context) {
+                if (node.callee.name === 'setTimeout' && node.arguments[1] && node.arguments[1].type === 'Literal') {
+                    context.report({
+                        message: 'Move this delay into a configurable value',
+                        line: node.loc.start.line,
+                        column: node.loc.start.column + 1,
+                        endColumn: node.loc.end.column + 1
+                    });
+                }
+            }
+        }
+    }
+];
@@ -1,3 +1,4 @@
+const http = require('http');
 const { detectDebuggingTraits } = require('../../lib/detector');
 
 // Mock the detector
@@ -30,6 +31,9 @@ describe('Analyzer Node', () => {
             httpAdmin: {
                 get: jest.fn(),
                 post: jest.fn()
+            },
+            auth: {
+                needsPermission: jest.fn(() => (req, res, next) => next())
             }
         };
 
@@ -252,6 +256,81 @@ describe('Analyzer Node', () => {
         });
     });
 
+    describe('Admin API Requests', () => {
+        let adminServer;
+        let adminResponse;
+        let adminRequests;
+
+        beforeAll(done => {
+            adminServer = http.createServer((req, res) => {
+                adminRequests.push(req.headers);
+                res.statusCode = adminResponse.status;
+                res.end(adminResponse.body);
+            });
+            adminServer.listen(0, '127.0.0.1', done);
+        });
+
+        afterAll(done => {
+            adminServer.close(done);
+        });
+
+        beforeEach(() => {
+            adminRequests = [];
+            mockRED.settings.uiPort = adminServer.address().port;
+            mockRED.qualityDatabase = { initialized: true, storeFixRecord: jest.fn() };
+        });
+
+        const applyFixes = () => {
+            require('../../nodes/analyzer.js')(mockRED);
+            const route = mockRED.httpAdmin.post.mock.calls.filter(call => call[0] === '/code-analyzer/api/fixes/apply').pop();
+            const handler = route[route.length - 1];
+            const res = { status: jest.fn(), json: jest.fn() };
+            res.status.mockReturnValue(res);
+            return handler({ headers: { authorization: 'Bearer token' }, body: { digests: ['reviewed'] } }, res).then(() => ({
+                status: res.status.mock.calls.length > 0 ? res.status.mock.calls[0][0] : 200,
+                body: res.json.mock.calls[0][0]
+            }));
+        };
+
+        test('should forward the access token and report refusals as missing flows.write', async () => {
+            for (const status of [401, 403]) {
+                // Arrange
+                adminResponse = { status, body: 'Unauthorized' };
+
+                // Act
+                const result = await applyFixes();
+
+                // Assert
+                expect(result.status).toBe(403);
+                expect(result.body.details).toContain('needs the flows.write permission');
+            }
+            expect(adminRequests.map(headers => headers.authorization)).toEqual(['Bearer token', 'Bearer token']);
+            expect(mockRED.qualityDatabase.storeFixRecord).not.toHaveBeenCalled();
+        });
+
+        test('should report failing, invalid and unreachable admin APIs as bad gateway', async () => {
+            // Arrange
+            adminResponse = { status: 500, body: '{}' };
+            const failed = await applyFixes();
+            adminResponse = { status: 200, body: '<html>Login</html>' };
+            const invalid = await applyFixes();
+            const closedServer = http.createServer();
+            await new Promise(resolve => closedServer.listen(0, '127.0.0.1', resolve));
+            const closedPort = closedServer.address().port;
+            await new Promise(resolve => closedServer.close(resolve));
+            mockRED.settings.uiPort = closedPort;
+
+            // Act
+            const unreachable = await applyFixes();
+
+            // Assert
+            expect(failed).toMatchObject({ status: 502, body: { details: 'Admin API GET /flows failed with HTTP 500' } });
+            expect(invalid).toMatchObject({ status: 502, body: { details: 'Admin API GET /flows returned invalid JSON' } });
+            expect(unreachable.status).toBe(502);
+            expect(unreachable.body.details).toContain(`Admin API not reachable at 127.0.0.1:${closedPort}`);
+        });
+    });
+
     describe('Error Handling', () => {
         test('should handle detection errors gracefully', () => {
             // Arrange
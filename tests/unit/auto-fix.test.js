@@ -0,0 +1,168 @@
+const { applyEdits, fixCode, createUnifiedDiff, planFixes, matchesReviewedFixes, applyPlannedFixes, revertChanges } = require('../../lib/auto-fix');
+
+describe('Auto Fix', () => {
+
+    const CODE = [
+        'const unused = 1;',
+        'let count = 0, spare = msg.payload;',
+        'console.log(\'start\', msg);',
+        '',
+        'debugger;',
+        '',
+        '',
+        '',
+        'count++;',
+        'node.send(msg); console.warn(count);',
+        'return;'
+    ].join('\n');
+
+    test('should remove the findings of every fixable rule', () => {
+        // Act
+        const { code, fixes } = fixCode(CODE);
+
+        // Assert
+        expect(code).toBe([
+            'let count = 0;',
+            '',
+            'count++;',
+            'node.send(msg);'
+        ].join('\n'));
+        expect(fixes.map(fix => fix.rule)).toEqual([
+            'unused-variable',
+            'unused-variable',
+            'console-log',
+            'debugger-statement',
+            'multiple-empty-lines',
+            'console-log',
+            'top-level-return'
+        ]);
+    });
+
+    test('should only fix the requested rules and leave code it cannot remove safely', () => {
+        // Arrange
+        const code = [
+            'const id = generateId();',
+            'if (msg.debug) console.log(msg);',
+            'const text = `a',
+            '',
+            '',
+            'b`;',
+            'debugger;',
+            'return text;'
+        ].join('\n');
+
+        // Act
+        const all = fixCode(code);
+        const consoleOnly = fixCode(CODE, ['console-log']);
+
+        // Assert
+        expect(all.code).toBe(code.replace('debugger;\n', ''));
+        expect(consoleOnly.fixes.map(fix => fix.rule)).toEqual(['console-log', 'console-log']);
+        expect(consoleOnly.code).toContain('debugger;');
+    });
+
+    test('should not fix returns and console statements whose removal changes what the code does', () => {
+        // Arrange
+        const earlyReturn = 'msg.a = 1;\nreturn;\nnode.send(msg);';
+        const nestedReturn = 'if (msg.skip) {\n    return;\n}\nnode.send(msg);';
+        const consoleSideEffect = 'let n = 0;\nconsole.log(n++);\nconsole.log(msg.topic, getLabel(msg));\nmsg.n = n;\nreturn msg;';
+
+        // Act
+        const fixedEarlyReturn = fixCode(earlyReturn);
+        const fixedNestedReturn = fixCode(nestedReturn);
+        const fixedConsole = fixCode(consoleSideEffect);
+
+        // Assert
+        expect(fixedEarlyReturn.code).toBe(earlyReturn);
+        expect(fixedEarlyReturn.fixes).toEqual([]);
+        expect(fixedNestedReturn.code).toBe(nestedReturn);
+        expect(fixedConsole.code).toBe(consoleSideEffect);
+        expect(fixedConsole.fixes).toEqual([]);
+    });
+
+    test('should apply edits from the end and skip overlapping ones', () => {
+        // Arrange
+        const code = 'one\ntwo\nthree';
+
+        // Act
+        const { code: result, applied } = applyEdits(code, [
+            { line: 1, column: 1, endColumn: 4, text: '1' },
+            { line: 2, column: 1, endLine: 3, endColumn: 1, text: '' },
+            { line: 2, column: 2, endColumn: 3, text: 'X' }
+        ]);
+
+        // Assert
+        expect(result).toBe('1\ntXo\nthree');
+        expect(applied.map(edit => edit.text)).toEqual(['1', 'X']);
+    });
+
+    test('should describe the changes as a unified diff', () => {
+        // Arrange
+        const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+        const after = ['a', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'J'].join('\n');
+
+        // Act
+        const diff = createUnifiedDiff(before, after, { fromFile: 'a/node', toFile: 'b/node', context: 1 });
+
+        // Assert
+        expect(diff).toBe([
+            '--- a/node',
+            '+++ b/node',
+            '@@ -1,3 +1,2 @@',
+            ' a',
+            '-b',
+            ' c',
+            '@@ -9,2 +8,2 @@',
+            ' i',
+            '-j',
+            '+J',
+            ''
+        ].join('\n'));
+        expect(createUnifiedDiff(before, before)).toBe('');
+    });
+
+    test('should plan fixes per node and tab, apply them and undo them', () => {
+        // Arrange
+        const flows = [
+            { id: 'flow1', type: 'tab', label: 'Production' },
+            { id: 'fn1', type: 'function', z: 'flow1', name: 'Parse', func: 'debugger;\nreturn msg;', initialize: 'console.log(\'init\');\n', wires: [] },
+            { id: 'fn2', type: 'function', z: 'flow1', name: 'Clean', func: 'return msg;', wires: [] },
+            { id: 'fn3', type: 'function', z: 'flow2', name: 'Other flow', func: 'debugger;\nreturn msg;', wires: [] }
+        ];
+
+        // Act
+        const plans = planFixes(flows, { flowId: 'flow1' });
+        const { nodeConfigs, changes } = applyPlannedFixes(flows, plans);
+        const edited = nodeConfigs.map(n => (n.id === 'fn1' ? { ...n, initialize: '// edited since' } : n));
+        const { nodeConfigs: reverted, restored, skipped } = revertChanges(edited, changes);
+
+        // Assert
+        expect(plans).toHaveLength(1);
+        expect(plans[0]).toMatchObject({ nodeId: 'fn1', nodeName: 'Parse', flowId: 'flow1' });
+        expect(plans[0].tabs.map(tab => [tab.tab, tab.after])).toEqual([['initialize', ''], ['func', 'return msg;']]);
+        expect(plans[0].tabs[1].diff).toBe('--- a/Parse/On Message\n+++ b/Parse/On Message\n@@ -1,2 +1,1 @@\n-debugger;\n return msg;\n');
+        expect(nodeConfigs.find(n => n.id === 'fn1').func).toBe('return msg;');
+        expect(flows[1].func).toBe('debugger;\nreturn msg;');
+        expect(restored.map(change => change.tab)).toEqual(['func']);
+        expect(skipped.map(change => change.tab)).toEqual(['initialize']);
+        expect(reverted.find(n => n.id === 'fn1')).toMatchObject({ func: 'debugger;\nreturn msg;', initialize: '// edited since' });
+        expect(() => planFixes(flows, { rules: ['no-eval'] })).toThrow('Rules without automatic fix: no-eval');
+    });
+
+    test('should only match plans that are exactly the reviewed fixes', () => {
+        // Arrange
+        const flows = [
+            { id: 'fn1', type: 'function', z: 'flow1', func: 'debugger;\nreturn msg;', initialize: 'console.log(\'init\');\n' },
+            { id: 'fn2', type: 'function', z: 'flow1', func: 'debugger;\nreturn msg;' }
+        ];
+        const reviewed = planFixes(flows, { nodeIds: ['fn1'] }).reduce((all, plan) => all.concat(plan.tabs.map(tab => tab.digest)), []);
+        const editedSince = flows.map(n => (n.id === 'fn1' ? { ...n, func: 'debugger;\nmsg.payload = 1;\nreturn msg;' } : n));
+
+        // Act & Assert
+        expect(reviewed).toHaveLength(2);
+        expect(matchesReviewedFixes(planFixes(flows, { nodeIds: ['fn1'] }), reviewed)).toBe(true);
+        expect(matchesReviewedFixes(planFixes(flows, { nodeIds: ['fn1'] }), reviewed.slice(1))).toBe(false);
+        expect(matchesReviewedFixes(planFixes(flows), reviewed)).toBe(false);
+        expect(matchesReviewedFixes(planFixes(editedSince, { nodeIds: ['fn1'] }), reviewed)).toBe(false);
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaselineFile, fingerprintIssues, createBaseline, compareWithBaseline } = require('../../lib/baseline');
+const { createAnalysisReport } = require('../../lib/analysis-report');
+
+describe('Issue Baseline', () => {
+
+    const flows = [
+        { id: 'flow1', type: 'tab', label: 'Production' },
+        { id: 'inject1', type: 'inject', z: 'flow1', name: 'Tick', wires: [['fn1']] },
+        { id: 'fn1', type: 'function', z: 'flow1', name: 'Parse', func: 'debugger;\nreturn msg;', wires: [] },
+        { id: 'flow2', type: 'tab', label: 'Reports' },
+        { id: 'inject2', type: 'inject', z: 'flow2', name: 'Daily', wires: [['fn2']] },
+        { id: 'fn2', type: 'function', z: 'flow2', name: 'Report', func: 'debugger;\nreturn msg;', wires: [] }
+    ];
+
+    // The flows with the code of a function node replaced
+    function withCode(nodeId, func) {
+        return flows.map(node => node.id === nodeId ? { ...node, func } : node);
+    }
+
+    function getIssues(nodeConfigs, baseline = null) {
+        return createAnalysisReport(nodeConfigs, { level: 'standard', baseline }).flows.flatMap(flow => flow.issues);
+    }
+
+    test('should keep fingerprints when code moves and number identical findings', () => {
+        // Arrange
+        const issue = { nodeId: 'fn1', rule: 'debugger-statement', type: 'debugger-statement', tab: 'func', line: 1, column: 1 };
+        const node = { id: 'fn1', func: 'debugger;\n  debugger;' };
+        const moved = { id: 'fn1', func: '// parse\n\n\tdebugger;\n    debugger;' };
+
+        // Act
+        const [first, second] = fingerprintIssues([issue, { ...issue, line: 2, column: 3 }], [node]);
+        const [movedSecond, movedFirst] = fingerprintIssues([{ ...issue, line: 4, column: 5 }, { ...issue, line: 3, column: 2 }], [moved]);
+        const [otherNode] = fingerprintIssues([{ ...issue, nodeId: 'fn2' }], [{ ...node, id: 'fn2' }]);
+
+        // Assert
+        expect(first.fingerprint).toMatch(/^[0-9a-f]{40}$/);
+        expect(second.fingerprint).not.toBe(first.fingerprint);
+        expect(movedFirst.fingerprint).toBe(first.fingerprint);
+        expect(movedSecond.fingerprint).toBe(second.fingerprint);
+        expect(otherNode.fingerprint).not.toBe(first.fingerprint);
+    });
+
+    test('should tell new issues from the known ones of the baseline', () => {
+        // Arrange
+        const baseline = createBaseline(createAnalysisReport(flows, { level: 'standard' }));
+        const changed = withCode('fn1', '\n\n    debugger;\nconsole.log(msg);\nreturn msg;');
+
+        // Act
+        const unchanged = getIssues(flows, baseline);
+        const issues = getIssues(changed, baseline);
+
+        // Assert
+        expect(baseline.issues.map(issue => [issue.flowId, issue.nodeId, issue.rule])).toEqual([
+            ['flow1', 'fn1', 'debugger-statement'],
+            ['flow2', 'fn2', 'debugger-statement']
+        ]);
+        expect(unchanged.every(issue => issue.isNew === false)).toBe(true);
+        expect(issues.map(issue => [issue.nodeId, issue.rule, issue.isNew])).toEqual([
+            ['fn1', 'debugger-statement', false],
+            ['fn1', 'console-log', true],
+            ['fn2', 'debugger-statement', false]
+        ]);
+        expect(compareWithBaseline(issues, null)).toBe(issues);
+    });
+
+    test('should keep the known issues of other flows when taking the baseline of one flow', () => {
+        // Arrange
+        const filePath = path.join(os.tmpdir(), `code-analyzer-baseline-${process.pid}.json`);
+        const baselineFile = new BaselineFile(filePath);
+        const changed = withCode('fn2', 'console.log(msg);\nreturn msg;');
+
+        try {
+            // Act
+            const missing = baselineFile.load();
+            baselineFile.save(createBaseline(createAnalysisReport(flows, { level: 'standard' })));
+            const report = createAnalysisReport(changed, { level: 'standard', flowIds: ['flow2'] });
+            baselineFile.save(createBaseline(report, baselineFile.load()));
+            const loaded = baselineFile.load();
+
+            // Assert
+            expect(missing).toBeNull();
+            expect(loaded.version).toBe(1);
+            expect(loaded.issues.map(issue => [issue.nodeId, issue.rule])).toEqual([
+                ['fn1', 'debugger-statement'],
+                ['fn2', 'console-log']
+            ]);
+            expect(baselineFile.load()).toBe(loaded);
+            expect(getIssues(changed, loaded).filter(issue => issue.isNew)).toEqual([]);
+            expect(baselineFile.clear()).toBe(true);
+            expect(baselineFile.clear()).toBe(false);
+        } finally {
+            fs.rmSync(filePath, { force: true });
+        }
+    });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, checkThresholds } = require('../../lib/cli');
+const { ruleRegistry } = require('../../lib/rule-registry');
+
+describe('Command Line', () => {
+
+    const fixtures = path.join(__dirname, '..', 'fixtures');
+
+    function runCli(argv) {
+        const stdout = { text: '', write(text) { this.text += text; } };
+        const stderr = { text: '', write(text) { this.text += text; } };
+        const exitCode = run(argv, { stdout, stderr, cwd: fixtures });
+        return { exitCode, stdout: stdout.text, stderr: stderr.text };
+    }
+
+    afterEach(() => {
+        ruleRegistry.unregister('no-magic-delay');
+    });
+
+    test('should print the issues of each flow and fail on a critical issue', () => {
+        // Act
+        const { exitCode, stdout } = runCli(['flows.json']);
+
+        // Assert
+        expect(exitCode).toBe(1);
+        expect(stdout).toContain('Flow \'Production\' (flow1) - quality score 100, no issues');
+        expect(stdout).toMatch(/critical {2}Report {2}On Message:1:1 {2}console-log/);
+        expect(stdout).toContain('2 flows, 2 function nodes, 1 issue (1 critical), lowest quality score');
+        expect(stdout).toContain('FAILED:\n  1 issue of severity critical (--fail-on critical)');
+    });
+
+    test('should apply the level and the thresholds', () => {
+        // Act
+        const standard = runCli(['--level', 'standard', '--fail-on=none', 'flows.json']);
+        const minScore = runCli(['flows.json', '--fail-on', 'none', '--min-score', '50']);
+        const json = runCli(['flows.json', '--flow', 'flow1', '--level', '2', '--fail-on', 'warning', '-f', 'json']);
+        const report = JSON.parse(json.stdout);
+
+        // Assert
+        expect(standard.exitCode).toBe(0);
+        expect(standard.stdout).toMatch(/critical {2}Parse {3}On Message:1:1 {2}debugger-statement/);
+        expect(standard.stdout).toContain('active-debug-node');
+        expect(standard.stdout.trim().split('\n').pop()).toBe('PASSED');
+        expect(minScore.exitCode).toBe(1);
+        expect(minScore.stdout).toContain('\'Reports\' has a quality score of 0, below 50 (--min-score 50)');
+        expect(json.exitCode).toBe(1);
+        expect(report.flows.map(flow => flow.flowId)).toEqual(['flow1']);
+        expect(report.flows[0].issues.map(issue => [issue.nodeId, issue.rule, issue.severity])).toEqual([
+            ['parse', 'debugger-statement', 'critical'],
+            ['parse', 'console-log', 'warning'],
+            ['debug1', 'active-debug-node', 'warning']
+        ]);
+        expect(report.failures).toEqual(['3 issues of severity warning or worse (--fail-on warning)']);
+        expect(report.passed).toBe(false);
+    });
+
+    test('should write the results as SARIF, JUnit or Checkstyle', () => {
+        // Act
+        const { exitCode, stdout } = runCli(['flows.json', '--format', 'sarif']);
+        const [run] = JSON.parse(stdout).runs;
+        const junit = runCli(['flows.json', '--format', 'junit', '--fail-on', 'none']);
+        const checkstyle = runCli(['flows.json', '-f', 'checkstyle']);
+
+        // Assert
+        expect(exitCode).toBe(1);
+        expect(run.results).toHaveLength(1);
+        expect(run.results[0]).toMatchObject({ ruleId: 'console-log', level: 'error' });
+        expect(run.results[0].locations[0].physicalLocation).toEqual({
+            artifactLocation: { uri: 'flows.json' },
+            region: { startLine: 9, startColumn: 84, endLine: 9, endColumn: 108 }
+        });
+        expect(junit.exitCode).toBe(0);
+        expect(junit.stdout).toContain('<testsuites name="node-red-code-analyzer" tests="2" failures="1" errors="0">');
+        expect(checkstyle.exitCode).toBe(1);
+        expect(checkstyle.stdout).toContain('<file name="Reports/Report (report)">');
+    });
+
+    test('should write a baseline and fail only on issues new since it', () => {
+        // Arrange
+        const baselineFile = path.join(os.tmpdir(), `code-analyzer-baseline-${process.pid}.json`);
+
+        try {
+            // Act
+            const update = runCli(['flows.json', '--level', 'standard', '--baseline', baselineFile, '--update-baseline']);
+            const { exitCode, stdout } = runCli(['flows.json', '--level', 'standard', '--fail-on', 'warning', '--baseline', baselineFile]);
+            const missing = runCli(['flows.json', '--update-baseline']);
+
+            // Assert
+            expect(update.exitCode).toBe(0);
+            expect(update.stdout).toBe(`Baseline of 4 known issues written to ${baselineFile}\n`);
+            expect(exitCode).toBe(0);
+            expect(stdout).toMatch(/critical {2}known {3}Parse {3}On Message:1:1 {2}debugger-statement/);
+            expect(stdout).toContain('4 issues (2 critical, 2 warning), 0 new since the baseline');
+            expect(missing.exitCode).toBe(2);
+            expect(missing.stderr).toContain('--update-baseline needs the --baseline file to write');
+        } finally {
+            fs.rmSync(baselineFile, { force: true });
+        }
+    });
+
+    test('should load custom rules and reject invalid options with exit code 2', () => {
+        // Act
+        const custom = runCli(['flows.json', '-r', 'custom-rules.js', '--fail-on', 'none']);
+        const unknownOption = runCli(['flows.json', '--strict']);
+        const unknownFlow = runCli(['flows.json', '--flow', 'missing']);
+        const missingFile = runCli(['missing.json']);
+        const notFlows = runCli(['custom-rules.js']);
+
+        // Assert
+        expect(custom.exitCode).toBe(0);
+        expect(ruleRegistry.has('no-magic-delay')).toBe(true);
+        expect(unknownOption).toMatchObject({ exitCode: 2, stdout: '' });
+        expect(unknownOption.stderr).toContain('Unknown option \'--strict\'');
+        expect(unknownFlow.stderr).toContain('No flow or subflow with id missing');
+        expect(missingFile.exitCode).toBe(2);
+        expect(missingFile.stderr).toContain('Cannot read flows file');
+        expect(notFlows.stderr).toContain('is not valid JSON');
+    });
+
+    test('should count the issues at or above the severity threshold', () => {
+        // Arrange
+        const report = {
+            flows: [
+                { flowName: 'A', qualityScore: 90, issues: [{ severity: 'resource-leak' }, { severity: 'info' }] },
+                { flowName: 'B', qualityScore: 40, issues: [{ severity: 'warning' }] }
+            ]
+        };
+
+        // Act & Assert
+        expect(checkThresholds(report, { failOn: 'critical' })).toEqual([]);
+        expect(checkThresholds(report, { failOn: 'warning', minScore: 50 })).toEqual([
+            '2 issues of severity warning or worse (--fail-on warning)',
+            '\'B\' has a quality score of 40, below 50 (--min-score 50)'
+        ]);
+        expect(checkThresholds(report, { failOn: 'none', minScore: 40 })).toEqual([]);
+    });
+});
@@ -0,0 +1,125 @@
+const { analyzeCodeComplexity, analyzeFunctionNodeComplexity } = require('../../lib/complexity');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Complexity', () => {
+
+    describe('analyzeCodeComplexity', () => {
+        test('should count decision points per function', () => {
+            // Arrange
+            const code = [
+                'if (msg.payload > 10 && msg.topic) {',
+                '    msg.level = "high";',
+                '} else if (msg.payload > 5) {',
+                '    msg.level = "medium";',
+                '}',
+                'msg.items = msg.items.map(item => item.ok ? item : null);',
+                'return msg;'
+            ].join('\n');
+
+            // Act
+            const complexity = analyzeCodeComplexity(code);
+
+            // Assert
+            expect(complexity.functions.map(fn => [fn.name, fn.line, fn.cyclomatic])).toEqual([
+                ['(body)', 1, 4],
+                ['(anonymous)', 6, 2]
+            ]);
+            expect(complexity.cyclomatic).toBe(4);
+            expect(complexity.functionCount).toBe(1);
+        });
+
+        test('should not count keywords in strings and comments', () => {
+            // Arrange
+            const code = '// if (a && b) { for (;;) {} }\nmsg.payload = "if (x) { while (y) {} }";\nreturn msg;';
+
+            // Act
+            const complexity = analyzeCodeComplexity(code);
+
+            // Assert
+            expect(complexity).toMatchObject({ cyclomatic: 1, cognitive: 0, maxNesting: 0 });
+        });
+
+        test('should weigh nested structures in cognitive complexity', () => {
+            // Arrange
+            const code = [
+                'for (const item of msg.payload) {',
+                '    if (item.ok) {',
+                '        try {',
+                '            send(item);',
+                '        } catch (err) {',
+                '            node.warn(err);',
+                '        }',
+                '    } else {',
+                '        skipped++;',
+                '    }',
+                '}'
+            ].join('\n');
+
+            // Act
+            const complexity = analyzeCodeComplexity(code);
+
+            // Assert
+            // for +1, if +2, else +1, catch +3
+            expect(complexity.cognitive).toBe(7);
+            expect(complexity.maxNesting).toBe(3);
+            expect(complexity.maxFunctionLength).toBe(11);
+        });
+
+        test('should return null for code that does not parse', () => {
+            // Act & Assert
+            expect(analyzeCodeComplexity('if ( {')).toBeNull();
+            expect(analyzeCodeComplexity('')).toBeNull();
+        });
+    });
+
+    describe('analyzeFunctionNodeComplexity', () => {
+        test('should combine all code tabs and tag functions with their tab', () => {
+            // Arrange
+            const nodeConfig = {
+                initialize: 'function format(value) {\n    return value ? String(value) : "";\n}',
+                func: 'return msg;'
+            };
+
+            // Act
+            const complexity = analyzeFunctionNodeComplexity(nodeConfig);
+
+            // Assert
+            expect(complexity.functions.map(fn => [fn.tab, fn.name, fn.cyclomatic])).toEqual([
+                ['initialize', '(body)', 1],
+                ['initialize', 'format', 2],
+                ['func', '(body)', 1]
+            ]);
+        });
+    });
+
+    describe('QualityMetrics', () => {
+        test('should score complexity from the AST', () => {
+            // Arrange
+            const qualityMetrics = new QualityMetrics();
+            const plain = 'msg.payload = "a && b || c ? d : e";\nreturn msg;';
+            const branching = 'if (a && b || c) {\n    msg.payload = d ? 1 : 2;\n}\nreturn msg;';
+
+            // Act & Assert
+            expect(qualityMetrics.calculateComplexityScore(plain)).toBe(0.2);
+            expect(qualityMetrics.calculateComplexityScore(branching)).toBeGreaterThan(8);
+        });
+
+        test('should include the complexity breakdown in node metrics', () => {
+            // Arrange
+            const qualityMetrics = new QualityMetrics();
+
+            // Act
+            const flowMetrics = qualityMetrics.calculateFlowQualityMetrics([
+                { id: 'n1', type: 'function', func: 'if (msg.payload) {\n    return msg;\n}\nreturn null;' }
+            ], 'standard');
+
+            // Assert
+            expect(flowMetrics.nodeMetrics[0].complexity).toMatchObject({
+                cyclomatic: 2,
+                cognitive: 1,
+                maxNesting: 1,
+                maxFunctionLength: 4
+            });
+        });
+    });
+});
@@ -0,0 +1,278 @@
+const { analyzeFunctionNode } = require('../../lib/detector');
+const { buildFlowVariableMap, buildGlobalVariableMap, findSharedFlowVariables, resolveContextStores } = require('../../lib/flow-variables');
+
+describe('Context Rules', () => {
+
+    const orphans = (nodeConfigs, nodeId) => {
+        const flowVariables = buildFlowVariableMap(nodeConfigs);
+        const nodeConfig = nodeConfigs.find(n => n.id === nodeId);
+        return analyzeFunctionNode(nodeConfig, 'standard', { flowVariables })
+            .filter(issue => issue.rule === 'orphaned-flow-variable');
+    };
+
+    describe('buildFlowVariableMap', () => {
+        test('should collect flow variables from all code tabs and core nodes', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'f1', type: 'function', name: 'Init', initialize: 'flow.set("config", {});', func: 'return flow.get("config");' },
+                { id: 'c1', type: 'change', rules: [{ t: 'set', p: 'counter', pt: 'flow', to: 'payload', tot: 'msg' }] },
+                { id: 's1', type: 'switch', property: 'mode', propertyType: 'flow', rules: [] },
+                { id: 't1', type: 'template', template: 'Value: {{flow.reading}}', field: 'payload', fieldType: 'msg' }
+            ];
+
+            // Act
+            const map = buildFlowVariableMap(nodeConfigs);
+
+            // Assert
+            expect(map.config.sets).toEqual([expect.objectContaining({ nodeId: 'f1', tab: 'initialize', line: 1 })]);
+            expect(map.config.gets).toEqual([expect.objectContaining({ nodeId: 'f1', tab: 'func', line: 1 })]);
+            expect(map.counter.sets).toEqual([{ nodeId: 'c1', nodeName: 'change node c1', nodeType: 'change', store: null }]);
+            expect(map.mode.gets.map(entry => entry.nodeId)).toEqual(['s1']);
+            expect(map.reading.gets.map(entry => entry.nodeId)).toEqual(['t1']);
+        });
+    });
+
+    describe('context stores', () => {
+        test('should record the store of each use and split the map by store', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'f1', type: 'function', func: 'flow.set("count", 1, "file");\nreturn flow.get("count");' },
+                { id: 'c1', type: 'change', rules: [{ t: 'set', p: '#:(file)::count', pt: 'flow', to: 'payload', tot: 'msg' }] }
+            ];
+
+            // Act
+            const map = buildFlowVariableMap(nodeConfigs);
+
+            // Assert
+            expect(Object.keys(map)).toEqual(['count']);
+            expect(map.count.sets.map(entry => [entry.nodeId, entry.store])).toEqual([['f1', 'file'], ['c1', 'file']]);
+            expect(map.count.gets.map(entry => [entry.nodeId, entry.store])).toEqual([['f1', null]]);
+            expect(Object.keys(map.count.stores)).toEqual(['file', 'default']);
+            expect(map.count.stores.default.gets).toHaveLength(1);
+        });
+
+        test('should resolve the configured stores and the default store', () => {
+            // Act & Assert
+            expect(resolveContextStores(undefined)).toEqual({ stores: ['default'], defaultStore: 'default' });
+            expect(resolveContextStores({ memory: { module: 'memory' }, file: { module: 'localfilesystem' } }))
+                .toEqual({ stores: ['default', 'memory', 'file'], defaultStore: 'memory' });
+            expect(resolveContextStores({ default: 'file', memory: { module: 'memory' }, file: { module: 'localfilesystem' } }))
+                .toEqual({ stores: ['default', 'memory', 'file'], defaultStore: 'file' });
+        });
+    });
+
+    describe('buildGlobalVariableMap', () => {
+        test('should collect global variables across flows, including context.global calls', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'f1', type: 'function', z: 'flowA', func: 'global.set("token", msg.payload);\nflow.set("local", 1);\nreturn msg;' },
+                { id: 'f2', type: 'function', z: 'flowB', func: 'msg.auth = context.global.get("token");\nreturn msg;' },
+                { id: 'c1', type: 'change', z: 'flowB', rules: [{ t: 'set', p: 'payload', pt: 'msg', to: 'settings', tot: 'global' }] },
+                { id: 't1', type: 'template', z: 'flowC', template: '{{global.token}}', field: 'payload', fieldType: 'msg' }
+            ];
+
+            // Act
+            const globalMap = buildGlobalVariableMap(nodeConfigs);
+            const flowMap = buildFlowVariableMap(nodeConfigs);
+
+            // Assert
+            expect(Object.keys(globalMap).sort()).toEqual(['settings', 'token']);
+            expect(globalMap.token.sets).toEqual([expect.objectContaining({ nodeId: 'f1', flowId: 'flowA', tab: 'func', line: 1 })]);
+            expect(globalMap.token.gets.map(entry => [entry.nodeId, entry.flowId])).toEqual([['f2', 'flowB'], ['t1', 'flowC']]);
+            expect(globalMap.settings.gets).toEqual([expect.objectContaining({ nodeId: 'c1', nodeType: 'change' })]);
+            expect(Object.keys(flowMap)).toEqual(['local']);
+        });
+    });
+
+    describe('orphaned-flow-variable', () => {
+        test('should flag reads of keys nobody sets with a did-you-mean suggestion', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', func: 'flow.set("temperature", msg.payload);\nreturn msg;' },
+                { id: 'b', type: 'function', func: 'msg.t = flow.get("temprature");\nmsg.h = flow.get("humidity");\nreturn msg;' }
+            ];
+
+            // Act
+            const issues = orphans(nodeConfigs, 'b');
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line, issue.column])).toEqual([
+                ['flow-variable-never-set', 1, 18],
+                ['flow-variable-never-set', 2, 18]
+            ]);
+            expect(issues[0].message).toContain('did you mean \'temperature\'?');
+            expect(issues[1].message).not.toContain('did you mean');
+        });
+
+        test('should flag writes nobody reads', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', func: 'flow.set("temperature", msg.payload);\nflow.set("lastSeen", Date.now());\nreturn msg;' },
+                { id: 'b', type: 'function', func: 'msg.t = flow.get("temperature");\nreturn msg;' }
+            ];
+
+            // Act
+            const issues = orphans(nodeConfigs, 'a');
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line])).toEqual([['flow-variable-never-read', 2]]);
+        });
+
+        test('should accept keys used by other tabs, core nodes and nested paths', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', initialize: 'flow.set("settings", { mode: "auto" });', func: 'msg.mode = flow.get("settings.mode");\nflow.set("counter", 1);\nreturn msg;' },
+                { id: 'c', type: 'change', rules: [{ t: 'set', p: 'payload', pt: 'msg', to: 'counter', tot: 'flow' }] },
+                { id: 's', type: 'switch', property: 'settings', propertyType: 'flow', rules: [] }
+            ];
+
+            // Act & Assert
+            expect(orphans(nodeConfigs, 'a')).toEqual([]);
+        });
+
+        test('should use the analyzed code instead of its deployed version', () => {
+            // Arrange
+            const deployed = [
+                { id: 'a', type: 'function', func: 'flow.set("count", 1);\nreturn msg;' },
+                { id: 'b', type: 'function', func: 'msg.count = flow.get("count");\nreturn msg;' }
+            ];
+            const flowVariables = buildFlowVariableMap(deployed);
+            const edited = { id: 'a', type: 'function', func: 'flow.set("total", 1);\nreturn msg;' };
+
+            // Act
+            const issues = analyzeFunctionNode(edited, 'standard', { flowVariables })
+                .filter(issue => issue.rule === 'orphaned-flow-variable');
+
+            // Assert
+            expect(issues.map(issue => issue.type)).toEqual(['flow-variable-never-read']);
+        });
+
+        test('should only run when the flow variables are known', () => {
+            // Arrange
+            const nodeConfig = { id: 'a', type: 'function', func: 'return flow.get("missing");' };
+
+            // Act & Assert
+            expect(analyzeFunctionNode(nodeConfig, 'standard').filter(issue => issue.rule === 'orphaned-flow-variable')).toEqual([]);
+        });
+    });
+
+    describe('context-store', () => {
+        const contextStores = resolveContextStores({ default: { module: 'memory' }, file: { module: 'localfilesystem' } });
+        const storeIssues = (nodeConfigs, nodeId, options = {}) => {
+            const nodeConfig = nodeConfigs.find(n => n.id === nodeId);
+            return analyzeFunctionNode(nodeConfig, 'standard', {
+                flowVariables: buildFlowVariableMap(nodeConfigs),
+                globalVariables: buildGlobalVariableMap(nodeConfigs),
+                contextStores,
+                ...options
+            }).filter(issue => issue.rule === 'context-store');
+        };
+
+        test('should flag store names that are not configured', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', func: 'flow.set("count", 1, "files");\ncontext.set("seen", true, "redis");\nreturn msg;' }
+            ];
+
+            // Act
+            const issues = storeIssues(nodeConfigs, 'a');
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line, issue.column])).toEqual([
+                ['unknown-context-store', 1, 22],
+                ['unknown-context-store', 2, 27]
+            ]);
+            expect(issues[0].message).toContain('did you mean \'file\'?');
+        });
+
+        test('should flag a variable used with different stores across nodes', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', z: 'f1', func: 'flow.set("count", 1, "file");\nglobal.set("token", "x");\nreturn msg;' },
+                { id: 'b', type: 'function', z: 'f1', func: 'msg.count = flow.get("count");\nmsg.token = global.get("token", "default");\nreturn msg;' },
+                { id: 'c', type: 'change', z: 'f2', rules: [{ t: 'set', p: '#:(file)::token', pt: 'global', to: 'payload', tot: 'msg' }] }
+            ];
+
+            // Act
+            const issues = storeIssues(nodeConfigs, 'b');
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line])).toEqual([
+                ['mixed-context-stores', 1],
+                ['mixed-context-stores', 2]
+            ]);
+            expect(issues[0].message).toBe('Flow variable \'count\' uses the \'default\' store here but \'file\' in this flow - each store keeps its own value');
+        });
+
+        test('should treat the default store and the store it points to as one', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', func: 'flow.set("count", 1, "file");\nreturn msg;' },
+                { id: 'b', type: 'function', func: 'msg.count = flow.get("count");\nreturn msg;' }
+            ];
+            const aliased = resolveContextStores({ default: 'file', file: { module: 'localfilesystem' } });
+
+            // Act & Assert
+            expect(storeIssues(nodeConfigs, 'b', { contextStores: aliased })).toEqual([]);
+        });
+    });
+
+    describe('concurrent-flow-writers', () => {
+        const writerIssues = (nodeConfigs, nodeId, options = { flowVariables: buildFlowVariableMap(nodeConfigs) }) =>
+            analyzeFunctionNode(nodeConfigs.find(n => n.id === nodeId), 'standard', options)
+                .filter(issue => issue.rule === 'concurrent-flow-writers');
+
+        test('should flag keys that other nodes also write and list the writers', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a', type: 'function', name: 'Counter A', initialize: 'flow.set("count", 0);', func: 'flow.set("count", msg.payload);\nflow.set("count.last", 1);\nreturn msg;' },
+                { id: 'b', type: 'function', name: 'Counter B', func: 'flow.set("count", 5);\nreturn msg;' },
+                { id: 'c', type: 'change', rules: [{ t: 'set', p: 'count', pt: 'flow', to: 'payload', tot: 'msg' }] }
+            ];
+
+            // Act
+            const issues = writerIssues(nodeConfigs, 'a');
+            const shared = findSharedFlowVariables(buildFlowVariableMap(nodeConfigs));
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.tab, issue.line])).toEqual([['multiple-flow-writers', 'initialize', 1], ['multiple-flow-writers', 'func', 1]]);
+            expect(issues[0].message).toContain('\'Counter B\', \'change node c\'');
+            expect(shared).toEqual([{
+                key: 'count',
+                readers: 0,
+                writers: [
+                    expect.objectContaining({ nodeId: 'a', locations: [{ tab: 'initialize', line: 1, store: null }, { tab: 'func', line: 1, store: null }, { tab: 'func', line: 2, store: null }] }),
+                    expect.objectContaining({ nodeId: 'b', nodeType: 'function' }),
+                    expect.objectContaining({ nodeId: 'c', nodeType: 'change' })
+                ]
+            }]);
+        });
+
+        test('should flag a read and write of the same key with an await in between', () => {
+            // Arrange
+            const nodeConfigs = [{
+                id: 'a',
+                type: 'function',
+                func: [
+                    'const total = flow.get("total") || 0;',
+                    'const reading = await fetchReading(msg.payload);',
+                    'flow.set("total", total + reading);',
+                    'const count = flow.get("count");',
+                    'flow.set("count", count + 1);',
+                    'setTimeout(async () => {',
+                    '    await node.send(msg);',
+                    '    flow.set("count", 0);',
+                    '}, 10);',
+                    'return msg;'
+                ].join('\n')
+            }];
+
+            // Act
+            const issues = writerIssues(nodeConfigs, 'a', {});
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line])).toEqual([['flow-read-modify-write', 3]]);
+            expect(issues[0].message).toContain('read on line 1');
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const { detectDebuggingTraits } = require('../../lib/detector');
+const { detectDebuggingTraits, analyzeFunctionNode, hasFunctionNodeCode, countFunctionNodeLines } = require('../../lib/detector');
 const sampleCode = require('../fixtures/sample-code');
 
 describe('Detector - detectDebuggingTraits', () => {
@@ -415,4 +415,48 @@ console.log(x, y, z);`;
         
     });
     
-});
\ No newline at end of file
+});
+
+describe('Detector - analyzeFunctionNode', () => {
+    
+    test('should analyze On Start, On Message and On Stop code', () => {
+        // Arrange
+        const nodeConfig = {
+            id: 'func1',
+            type: 'function',
+            initialize: 'console.log("starting");',
+            func: 'node.warn(msg.payload);\nreturn msg;',
+            finalize: '\ndebugger;'
+        };
+        
+        // Act
+        const issues = analyzeFunctionNode(nodeConfig, 2);
+        
+        // Assert
+        expect(issues.map(issue => [issue.tab, issue.type, issue.line])).toEqual([
+            ['initialize', 'console-log', 1],
+            ['func', 'node-warn', 1],
+            ['finalize', 'debugger-statement', 2]
+        ]);
+    });
+    
+    test('should skip empty tabs', () => {
+        // Arrange
+        const nodeConfig = { id: 'func2', type: 'function', func: 'return msg;', initialize: '', finalize: '   ' };
+        
+        // Act
+        const issues = analyzeFunctionNode(nodeConfig, 3);
+        
+        // Assert
+        expect(issues).toEqual([]);
+        expect(countFunctionNodeLines(nodeConfig)).toBe(1);
+    });
+    
+    test('should recognise function nodes with code in any tab', () => {
+        // Act & Assert
+        expect(hasFunctionNodeCode({ type: 'function', func: '', initialize: 'debugger;' })).toBe(true);
+        expect(hasFunctionNodeCode({ type: 'function', func: '' })).toBe(false);
+        expect(hasFunctionNodeCode({ type: 'change', func: 'return msg;' })).toBe(false);
+    });
+    
+});
@@ -0,0 +1,96 @@
+const { findDuplicateCode } = require('../../lib/duplicate-detector');
+
+describe('Duplicate Detector', () => {
+
+    const THRESHOLD_CHECK = [
+        'const temp = msg.payload.temperature;',
+        'if (temp > 30) {',
+        '    msg.alert = "hot";',
+        '    node.warn("Temperature high: " + temp);',
+        '}',
+        'const reading = { value: temp, unit: "C", at: Date.now() };',
+        'flow.set("last", reading);',
+        'return msg;'
+    ].join('\n');
+
+    const functionNode = (id, func, extra = {}) => ({ id, type: 'function', z: 'flow1', name: `Node ${id}`, func, ...extra });
+    const locations = group => group.instances.map(instance => [instance.nodeId, instance.tab, instance.line, instance.endLine]);
+
+    test('should find copies that only differ in variable names, literals and comments', () => {
+        // Arrange
+        const renamed = '// copied from Node a\n' + THRESHOLD_CHECK
+            .replace(/\btemp\b/g, 't').replace(/\breading\b/g, 'r').replace('30', '25').replace('"hot"', '"warm"');
+
+        // Act
+        const { groups, summary } = findDuplicateCode([
+            functionNode('a', THRESHOLD_CHECK),
+            functionNode('b', renamed),
+            functionNode('c', 'return msg;')
+        ]);
+
+        // Assert
+        expect(groups).toHaveLength(1);
+        expect(groups[0]).toMatchObject({ type: 'exact', statements: 5, lines: 8 });
+        expect(locations(groups[0])).toEqual([['a', 'func', 1, 8], ['b', 'func', 2, 9]]);
+        expect(summary).toMatchObject({ exactGroups: 1, nearGroups: 0, duplicatedNodes: 2, duplicatedLines: 8 });
+    });
+
+    test('should report each shared block once, without nested groups or extra near matches', () => {
+        // Arrange
+        const extended = 'msg.received = Date.now();\nmsg.source = "sensor";\n' + THRESHOLD_CHECK.replace('return msg;', 'node.status({});\nreturn msg;');
+
+        // Act
+        const { groups } = findDuplicateCode([
+            functionNode('a', THRESHOLD_CHECK),
+            functionNode('b', extended, { initialize: THRESHOLD_CHECK })
+        ]);
+
+        // Assert
+        expect(groups).toHaveLength(1);
+        expect(groups[0].statements).toBe(4);
+        expect(locations(groups[0])).toEqual([['a', 'func', 1, 7], ['b', 'initialize', 1, 7], ['b', 'func', 3, 9]]);
+    });
+
+    test('should find near duplicates that drifted apart', () => {
+        // Arrange
+        const original = [
+            'function convert(reading) {',
+            '    const celsius = (reading.value - 32) * 5 / 9;',
+            '    const rounded = Math.round(celsius * 10) / 10;',
+            '    return { value: rounded, unit: "C", sensor: reading.sensor, at: Date.now() };',
+            '}',
+            'msg.payload = msg.payload.map(convert);',
+            'return msg;'
+        ].join('\n');
+        const drifted = original
+            .replace('    return {', '    node.debug("converted " + reading.sensor);\n    return {')
+            .replace(/convert/g, 'toCelsius');
+
+        // Act
+        const { groups } = findDuplicateCode([functionNode('a', original), functionNode('b', drifted)]);
+
+        // Assert
+        expect(groups).toHaveLength(1);
+        expect(groups[0].type).toBe('near');
+        expect(groups[0].similarity).toBeGreaterThanOrEqual(0.7);
+        expect(groups[0].similarity).toBeLessThan(1);
+        expect(locations(groups[0])).toEqual([['a', 'func', 1, 7], ['b', 'func', 1, 8]]);
+    });
+
+    test('should ignore small snippets, repeats within one node and unparseable code', () => {
+        // Arrange
+        const small = 'msg.a = 1;\nmsg.b = 2;\nreturn msg;';
+
+        // Act
+        const { groups } = findDuplicateCode([
+            functionNode('a', small),
+            functionNode('b', small),
+            functionNode('c', THRESHOLD_CHECK, { finalize: THRESHOLD_CHECK }),
+            functionNode('d', 'if ( {'),
+            { id: 'e', type: 'inject', func: THRESHOLD_CHECK }
+        ]);
+
+        // Assert
+        expect(groups).toEqual([]);
+    });
+});
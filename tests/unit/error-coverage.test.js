@@ -0,0 +1,89 @@
+const { analyzeErrorCoverage, findErrorSources } = require('../../lib/error-coverage');
+const { parseFunctionCode } = require('../../lib/ast-detector');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Error Coverage', () => {
+
+    const FLOW = [
+        { id: 'flow1', type: 'tab', label: 'Orders' },
+        { id: 'grp', type: 'group', z: 'flow1', name: 'Payments', nodes: ['charge', 'inner'] },
+        { id: 'inner', type: 'group', z: 'flow1', g: 'grp', name: 'Refunds', nodes: ['refund'] },
+        { id: 'charge', type: 'function', z: 'flow1', g: 'grp', name: 'Charge', func: 'const result = await pay(msg.payload);\nreturn result;', wires: [[]] },
+        { id: 'refund', type: 'function', z: 'flow1', g: 'inner', name: 'Refund', func: 'if (!msg.id) {\n    throw new Error("no id");\n}\nreturn msg;', wires: [[]] },
+        { id: 'format', type: 'function', z: 'flow1', name: 'Format', func: 'node.error("bad", msg);\nreturn null;', wires: [[]] },
+        { id: 'safe', type: 'function', z: 'flow1', name: 'Safe', func: 'try {\n    await work();\n} catch (e) {\n    return null;\n}\nreturn msg;', wires: [[]] },
+        { id: 'groupCatch', type: 'catch', z: 'flow1', g: 'grp', name: 'Payment errors', scope: 'group', wires: [['log']] },
+        { id: 'log', type: 'debug', z: 'flow1', g: 'grp', active: true, wires: [] },
+        { id: 'status', type: 'status', z: 'flow1', scope: ['charge'], wires: [[]] }
+    ];
+
+    test('should find throws and awaits outside try blocks and node.error calls', () => {
+        // Arrange
+        const ast = parseFunctionCode('try {\n    await a();\n    setTimeout(() => { throw new Error("x"); });\n} catch (e) {\n    node.error(e, msg);\n}\nawait b();');
+
+        // Act
+        const sources = findErrorSources(ast);
+
+        // Assert
+        expect(sources).toEqual([
+            { type: 'throw', line: 3 },
+            { type: 'node.error', line: 5 },
+            { type: 'await', line: 7 }
+        ]);
+    });
+
+    test('should report catch coverage per node and per group', () => {
+        // Act
+        const report = analyzeErrorCoverage(FLOW, 'standard');
+
+        // Assert
+        expect(report.functionNodes.map(entry => [entry.nodeId, entry.catch, entry.status])).toEqual([
+            ['charge', 'scoped', true],
+            ['refund', 'scoped', false],
+            ['format', 'none', false]
+        ]);
+        expect(report.coverage).toBe(67);
+        expect(report.groups).toEqual([
+            { groupId: 'grp', groupName: 'Payments', functionNodes: 2, covered: 2, coverage: 100 },
+            { groupId: 'inner', groupName: 'Refunds', functionNodes: 1, covered: 1, coverage: 100 }
+        ]);
+        expect(report.issues).toEqual([expect.objectContaining({
+            type: 'uncaught-errors',
+            nodeId: 'format',
+            line: 1,
+            severity: 'info',
+            message: 'Errors of \'Format\' (node.error on line 1) reach no catch node - add a catch node for the flow or the group'
+        })]);
+    });
+
+    test('should count a catch-all node and flag catch nodes wired to nothing', () => {
+        // Arrange
+        const nodes = FLOW.concat({ id: 'all', type: 'catch', z: 'flow1', name: 'All errors', scope: null, wires: [['quiet']] },
+            { id: 'quiet', type: 'debug', z: 'flow1', active: false, wires: [] });
+
+        // Act
+        const report = analyzeErrorCoverage(nodes, 'standard');
+
+        // Assert
+        expect(report.functionNodes.find(entry => entry.nodeId === 'format')).toMatchObject({ catch: 'catch-all', catchNodeIds: ['all'] });
+        expect(report.coverage).toBe(100);
+        expect(report.catchNodes.map(entry => [entry.nodeId, entry.scope, entry.swallows])).toEqual([
+            ['groupCatch', 'group', false],
+            ['all', 'flow', true]
+        ]);
+        expect(report.issues.map(issue => [issue.type, issue.nodeId])).toEqual([['catch-swallows-errors', 'all']]);
+    });
+
+    test('should report the coverage with the flow quality metrics', () => {
+        // Arrange
+        const qualityMetrics = new QualityMetrics();
+
+        // Act
+        const metrics = qualityMetrics.calculateFlowQualityMetrics(FLOW, 'standard');
+
+        // Assert
+        expect(metrics.errorHandling).toMatchObject({ coverage: 67, coveredNodes: 2, throwingNodes: 3 });
+        expect(qualityMetrics.getIssueSeverity('catch-swallows-errors')).toMatchObject({ level: 'warning', category: 'error-handling' });
+        expect(analyzeErrorCoverage([{ id: 'fn', type: 'function', z: 'flow1', func: 'return msg;', wires: [[]] }]).coverage).toBeNull();
+    });
+});
@@ -0,0 +1,91 @@
+const { buildFlowGraph, findCycles, getUpstreamNodes, getDownstreamNodes, isDownstreamOfType } = require('../../lib/flow-graph');
+
+describe('Flow Graph', () => {
+
+    const nodes = [
+        { id: 'http', type: 'http in', z: 'flow1', wires: [['linkOut']] },
+        { id: 'linkOut', type: 'link out', z: 'flow1', links: ['linkIn'], wires: [] },
+        { id: 'linkIn', type: 'link in', z: 'flow2', wires: [['fn']] },
+        { id: 'fn', type: 'function', z: 'flow2', wires: [['response'], ['debug']] },
+        { id: 'response', type: 'http response', z: 'flow2', wires: [] },
+        { id: 'debug', type: 'debug', z: 'flow2', wires: [] },
+        { id: 'inject', type: 'inject', z: 'flow1', wires: [['other', 'missing']] },
+        { id: 'other', type: 'function', z: 'flow1', wires: [['inject']] }
+    ];
+
+    test('should follow wires and link nodes upstream', () => {
+        // Arrange
+        const graph = buildFlowGraph(nodes);
+
+        // Act
+        const upstream = getUpstreamNodes(graph, 'fn').map(node => node.id);
+
+        // Assert
+        expect(upstream).toEqual(['linkIn', 'linkOut', 'http']);
+        expect(isDownstreamOfType(graph, 'fn', 'http in')).toBe(true);
+        expect(isDownstreamOfType(graph, 'other', 'http in')).toBe(false);
+    });
+
+    test('should collect downstream nodes of every output', () => {
+        // Arrange
+        const graph = buildFlowGraph(nodes);
+
+        // Act
+        const downstream = getDownstreamNodes(graph, 'fn').map(node => node.id);
+
+        // Assert
+        expect(downstream).toEqual(['response', 'debug']);
+    });
+
+    test('should ignore wires to unknown nodes and terminate on loops', () => {
+        // Arrange
+        const graph = buildFlowGraph(nodes);
+
+        // Act
+        const downstream = getDownstreamNodes(graph, 'inject').map(node => node.id);
+
+        // Assert
+        expect(downstream).toEqual(['other']);
+    });
+
+    test('should not follow link out nodes in return mode', () => {
+        // Arrange
+        const graph = buildFlowGraph([
+            { id: 'ret', type: 'link out', mode: 'return', links: ['target'], wires: [] },
+            { id: 'target', type: 'link in', wires: [] }
+        ]);
+
+        // Act & Assert
+        expect(getDownstreamNodes(graph, 'ret')).toEqual([]);
+    });
+
+    test('should connect subflow inputs to the nodes wired to them', () => {
+        // Arrange
+        const graph = buildFlowGraph([
+            { id: 'sf', type: 'subflow', name: 'Helper', in: [{ wires: [{ id: 'inner' }] }], out: [] },
+            { id: 'inner', type: 'function', z: 'sf', wires: [] }
+        ]);
+
+        // Act & Assert
+        expect(getUpstreamNodes(graph, 'inner').map(node => node.id)).toEqual(['sf']);
+    });
+
+    test('should find loops, leaving out the excluded nodes', () => {
+        // Arrange
+        const graph = buildFlowGraph([
+            { id: 'a', type: 'function', wires: [['b']] },
+            { id: 'b', type: 'function', wires: [['a', 'delay']] },
+            { id: 'delay', type: 'delay', wires: [['c']] },
+            { id: 'c', type: 'function', wires: [['delay', 'c']] },
+            { id: 'd', type: 'function', wires: [['a']] }
+        ]);
+
+        // Act
+        const cycles = findCycles(graph).map(cycle => cycle.map(node => node.id));
+        const withoutDelay = findCycles(graph, node => node.type === 'delay').map(cycle => cycle.map(node => node.id));
+
+        // Assert
+        expect(cycles).toEqual([['a', 'b'], ['delay', 'c']]);
+        expect(withoutDelay).toEqual([['a', 'b'], ['c']]);
+    });
+});
@@ -0,0 +1,75 @@
+const { analyzeFlowHygiene } = require('../../lib/flow-hygiene');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Flow Hygiene', () => {
+
+    const FLOW = [
+        { id: 'flow1', type: 'tab', label: 'Production' },
+        { id: 'inj', type: 'inject', z: 'flow1', name: 'Tick', once: true, onceDelay: '0.1', repeat: '60', crontab: '', wires: [['fn']] },
+        { id: 'fn', type: 'function', z: 'flow1', name: '', func: 'return msg;', wires: [['dbg', 'old']] },
+        { id: 'dbg', type: 'debug', z: 'flow1', active: true, console: false, wires: [] },
+        { id: 'quiet', type: 'debug', z: 'flow1', active: false, wires: [] },
+        { id: 'old', type: 'change', z: 'flow1', name: 'Legacy mapping', d: true, rules: [], wires: [] }
+    ];
+    const summarize = issues => issues.map(issue => [issue.type, issue.nodeId]);
+
+    test('should report leftovers outside the code with the node they are about', () => {
+        // Act
+        const issues = analyzeFlowHygiene(FLOW, 'comprehensive');
+
+        // Assert
+        expect(summarize(issues)).toEqual([
+            ['active-debug-node', 'dbg'],
+            ['inject-once', 'inj'],
+            ['inject-repeat', 'inj'],
+            ['wire-to-disabled-node', 'fn'],
+            ['disabled-node', 'old'],
+            ['unnamed-function-node', 'fn']
+        ]);
+        expect(issues.find(issue => issue.type === 'wire-to-disabled-node')).toMatchObject({
+            rule: 'disabled-node',
+            severity: 'warning',
+            targetId: 'old',
+            flowId: 'flow1',
+            message: '\'function node fn\' is wired to the disabled node \'Legacy mapping\' - messages sent that way are dropped'
+        });
+    });
+
+    test('should follow the preset and rule configuration', () => {
+        // Act
+        const standard = analyzeFlowHygiene(FLOW, 'standard');
+        const configured = analyzeFlowHygiene(FLOW, {
+            preset: 'comprehensive',
+            rules: {
+                'active-debug-node': 'off',
+                'inject-autostart': { options: { flowPattern: '^test' } },
+                'unnamed-function-node': 'critical'
+            }
+        });
+
+        // Assert
+        expect(summarize(standard)).toEqual([['active-debug-node', 'dbg'], ['wire-to-disabled-node', 'fn'], ['disabled-node', 'old']]);
+        expect(summarize(configured)).toEqual([['wire-to-disabled-node', 'fn'], ['disabled-node', 'old'], ['unnamed-function-node', 'fn']]);
+        expect(configured[2].severity).toBe('critical');
+    });
+
+    test('should lower the flow quality score', () => {
+        // Arrange
+        const qualityMetrics = new QualityMetrics();
+        const cleanFlow = [
+            { id: 'flow1', type: 'tab', label: 'Production' },
+            { id: 'fn', type: 'function', z: 'flow1', name: 'Pass through', func: 'return msg;', wires: [[]] }
+        ];
+
+        // Act
+        const clean = qualityMetrics.calculateFlowQualityMetrics(cleanFlow, 'standard');
+        const leftovers = qualityMetrics.calculateFlowQualityMetrics(FLOW, 'standard');
+
+        // Assert
+        expect(clean.qualityScore).toBe(100);
+        expect(leftovers.qualityScore).toBe(75);
+        expect(leftovers.hygieneIssues).toHaveLength(3);
+        expect(leftovers.issueTypes).toEqual(expect.arrayContaining(['active-debug-node', 'disabled-node']));
+        expect(qualityMetrics.getIssueSeverity('active-debug-node')).toMatchObject({ level: 'warning', category: 'hygiene' });
+    });
+});
@@ -308,6 +308,21 @@ console.log("normal again");
             expect(issues[2].line).toBe(7);
         });
 
+        test('should check the code below an ignored line that opens a block', () => {
+            const code = `
+// @nr-analyzer-ignore-next
+setTimeout(function () {
+    node.send(msg);
+}, 1000);
+return null;
+            `.trim();
+            
+            const issues = detectDebuggingTraits(code, 3);
+            
+            // The callback starts on the ignored line, the send below it still needs node.done()
+            expect(issues.map(issue => [issue.type, issue.line])).toEqual([['missing-node-done', 3]]);
+        });
+
         test('should handle nested ignore directives gracefully', () => {
             const code = `
 console.log("normal");
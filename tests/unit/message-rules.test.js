@@ -0,0 +1,279 @@
+const { detectDebuggingTraits, analyzeFunctionNode } = require('../../lib/detector');
+const { buildFlowGraph } = require('../../lib/flow-graph');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Message Rules', () => {
+
+    const analyze = (code, outputs, options = {}) => detectDebuggingTraits(code, 'comprehensive', {
+        node: { id: 'n1', type: 'function', outputs },
+        ...options
+    });
+
+    describe('outputs-count-mismatch', () => {
+        test('should flag a returned array longer than the output count', () => {
+            // Arrange
+            const code = 'return [msg, null, msg];';
+
+            // Act
+            const issues = analyze(code, 2).filter(issue => issue.type === 'outputs-count-mismatch');
+
+            // Assert
+            expect(issues).toHaveLength(1);
+            expect(issues[0].message).toContain('1 message is silently dropped');
+            expect(issues[0].line).toBe(1);
+        });
+
+        test('should only point out arrays shorter than the output count', () => {
+            // Arrange
+            const code = 'node.send([msg]);\nreturn [msg, null];';
+
+            // Act
+            const issues = analyze(code, 3).filter(issue => issue.type.startsWith('outputs-'));
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.severity, issue.line])).toEqual([
+                ['outputs-array-short', 'info', 1],
+                ['outputs-array-short', 'info', 2]
+            ]);
+            expect(issues[0].message).toContain('node.send() addresses 1 output');
+        });
+
+        test('should accept arrays matching the output count', () => {
+            // Arrange
+            const code = 'node.send([msg, null]);\nreturn [null, msg];';
+
+            // Act
+            const issues = analyze(code, 2).filter(issue => issue.type === 'outputs-count-mismatch');
+
+            // Assert
+            expect(issues).toHaveLength(0);
+        });
+
+        test('should skip arrays with spread elements and returns inside nested functions', () => {
+            // Arrange
+            const code = [
+                'const pick = function() { return [1, 2, 3]; };',
+                'return [...pick()];'
+            ].join('\n');
+
+            // Act
+            const issues = analyze(code, 2).filter(issue => issue.type === 'outputs-count-mismatch');
+
+            // Assert
+            expect(issues).toHaveLength(0);
+        });
+
+        test('should ignore returns in the On Start code', () => {
+            // Arrange
+            const code = 'return [1, 2, 3];';
+
+            // Act
+            const issues = analyze(code, 1, { tab: 'initialize' }).filter(issue => issue.type === 'outputs-count-mismatch');
+
+            // Assert
+            expect(issues).toHaveLength(0);
+        });
+
+        test('should not run when the output count is unknown', () => {
+            // Arrange
+            const code = 'return [msg, msg];';
+
+            // Act
+            const issues = detectDebuggingTraits(code, 'comprehensive');
+
+            // Assert
+            expect(issues.filter(issue => issue.type === 'outputs-count-mismatch')).toHaveLength(0);
+        });
+    });
+
+    describe('single-message-return', () => {
+        test('should flag a single message returned from a multi-output node', () => {
+            // Arrange
+            const code = 'return msg;';
+
+            // Act
+            const issues = analyze(code, 2).filter(issue => issue.type === 'single-message-return');
+
+            // Assert
+            expect(issues).toHaveLength(1);
+            expect(issues[0].severity).toBe('info');
+        });
+
+        test('should allow returning null or a single message from a single-output node', () => {
+            // Arrange
+            const code = 'if (!msg.payload) { return null; }\nreturn msg;';
+
+            // Act
+            const multiOutput = analyze('return null;', 2).filter(issue => issue.type === 'single-message-return');
+            const singleOutput = analyze(code, 1).filter(issue => issue.type === 'single-message-return');
+
+            // Assert
+            expect(multiOutput).toHaveLength(0);
+            expect(singleOutput).toHaveLength(0);
+        });
+    });
+
+    describe('async-completion', () => {
+        const asyncIssues = code => detectDebuggingTraits(code, 'standard')
+            .filter(issue => issue.rule === 'async-completion')
+            .map(issue => issue.type);
+
+        test('should flag sends from callbacks when node.done() is never called', () => {
+            // Arrange
+            const code = 'setTimeout(() => {\n    node.send(msg);\n}, 100);\nreturn null;';
+
+            // Act
+            const issues = detectDebuggingTraits(code, 'standard').filter(issue => issue.type === 'missing-node-done');
+
+            // Assert
+            expect(issues).toHaveLength(1);
+            expect(issues[0].line).toBe(2);
+        });
+
+        test('should not flag sends from timers in the On Start and On Stop code', () => {
+            // Arrange
+            const code = 'setInterval(() => {\n    node.send({ payload: Date.now() });\n}, 1000);';
+            const missingDone = tab => detectDebuggingTraits(code, 'standard', { tab })
+                .filter(issue => issue.type === 'missing-node-done');
+
+            // Act & Assert
+            expect(missingDone('initialize')).toEqual([]);
+            expect(missingDone('finalize')).toEqual([]);
+            expect(missingDone('func')).toHaveLength(1);
+        });
+
+        test('should accept async sends with node.done() and sends from synchronous callbacks', () => {
+            // Arrange
+            const withDone = 'setTimeout(() => { node.send(msg); node.done(); }, 100);';
+            const forEach = 'msg.payload.forEach(p => node.send({ payload: p }));';
+            const afterAwait = 'msg.payload = await fetchData(msg);\nnode.send(msg);';
+
+            // Act & Assert
+            expect(asyncIssues(withDone)).toEqual([]);
+            expect(asyncIssues(forEach)).toEqual([]);
+            expect(asyncIssues(afterAwait)).toEqual([]);
+        });
+
+        test('should flag await paths that fall through', () => {
+            // Arrange
+            const code = 'const response = await fetchData(msg);\nif (response.ok) {\n    return msg;\n}';
+
+            // Act & Assert
+            expect(asyncIssues(code)).toEqual(['await-fall-through']);
+            expect(asyncIssues(code + ' else {\n    node.done();\n}')).toEqual([]);
+        });
+
+        test('should flag .then() chains without .catch()', () => {
+            // Arrange
+            const unhandled = 'fetchData(msg).then(r => { node.send(r); node.done(); });';
+            const handled = 'fetchData(msg).then(r => r.json()).then(j => { node.send(j); node.done(); }).catch(e => node.error(e, msg));';
+            const returned = 'return fetchData(msg).then(r => ({ payload: r }));';
+
+            // Act & Assert
+            expect(asyncIssues(unhandled)).toEqual(['unhandled-promise']);
+            expect(asyncIssues(handled)).toEqual([]);
+            expect(asyncIssues(returned)).toEqual([]);
+        });
+    });
+
+    describe('msg-overwritten', () => {
+        const httpFlow = [
+            { id: 'http', type: 'http in', wires: [['fn']] },
+            { id: 'fn', type: 'function', func: 'msg = { payload: 1 };\nreturn msg;', wires: [['response']] },
+            { id: 'response', type: 'http response', wires: [] }
+        ];
+
+        test('should flag msg reassigned to an object literal and returned new objects', () => {
+            // Arrange
+            const code = 'msg = { payload: 1 };\nif (msg.payload) {\n    return { payload: 2 };\n}\nreturn msg;';
+
+            // Act
+            const issues = detectDebuggingTraits(code, 'standard').filter(issue => issue.rule === 'msg-overwritten');
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line])).toEqual([['msg-overwritten', 1], ['msg-overwritten', 3]]);
+        });
+
+        test('should accept objects that keep the original message', () => {
+            // Arrange
+            const code = 'msg = { ...msg, payload: 1 };\nreturn { req: msg.req, res: msg.res, payload: 2 };';
+
+            // Act
+            const issues = detectDebuggingTraits(code, 'standard').filter(issue => issue.rule === 'msg-overwritten');
+
+            // Assert
+            expect(issues).toHaveLength(0);
+        });
+
+        test('should escalate to critical downstream of an http in node', () => {
+            // Arrange
+            const flowGraph = buildFlowGraph(httpFlow);
+            const qualityMetrics = new QualityMetrics();
+
+            // Act
+            const issues = analyzeFunctionNode(httpFlow[1], 'standard', { flowGraph }).filter(issue => issue.rule === 'msg-overwritten');
+
+            // Assert
+            expect(issues.map(issue => issue.type)).toEqual(['http-context-lost']);
+            expect(issues[0].message).toContain('msg.req and msg.res are lost');
+            expect(qualityMetrics.getIssueSeverity('http-context-lost').level).toBe('critical');
+            expect(qualityMetrics.getIssueSeverity('msg-overwritten').level).toBe('warning');
+        });
+    });
+
+    describe('msg-aliasing', () => {
+        const aliasingIssues = code => detectDebuggingTraits(code, 'standard').filter(issue => issue.rule === 'msg-aliasing');
+
+        test('should flag writes to msg after it was sent with a clone fix on the send', () => {
+            // Arrange
+            const code = 'node.send(msg);\nmsg.payload = 2;\nreturn null;';
+
+            // Act
+            const issues = aliasingIssues(code);
+
+            // Assert
+            expect(issues).toHaveLength(1);
+            expect(issues[0]).toMatchObject({ type: 'msg-mutated-after-send', line: 2 });
+            expect(issues[0].fix.edits).toEqual([{ line: 1, column: 11, endColumn: 14, text: 'RED.util.cloneMessage(msg)' }]);
+        });
+
+        test('should flag the same msg sent again or returned after a send', () => {
+            // Arrange
+            const code = 'node.send([msg, null]);\nreturn [null, msg];';
+
+            // Act
+            const issues = aliasingIssues(code);
+
+            // Assert
+            expect(issues.map(issue => [issue.type, issue.line, issue.column])).toEqual([['msg-sent-multiple-times', 2, 15]]);
+        });
+
+        test('should flag sends of the same msg in loops and array callbacks', () => {
+            // Arrange
+            const loop = 'for (const item of msg.payload) {\n    msg.topic = item;\n    node.send(msg);\n}';
+            const callback = 'msg.payload.forEach(item => node.send(msg));';
+
+            // Act
+            const loopTypes = aliasingIssues(loop).map(issue => issue.type).sort();
+            const callbackTypes = aliasingIssues(callback).map(issue => issue.type);
+
+            // Assert
+            expect(loopTypes).toEqual(['msg-mutated-after-send', 'msg-sent-multiple-times']);
+            expect(callbackTypes).toEqual(['msg-sent-multiple-times']);
+        });
+
+        test('should follow branches, early returns and rebinding of msg', () => {
+            // Arrange
+            const earlyReturn = 'if (msg.done) {\n    node.send(msg);\n    return;\n}\nmsg.payload = 1;\nreturn msg;';
+            const branches = 'if (msg.a) {\n    node.send(msg);\n} else {\n    msg.b = 1;\n}';
+            const rebound = 'node.send(msg);\nmsg = RED.util.cloneMessage(msg);\nmsg.payload = 1;\nreturn msg;';
+            const singleSend = 'node.send([msg, msg]);';
+
+            // Act & Assert
+            expect(aliasingIssues(earlyReturn)).toEqual([]);
+            expect(aliasingIssues(branches)).toEqual([]);
+            expect(aliasingIssues(rebound)).toEqual([]);
+            expect(aliasingIssues(singleSend)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const { analyzeFunctionNode } = require('../../lib/detector');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Module Rules', () => {
+
+    const findings = (nodeConfig, options = {}) => analyzeFunctionNode({ id: 'n1', type: 'function', ...nodeConfig }, 'standard', options)
+        .filter(issue => issue.rule === 'function-libs')
+        .map(issue => [issue.type, issue.tab, issue.line]);
+
+    test('should flag Setup tab modules that no code tab uses', () => {
+        // Arrange
+        const nodeConfig = {
+            initialize: 'const formatter = fmt.create();',
+            func: 'msg.payload = dayjs().format();\nreturn msg;',
+            libs: [
+                { var: 'dayjs', module: 'dayjs' },
+                { var: 'fmt', module: 'fmt-lib' },
+                { var: 'axios', module: 'axios' }
+            ]
+        };
+
+        // Act
+        const issues = analyzeFunctionNode({ id: 'n1', type: 'function', ...nodeConfig }, 'standard')
+            .filter(issue => issue.type === 'unused-lib');
+
+        // Assert
+        expect(issues).toHaveLength(1);
+        expect(issues[0]).toMatchObject({ tab: 'func', line: 1, column: 1 });
+        expect(issues[0].message).toContain('axios');
+    });
+
+    test('should not count property names or other identifiers as a use', () => {
+        // Arrange
+        const nodeConfig = {
+            func: 'msg.axios = true;\nconst payload = { axios: 1 };\nconst axiosClient = null;\nreturn msg;',
+            finalize: 'node.axios = null;',
+            libs: [{ var: 'axios', module: 'axios' }]
+        };
+
+        // Act & Assert
+        expect(findings(nodeConfig)).toEqual([['unused-lib', 'func', 1]]);
+    });
+
+    test('should flag module variables that hide Node-RED globals', () => {
+        // Arrange
+        const nodeConfig = { func: 'return msg;', libs: [{ var: 'msg', module: 'msgpack' }, { var: 'util', module: 'util' }] };
+
+        // Act & Assert
+        expect(findings(nodeConfig)).toEqual([
+            ['lib-shadows-global', 'func', 1],
+            ['lib-shadows-global', 'func', 1]
+        ]);
+        expect(new QualityMetrics().getIssueSeverity('lib-shadows-global').level).toBe('critical');
+    });
+
+    test('should flag modules the runtime cannot load when it can tell', () => {
+        // Arrange
+        const nodeConfig = {
+            func: 'return dayjs(msg.payload) && moment();',
+            libs: [{ var: 'dayjs', module: 'dayjs' }, { var: 'moment', module: 'moment' }]
+        };
+        const isModuleInstalled = moduleName => moduleName === 'dayjs';
+
+        // Act & Assert
+        expect(findings(nodeConfig, { isModuleInstalled })).toEqual([['missing-lib-module', 'func', 1]]);
+        expect(findings(nodeConfig)).toEqual([]);
+    });
+
+    test('should report once per node, in the first tab with code when On Message is empty', () => {
+        // Arrange
+        const nodeConfig = {
+            initialize: 'context.set("ready", true);',
+            finalize: 'context.set("ready", false);',
+            libs: [{ var: 'axios', module: 'axios' }]
+        };
+
+        // Act & Assert
+        expect(findings(nodeConfig)).toEqual([['unused-lib', 'initialize', 1]]);
+    });
+});
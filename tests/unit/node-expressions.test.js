@@ -0,0 +1,103 @@
+const { findJSONataExpressions, findJSONataContextKeys, findTemplateContextKeys, findMustacheSyntaxError } = require('../../lib/node-expressions');
+const { analyzeFlowHygiene } = require('../../lib/flow-hygiene');
+const { analyzeFunctionNode } = require('../../lib/detector');
+const { buildFlowVariableMap, buildGlobalVariableMap } = require('../../lib/flow-variables');
+
+describe('Node Expressions', () => {
+
+    const NODES = [
+        { id: 'fn', type: 'function', z: 'flow1', name: 'Limits', func: 'flow.set("limit", 10);\nflow.set("unit", "C");\nreturn msg;', wires: [[]] },
+        { id: 'chg', type: 'change', z: 'flow1', name: 'Scale', wires: [[]], rules: [
+            { t: 'set', p: 'payload', pt: 'msg', to: 'payload * $flowContext("limit")', tot: 'jsonata' },
+            { t: 'set', p: 'unit', pt: 'msg', to: '$globalContext(\'units\', "file").default', tot: 'jsonata' }
+        ] },
+        { id: 'sw', type: 'switch', z: 'flow1', name: 'Check', property: 'payload > $flowContext("max")', propertyType: 'jsonata', rules: [{ t: 'true' }], wires: [[]] },
+        { id: 'tpl', type: 'template', z: 'flow1', name: 'Report', syntax: 'mustache', template: 'Unit: {{flow[file].unit}}\n{{#msg.items}}\n  {{name}}\n{{/msg.items}}', field: 'payload', fieldType: 'msg', wires: [[]] }
+    ];
+
+    test('should find the JSONata expressions of change, switch and inject nodes', () => {
+        // Act
+        const expressions = NODES.concat({ id: 'inj', type: 'inject', props: [{ p: 'payload', v: '$now()', vt: 'jsonata' }, { p: 'topic', v: 'x', vt: 'str' }] })
+            .map(findJSONataExpressions);
+
+        // Assert
+        expect(expressions.map(list => list.map(({ label }) => label))).toEqual([[], ['rule 1', 'rule 2'], ['property'], [], ['msg.payload']]);
+    });
+
+    test('should find context keys in JSONata expressions and templates', () => {
+        // Act & Assert
+        expect(findJSONataContextKeys('$flowContext("a") + $globalContext(\'b.c\', "file") + $flowContext(msg.key)')).toEqual([
+            { scope: 'flow', key: 'a', store: null },
+            { scope: 'global', key: 'b.c', store: 'file' }
+        ]);
+        expect(findTemplateContextKeys('{{flow.a}} {{{global.b}}} {{#flow[file].c}}{{/flow[file].c}}')).toEqual([
+            { scope: 'flow', key: 'a', store: null },
+            { scope: 'global', key: 'b', store: null },
+            { scope: 'flow', key: 'c', store: 'file' },
+            { scope: 'flow', key: 'c', store: 'file' }
+        ]);
+    });
+
+    test('should add JSONata and template reads to the variable maps', () => {
+        // Act
+        const flowMap = buildFlowVariableMap(NODES);
+        const globalMap = buildGlobalVariableMap(NODES);
+
+        // Assert
+        expect(flowMap.limit.gets).toEqual([{ nodeId: 'chg', nodeName: 'Scale', flowId: 'flow1', nodeType: 'change', store: null }]);
+        expect(flowMap.max.gets.map(entry => entry.nodeId)).toEqual(['sw']);
+        expect(flowMap.unit.gets.map(entry => [entry.nodeId, entry.store])).toEqual([['tpl', 'file']]);
+        expect(globalMap.units.gets.map(entry => [entry.nodeId, entry.store])).toEqual([['chg', 'file']]);
+    });
+
+    test('should not report flow variables read only in JSONata or templates as never read', () => {
+        // Arrange
+        const flowVariables = buildFlowVariableMap(NODES);
+
+        // Act
+        const issues = analyzeFunctionNode(NODES[0], 'standard', { flowVariables })
+            .filter(issue => issue.rule === 'orphaned-flow-variable');
+
+        // Assert
+        expect(issues).toEqual([]);
+    });
+
+    test('should find mustache syntax errors', () => {
+        // Act & Assert
+        expect(findMustacheSyntaxError(NODES[3].template)).toBeNull();
+        expect(findMustacheSyntaxError('Hello {{name}')).toEqual({ message: 'Tag \'{{name}\' is not closed with \'}}\'', line: 1 });
+        expect(findMustacheSyntaxError('{{#items}}\n{{name}}\n{{/item}}')).toEqual({ message: 'Section \'items\' opened on line 1 is closed with \'{{/item}}\'', line: 3 });
+        expect(findMustacheSyntaxError('{{#items}}\n{{name}}')).toEqual({ message: 'Section \'items\' is not closed with \'{{/items}}\'', line: 1 });
+        expect(findMustacheSyntaxError('{{=<% %>=}}\n<% name %>}}')).toBeNull();
+    });
+
+    test('should report expression syntax errors and TODO markers as flow hygiene issues', () => {
+        // Arrange
+        const nodes = [
+            { id: 'chg', type: 'change', z: 'flow1', name: 'Scale', rules: [{ t: 'set', p: 'payload', pt: 'msg', to: 'payload * (2', tot: 'jsonata' }], wires: [[]] },
+            { id: 'tpl', type: 'template', z: 'flow1', name: 'Report', template: '{{! TODO: remove test line }}\n{{#items}}', wires: [[]] },
+            { id: 'txt', type: 'template', z: 'flow1', name: 'Plain', syntax: 'plain', template: '{{#items}}', wires: [[]] }
+        ];
+        // Stands in for the runtime's JSONata parser
+        const parseJSONata = expression => {
+            if (expression.split('(').length !== expression.split(')').length) {
+                const error = new Error('Expected ")" before end of expression');
+                error.position = expression.length;
+                throw error;
+            }
+        };
+
+        // Act
+        const withParser = analyzeFlowHygiene(nodes, 'standard', { parseJSONata });
+        const withoutParser = analyzeFlowHygiene(nodes, 'standard');
+
+        // Assert
+        expect(withParser.map(issue => [issue.type, issue.nodeId, issue.severity])).toEqual([
+            ['jsonata-syntax-error', 'chg', 'critical'],
+            ['template-syntax-error', 'tpl', 'critical'],
+            ['expression-todo', 'tpl', 'warning']
+        ]);
+        expect(withParser[0].message).toBe('JSONata expression of rule 1 in \'Scale\' does not parse at position 12: Expected ")" before end of expression');
+        expect(withoutParser.map(issue => issue.type)).toEqual(['template-syntax-error', 'expression-todo']);
+    });
+});
@@ -0,0 +1,137 @@
+const { analyzeFunctionNode } = require('../../lib/detector');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Resource Rules', () => {
+
+    const leaks = nodeConfig => analyzeFunctionNode({ id: 'n1', type: 'function', ...nodeConfig }, 'standard')
+        .filter(issue => issue.rule === 'timer-leak' || issue.rule === 'listener-leak')
+        .map(issue => [issue.type, issue.tab, issue.line]);
+
+    describe('timer-leak', () => {
+        test('should flag intervals that are never cleared', () => {
+            // Arrange
+            const nodeConfig = { initialize: 'context.set("timer", setInterval(poll, 1000));', func: 'return msg;' };
+
+            // Act & Assert
+            expect(leaks(nodeConfig)).toEqual([['uncleared-interval', 'initialize', 1]]);
+        });
+
+        test('should accept intervals cleared in the On Stop code or a close handler', () => {
+            // Arrange
+            const clearedOnStop = {
+                initialize: 'context.set("timer", setInterval(poll, 1000));',
+                finalize: 'clearInterval(context.get("timer"));'
+            };
+            const clearedOnClose = {
+                initialize: 'const timer = setInterval(poll, 1000);\nnode.on("close", () => {\n    clearInterval(timer);\n});'
+            };
+
+            // Act & Assert
+            expect(leaks(clearedOnStop)).toEqual([]);
+            expect(leaks(clearedOnClose)).toEqual([]);
+        });
+
+        test('should flag self-rescheduling timeouts but not one-off delays', () => {
+            // Arrange
+            const polling = { initialize: 'function poll() {\n    node.send({ payload: Date.now() });\n    setTimeout(poll, 1000);\n}\npoll();' };
+            const delay = { func: 'setTimeout(() => {\n    node.send(msg);\n    node.done();\n}, 1000);' };
+
+            // Act & Assert
+            expect(leaks(polling)).toEqual([['uncleared-timeout-loop', 'initialize', 3]]);
+            expect(leaks({ ...polling, finalize: 'clearTimeout(context.get("poll"));' })).toEqual([]);
+            expect(leaks(delay)).toEqual([]);
+        });
+    });
+
+    describe('listener-leak', () => {
+        test('should flag listeners registered in the On Message code only', () => {
+            // Arrange
+            const nodeConfig = {
+                initialize: 'global.get("emitter").on("data", handle);',
+                func: 'global.get("emitter").on("data", data => node.send({ payload: data }));\nreturn null;'
+            };
+
+            // Act & Assert
+            expect(leaks(nodeConfig)).toEqual([['listener-leak', 'func', 1]]);
+        });
+
+        test('should flag listeners on the node, Setup tab modules and emitters kept in context', () => {
+            // Arrange
+            const nodeConfig = {
+                libs: [{ var: 'bus', module: 'event-bus' }],
+                func: [
+                    'node.on("close", done => done());',
+                    'bus.on("event", handle);',
+                    'const emitter = flow.get("emitter");',
+                    'emitter.on("data", handle);',
+                    'return msg;'
+                ].join('\n')
+            };
+
+            // Act & Assert
+            expect(leaks(nodeConfig)).toEqual([
+                ['listener-leak', 'func', 1],
+                ['listener-leak', 'func', 2],
+                ['listener-leak', 'func', 4]
+            ]);
+        });
+
+        test('should not flag listeners on objects created for the message', () => {
+            // Arrange
+            const nodeConfig = {
+                func: [
+                    'const req = https.get(msg.url, res => node.send(msg));',
+                    'req.on("error", err => node.error(err, msg));',
+                    'https.get(msg.url).on("error", err => node.error(err, msg));',
+                    'const ws = new WebSocket(msg.url);',
+                    'ws.on("message", data => node.send({ payload: data }));',
+                    'return null;'
+                ].join('\n')
+            };
+
+            // Act & Assert
+            expect(leaks(nodeConfig)).toEqual([]);
+        });
+
+        test('should skip code that removes its listeners again', () => {
+            // Arrange
+            const nodeConfig = {
+                func: 'const emitter = global.get("emitter");\nemitter.once("data", handle);\nemitter.removeListener("error", handle);'
+            };
+
+            // Act & Assert
+            expect(leaks(nodeConfig)).toEqual([]);
+        });
+    });
+
+    describe('resource leak severity', () => {
+        test('should score resource leaks between warnings and critical issues', () => {
+            // Arrange
+            const qualityMetrics = new QualityMetrics();
+            const leak = [{ type: 'listener-leak' }];
+
+            // Act
+            const severity = qualityMetrics.getIssueSeverity('listener-leak');
+            const score = qualityMetrics.calculateNodeQualityScore(leak);
+
+            // Assert
+            expect(severity).toMatchObject({ level: 'resource-leak', priority: 2 });
+            expect(score).toBe(100 - 35 * 1.25);
+        });
+
+        test('should count resource leaks in the flow quality report', () => {
+            // Arrange
+            const qualityMetrics = new QualityMetrics();
+            const flowMetrics = qualityMetrics.calculateFlowQualityMetrics([
+                { id: 'n1', type: 'function', func: 'setInterval(poll, 1000);\nreturn msg;' }
+            ], 'standard');
+
+            // Act
+            const report = qualityMetrics.generateFlowQualityReport(flowMetrics);
+
+            // Assert
+            expect(report.resourceLeakIssues).toBe(1);
+            expect(report.recommendations.map(rec => rec.type)).toContain('resource-leak');
+        });
+    });
+});
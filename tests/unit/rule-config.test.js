@@ -0,0 +1,172 @@
+const { resolveRuleConfig, getEnabledRules, expandRuleConfig, getAnalyzerRuleConfig, getFlowRuleConfig } = require('../../lib/rule-config');
+const { detectDebuggingTraits } = require('../../lib/detector');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Rule Configuration', () => {
+    
+    describe('resolveRuleConfig', () => {
+        test('should expand detection levels into named presets', () => {
+            // Act & Assert
+            expect(resolveRuleConfig(1)).toEqual({ preset: 'critical', level: 1, rules: {} });
+            expect(resolveRuleConfig('2')).toEqual({ preset: 'standard', level: 2, rules: {} });
+            expect(resolveRuleConfig('comprehensive')).toEqual({ preset: 'comprehensive', level: 3, rules: {} });
+        });
+        
+        test('should normalize rule override shorthands', () => {
+            // Act
+            const config = resolveRuleConfig({
+                preset: 3,
+                rules: {
+                    'multiple-empty-lines': 'off',
+                    'console-log': 'critical',
+                    'todo-comment': false,
+                    'hardcoded-values': { options: { forbiddenStrings: ['foo'] } }
+                }
+            });
+            
+            // Assert
+            expect(config.preset).toBe('comprehensive');
+            expect(config.rules).toEqual({
+                'multiple-empty-lines': { enabled: false },
+                'console-log': { enabled: true, severity: 'critical' },
+                'todo-comment': { enabled: false },
+                'hardcoded-values': { options: { forbiddenStrings: ['foo'] } }
+            });
+            expect(resolveRuleConfig(config)).toEqual(config);
+        });
+        
+        test('should reject unknown presets and severities', () => {
+            // Act & Assert
+            expect(() => resolveRuleConfig(7)).toThrow('Unknown rule preset');
+            expect(() => resolveRuleConfig({ rules: { 'console-log': 'fatal' } })).toThrow('unknown severity');
+        });
+    });
+    
+    describe('Analyzer node configuration', () => {
+        test('should layer the node preset, settings rules and node rules', () => {
+            // Arrange
+            const analyzer = {
+                detectionLevel: 1,
+                ruleConfig: JSON.stringify({ level: 2, rules: { 'todo-comment': 'off' } })
+            };
+            const settingsRules = { 'console-log': 'critical', 'todo-comment': 'info' };
+            
+            // Act
+            const config = getAnalyzerRuleConfig(analyzer, settingsRules);
+            
+            // Assert
+            expect(config.preset).toBe('standard');
+            expect(config.rules).toEqual({
+                'console-log': { enabled: true, severity: 'critical' },
+                'todo-comment': { enabled: false }
+            });
+            expect(getAnalyzerRuleConfig({ detectionLevel: 3, ruleConfig: ' ' }).preset).toBe('comprehensive');
+            expect(() => getAnalyzerRuleConfig({ ruleConfig: '{' })).toThrow();
+        });
+        
+        test('should resolve a flow from its analyzer node with a given preset', () => {
+            // Arrange
+            const nodeConfigs = [
+                { id: 'a1', type: 'code-analyzer', z: 'flow1', detectionLevel: 1, ruleConfig: '{"rules":{"console-log":"off"}}' },
+                { id: 'a2', type: 'code-analyzer', z: 'flow2', detectionLevel: 2, ruleConfig: '{' }
+            ];
+            
+            // Act
+            const configured = getFlowRuleConfig(nodeConfigs, 'flow1', { 'todo-comment': 'off' }, 'comprehensive');
+            const invalid = getFlowRuleConfig(nodeConfigs, 'flow2', { 'todo-comment': 'off' });
+            const withoutAnalyzer = getFlowRuleConfig(nodeConfigs, 'flow3', { 'todo-comment': 'off' });
+            
+            // Assert
+            expect(configured.preset).toBe('comprehensive');
+            expect(configured.rules).toEqual({ 'todo-comment': { enabled: false }, 'console-log': { enabled: false } });
+            expect(invalid).toEqual({ preset: 'standard', level: 2, rules: {} });
+            expect(withoutAnalyzer).toEqual({ preset: 'critical', level: 1, rules: { 'todo-comment': { enabled: false } } });
+        });
+    });
+    
+    describe('Rule selection', () => {
+        test('should enable a single level 3 rule without the others', () => {
+            // Act
+            const ids = getEnabledRules({ preset: 'standard', rules: { 'hardcoded-values': true } }).map(rule => rule.id);
+            
+            // Assert
+            expect(ids).toContain('hardcoded-values');
+            expect(ids).not.toContain('multiple-empty-lines');
+        });
+        
+        test('should expand settings for every registered rule', () => {
+            // Act
+            const expanded = expandRuleConfig({ preset: 1, rules: { 'console-log': 'info' } });
+            
+            // Assert
+            expect(expanded.rules['top-level-return'].enabled).toBe(true);
+            expect(expanded.rules['console-log']).toMatchObject({ enabled: true, severity: 'info', defaultSeverity: 'warning' });
+            expect(expanded.rules['hardcoded-values']).toMatchObject({
+                enabled: false,
+                options: { forbiddenStrings: ['test', 'debug', 'temp'], forbiddenNumbers: [123] }
+            });
+        });
+    });
+    
+    describe('Detection with a rule configuration', () => {
+        test('should report hardcoded values without multiple empty lines', () => {
+            // Arrange
+            const code = 'const mode = "test";\n\n\nnode.send(mode);';
+            
+            // Act
+            const issues = detectDebuggingTraits(code, { preset: 3, rules: { 'multiple-empty-lines': 'off' } });
+            
+            // Assert
+            expect(issues.map(i => i.type)).toEqual(['hardcoded-test']);
+        });
+        
+        test('should use configured forbidden literals', () => {
+            // Arrange
+            const code = 'const a = "foo";\nconst b = "test";\nconst c = 42;\nnode.send([a, b, c]);';
+            const config = {
+                preset: 1,
+                rules: {
+                    'hardcoded-values': { enabled: true, options: { forbiddenStrings: ['foo'], forbiddenNumbers: [42] } }
+                }
+            };
+            
+            // Act
+            const issues = detectDebuggingTraits(code, config);
+            
+            // Assert
+            expect(issues.map(i => i.type)).toEqual(['hardcoded-foo', 'hardcoded-number']);
+            expect(issues.map(i => i.line)).toEqual([1, 3]);
+        });
+        
+        test('should apply severity overrides to markers and quality scoring', () => {
+            // Arrange
+            const config = { preset: 2, rules: { 'console-log': 'critical' } };
+            const qualityMetrics = new QualityMetrics(config);
+            
+            // Act
+            const issues = detectDebuggingTraits('console.log(1);', config);
+            
+            // Assert
+            expect(issues[0].severity).toBe('warning');
+            expect(qualityMetrics.getIssueSeverity('console-log').level).toBe('critical');
+            expect(new QualityMetrics().getIssueSeverity('console-log').level).toBe('warning');
+            expect(qualityMetrics.calculateNodeQualityScore(issues, 1)).toBeLessThanOrEqual(40);
+        });
+        
+        test('should honour disabled rules in flow quality metrics', () => {
+            // Arrange
+            const qualityMetrics = new QualityMetrics();
+            const nodes = [{ id: 'func1', type: 'function', func: 'console.log("x");\nreturn msg;' }];
+            
+            // Act
+            const withRule = qualityMetrics.calculateFlowQualityMetrics(nodes, 2);
+            const withoutRule = qualityMetrics.calculateFlowQualityMetrics(nodes, { preset: 2, rules: { 'console-log': 'off' } });
+            
+            // Assert
+            expect(withRule.totalIssues).toBe(1);
+            expect(withoutRule.totalIssues).toBe(0);
+            expect(withoutRule.qualityScore).toBe(100);
+        });
+    });
+    
+});
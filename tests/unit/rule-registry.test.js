@@ -0,0 +1,230 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleRegistry, ruleRegistry } = require('../../lib/rule-registry');
+const { detectDebuggingTraitsAST } = require('../../lib/ast-detector');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Rule Registry', () => {
+    
+    describe('Built-in rules', () => {
+        test('should register all built-in rules', () => {
+            // Act
+            const ids = ruleRegistry.getRules().map(rule => rule.id);
+            
+            // Assert
+            expect(ids).toEqual(expect.arrayContaining([
+                'top-level-return',
+                'console-log',
+                'node-warn',
+                'debugger-statement',
+                'hardcoded-values',
+                'unused-variable',
+                'multiple-empty-lines',
+                'todo-comment',
+                'consecutive-inline-comments'
+            ]));
+            expect(ruleRegistry.getRules().every(rule => rule.builtin)).toBe(true);
+        });
+        
+        test('should select rules by detection level', () => {
+            // Act
+            const level1 = ruleRegistry.getRulesForLevel(1).map(rule => rule.id);
+            
+            // Assert
+            expect(level1).toEqual(['top-level-return']);
+            expect(ruleRegistry.getRulesForLevel(3)).toHaveLength(ruleRegistry.getRules().length);
+        });
+        
+        test('should map issue types to the rule that produces them', () => {
+            // Act & Assert
+            expect(ruleRegistry.getRuleForIssueType('hardcoded-temp').id).toBe('hardcoded-values');
+            expect(ruleRegistry.getRuleForIssueType('console-log').id).toBe('console-log');
+            expect(ruleRegistry.getRuleForIssueType('unknown-type')).toBeNull();
+        });
+        
+        test('should tag detected issues with their rule id', () => {
+            // Arrange
+            const code = 'const mode = "debug";\nnode.warn(mode);';
+            
+            // Act
+            const issues = detectDebuggingTraitsAST(code, 3);
+            
+            // Assert
+            expect(issues.find(i => i.type === 'hardcoded-debug').rule).toBe('hardcoded-values');
+            expect(issues.find(i => i.type === 'node-warn').rule).toBe('node-warn');
+        });
+    });
+    
+    describe('Registration', () => {
+        let registry;
+        
+        beforeEach(() => {
+            registry = new RuleRegistry();
+        });
+        
+        test('should apply defaults to a rule definition', () => {
+            // Act
+            const rule = registry.register({ id: 'custom', post: () => {} });
+            
+            // Assert
+            expect(rule).toMatchObject({
+                id: 'custom',
+                name: 'custom',
+                level: 2,
+                severity: 'info',
+                weight: 1,
+                issueTypes: ['custom'],
+                builtin: false
+            });
+        });
+        
+        test('should reject invalid rule definitions', () => {
+            // Act & Assert
+            expect(() => registry.register({})).toThrow('requires a string id');
+            expect(() => registry.register({ id: 'empty' })).toThrow('must define visitors or a post function');
+            expect(() => registry.register({ id: 'bad', visitors: { Literal: 'nope' } })).toThrow('must be a function');
+            expect(() => registry.register({ id: 'bad', post: () => {}, severity: 'fatal' })).toThrow('unknown severity');
+            expect(() => registry.register({ id: 'bad', post: () => {}, issueSeverities: { bad: 'fatal' } })).toThrow('for issue type \'bad\'');
+        });
+        
+        test('should run a custom rule through the detector', () => {
+            // Arrange
+            registry.register({
+                id: 'no-var',
+                level: 1,
+                severity: 'warning',
+                visitors: {
+                    VariableDeclaration(node, context) {
+                        if (node.kind === 'var') {
+                            context.report({
+                                message: 'Use let or const instead of var',
+                                line: node.loc.start.line,
+                                column: node.loc.start.column + 1,
+                                endColumn: node.loc.end.column + 1
+                            });
+                        }
+                    }
+                }
+            });
+            
+            // Act
+            const issues = detectDebuggingTraitsAST('var a = 1;\nlet b = a;', 1, { registry });
+            
+            // Assert
+            expect(issues).toHaveLength(1);
+            expect(issues[0]).toMatchObject({ type: 'no-var', rule: 'no-var', line: 1, severity: 'warning' });
+        });
+        
+        test('should honour ignore directives for custom rules', () => {
+            // Arrange
+            registry.register({
+                id: 'every-line',
+                level: 1,
+                post(context) {
+                    context.lines.forEach((_, i) => context.report({ message: 'line', line: i + 1, column: 1, endColumn: 1 }));
+                }
+            });
+            const code = 'let a = 1;\n// @nr-analyzer-ignore-next\nlet b = a;';
+            
+            // Act
+            const issues = detectDebuggingTraitsAST(code, 1, { registry });
+            
+            // Assert
+            expect(issues.map(i => i.line)).toEqual([1, 2]);
+        });
+        
+        test('should keep analysing when a custom rule throws', () => {
+            // Arrange
+            registry.register({
+                id: 'broken',
+                level: 1,
+                visitors: {
+                    Identifier() {
+                        throw new Error('boom');
+                    }
+                }
+            });
+            registry.register({ id: 'ok', level: 1, post: context => context.report({ message: 'ok', line: 1, column: 1, endColumn: 1 }) });
+            
+            // Act
+            const issues = detectDebuggingTraitsAST('const a = b;', 1, { registry });
+            
+            // Assert
+            expect(issues.map(i => i.rule)).toEqual(['ok']);
+        });
+    });
+    
+    describe('Custom rule modules', () => {
+        const fixturePath = path.join(__dirname, '..', 'fixtures', 'custom-rules.js');
+        
+        afterEach(() => {
+            ruleRegistry.unregister('no-magic-delay');
+            ruleRegistry.loadedModules.delete(fixturePath);
+        });
+        
+        test('should load rules from a module path relative to a base directory', () => {
+            // Act
+            const loaded = ruleRegistry.loadRulesFromModule('custom-rules.js', path.join(__dirname, '..', 'fixtures'));
+            
+            // Assert
+            expect(loaded).toEqual(['no-magic-delay']);
+            expect(ruleRegistry.get('no-magic-delay').builtin).toBe(false);
+        });
+        
+        test('should use severity and weight of custom rules in quality metrics', () => {
+            // Arrange
+            ruleRegistry.loadRulesFromModule(fixturePath);
+            const qualityMetrics = new QualityMetrics();
+            
+            // Act
+            const issues = detectDebuggingTraitsAST('setTimeout(run, 5000);', 2);
+            
+            // Assert
+            expect(issues.map(i => i.type)).toEqual(['no-magic-delay']);
+            expect(qualityMetrics.getIssueSeverity('no-magic-delay').level).toBe('warning');
+            expect(qualityMetrics.getIssueWeight('no-magic-delay')).toBe(8);
+            expect(qualityMetrics.getIssueWeight('hardcoded-debug')).toBe(1);
+        });
+        
+        test('should keep module rules until the last reference is released and reload the module', () => {
+            // Arrange
+            const builtin = ruleRegistry.get('console-log');
+            const overridePath = path.join(os.tmpdir(), `override-rules-${process.pid}.js`);
+            fs.writeFileSync(overridePath, 'module.exports = { id: \'console-log\', severity: \'critical\', post() {} };');
+            
+            // Act
+            const loaded = ruleRegistry.loadRulesFromModule(fixturePath);
+            ruleRegistry.loadRulesFromModule(fixturePath);
+            const firstRelease = ruleRegistry.unloadRulesFromModule(fixturePath);
+            const stillLoaded = ruleRegistry.has('no-magic-delay');
+            const lastRelease = ruleRegistry.unloadRulesFromModule(fixturePath);
+            ruleRegistry.loadRulesFromModule(overridePath);
+            const overridden = ruleRegistry.get('console-log').severity;
+            ruleRegistry.unloadRulesFromModule(overridePath);
+            fs.writeFileSync(overridePath, 'module.exports = { id: \'console-log\', severity: \'info\', post() {} };');
+            jest.resetModules(); // Jest caches modules apart from require.cache
+            ruleRegistry.loadRulesFromModule(overridePath);
+            const reloaded = ruleRegistry.get('console-log').severity;
+            ruleRegistry.unloadRulesFromModule(overridePath);
+            fs.unlinkSync(overridePath);
+            
+            // Assert
+            expect(loaded).toEqual(['no-magic-delay']);
+            expect(firstRelease).toEqual([]);
+            expect(stillLoaded).toBe(true);
+            expect(lastRelease).toEqual(['no-magic-delay']);
+            expect(ruleRegistry.has('no-magic-delay')).toBe(false);
+            expect(overridden).toBe('critical');
+            expect(reloaded).toBe('info');
+            expect(ruleRegistry.get('console-log')).toBe(builtin);
+        });
+        
+        test('should throw for modules without rules', () => {
+            // Act & Assert
+            expect(() => ruleRegistry.loadRulesFromModule(path.join(__dirname, '..', 'fixtures', 'sample-code.js')))
+                .toThrow('does not export any rules');
+        });
+    });
+    
+});
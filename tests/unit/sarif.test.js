@@ -0,0 +1,79 @@
+const { createSarifLog, indexFlowsFile } = require('../../lib/sarif');
+const { createAnalysisReport } = require('../../lib/analysis-report');
+
+describe('SARIF Export', () => {
+
+    const flows = [
+        { id: 'flow1', type: 'tab', label: 'Production' },
+        { id: 'inject1', type: 'inject', z: 'flow1', name: 'Tick', wires: [['fn1']] },
+        { id: 'fn1', type: 'function', z: 'flow1', name: 'Parse', func: 'msg.label = "a\\tb";\n\tdebugger;\nreturn msg;', wires: [['debug1']] },
+        { id: 'debug1', type: 'debug', z: 'flow1', name: 'Output', active: true, wires: [] }
+    ];
+
+    // Text of the flows file at a region of a result
+    function regionText(text, result) {
+        const { startLine, startColumn, endColumn } = result.locations[0].physicalLocation.region;
+        return text.split('\n')[startLine - 1].substring(startColumn - 1, endColumn - 1);
+    }
+
+    test('should describe the rules and report each issue with its level and node', () => {
+        // Arrange
+        const report = createAnalysisReport(flows, { level: 'standard' });
+
+        // Act
+        const log = createSarifLog(report, { flowsFile: 'config/flows.json' });
+        const [run] = log.runs;
+
+        // Assert
+        expect(log.version).toBe('2.1.0');
+        expect(run.tool.driver.name).toBe('node-red-contrib-code-analyzer');
+        expect(run.tool.driver.rules.find(rule => rule.id === 'debugger-statement')).toMatchObject({
+            defaultConfiguration: { level: 'error' },
+            properties: { category: 'debugging', detectionLevel: 2 }
+        });
+        expect(run.tool.driver.rules.find(rule => rule.id === 'active-debug-node').defaultConfiguration.level).toBe('warning');
+        expect(run.results.map(result => [result.ruleId, result.level])).toEqual([
+            ['debugger-statement', 'error'],
+            ['active-debug-node', 'warning']
+        ]);
+        run.results.forEach(result => expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId));
+        expect(run.results[0].message.text).toBe('Remove this debugger statement (Parse, On Message line 2)');
+        expect(run.results[0].locations[0]).toEqual({
+            physicalLocation: { artifactLocation: { uri: 'config/flows.json' } },
+            logicalLocations: [{ name: 'On Message', fullyQualifiedName: 'Production/Parse/On Message', kind: 'function' }]
+        });
+        expect(run.results[1].properties).toMatchObject({ flowId: 'flow1', nodeId: 'debug1', nodeType: 'debug', severity: 'warning' });
+        expect(run.properties.flows).toEqual([{ flowId: 'flow1', flowName: 'Production', flowType: 'tab', qualityScore: report.flows[0].qualityScore }]);
+    });
+
+    test('should point regions at the code inside the flows file', () => {
+        // Arrange
+        const report = createAnalysisReport(flows, { level: 'standard' });
+        const pretty = JSON.stringify(flows, null, 4);
+        const compact = JSON.stringify({ rev: 'abc', flows });
+
+        // Act
+        const prettyResults = createSarifLog(report, { flowsText: pretty }).runs[0].results;
+        const compactResults = createSarifLog(report, { flowsText: compact }).runs[0].results;
+
+        // Assert
+        expect(prettyResults.map(result => regionText(pretty, result))).toEqual(['debugger;', '"debug1"']);
+        expect(prettyResults[0].locations[0].physicalLocation.region.startLine).toBe(pretty.split('\n').findIndex(line => line.includes('"func"')) + 1);
+        expect(compactResults.map(result => regionText(compact, result))).toEqual(['debugger;', '"debug1"']);
+        expect(compactResults[0].locations[0].physicalLocation.region.startLine).toBe(1);
+    });
+
+    test('should index the nodes of a flows file and their properties', () => {
+        // Arrange
+        const text = '[{"id":"n1","type":"inject","props":[{"id":"nested"}],"repeat":5,"wires":[["n2"]]},\n {"type":"debug", "id": "n2"}]';
+
+        // Act
+        const nodes = indexFlowsFile(text);
+
+        // Assert
+        expect([...nodes.keys()]).toEqual(['n1', 'n2']);
+        expect(text.substring(nodes.get('n1').properties.get('repeat'))).toMatch(/^5,/);
+        expect(text.substring(nodes.get('n1').properties.get('props'))).toMatch(/^\[\{"id":"nested"\}\]/);
+        expect(text.substring(nodes.get('n2').properties.get('id'))).toBe('"n2"}]');
+    });
+});
@@ -271,6 +271,47 @@ describe('SlackNotifier', () => {
             expect(payload.text).toContain('TestNode2');
         });
         
+        test('should list only the issues new since the baseline', async () => {
+            // Arrange
+            mockRED.nodes.eachNode.mockImplementation((callback) => {
+                callback({ type: 'tab', id: 'flow123', label: 'TestFlow' });
+                callback({
+                    type: 'function',
+                    z: 'flow123',
+                    name: 'TestNode1',
+                    id: 'node1',
+                    func: 'node.warn("test");\n// TODO: implement',
+                    _debugIssues: [
+                        { type: 'node-warn', message: 'Remove warn', isNew: true },
+                        { type: 'todo-comment', message: 'Resolve TODO', isNew: false }
+                    ]
+                });
+                callback({
+                    type: 'function',
+                    z: 'flow123',
+                    name: 'KnownNode',
+                    id: 'node2',
+                    func: '// TODO: implement',
+                    _debugIssues: [
+                        { type: 'todo-comment', message: 'Resolve TODO', isNew: false }
+                    ]
+                });
+            });
+            
+            fetch.mockResolvedValueOnce({ ok: true });
+            
+            // Act
+            await slackNotifier.sendCodeAnalysisAlert('flow123', 1, 1, null, 2);
+            
+            // Assert
+            const payload = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(payload.text).toContain('Code Analysis Alert - 1 New Issue Found');
+            expect(payload.text).toContain('**Baseline**: 2 known issues not listed');
+            expect(payload.text).toContain('**TestNode1** (1 issue)');
+            expect(payload.text).not.toContain('TODO/FIXME');
+            expect(payload.text).not.toContain('KnownNode');
+        });
+        
         test('should send performance alert with CPU and memory violations', async () => {
             // Arrange
             const performanceSummary = {
@@ -0,0 +1,100 @@
+const { analyzeFlowWiring } = require('../../lib/wire-analysis');
+const QualityMetrics = require('../../lib/quality-metrics');
+
+describe('Wire Analysis', () => {
+
+    const FLOWS = [
+        { id: 'flow1', type: 'tab', label: 'Orders' },
+        { id: 'flow2', type: 'tab', label: 'Shared' },
+        { id: 'http', type: 'http in', z: 'flow1', url: '/orders', wires: [['route']] },
+        { id: 'route', type: 'switch', z: 'flow1', name: 'Route', wires: [['toShared'], []] },
+        { id: 'toShared', type: 'link out', z: 'flow1', name: 'To shared', links: ['sharedIn', 'deletedIn'], wires: [] },
+        { id: 'orphan', type: 'change', z: 'flow1', name: 'Orphan', wires: [['route']] },
+        { id: 'note', type: 'comment', z: 'flow1', name: 'Notes', wires: [] },
+        { id: 'sharedIn', type: 'link in', z: 'flow2', name: 'Shared in', wires: [['retry']] },
+        { id: 'retry', type: 'function', z: 'flow2', name: 'Retry', wires: [['check']] },
+        { id: 'check', type: 'switch', z: 'flow2', name: 'Check', wires: [['retry'], ['done']] },
+        { id: 'done', type: 'debug', z: 'flow2', wires: [] },
+        { id: 'unused', type: 'link in', z: 'flow2', name: 'Unused', wires: [['done']] },
+        { id: 'broker', type: 'mqtt-broker', broker: 'localhost' }
+    ];
+    const summarize = issues => issues.map(issue => [issue.type, issue.nodeId]);
+
+    test('should report the wiring of one flow, following links to other flows', () => {
+        // Act
+        const issues = analyzeFlowWiring(FLOWS, 'flow1', 'comprehensive');
+
+        // Assert
+        expect(summarize(issues)).toEqual([
+            ['unreachable-node', 'orphan'],
+            ['unwired-output', 'route'],
+            ['broken-link', 'toShared']
+        ]);
+        expect(issues[1]).toMatchObject({ outputs: [2], message: 'Output 2 of \'Route\' is not wired - messages sent there are dropped' });
+        expect(issues[2]).toMatchObject({ targetIds: ['deletedIn'], flowId: 'flow1', severity: 'warning' });
+    });
+
+    test('should report loops without a delay node once', () => {
+        // Act
+        const issues = analyzeFlowWiring(FLOWS, 'flow2', 'standard');
+
+        // Assert
+        expect(summarize(issues)).toEqual([['unreachable-node', 'unused'], ['message-loop', 'retry']]);
+        expect(issues[0].message).toBe('Link in node \'Unused\' is not the target of any link out or link call node - it never receives messages');
+        expect(issues[1]).toMatchObject({
+            nodeIds: ['retry', 'check'],
+            message: '\'Retry\' -> \'Check\' -> \'Retry\' form a loop without a delay or rate limit - a message can circle forever'
+        });
+    });
+
+    test('should not report loops through a delay node or types configured as breakers', () => {
+        // Arrange
+        const delayed = FLOWS.map(node => (node.id === 'check' ? { ...node, wires: [['wait'], ['done']] } : node))
+            .concat({ id: 'wait', type: 'delay', z: 'flow2', pauseType: 'rate', wires: [['retry']] });
+
+        // Act
+        const withDelay = analyzeFlowWiring(delayed, 'flow2', 'standard');
+        const configured = analyzeFlowWiring(FLOWS, 'flow2', {
+            preset: 'standard',
+            rules: { 'message-loop': { options: { breakerTypes: ['switch'] } }, 'unreachable-node': 'off' }
+        });
+
+        // Assert
+        expect(summarize(withDelay)).toEqual([['unreachable-node', 'unused']]);
+        expect(configured).toEqual([]);
+    });
+
+    test('should treat source nodes and configured types as entry points', () => {
+        // Arrange
+        const nodes = [
+            { id: 'sf', type: 'subflow', name: 'Source', in: [], out: [{ wires: [{ id: 'sfInner', port: 0 }] }] },
+            { id: 'sfInner', type: 'inject', z: 'sf', wires: [[]] },
+            { id: 'source', type: 'subflow:sf', z: 'flow1', wires: [['button']] },
+            { id: 'button', type: 'ui_button', z: 'flow1', wires: [['source']] },
+            { id: 'mqtt', type: 'mqtt in', z: 'flow1', wires: [[]] },
+            { id: 'custom', type: 'ui_slider', z: 'flow1', wires: [[]] }
+        ];
+
+        // Act
+        const issues = analyzeFlowWiring(nodes, 'flow1', {
+            preset: 'standard',
+            rules: { 'unreachable-node': { options: { entryTypes: ['ui_slider'] } }, 'message-loop': 'off' }
+        });
+
+        // Assert
+        expect(issues).toEqual([]);
+    });
+
+    test('should give wiring issue types a severity and category', () => {
+        // Arrange
+        const qualityMetrics = new QualityMetrics();
+
+        // Act
+        const severity = qualityMetrics.getIssueSeverity('message-loop');
+        const recommendations = qualityMetrics.generateRecommendations({ totalIssues: 1, complexityScore: 0, issueTypes: ['broken-link'] });
+
+        // Assert
+        expect(severity).toMatchObject({ level: 'warning', category: 'wiring' });
+        expect(recommendations.map(recommendation => recommendation.message)).toContain('Check the flow wiring');
+    });
+});
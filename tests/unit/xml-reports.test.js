@@ -0,0 +1,62 @@
+const { createJUnitReport, createCheckstyleReport } = require('../../lib/xml-reports');
+const { createAnalysisReport } = require('../../lib/analysis-report');
+
+describe('XML Reports', () => {
+
+    const flows = [
+        { id: 'flow1', type: 'tab', label: 'Production & Test' },
+        { id: 'inject1', type: 'inject', z: 'flow1', name: 'Tick', wires: [['fn1', 'fn2']] },
+        { id: 'fn1', type: 'function', z: 'flow1', name: 'Parse', func: 'debugger;\nconsole.log("<payload>");\nreturn msg;', initialize: 'debugger;\n', wires: [['debug1']] },
+        { id: 'fn2', type: 'function', z: 'flow1', name: 'Clean', func: 'return msg;', wires: [['debug1']] },
+        { id: 'debug1', type: 'debug', z: 'flow1', name: 'Output', active: true, wires: [] },
+        { id: 'flow2', type: 'tab', label: 'Empty' }
+    ];
+
+    test('should write a JUnit test suite per flow with a failing test case per node with issues', () => {
+        // Arrange
+        const report = createAnalysisReport(flows, { level: 'standard' });
+
+        // Act
+        const xml = createJUnitReport(report);
+
+        // Assert
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="node-red-code-analyzer" tests="3" failures="2" errors="0">/);
+        expect(xml).toContain('<testsuite name="Production &amp; Test" id="flow1" tests="3" failures="2" errors="0" skipped="0">');
+        expect(xml).toContain('<property name="qualityScore" value="' + report.flows[0].qualityScore + '"/>');
+        expect(xml).toContain([
+            '    <testcase classname="Production &amp; Test" name="Parse (fn1)">',
+            '      <failure type="critical" message="3 issues in function node &apos;Parse&apos;">critical debugger-statement at On Start:1:1: Remove this debugger statement',
+            'critical debugger-statement at On Message:1:1: Remove this debugger statement',
+            'warning console-log at On Message:2:1: Remove this console.log() debugging statement</failure>',
+            '    </testcase>'
+        ].join('\n'));
+        expect(xml).toContain('<testcase classname="Production &amp; Test" name="Clean (fn2)"/>');
+        expect(xml).toContain('<testcase classname="Production &amp; Test" name="Output (debug1)">\n      <failure type="warning"');
+        expect(xml).toContain('<testsuite name="Empty" id="flow2" tests="0" failures="0" errors="0" skipped="0">');
+    });
+
+    test('should write a Checkstyle file element per function node', () => {
+        // Arrange
+        const report = createAnalysisReport(flows, { level: 'standard' });
+
+        // Act
+        const xml = createCheckstyleReport(report);
+
+        // Assert
+        expect(xml).toBe([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<checkstyle version="4.3">',
+            '  <file name="Production &amp; Test/Parse (fn1)">',
+            '    <error line="1" column="1" severity="error" message="Remove this debugger statement (On Start)" source="node-red-code-analyzer.debugger-statement"/>',
+            '    <error line="1" column="1" severity="error" message="Remove this debugger statement" source="node-red-code-analyzer.debugger-statement"/>',
+            '    <error line="2" column="1" severity="warning" message="Remove this console.log() debugging statement" source="node-red-code-analyzer.console-log"/>',
+            '  </file>',
+            '  <file name="Production &amp; Test/Clean (fn2)"/>',
+            '  <file name="Production &amp; Test/Output (debug1)">',
+            '    <error severity="warning" message="Debug node &apos;Output&apos; is active and writes every message to the debug sidebar - deactivate or remove it" source="node-red-code-analyzer.active-debug-node"/>',
+            '  </file>',
+            '</checkstyle>',
+            ''
+        ].join('\n'));
+    });
+});